@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line interface for scripting price checks without the browser UI.
+ *
+ *   purepeg-prices lookup <identifier> [--refresh] [--format table|json|csv]
+ *   purepeg-prices batch <file|-> [--refresh] [--format table|json|csv]
+ *   purepeg-prices sync-catalog [--format table|json]
+ *   purepeg-prices vendors [--format table|json|csv]
+ *
+ * Lookups run the same pipeline as `/prices/:id` (PubChem CID and vendor listing, then every
+ * `VENDOR_CONFIG` handler) by loading `index.cjs`, which does not listen when it is required, so no
+ * server needs to be running. Results are recorded in the price history and checked against the
+ * alert rules like any other lookup. An identifier matching several compounds uses PubChem's first.
+ *
+ * Results go to stdout. Server logs are hidden unless `--verbose` sends them to stderr.
+ *
+ * Exit codes: 0 success, 1 failure (a lookup or the catalog sync failed), 2 usage error,
+ * 3 partial results (PubChem failed, but vendors that do not depend on it found prices).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const util = require('util');
+
+const { flushAll: flushCaches } = require('../services/lookupCache');
+const { withLogContext } = require('../services/logger');
+const { describeAdapter } = require('../services/vendorRegistry');
+const { toBatchReportRows, rowsToCsv, rowsToTable } = require('../utils/export');
+const { errorBody } = require('../utils/errors');
+const { readIdentifiers } = require('../utils/identifiers');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_PARTIAL = 3;
+
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 2;
+
+const USAGE = `Usage: purepeg-prices <command> [options]
+
+Commands:
+  lookup <identifier>   Price one CAS number, name or SMILES across every vendor
+  batch <file|->        Price every identifier in a text, CSV or XLSX file (- reads text from stdin)
+  sync-catalog          Rebuild the PurePEG product cache from WooCommerce
+  vendors               List the loaded vendor adapters
+
+Options:
+  -f, --format <format>  table (default), json or csv
+  --refresh              Ignore cached results and fetch fresh prices
+  --verbose              Show server logs on stderr
+  -h, --help             Show this help
+
+Exit codes: 0 success, 1 failure, 2 usage error, 3 partial results
+`;
+
+// The subset of report columns that fits a terminal
+const PRICE_TABLE_COLUMNS = [
+  { key: 'identifier', label: 'Identifier' },
+  { key: 'vendorName', label: 'Vendor' },
+  { key: 'status', label: 'Status' },
+  { key: 'rawQuantity', label: 'Quantity' },
+  { key: 'price', label: 'Price' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'pricePerGram', label: 'Per gram' },
+  { key: 'errorCode', label: 'Error' },
+  { key: 'message', label: 'Message' },
+];
+
+const VENDOR_COLUMNS = [
+  { key: 'name', label: 'Vendor' },
+  { key: 'type', label: 'Type' },
+  { key: 'sourceNames', label: 'PubChem sources' },
+  { key: 'capabilities', label: 'Capabilities' },
+  { key: 'file', label: 'File' },
+];
+
+const SYNC_COLUMNS = [
+  { key: 'field', label: 'Field' },
+  { key: 'value', label: 'Value' },
+];
+
+const COMMAND_FORMATS = {
+  lookup: ['table', 'json', 'csv'],
+  batch: ['table', 'json', 'csv'],
+  'sync-catalog': ['table', 'json'],
+  vendors: ['table', 'json', 'csv'],
+};
+
+let pipeline = null;
+
+/**
+ * Loads the lookup pipeline on first use, so `--help` and usage errors stay fast.
+ */
+function loadPipeline() {
+  if (!pipeline) pipeline = require('../index.cjs');
+  return pipeline;
+}
+
+function usageError(message) {
+  const err = new Error(message);
+  err.exitCode = EXIT_USAGE;
+  return err;
+}
+
+/**
+ * Looks up one identifier and records it, in the shape of a `/prices/batch` result line.
+ * Its log lines share a request ID, as a server request's do. Never rejects.
+ * @param {string} identifier
+ * @param {object} options
+ * @param {boolean} options.refresh
+ * @returns {Promise<{identifier: string, status: 'success'|'partial'|'error', cid: number|null,
+ *   results: Array<object>, error: string|null, code: string|null}>}
+ */
+function lookupOne(identifier, { refresh }) {
+  return withLogContext({ requestId: crypto.randomUUID(), identifier }, () => runLookup(identifier, { refresh }));
+}
+
+async function runLookup(identifier, { refresh }) {
+  const { lookupPrices, recordLookup } = loadPipeline();
+  try {
+    const { cid, results, error } = await lookupPrices(identifier, { refresh, allowPartial: true });
+    if (cid !== null) await recordLookup({ searchTerm: identifier, cid, results });
+    return { identifier, status: error ? 'partial' : 'success', cid, results, error: error?.message ?? null, code: error?.code ?? null };
+  } catch (err) {
+    const { error, code } = errorBody(err);
+    return { identifier, status: 'error', cid: null, results: [], error, code };
+  }
+}
+
+function renderOutcomes(outcomes, format, { single = false } = {}) {
+  if (format === 'json') return JSON.stringify(single ? outcomes[0] : outcomes, null, 2) + '\n';
+  const rows = toBatchReportRows(outcomes);
+  return format === 'csv' ? rowsToCsv(rows) : rowsToTable(rows, PRICE_TABLE_COLUMNS);
+}
+
+/**
+ * @returns {number} The exit code for a set of lookup outcomes: any failure wins over partial results.
+ */
+function outcomesExitCode(outcomes) {
+  if (outcomes.some(outcome => outcome.status === 'error')) return EXIT_FAILED;
+  if (outcomes.some(outcome => outcome.status === 'partial')) return EXIT_PARTIAL;
+  return EXIT_OK;
+}
+
+function reportProblems(outcomes, stderr) {
+  for (const outcome of outcomes) {
+    if (outcome.status === 'error') stderr.write(`${outcome.identifier}: ${outcome.error} (${outcome.code})\n`);
+    if (outcome.status === 'partial') stderr.write(`${outcome.identifier}: partial results, ${outcome.error} (${outcome.code})\n`);
+  }
+}
+
+const COMMANDS = {
+  async lookup([identifier], { format, refresh }, { stdout, stderr }) {
+    if (!identifier || !identifier.trim()) throw usageError('lookup needs an identifier');
+    const outcome = await lookupOne(identifier.trim(), { refresh });
+    stdout.write(renderOutcomes([outcome], format, { single: true }));
+    reportProblems([outcome], stderr);
+    return outcomesExitCode([outcome]);
+  },
+
+  async batch([file], { format, refresh }, { stdin, stdout, stderr }) {
+    if (!file) throw usageError('batch needs a file, or - to read from stdin');
+    let identifiers;
+    try {
+      identifiers = file === '-' ? await readIdentifiers(fs.readFileSync(stdin.fd)) : await readIdentifiers(fs.readFileSync(file), file);
+    } catch (err) {
+      throw usageError(`Could not read ${file}: ${err.message}`);
+    }
+    if (identifiers.length === 0) throw usageError(`No identifiers found in ${file}`);
+
+    let done = 0;
+    const outcomes = await mapWithConcurrency(identifiers, BATCH_CONCURRENCY, async identifier => {
+      const outcome = await lookupOne(identifier, { refresh });
+      stderr.write(`[${++done}/${identifiers.length}] ${identifier}: ${outcome.status}\n`);
+      return outcome;
+    });
+    stdout.write(renderOutcomes(outcomes, format));
+    reportProblems(outcomes, stderr);
+    return outcomesExitCode(outcomes);
+  },
+
+  async 'sync-catalog'(args, { format }, { stdout, stderr }) {
+    const { catalogSync } = loadPipeline();
+    let report;
+    try {
+      report = await catalogSync.sync();
+    } catch (err) {
+      stderr.write(`Catalog sync failed: ${err.message}\n`);
+      return EXIT_FAILED;
+    }
+    if (format === 'json') {
+      stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+      stdout.write(rowsToTable([
+        { field: 'Products', value: report.productCount },
+        { field: 'Added', value: report.diff.added.length },
+        { field: 'Removed', value: report.diff.removed.length },
+        { field: 'Repriced', value: report.diff.repriced.length },
+        { field: 'Finished at', value: report.finishedAt },
+      ], SYNC_COLUMNS));
+    }
+    return EXIT_OK;
+  },
+
+  async vendors(args, { format }, { stdout }) {
+    const { VENDOR_CONFIG } = loadPipeline();
+    const vendors = VENDOR_CONFIG.map(config => describeAdapter(config.adapter));
+    if (format === 'json') {
+      stdout.write(JSON.stringify(vendors, null, 2) + '\n');
+      return EXIT_OK;
+    }
+    const rows = vendors.map(vendor => ({
+      ...vendor,
+      sourceNames: vendor.sourceNames.join('; '),
+      capabilities: Object.keys(vendor.capabilities).filter(key => vendor.capabilities[key]).join(', '),
+    }));
+    stdout.write(format === 'csv' ? rowsToCsv(rows, VENDOR_COLUMNS) : rowsToTable(rows, VENDOR_COLUMNS));
+    return EXIT_OK;
+  },
+};
+
+/**
+ * Runs one CLI invocation.
+ * @param {string[]} argv - The arguments after the script name.
+ * @param {object} [io]
+ * @param {NodeJS.ReadStream} [io.stdin=process.stdin]
+ * @param {NodeJS.WritableStream} [io.stdout=process.stdout] - Receives the results.
+ * @param {NodeJS.WritableStream} [io.stderr=process.stderr] - Receives progress, warnings and usage errors.
+ * @returns {Promise<number>} The exit code.
+ */
+async function run(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let parsed;
+  try {
+    parsed = util.parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'table' },
+        refresh: { type: 'boolean', default: false },
+        verbose: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const [command, ...args] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    (parsed.values.help ? stdout : stderr).write(USAGE);
+    return parsed.values.help ? EXIT_OK : EXIT_USAGE;
+  }
+  if (!COMMANDS[command]) {
+    stderr.write(`Unknown command "${command}".\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (!COMMAND_FORMATS[command].includes(parsed.values.format)) {
+    stderr.write(`${command} supports --format ${COMMAND_FORMATS[command].join(', ')}.\n`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    return await COMMANDS[command](args, parsed.values, { stdin, stdout, stderr });
+  } catch (err) {
+    if (err.exitCode !== EXIT_USAGE) throw err;
+    stderr.write(`${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+}
+
+/**
+ * Sends the server's console output to stderr, or nowhere, so stdout only carries results.
+ */
+function routeServerLogs(verbose) {
+  const write = verbose ? (...args) => process.stderr.write(util.format(...args) + '\n') : () => {};
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) console[method] = write;
+}
+
+/**
+ * Stops what loading the pipeline started (schedules, the shared browser) and saves the caches,
+ * so the process can exit on its own once pending alert deliveries finish.
+ */
+async function closePipeline() {
+  if (!pipeline) return;
+  pipeline.catalogSweep.close();
+  pipeline.catalogSync.close();
+  flushCaches();
+  await pipeline.browserPool.close();
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  routeServerLogs(argv.includes('--verbose'));
+  try {
+    process.exitCode = await run(argv);
+  } catch (err) {
+    process.stderr.write(`${err.stack || err.message}\n`);
+    process.exitCode = EXIT_FAILED;
+  } finally {
+    await closePipeline();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { run, EXIT_OK, EXIT_FAILED, EXIT_USAGE, EXIT_PARTIAL };
@@ -8,10 +8,50 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 // Middleware & APIs
 const getCID = require("./middleware/getCID");
 const getStoreLinks = require("./middleware/getStoreLinks");
+const createAuthMiddleware = require("./middleware/auth");
+const requestContext = require("./middleware/requestContext");
+const { cachedLookupCID, useCIDParam } = getCID;
+const { cachedFetchStoreLinks } = getStoreLinks;
+const { ERROR_CODES, pipelineError, isPipelineError, toPipelineError, crawlErrorCode, cardError, errorBody, sendError } = require("./utils/errors");
+const { withRetry, withDeadline, untilAborted } = require("./utils/retry");
+const { normalizePriceEntry } = require("./utils/normalize");
+const { buildComparison } = require("./utils/compare");
+const { buildCompoundSummary } = require("./utils/compoundSummary");
+const { mapWithConcurrency } = require("./utils/concurrency");
+const { isCasNumber, findCasNumbers } = require("./utils/cas");
+const { followSearchResults } = require("./utils/searchResults");
+const { EXPORT_FORMATS, toReportRows, toBatchReportRows, renderReport, reportFilename } = require("./utils/export");
+const createBrowserPool = require("./services/browserPool");
+const { priceCache, wantsRefresh, cacheHeader, flushAll: flushCaches } = require("./services/lookupCache");
+const { createPriceHistory } = require("./services/priceHistory");
+const { createCatalogSweep } = require("./services/catalogSweep");
+const { loadVendorAdapters, matchesSource, describeAdapter } = require("./services/vendorRegistry");
+const { createVendorHealth, classifyCrawlError } = require("./services/vendorHealth");
+const { createExchangeRates } = require("./services/exchangeRates");
+const { createCatalogIndex } = require("./services/catalogIndex");
+const { loadProductCache, createCatalogSync } = require("./services/catalogSync");
+const { createAlerts } = require("./services/alerts");
+const { createSinksFromEnv } = require("./services/alertSinks");
+const { cachedFetchCompoundProperties, describeCandidates } = require("./services/pubchemCompound");
+const { createUsers } = require("./services/users");
+const { createSessions } = require("./services/sessions");
+const { createSearchHistory } = require("./services/searchHistory");
+const { logger, withLogContext } = require("./services/logger");
+const { metrics, registry: metricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require("./services/metrics");
+const createHistoryRouter = require("./routes/history");
+const createSweepRouter = require("./routes/sweep");
+const createHealthRouter = require("./routes/health");
+const createExchangeRatesRouter = require("./routes/exchangeRates");
+const createCatalogRouter = require("./routes/catalog");
+const createAlertsRouter = require("./routes/alerts");
+const createAuthRouter = require("./routes/auth");
+const createUsersRouter = require("./routes/users");
+const createMetricsRouter = require("./routes/metrics");
 const { chromium } = require('playwright');
 const WooCommerceRestApi = require('@woocommerce/woocommerce-rest-api');
 const dotenv = require("dotenv");
@@ -24,6 +64,18 @@ dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 2;
+const BATCH_MAX_IDENTIFIERS = 500;
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+// A vendor that has not answered by then gets a VENDOR_TIMEOUT card; adapters may set their own `deadlineMs`
+const VENDOR_DEADLINE_MS = Number(process.env.VENDOR_DEADLINE_MS) || 60000;
+// Crawls that failed in a way that may pass on a second try (page did not load, timed out) are retried
+const CRAWL_RETRIES = Math.max(Number.parseInt(process.env.CRAWL_RETRIES ?? '1', 10) || 0, 0);
+const CRAWL_RETRY_DELAY_MS = Number(process.env.CRAWL_RETRY_DELAY_MS) || 2000;
+// Crawls vendors whose adapter is disabled (`enabled: false`) instead of linking to them, to check their recorded pages
+const VENDORS_INCLUDE_DISABLED = process.env.VENDORS_INCLUDE_DISABLED === 'true';
+// Browsers on other origins may call the API only if listed here; the bundled frontend is same-origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map(origin => origin.trim()).filter(Boolean);
 
 // WooCommerce API Client Setup
 const wc_API = new WooCommerceRestApi.default({
@@ -33,148 +85,536 @@ const wc_API = new WooCommerceRestApi.default({
   version: 'wc/v3'
 });
 
-const CACHE_FILE_PATH = "./meta/product_cache.json"
+// Shared Playwright browser; each crawl gets its own context
+const browserPool = createBrowserPool({
+  browserType: chromium,
+  maxConcurrency: Number(process.env.CRAWL_CONCURRENCY) || 3,
+  healthCheckIntervalMs: Number(process.env.BROWSER_HEALTH_CHECK_MS) || 60000,
+});
 
-// Load local product cache on startup
-let purePEGCache = [];
-try {
-    if (fs.existsSync(CACHE_FILE_PATH)) {
-        let purePEGCacheObject = JSON.parse(fs.readFileSync(CACHE_FILE_PATH));
-        purePEGCache = Object.values(purePEGCacheObject);
-        console.log("Successfully loaded PurePEG product cache.");
+const CACHE_FILE_PATH = process.env.PRODUCT_CACHE_FILE || "./meta/product_cache.json"
+const HISTORY_FILE_PATH = process.env.PRICE_HISTORY_FILE || "./meta/price_history.jsonl"
+const SWEEP_PROGRESS_FILE_PATH = process.env.SWEEP_PROGRESS_FILE || "./meta/sweep_progress.json"
+const VENDOR_HEALTH_FILE_PATH = process.env.VENDOR_HEALTH_FILE || "./meta/vendor_health.jsonl"
+const EXCHANGE_RATES_FILE_PATH = process.env.EXCHANGE_RATES_FILE || "./meta/exchange_rates.json"
+const ALERT_RULES_FILE_PATH = process.env.ALERT_RULES_FILE || "./meta/alert_rules.json"
+const ALERTS_FILE_PATH = process.env.ALERTS_FILE || "./meta/alerts.json"
+const USERS_FILE_PATH = process.env.USERS_FILE || "./meta/users.json"
+const SEARCH_HISTORY_FILE_PATH = process.env.SEARCH_HISTORY_FILE || "./meta/search_history.json"
+const DEBUG_DIR = "./debug_screenshot"
+
+// Every vendor result sent to a client is also appended here
+const priceHistory = createPriceHistory({ filePath: HISTORY_FILE_PATH });
+
+// Success rate, latency and error types of live crawls, per vendor
+const vendorHealth = createVendorHealth({ filePath: VENDOR_HEALTH_FILE_PATH });
+vendorHealth.load().catch(err => logger.error("Could not load vendor health history", { err }));
+
+// Local accounts: viewers look up prices, admins also change shared state
+const users = createUsers({ filePath: USERS_FILE_PATH });
+if (users.count() === 0) {
+    if (process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+        users.add({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD, role: 'admin' });
+        logger.info("Created admin user", { username: process.env.ADMIN_USERNAME });
     } else {
-        console.warn("Warning: Could not find PurePEG cache file at " + CACHE_FILE_PATH);
+        logger.warn("No users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD, or run `npm run create-user`, to create an admin.");
     }
-} catch (error) {
-    console.error("Error loading or parsing PurePEG cache file:", error);
+}
+const sessions = createSessions({ ttlMs: SESSION_TTL_MS });
+const { authenticate, requireRole } = createAuthMiddleware({ users, sessions });
+const requireAdmin = requireRole('admin');
+
+// Each user's recent searches, shown in the frontend
+const searchHistory = createSearchHistory({ filePath: SEARCH_HISTORY_FILE_PATH });
+
+// Every price is also reported in the base currency, using the local rate table
+const exchangeRates = createExchangeRates({ filePath: EXCHANGE_RATES_FILE_PATH });
+
+// Local product cache, keyed by SKU. Replaced in place whenever a catalog sync finishes
+let purePEGCacheObject = {};
+let purePEGCache = [];
+let catalogIndex = null;
+let catalogUpdatedAt = null;
+
+/**
+ * Swaps in a product cache and rebuilds the catalog search index
+ * (name, synonym, CAS, formula, SKU and SMILES-structure search) over it.
+ * @param {object} products - Products keyed by SKU, in the `product_cache.json` format.
+ * @param {string|null} updatedAt - When the cache was written.
+ */
+function applyProductCache(products, updatedAt) {
+    purePEGCacheObject = products;
+    purePEGCache = Object.values(products);
+    catalogIndex = createCatalogIndex(purePEGCache);
+    catalogUpdatedAt = updatedAt;
+    logger.info("Indexed PurePEG products for search", { products: catalogIndex.size });
 }
 
+const initialCatalog = loadProductCache(CACHE_FILE_PATH);
+applyProductCache(initialCatalog.products, initialCatalog.loadedAt);
+
+// Rebuilds the product cache from WooCommerce on demand (/catalog/sync) or on a schedule
+const catalogSync = createCatalogSync({
+  wcApi: wc_API,
+  filePath: CACHE_FILE_PATH,
+  getProducts: () => purePEGCacheObject,
+  onReload: applyProductCache,
+  intervalMs: (Number(process.env.CATALOG_SYNC_INTERVAL_HOURS) || 0) * 60 * 60 * 1000,
+});
+
+// Rules checked after every scrape; alerts go to the inbox and the configured sinks
+const alerts = createAlerts({
+  rulesFilePath: ALERT_RULES_FILE_PATH,
+  storeFilePath: ALERTS_FILE_PATH,
+  sinks: createSinksFromEnv(process.env),
+  compare: (searchTerm, results) => {
+    const product = findPurePegProduct(searchTerm);
+    return product ? buildPurePegComparison(product, results) : null;
+  },
+});
+
+// Periodic walk of the whole catalog through the same pipeline as /prices/:id
+const catalogSweep = createCatalogSweep({
+  getProducts: () => purePEGCache,
+  // Sweeps exist to get fresh numbers, so they always bypass the cache
+  lookup: identifier => withLogContext({ requestId: crypto.randomUUID(), identifier }, () => lookupPrices(identifier, { refresh: true })),
+  priceHistory: { record: recordLookup },
+  progressFilePath: SWEEP_PROGRESS_FILE_PATH,
+  delayMs: Number(process.env.SWEEP_DELAY_MS) || 5000,
+  intervalMs: (Number(process.env.SWEEP_INTERVAL_HOURS) || 0) * 60 * 60 * 1000,
+});
+
 
 // =================================================================
 // VENDOR SCRAPING CONFIGURATION
 // =================================================================
 /**
- * Central configuration for all vendors to be scraped.
- * This array-driven approach allows for easy addition, removal, or modification of vendors
- * without changing the primary application logic.
+ * Maps each adapter type to the handler that retrieves its data.
+ */
+const VENDOR_HANDLERS = {
+    api: handlePurePegApi,
+    crawl: handleCrawlableVendor,
+    link: handleLinkOnlyVendor,
+};
+
+/**
+ * Central configuration for all vendors, built from the adapter modules in `./vendors`.
+ * Adding, removing or fixing a vendor happens there, not in the primary application logic.
  *
  * Each object defines:
  * - vendorName: The user-facing name of the vendor.
- * - sourceName: The identifier used in the 'getStoreLinks' middleware.
  * - type: The method of data retrieval ('api', 'crawl', 'link').
  * - handler: The async function responsible for fetching the data for this vendor.
- * - crawlFn (optional): The specific Playwright crawl function if type is 'crawl'.
- */
-const VENDOR_CONFIG = [
-    {
-        vendorName: "PurePEG",
-        sourceName: "PurePEG", // This is a placeholder, as it's handled specially
-        type: 'api',
-        handler: handlePurePegApi
-    },
-    {
-        vendorName: "Accela",
-        sourceName: "Accela ChemBio Inc.",
-        type: 'crawl',
-        handler: handleCrawlableVendor,
-        crawlFn: crawlAccela,
-    },
-    {
-        vendorName: "BLD",
-        sourceName: "BLD Pharm",
-        type: 'crawl',
-        handler: handleCrawlableVendor,
-        crawlFn: crawlBLD,
-    },
-    {
-        vendorName: "BroadPharm",
-        sourceName: "BroadPharm",
-        type: 'crawl',
-        handler: handleCrawlableVendor,
-        crawlFn: crawlBroadPharm,
-    },
-    {
-        vendorName: "AA Blocks",
-        sourceName: "AA BLOCKS",
-        type: 'link',
-        handler: handleLinkOnlyVendor,
-        searchUrl: "https://www.aablocks.com/prod/",
-    },
-    {
-        vendorName: "AbaChemScene",
-        sourceName: "AbaChemScene",
-        type: 'link',
-        handler: handleLinkOnlyVendor
-    },
-    {
-        vendorName: "Combi-Blocks",
-        sourceName: "Combi-Blocks",
-        type: 'link',
-        handler: handleLinkOnlyVendor
-    },
-];
+ * - adapter: The adapter module (source matchers, crawl function, search-URL builder).
+ * - deadlineMs: How long the handler may take before its card reports VENDOR_TIMEOUT.
+ */
+const { adapters: vendorAdapters, rejected: rejectedAdapters } = loadVendorAdapters(undefined, { includeDisabled: VENDORS_INCLUDE_DISABLED });
+const VENDOR_CONFIG = vendorAdapters.map(adapter => ({
+    vendorName: adapter.name,
+    type: adapter.type,
+    handler: VENDOR_HANDLERS[adapter.type],
+    adapter,
+    deadlineMs: adapter.deadlineMs ?? VENDOR_DEADLINE_MS,
+}));
+
+/**
+ * Whether a vendor can report without PubChem. PurePEG's own catalog is searched directly, and so are
+ * vendors with a search page once the compound's CAS number is known without PubChem (see
+ * `knownCasNumber`); every other vendor is found through PubChem's vendor listing.
+ * @param {object} config - A `VENDOR_CONFIG` entry.
+ * @param {string} searchTerm - The identifier the user searched for.
+ * @returns {boolean}
+ */
+function isIndependentOfPubChem(config, searchTerm) {
+    if (config.type === 'api') return true;
+    return Boolean(config.adapter.search) && knownCasNumber(searchTerm) !== null;
+}
 
 
 // =================================================================
 // EXPRESS MIDDLEWARE
 // =================================================================
 
-app.use(cors()); // Allow requests from any origin
-app.use((req, res, next) => { // Custom logger
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl}`);
-    next();
-});
+app.use(requestContext); // Correlation ID, request log line and HTTP metrics
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false, credentials: true, exposedHeaders: ['X-Request-Id'] }));
+app.use(express.json());
 app.use(express.static(path.join(__dirname, '../frontend/dist')));
+app.use(authenticate); // Attaches `req.user` from the session cookie or API key
+
+// Logging in and out is all anonymous clients can do; every other route needs at least a viewer
+app.use('/auth', createAuthRouter({
+    users,
+    sessions,
+    searchHistory,
+    requireRole,
+    sessionTtlMs: SESSION_TTL_MS,
+    secureCookies: process.env.COOKIE_SECURE === 'true',
+}));
+app.use(requireRole('viewer'));
 
 
 // =================================================================
 // API ROUTES
 // =================================================================
 
+/**
+ * Rejects unknown `?format=` values before any PubChem or vendor work is done.
+ */
+function validateExportFormat(req, res, next) {
+    const { format } = req.query;
+    if (format !== undefined && !EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: `Unsupported format '${format}'. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    next();
+}
+
 /**
  * @api {get} /prices/:id Request competitor pricing for a given product ID
  * @apiName GetPrices
  * @apiGroup Prices
  *
  * @apiParam {String} id Product identifier (CAS, SMILES, or item name).
+ * @apiQuery {String="csv","xlsx","json"} [format] Download a report with one row per vendor x pack size instead.
  *
- * @apiSuccess {Object[]} response An array of vendor price information objects.
+ * @apiSuccess {Object[]} response An array of vendor price information objects. A card that failed carries
+ * `error: {code, message, retryable}`. If PubChem fails or does not know the identifier, vendors that do not
+ * depend on it still report, the others carry the lookup's error, and `X-Partial-Results` names its code.
+ * @apiError (300) {Object[]} candidates The identifier matches several PubChem compounds: `{cid, title,
+ * iupacName, formula, molecularWeight, imageUrl}` for each (at most 10, `total` counts them all).
+ * Retry with the intended one through `/prices/cid/:cid`.
+ * @apiError {Object} error `{error, code, retryable, details}` when the lookup failed and no vendor found
+ * prices, e.g. 404 COMPOUND_NOT_FOUND or 502 PUBCHEM_UNAVAILABLE. See `utils/errors` for every code.
  */
-app.get('/prices/:id', getCID, getStoreLinks, async (req, res) => {
+app.get('/prices/:id', validateExportFormat, async (req, res) => {
     const searchTerm = req.params.id;
-    // The `req.vendors` is populated by the `getStoreLinks` middleware
-    const availableVendors = req.vendors || [];
+    const lookup = await resolveLookup(searchTerm, { refresh: wantsRefresh(req) });
+    if (lookup.error?.code === 'AMBIGUOUS_IDENTIFIER') {
+        // Let the client pick one and retry through /prices/cid/:cid rather than guess
+        return sendError(res, lookup.error, { total: lookup.cids.length, candidates: await describeCandidates(lookup.cids) });
+    }
+    await sendPrices(req, res, searchTerm, lookup);
+});
 
-    // Process all vendors in parallel for maximum efficiency
-    const promises = VENDOR_CONFIG.map(config => {
-        const vendorData = availableVendors.find(v => v.SourceName === config.sourceName);
-        return config.handler({ config, vendorData, searchTerm });
-    });
+/**
+ * @api {get} /prices/cid/:cid Request competitor pricing for a known PubChem CID
+ * @apiName GetPricesByCid
+ * @apiGroup Prices
+ *
+ * @apiParam {Number} cid PubChem CID, e.g. one of the candidates of an ambiguous identifier. Name resolution is skipped.
+ * @apiQuery {String} [q] The identifier originally searched for, used for the PurePEG catalog and vendor
+ * search links. Defaults to the compound's SMILES.
+ * @apiQuery {String="csv","xlsx","json"} [format] Download a report with one row per vendor x pack size instead.
+ *
+ * @apiSuccess {Object[]} response An array of vendor price information objects, with partial results as in `/prices/:id`.
+ */
+app.get('/prices/cid/:cid', validateExportFormat, useCIDParam, async (req, res) => {
+    const refresh = wantsRefresh(req);
+    const searchTerm = await cidSearchTerm(req.cid, req.query.q, { refresh });
+    await sendPrices(req, res, searchTerm, await resolveLookup(searchTerm, { cid: req.cid, refresh }));
+});
 
-    const results = await Promise.allSettled(promises);
+/**
+ * Runs the vendor handlers for a resolved lookup and sends the results, or the report if `?format=` asks for one.
+ * A failed lookup is answered with its error unless some vendor found prices anyway.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} searchTerm - The identifier the vendor handlers run with.
+ * @param {object} lookup - From `resolveLookup`.
+ */
+async function sendPrices(req, res, searchTerm, lookup) {
+    if (lookup.cache.cid) res.set('X-Cache-CID', cacheHeader(lookup.cache.cid));
+    if (lookup.cache.vendors) res.set('X-Cache-Vendors', cacheHeader(lookup.cache.vendors));
 
-    const responseData = results.map(result => {
-        if (result.status === 'fulfilled') {
-            return result.value;
-        } else {
-            // This catches unexpected errors in the handler logic itself
-            console.error("A handler promise rejected:", result.reason);
-            return {
-                vendorName: result.reason.vendorName || "Unknown Vendor",
-                status: 'error',
-                data: {
-                    prices: [],
-                    url: null,
-                    message: result.reason.message || "An internal error occurred."
-                }
-            };
+    const responseData = await fetchVendorResults(searchTerm, lookup, { refresh: wantsRefresh(req) });
+    if (lookup.error && !responseData.some(result => result.status === 'success')) {
+        return sendError(res, lookup.error);
+    }
+    if (lookup.error) {
+        res.set('X-Partial-Results', lookup.error.code);
+    }
+    if (lookup.cid !== null) {
+        recordLookup({ searchTerm, cid: lookup.cid, results: responseData });
+    }
+    searchHistory.record(req.user.id, { identifier: searchTerm, cid: lookup.cid });
+
+    const { format } = req.query;
+    if (format) {
+        const rows = toReportRows(responseData, { identifier: searchTerm, cid: lookup.cid });
+        const { body, contentType, extension } = await renderReport(rows, format);
+        logger.info("Sending report to client", { format });
+        res.attachment(reportFilename(searchTerm, extension));
+        return res.status(200).type(contentType).send(body);
+    }
+
+    logger.info("Sending response to client", { results: responseData.length });
+    res.status(200).json(responseData);
+}
+
+/**
+ * @api {get} /prices/:id/compare Compare competitor pricing against PurePEG's pack sizes
+ * @apiName ComparePrices
+ * @apiGroup Prices
+ *
+ * @apiParam {String} id Product identifier (CAS, SMILES, or item name).
+ *
+ * @apiSuccess {Object} product The matched PurePEG catalog product.
+ * @apiSuccess {Object[]} variations One row per PurePEG variation with the cheapest competitor,
+ * the competitor median and PurePEG's percentage above/below each.
+ * @apiSuccess {Object[]} vendors The same vendor results returned by `/prices/:id`.
+ */
+app.get('/prices/:id/compare', getCID, getStoreLinks, async (req, res) => {
+    const searchTerm = req.params.id;
+    const product = findPurePegProduct(searchTerm);
+    if (!product) {
+        return sendError(res, pipelineError('PRODUCT_NOT_FOUND', { message: 'Item not found in PurePEG database.' }));
+    }
+
+    const responseData = await fetchVendorResults(searchTerm, { cid: req.cid, vendors: req.vendors, error: null }, { refresh: wantsRefresh(req) });
+    recordLookup({ searchTerm, cid: req.cid, results: responseData });
+    const comparison = buildPurePegComparison(product, responseData);
+
+    logger.info("Sending comparison to client");
+    res.status(200).json({ ...comparison, vendors: responseData });
+});
+
+/**
+ * @api {get} /compounds/:id Describe the compound an identifier resolves to
+ * @apiName GetCompound
+ * @apiGroup Compounds
+ *
+ * @apiParam {String} id Product identifier (CAS, SMILES, or item name).
+ *
+ * @apiSuccess {Object} pubchem IUPAC name, formula, molecular weight, SMILES, synonyms and structure image URL from PubChem.
+ * @apiSuccess {Object} purePeg The matching PurePEG product's CAS number, formula, molecular weight, purity,
+ * PEG length, storage and functional group; null if PurePEG does not sell it.
+ * @apiSuccess {Object[]} warnings `{field, message}` for every formula or molecular weight disagreement.
+ * @apiError (300) {Object[]} candidates The identifier matches several PubChem compounds, as in `/prices/:id`.
+ */
+app.get('/compounds/:id', getCID, async (req, res) => {
+    try {
+        const summary = await lookupCompoundSummary(req.params.id, req.cid, { refresh: wantsRefresh(req) });
+        res.status(200).json(summary);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * @api {post} /prices/batch Request competitor pricing for many product IDs at once
+ * @apiName GetPricesBatch
+ * @apiGroup Prices
+ *
+ * @apiBody {String[]} identifiers Product identifiers (CAS, SMILES, or item names), at most 500. Surrounding
+ * whitespace and duplicates are ignored.
+ *
+ * @apiSuccess {Stream} response Newline-delimited JSON. One `{type: 'result', index, identifier, status,
+ * cid, results, error, code}` line per identifier as soon as it finishes, then a final
+ * `{type: 'done', total, succeeded, failed}` line. `status` is 'partial' when PubChem failed but some vendor
+ * found prices anyway; `error` and `code` then describe the PubChem failure, as they do for 'error' lines.
+ * @apiQuery {String="csv","xlsx","json"} [format] Download a report with one row per identifier x vendor x pack
+ * size instead, once every identifier has finished. A failed identifier gets one row carrying its error.
+ */
+app.post('/prices/batch', validateExportFormat, async (req, res) => {
+    const submitted = req.body?.identifiers;
+    // Anything but strings would be looked up as "[object Object]" and the like
+    if (!Array.isArray(submitted) || !submitted.every(id => typeof id === 'string')) {
+        return res.status(400).json({ error: 'Body must contain an "identifiers" array of strings' });
+    }
+    const identifiers = [...new Set(submitted.map(id => id.trim()).filter(Boolean))];
+
+    if (identifiers.length === 0) {
+        return res.status(400).json({ error: 'Body must contain a non-empty "identifiers" array' });
+    }
+    if (identifiers.length > BATCH_MAX_IDENTIFIERS) {
+        return res.status(400).json({ error: `At most ${BATCH_MAX_IDENTIFIERS} identifiers per batch` });
+    }
+
+    const refresh = wantsRefresh(req);
+    let clientGone = false;
+    res.on('close', () => { clientGone = true; });
+
+    const lookupOne = async (identifier, index) => {
+        try {
+            const { cid, results, error } = await lookupPrices(identifier, { refresh, allowPartial: true });
+            if (cid !== null) recordLookup({ searchTerm: identifier, cid, results });
+            return { type: 'result', index, identifier, status: error ? 'partial' : 'success', cid, results, error: error?.message ?? null, code: error?.code ?? null };
+        } catch (err) {
+            const { error, code } = errorBody(err);
+            return { type: 'result', index, identifier, status: 'error', cid: null, results: [], error, code };
         }
+    };
+
+    const { format } = req.query;
+    if (format) {
+        const outcomes = await mapWithConcurrency(identifiers, BATCH_CONCURRENCY, lookupOne, { shouldStop: () => clientGone });
+        if (clientGone) return;
+        const { body, contentType, extension } = await renderReport(toBatchReportRows(outcomes), format);
+        logger.info("Sending batch report to client", { format, identifiers: identifiers.length });
+        res.attachment(`purepeg-batch-prices.${extension}`);
+        return res.status(200).type(contentType).send(body);
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.flushHeaders();
+    const send = event => res.write(JSON.stringify(event) + '\n');
+
+    let succeeded = 0;
+    await mapWithConcurrency(identifiers, BATCH_CONCURRENCY, async (identifier, index) => {
+        const outcome = await lookupOne(identifier, index);
+        if (outcome.status !== 'error') succeeded++;
+        send(outcome);
+    }, { shouldStop: () => clientGone });
+
+    send({ type: 'done', total: identifiers.length, succeeded, failed: identifiers.length - succeeded });
+    res.end();
+});
+
+/**
+ * @api {get} /prices/:id/stream Stream competitor pricing as each vendor finishes (Server-Sent Events)
+ * @apiName StreamPrices
+ * @apiGroup Prices
+ *
+ * @apiParam {String} id Product identifier (CAS, SMILES, or item name).
+ *
+ * @apiSuccess {Event} vendors `{vendors: String[]}` sent first, naming every card that will follow.
+ * @apiSuccess {Event} compound The compound summary returned by `/compounds/:id`, once PubChem answers.
+ * Not sent if the properties cannot be fetched.
+ * @apiSuccess {Event} candidates `{total, candidates}` when the identifier matches several PubChem compounds,
+ * as in the 300 response of `/prices/:id`. Vendors that depend on PubChem do not run; pick a candidate and
+ * stream `/prices/cid/:cid/stream` instead.
+ * @apiSuccess {Event} result One standardized vendor response object, as soon as that vendor settles.
+ * @apiSuccess {Event} lookup_error `{status, error, code, retryable, details}` when PubChem cannot resolve the
+ * identifier or list its vendors. Vendors that do not depend on PubChem still report; the others send
+ * a card carrying the same error.
+ * @apiSuccess {Event} done `{total}` once every vendor has reported; the server then closes the stream.
+ */
+app.get('/prices/:id/stream', (req, res) => streamPrices(req, res, { searchTerm: req.params.id }));
+
+/**
+ * @api {get} /prices/cid/:cid/stream Stream competitor pricing for a known PubChem CID (Server-Sent Events)
+ * @apiName StreamPricesByCid
+ * @apiGroup Prices
+ *
+ * @apiParam {Number} cid PubChem CID. Name resolution is skipped.
+ * @apiQuery {String} [q] The identifier originally searched for, as in `/prices/cid/:cid`.
+ *
+ * @apiSuccess {Event} events The same events as `/prices/:id/stream`, except `candidates`.
+ */
+app.get('/prices/cid/:cid/stream', useCIDParam, async (req, res) => {
+    const searchTerm = await cidSearchTerm(req.cid, req.query.q, { refresh: wantsRefresh(req) });
+    await streamPrices(req, res, { searchTerm, cid: req.cid });
+});
+
+/**
+ * Streams one lookup as Server-Sent Events (see `/prices/:id/stream`).
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {object} lookup
+ * @param {string} lookup.searchTerm - The identifier the vendor handlers run with.
+ * @param {number|null} [lookup.cid=null] - A CID chosen by the user; resolved from `searchTerm` when null.
+ */
+async function streamPrices(req, res, { searchTerm, cid: chosenCid = null }) {
+    const refresh = wantsRefresh(req);
+
+    let clientGone = false;
+    req.on('close', () => { clientGone = true; });
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
     });
+    res.flushHeaders();
+    const send = (event, data) => {
+        if (!clientGone) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-    console.log("Sending response to client.");
-    res.status(200).json(responseData);
+    send('vendors', { vendors: VENDOR_CONFIG.map(c => c.vendorName) });
+
+    const results = [];
+    const run = (config, availableVendors, cid = null) => runVendorHandler(config, { searchTerm, cid, availableVendors, refresh })
+        .then(result => {
+            results.push(result);
+            send('result', result);
+        });
+
+    // PurePEG's own catalog does not need PubChem, so its card is not held up by the lookup
+    const catalog = VENDOR_CONFIG.filter(config => config.type === 'api');
+    const dependent = VENDOR_CONFIG.filter(config => !catalog.includes(config));
+    const pending = catalog.map(config => run(config, []));
+
+    const { cid, cids, vendors, error } = await resolveLookup(searchTerm, { cid: chosenCid, refresh });
+    if (cid !== null) {
+        pending.push(lookupCompoundSummary(searchTerm, cid, { refresh })
+            .then(summary => send('compound', summary))
+            .catch(err => logger.error('Could not fetch compound properties', { cid, err })));
+    }
+    if (error?.code === 'AMBIGUOUS_IDENTIFIER') {
+        send('candidates', { total: cids.length, candidates: await describeCandidates(cids) });
+    } else if (error) {
+        send('lookup_error', { status: error.status, ...errorBody(error) });
+        // Vendor searches by CAS number still work; they just get no PubChem link to start from
+        pending.push(...dependent.filter(config => isIndependentOfPubChem(config, searchTerm)).map(config => run(config, [], cid)));
+        for (const config of dependent.filter(config => !isIndependentOfPubChem(config, searchTerm))) {
+            const result = lookupErrorResponse(config, error);
+            results.push(result);
+            send('result', result);
+        }
+    } else {
+        pending.push(...dependent.map(config => run(config, vendors, cid)));
+    }
+
+    await Promise.all(pending);
+    if (cid !== null) {
+        recordLookup({ searchTerm, cid, results });
+    }
+    searchHistory.record(req.user.id, { identifier: searchTerm, cid });
+    send('done', { total: results.length });
+    res.end();
+}
+
+// Price-over-time series: /history/:id and /history/:id/:vendor
+app.use('/history', createHistoryRouter({ priceHistory }));
+
+// Catalog sweep control: /sweep, /sweep/errors, /sweep/start, /sweep/stop
+app.use('/sweep', createSweepRouter({ catalogSweep, requireAdmin }));
+
+/**
+ * @api {get} /vendors List the loaded vendor adapters
+ * @apiName GetVendors
+ * @apiGroup Vendors
+ *
+ * @apiSuccess {Object[]} vendors Loaded adapters with their PubChem source matchers and capabilities.
+ * @apiSuccess {Object[]} rejected Adapter files that failed validation, with the reasons.
+ */
+app.get('/vendors', (req, res) => {
+    res.status(200).json({ vendors: vendorAdapters.map(describeAdapter), rejected: rejectedAdapters });
 });
 
+// Crawl health per vendor: /health/vendors
+app.use('/health', createHealthRouter({
+    vendorHealth,
+    getCrawlVendorNames: () => VENDOR_CONFIG.filter(c => c.type === 'crawl').map(c => c.vendorName),
+    browserPool,
+}));
+
+// Prometheus scrape target: /metrics
+app.use('/metrics', createMetricsRouter({ registry: metricsRegistry, contentType: METRICS_CONTENT_TYPE }));
+
+// Catalog typeahead and sync: /catalog/search?q=, /catalog/sync
+app.use('/catalog', createCatalogRouter({ getCatalogIndex: () => catalogIndex, catalogSync, requireAdmin }));
+
+// Alert rules and inbox: /alerts, /alerts/read, /alerts/rules
+app.use('/alerts', createAlertsRouter({ alerts, requireAdmin }));
+
+// Exchange-rate table used for base-currency prices: /admin/exchange-rates
+app.use('/admin/exchange-rates', createExchangeRatesRouter({ exchangeRates, requireAdmin }));
+
+// Account management: /admin/users
+app.use('/admin/users', requireAdmin, createUsersRouter({ users, sessions, searchHistory }));
+
 // Catch-all route to serve the frontend application
 // app.get('/*', (req, res) => {
 //     res.sendFile(path.join(__dirname, '../frontend/dist/index.html'));
@@ -185,43 +625,332 @@ app.get('/prices/:id', getCID, getStoreLinks, async (req, res) => {
 // VENDOR-SPECIFIC DATA HANDLERS
 // =================================================================
 
+/**
+ * Runs the full lookup pipeline for one identifier outside of an HTTP request:
+ * PubChem CID resolution, PubChem vendor listing, then every vendor handler. Nobody is there to
+ * choose between candidates, so an identifier matching several compounds uses PubChem's first.
+ * @param {string} searchTerm - The identifier to look up (CAS, SMILES, or item name).
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Bypass every cache layer.
+ * @param {boolean} [options.allowPartial=false] - Resolve with the vendors that found prices even if the
+ * PubChem steps failed, instead of throwing.
+ * @returns {Promise<{cid: number|null, results: Array<object>, error: Error|null}>} `error` is the failed
+ * PubChem step's, only ever set with `allowPartial`.
+ * @throws {Error} The PubChem step's pipeline error (see `utils/errors`), unless `allowPartial` and some
+ * vendor found prices.
+ */
+async function lookupPrices(searchTerm, { refresh = false, allowPartial = false } = {}) {
+    const lookup = await resolveLookup(searchTerm, { refresh, firstCandidate: true });
+    if (lookup.error && !allowPartial) {
+        throw lookup.error;
+    }
+    const results = await fetchVendorResults(searchTerm, lookup, { refresh });
+    if (lookup.error && !results.some(result => result.status === 'success')) {
+        throw lookup.error;
+    }
+    return { cid: lookup.cid, results, error: lookup.error };
+}
+
+/**
+ * Resolves an identifier to its PubChem CID and vendor listing. Never rejects: a failed step is
+ * returned as `error` so vendors that do not depend on PubChem can still report.
+ * @param {string} searchTerm - The identifier to resolve.
+ * @param {object} [options]
+ * @param {number|null} [options.cid=null] - A CID chosen by the user; skips name resolution.
+ * @param {boolean} [options.refresh=false] - Bypass the CID and vendor list caches.
+ * @param {boolean} [options.firstCandidate=false] - Use PubChem's first CID when several match,
+ * instead of failing with AMBIGUOUS_IDENTIFIER.
+ * @returns {Promise<{cid: number|null, cids: number[], vendors: Array<object>, error: Error|null,
+ *   cache: {cid: object|null, vendors: object|null}}>} `error` carries one of the `utils/errors` codes.
+ */
+async function resolveLookup(searchTerm, { cid = null, refresh = false, firstCandidate = false } = {}) {
+    const lookup = { cid: null, cids: cid !== null ? [cid] : [], vendors: [], error: null, cache: { cid: null, vendors: null } };
+    try {
+        if (cid === null) {
+            const resolved = await timeStage('pubchem_cid', () => cachedLookupCID(searchTerm, { refresh }));
+            lookup.cids = resolved.cids;
+            lookup.cache.cid = resolved.cache;
+        }
+        if (lookup.cids.length === 0) {
+            lookup.error = pipelineError('COMPOUND_NOT_FOUND');
+            return lookup;
+        }
+        if (lookup.cids.length > 1 && !firstCandidate) {
+            lookup.error = pipelineError('AMBIGUOUS_IDENTIFIER');
+            return lookup;
+        }
+        lookup.cid = lookup.cids[0];
+        const { vendors, cache } = await timeStage('pubchem_vendors', () => cachedFetchStoreLinks(lookup.cid, { refresh }));
+        lookup.vendors = vendors;
+        lookup.cache.vendors = cache;
+        if (vendors.length === 0) {
+            lookup.error = pipelineError('VENDORS_NOT_FOUND');
+        }
+    } catch (err) {
+        logger.error('PubChem lookup failed', { searchTerm, err });
+        lookup.error = toPipelineError(err);
+    }
+    return lookup;
+}
+
+/**
+ * Runs every configured vendor handler in parallel for one search.
+ * @param {string} searchTerm - The identifier the user searched for.
+ * @param {{cid: number|null, vendors: Array<object>, error: Error|null}} lookup - The CID and PubChem's vendor
+ * sources, as from `resolveLookup`. If the lookup failed, vendors that depend on PubChem do not run and their
+ * cards carry its error instead.
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Re-scrape even if cached prices are still fresh.
+ * @returns {Promise<Array<object>>} One standardized response object per vendor, in `VENDOR_CONFIG` order.
+ */
+async function fetchVendorResults(searchTerm, { cid = null, vendors = [], error = null }, { refresh = false } = {}) {
+    // Process all vendors in parallel for maximum efficiency
+    return Promise.all(VENDOR_CONFIG.map(config => (error && !isIndependentOfPubChem(config, searchTerm)
+        ? lookupErrorResponse(config, error)
+        : runVendorHandler(config, { searchTerm, cid, availableVendors: vendors, refresh }))));
+}
+
+/**
+ * Runs one vendor's handler against the vendor's deadline. Never rejects: a handler that runs out
+ * of time becomes a VENDOR_TIMEOUT card and unexpected errors become an INTERNAL_ERROR card.
+ * The handler's duration is logged and recorded per vendor and card status.
+ * @param {object} config - The vendor's `VENDOR_CONFIG` entry.
+ * @param {object} context
+ * @param {string} context.searchTerm - The identifier the user searched for.
+ * @param {number|null} [context.cid=null] - Its PubChem CID, if resolved.
+ * @param {Array<object>} context.availableVendors - PubChem vendor sources.
+ * @param {boolean} [context.refresh=false] - Bypass the price cache.
+ * @returns {Promise<object>} A standardized response object.
+ */
+async function runVendorHandler(config, { searchTerm, cid = null, availableVendors, refresh = false }) {
+    const vendorData = availableVendors.find(v => matchesSource(config.adapter, v.SourceName));
+    const stopTimer = metrics.vendorDuration.startTimer({ vendor: config.vendorName });
+    // Everything the handler logs names the vendor, so parallel crawls can be told apart
+    const result = await withLogContext({ vendor: config.vendorName }, async () => {
+        try {
+            return await withDeadline(
+                signal => config.handler({ config, vendorData, searchTerm, cid, refresh, signal }),
+                config.deadlineMs,
+                () => vendorTimeoutError(config),
+            );
+        } catch (error) {
+            const err = toPipelineError(error);
+            if (err.code === 'INTERNAL_ERROR') {
+                // This catches unexpected errors in the handler logic itself
+                logger.error("A handler promise rejected", { err: error });
+            }
+            return formatResponse(config.vendorName, 'error', {
+                url: vendorData?.SourceRecordURL ?? null,
+                message: err.details || err.message,
+                error: err,
+            });
+        }
+    });
+    const seconds = stopTimer({ status: result.status });
+    logger.info('Vendor finished', { vendor: config.vendorName, status: result.status, code: result.error?.code, durationMs: Math.round(seconds * 1000) });
+    return result;
+}
+
+/**
+ * The error of a vendor that did not answer within its deadline.
+ * @param {object} config - The vendor's `VENDOR_CONFIG` entry.
+ * @returns {Error} A VENDOR_TIMEOUT pipeline error.
+ */
+function vendorTimeoutError(config) {
+    return pipelineError('VENDOR_TIMEOUT', { message: `${config.vendorName} did not respond within ${Math.round(config.deadlineMs / 1000)} seconds.` });
+}
+
+/**
+ * The card of a vendor that could not run because the PubChem lookup it depends on failed.
+ * @param {object} config - The vendor's `VENDOR_CONFIG` entry.
+ * @param {Error} error - The lookup's pipeline error.
+ * @returns {object} A standardized response object.
+ */
+function lookupErrorResponse(config, error) {
+    return formatResponse(config.vendorName, error.status === 404 ? 'not_found' : 'error', { message: error.message, error });
+}
+
+/**
+ * Runs one stage of a lookup (a PubChem step, the WooCommerce call), logging how long it took
+ * and recording it in the stage duration metric.
+ * @param {string} stage - A fixed name such as 'pubchem_cid'; it becomes a metric label.
+ * @param {function(): Promise<*>} fn
+ * @returns {Promise<*>} What `fn` resolved to.
+ */
+async function timeStage(stage, fn) {
+    const stopTimer = metrics.lookupStageDuration.startTimer({ stage });
+    let outcome = 'error';
+    try {
+        const result = await fn();
+        outcome = 'ok';
+        return result;
+    } finally {
+        logger.info('Stage finished', { stage, outcome, durationMs: Math.round(stopTimer() * 1000) });
+    }
+}
+
+/**
+ * A 'not_found' card: the vendor does not sell the product.
+ * @param {string} vendorName
+ * @param {string} [message]
+ * @returns {object} A standardized response object.
+ */
+function notFoundResponse(vendorName, message = ERROR_CODES.PRODUCT_NOT_FOUND.message) {
+    return formatResponse(vendorName, 'not_found', { message, error: pipelineError('PRODUCT_NOT_FOUND', { message }) });
+}
+
 /**
  * Creates a standardized response object.
+ * Raw price entries are normalized here so every vendor reports the same numeric fields.
  * @param {string} vendorName - The name of the vendor.
  * @param {'success' | 'error' | 'not_found' | 'link_only'} status - The status of the request.
  * @param {object} data - The payload.
- * @param {Array} [data.prices=[]] - Array of {quantity, price}.
+ * @param {Array} [data.prices=[]] - Array of raw {quantity, price} entries, optionally with stock and product details.
  * @param {string|null} [data.url=null] - The direct URL to the product.
  * @param {string|null} [data.message=null] - Any additional info or error message.
- * @returns {object} Standardized response object.
+ * @param {object|null} [data.cache=null] - Cache metadata when the prices came through the price cache.
+ * @param {Error|null} [data.error=null] - Why the vendor has no prices, as a pipeline error (see `utils/errors`).
+ * @param {object|null} [data.match=null] - How the product was picked from the vendor's search results, for
+ * vendors PubChem has no direct link for (see `utils/searchResults`).
+ * @returns {object} Standardized response object, stamped with `fetchedAt` (the scrape time for cached
+ * prices). Each entry of `data.prices` has the shape
+ * `{ raw: {quantity, price}, amount, unit, grams, price, currency, pricePerGram,
+ * inStock, leadTime, purity, catalogNumber, baseCurrency, basePrice, basePricePerGram }`. `error` is
+ * `{code, message, retryable}` or null, and `match` is `{method, confidence, candidates}` or null.
  */
-function formatResponse(vendorName, status, { prices = [], url = null, message = null }) {
-    return { vendorName, status, data: { prices, url, message } };
+function formatResponse(vendorName, status, { prices = [], url = null, message = null, cache = null, error = null, match = null }) {
+    return {
+        vendorName,
+        status,
+        data: { prices: prices.map(entry => exchangeRates.convertEntry(normalizePriceEntry(entry))), url, message },
+        error: error ? cardError(error) : null,
+        match,
+        fetchedAt: cache?.hit ? cache.storedAt : new Date().toISOString(),
+        cache,
+    };
 }
 
 /**
- * Handles data retrieval for PurePEG via WooCommerce API.
+ * Stores the vendor results of one lookup in the price history and checks them against the alert rules.
+ * @param {{searchTerm: string, cid: number|null, results: Array<object>}} lookup
+ * @returns {Promise<void>} Resolves once the history entry is written.
+ */
+function recordLookup(lookup) {
+    alerts.evaluate(lookup);
+    return priceHistory.record(lookup);
+}
+
+/**
+ * Compares vendor results against a PurePEG product's pack sizes, in the base currency.
+ * @param {object} product - The PurePEG product entry.
+ * @param {Array<object>} results - Vendor responses as produced by `formatResponse`.
+ * @returns {object} See `buildComparison`.
+ */
+function buildPurePegComparison(product, results) {
+    return buildComparison(product, results, {
+        toBase: exchangeRates.convertEntry,
+        baseCurrency: exchangeRates.getTable().base,
+    });
+}
+
+/**
+ * Looks up a product in the local PurePEG cache by name, Full Name, synonym, CAS Number, formula,
+ * SKU or SMILES. Spacing, punctuation and SMILES writing order are ignored; guesses are not made.
+ * @param {string} searchTerm - The identifier the user searched for.
+ * @returns {object|undefined} The cached product entry, if any.
+ */
+function findPurePegProduct(searchTerm) {
+    return catalogIndex.findProduct(searchTerm);
+}
+
+/**
+ * Picks the identifier a lookup by CID runs the vendor handlers with: what the user searched for,
+ * or else the compound's SMILES, which the PurePEG catalog matches by structure.
+ * @param {number} cid - The chosen PubChem CID.
+ * @param {string|undefined} query - The `?q=` parameter.
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Bypass the compound properties cache.
+ * @returns {Promise<string>} Never rejects; falls back to the CID itself.
+ */
+async function cidSearchTerm(cid, query, { refresh = false } = {}) {
+    if (typeof query === 'string' && query.trim()) return query.trim();
+    try {
+        const { compound } = await cachedFetchCompoundProperties(cid, { refresh });
+        return compound.smiles || String(cid);
+    } catch (err) {
+        logger.error('Could not fetch compound properties', { cid, err });
+        return String(cid);
+    }
+}
+
+/**
+ * Builds the compound summary for a resolved identifier: PubChem's properties next to the
+ * matching PurePEG product's attributes, with warnings where they disagree.
+ * @param {string} searchTerm - The identifier the user searched for.
+ * @param {number} cid - Its PubChem CID.
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Bypass the compound properties cache.
+ * @returns {Promise<object>} See `buildCompoundSummary`.
+ * @throws {Error} If PubChem's properties cannot be fetched.
+ */
+async function lookupCompoundSummary(searchTerm, cid, { refresh = false } = {}) {
+    const { compound } = await cachedFetchCompoundProperties(cid, { refresh });
+    // A name or CAS number the catalog does not know may still be a product it sells, found by structure
+    const product = findPurePegProduct(searchTerm) ?? (compound.smiles ? findPurePegProduct(compound.smiles) : undefined);
+    return buildCompoundSummary(compound, product);
+}
+
+/**
+ * Handles data retrieval for PurePEG via WooCommerce API. When WooCommerce cannot be reached,
+ * the variation prices stored in the product cache by the last catalog sync are served instead.
+ * Purity comes from the cached `_purity` of each variation, which the variations endpoint does not return.
  */
 async function handlePurePegApi({ searchTerm }) {
-    
-    const product = purePEGCache.find(p => 
-        p.name == searchTerm || p.attributes["CAS Number"] == searchTerm || p.attributes.SMILES == searchTerm
-    );
+    const product = findPurePegProduct(searchTerm);
 
     if (!product) {
-        return formatResponse("PurePEG", 'not_found', { message: "Item not found in PurePEG database." });
+        return notFoundResponse("PurePEG", "Item not found in PurePEG database.");
     }
 
     try {
-        const response = await wc_API.get(`products/${product.parentId}/variations`);
-        const prices = response.data.map(variation => ({
-            quantity: variation.weight,
-            price: variation.regular_price
-        }));
+        const response = await timeStage('woocommerce', () => wc_API.get(`products/${product.parentId}/variations`));
+        const cachedById = new Map(Object.entries(product.variations || {}).map(([sku, cached]) => [cached.variationId, { sku, ...cached }]));
+        const prices = response.data.map(variation => {
+            const cached = cachedById.get(variation.id);
+            return {
+                quantity: variation.weight,
+                price: variation.regular_price,
+                inStock: variation.stock_status ? variation.stock_status === 'instock' : undefined,
+                purity: cached?._purity,
+                catalogNumber: variation.sku || cached?.sku,
+            };
+        });
         return formatResponse("PurePEG", 'success', { prices });
     } catch (error) {
-        console.error("Error fetching PurePEG variations:", error.response?.data?.message || error);
-        return formatResponse("PurePEG", 'error', { message: "Failed to fetch prices from WooCommerce API." });
+        logger.error("Error fetching PurePEG variations", { err: error, details: error.response?.data?.message });
+        const cachedPrices = Object.entries(product.variations || {}).map(([sku, variation]) => ({
+            quantity: variation.weight,
+            price: variation.regular_price,
+            purity: variation._purity,
+            catalogNumber: sku,
+        }));
+        if (cachedPrices.length === 0) {
+            return formatResponse("PurePEG", 'error', {
+                message: "Failed to fetch prices from WooCommerce API.",
+                error: pipelineError('WOOCOMMERCE_UNAVAILABLE', { details: error.message }),
+            });
+        }
+        const cache = {
+            layer: 'catalog',
+            hit: true,
+            ageSeconds: catalogUpdatedAt ? Math.round((Date.now() - Date.parse(catalogUpdatedAt)) / 1000) : null,
+            storedAt: catalogUpdatedAt,
+        };
+        return formatResponse("PurePEG", 'success', {
+            prices: cachedPrices,
+            cache,
+            message: "WooCommerce is unavailable; showing catalog prices from the last sync."
+        });
     }
 }
 
@@ -229,36 +958,102 @@ async function handlePurePegApi({ searchTerm }) {
  * Handles vendors that are not scraped, providing only a link.
  */
 async function handleLinkOnlyVendor({ config, vendorData, searchTerm }) {
-    const { vendorName, searchUrl } = config;
+    const { vendorName, adapter } = config;
     if (vendorData) {
         return formatResponse(vendorName, 'link_only', { url: vendorData.SourceRecordURL, message: "Direct link to product page." });
     } else {
         // If the middleware didn't find it, construct a search URL if possible
-        if (searchUrl) {
-             return formatResponse(vendorName, 'link_only', { url: searchUrl + encodeURIComponent(searchTerm), message: "Direct link to product search page." });
+        if (adapter.buildSearchUrl) {
+             return formatResponse(vendorName, 'link_only', { url: adapter.buildSearchUrl(searchTerm), message: "Direct link to product search page." });
         }
-        return formatResponse(vendorName, 'not_found', { message: "This vendor does not offer the product." });
+        return notFoundResponse(vendorName);
     }
 }
 
 /**
- * Handles vendors that require web scraping.
+ * Handles vendors that require web scraping. Scraped prices are cached per product URL.
+ * Lookups of the same URL share one crawl, which runs to a deadline of its own: when `signal` (this caller's
+ * deadline) aborts, this caller stops waiting and the crawl carries on for the others.
+ * Crawls failing in a way that may pass on a second try are retried until the crawl's deadline passes.
+ * Vendors with a `search` definition are still crawled when PubChem has no direct link: their search page
+ * is opened for the compound's CAS number (or the search term) and the matching result followed. Those prices are cached per search URL,
+ * together with the product URL and how confident the match is.
  */
-async function handleCrawlableVendor({ config, vendorData }) {
-    const { vendorName, crawlFn } = config;
-    if (!vendorData) {
-        return formatResponse(vendorName, 'not_found', { message: "This vendor does not offer the product." });
+async function handleCrawlableVendor({ config, vendorData, searchTerm, cid, refresh, signal }) {
+    const { vendorName, adapter } = config;
+    if (!vendorData && !adapter.search) {
+        return notFoundResponse(vendorName);
     }
 
+    // Vendor searches find a CAS number more reliably than a name, when there is one to search for
+    const compound = vendorData ? null : { cas: await timeStage('cas_number', () => resolveCasNumber(searchTerm, cid, { refresh })), searchTerm };
+    const url = vendorData ? vendorData.SourceRecordURL : adapter.buildSearchUrl(compound.cas ?? searchTerm);
     try {
-        const prices = await executeCrawl(crawlFn, vendorData.SourceRecordURL);
+        const crawlOnce = async crawlSignal => {
+            if (!compound) return executeCrawl(vendorName, adapter.crawl, url, { signal: crawlSignal });
+            let found = null;
+            const prices = await executeCrawl(vendorName, async page => {
+                found = await followSearchResults(page, adapter.search, compound);
+                return adapter.crawl(page);
+            }, url, { signal: crawlSignal });
+            return { prices, url: found.url, match: found.match };
+        };
+        const timeoutError = () => vendorTimeoutError(config);
+        const crawl = () => withDeadline(crawlSignal => withRetry(() => crawlOnce(crawlSignal), {
+            retries: CRAWL_RETRIES,
+            baseDelayMs: CRAWL_RETRY_DELAY_MS,
+            shouldRetry: err => err.retryable,
+            signal: crawlSignal,
+            onRetry: (err, attempt, delayMs) => logger.warn('Crawl failed, retrying', { vendor: vendorName, url, code: err.code, attempt, delayMs }),
+        }), config.deadlineMs, timeoutError);
+        const { value, cache } = await untilAborted(priceCache.wrap(url, crawl, { refresh }), signal, timeoutError);
+        // Direct product pages are cached as the bare price list, search results with where they led
+        const { prices, url: productUrl = url, match = null } = compound ? value : { prices: value };
         if (prices.length === 0) {
-            return formatResponse(vendorName, 'success', { prices, url: vendorData.SourceRecordURL, message: "Scraped successfully, but no pricing info found on page." });
+            return formatResponse(vendorName, 'success', { prices, url: productUrl, cache, match, message: "Scraped successfully, but no pricing info found on page." });
         }
-        return formatResponse(vendorName, 'success', { prices, url: vendorData.SourceRecordURL });
+        return formatResponse(vendorName, 'success', { prices, url: productUrl, cache, match });
     } catch (error) {
-        console.error(`Error during crawl for ${vendorName}:`, error);
-        return formatResponse(vendorName, 'error', { url: vendorData.SourceRecordURL, message: `Scraping failed: ${error.message}` });
+        // This caller stopped waiting; its own deadline reports that, the crawl did not fail
+        if (signal?.aborted) throw error;
+        if (error.code === 'PRODUCT_NOT_FOUND') {
+            return formatResponse(vendorName, 'not_found', { url, message: error.message, error });
+        }
+        logger.error('Error during crawl', { vendor: vendorName, url, err: error });
+        return formatResponse(vendorName, 'error', { url, message: `Scraping failed: ${error.message}`, error });
+    }
+}
+
+/**
+ * The CAS number of a search term known without asking PubChem: the term itself, or the PurePEG catalog's.
+ * @param {string} searchTerm
+ * @returns {string|null}
+ */
+function knownCasNumber(searchTerm) {
+    if (isCasNumber(searchTerm)) return searchTerm.trim();
+    const [fromCatalog] = findCasNumbers(findPurePegProduct(searchTerm)?.attributes?.['CAS Number']);
+    return fromCatalog ?? null;
+}
+
+/**
+ * Finds the CAS number vendor search results are matched against: the search term itself if it is one,
+ * else the PurePEG catalog's, else the first one among PubChem's synonyms for the CID.
+ * @param {string} searchTerm - The identifier the user searched for.
+ * @param {number|null} cid - Its PubChem CID, if resolved.
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Bypass the compound properties cache.
+ * @returns {Promise<string|null>} Never rejects; null when no CAS number is known.
+ */
+async function resolveCasNumber(searchTerm, cid, { refresh = false } = {}) {
+    const known = knownCasNumber(searchTerm);
+    if (known) return known;
+    if (cid === null || cid === undefined) return null;
+    try {
+        const { compound } = await cachedFetchCompoundProperties(cid, { refresh });
+        return compound.synonyms.find(isCasNumber) ?? null;
+    } catch (err) {
+        logger.error('Could not fetch compound synonyms', { cid, err });
+        return null;
     }
 }
 
@@ -268,102 +1063,156 @@ async function handleCrawlableVendor({ config, vendorData }) {
 // =================================================================
 
 /**
- * Generic Playwright crawler executor.
- * @param {Function} crawlFunction - The specific page evaluation logic for a vendor.
+ * Generic Playwright crawler executor. Pages come from the shared browser pool,
+ * so this may wait for a free slot when several lookups are running.
+ * Every attempt is recorded in the vendor health tracker and the crawl metrics; on failure a screenshot and
+ * the page HTML are saved side by side under `./debug_screenshot`.
+ * @param {string} vendorName - The vendor being crawled, for health tracking.
+ * @param {Function} crawlFunction - The specific page evaluation logic for a vendor. It may throw
+ * PRODUCT_NOT_FOUND, which is passed on as is rather than counted as a failed crawl.
  * @param {string} url - The URL to crawl.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts when the vendor's deadline passes; the page is then closed.
  * @returns {Promise<Array>} A promise that resolves to an array of price objects.
+ * @throws {Error} A pipeline error whose code follows the failure type (see `crawlErrorCode`).
  */
-async function executeCrawl(crawlFunction, url) {
-    const browser = await chromium.launch({ headless: true });
-    const context = await browser.newContext({
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+async function executeCrawl(vendorName, crawlFunction, url, { signal } = {}) {
+    return browserPool.withPage(async page => {
+        // Waiting for a pool slot may have used up the deadline already
+        if (signal?.aborted) throw pipelineError('VENDOR_TIMEOUT');
+        // Closing the page makes a crawl that is past its deadline fail now instead of running on unseen
+        const abortCrawl = () => page.close().catch(() => {});
+        signal?.addEventListener('abort', abortCrawl, { once: true });
+        const startedAt = Date.now();
+        const stopTimer = metrics.crawlDuration.startTimer({ vendor: vendorName });
+        let pageLoaded = false;
+        let httpStatus = null;
+        try {
+            logger.info('Navigating', { vendor: vendorName, url });
+            const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+            pageLoaded = true;
+            httpStatus = response?.status() ?? null;
+            const priceArray = await crawlFunction(page);
+            const outcome = priceArray.length > 0 ? 'success' : 'empty';
+            stopTimer({ outcome });
+            vendorHealth.record({
+                vendorName,
+                url,
+                outcome,
+                latencyMs: Date.now() - startedAt,
+                priceCount: priceArray.length,
+            });
+            return priceArray;
+        } catch (err) {
+            if (isPipelineError(err) && err.code === 'PRODUCT_NOT_FOUND') {
+                // The vendor's search worked; it just does not list the compound
+                stopTimer({ outcome: 'success' });
+                vendorHealth.record({ vendorName, url, outcome: 'success', latencyMs: Date.now() - startedAt, priceCount: 0 });
+                throw err;
+            }
+            logger.error('Error crawling', { vendor: vendorName, url, err });
+            const aborted = Boolean(signal?.aborted);
+            // An aborted crawl's page is already closed, so there is nothing left to capture
+            const { screenshotPath, snapshotPath, html } = aborted
+                ? { screenshotPath: null, snapshotPath: null, html: '' }
+                : await saveDebugArtifacts(page, pageLoaded);
+            const errorType = classifyCrawlError(err, { pageLoaded, httpStatus, html, aborted });
+            const message = err.message.split('\n')[0];
+            stopTimer({ outcome: 'error' });
+            metrics.crawlFailures.inc({ vendor: vendorName, error_type: errorType });
+            vendorHealth.record({
+                vendorName,
+                url,
+                outcome: 'error',
+                latencyMs: Date.now() - startedAt,
+                errorType,
+                message,
+                screenshotPath,
+                snapshotPath,
+            });
+            // Re-throw as a pipeline error to be caught by the handler
+            throw pipelineError(crawlErrorCode(errorType), { details: message, cause: err });
+        } finally {
+            signal?.removeEventListener('abort', abortCrawl);
+            logger.debug('Crawl finished', { vendor: vendorName, url, durationMs: Date.now() - startedAt });
+        }
     });
-    const page = await context.newPage();
+}
 
+/**
+ * Saves a screenshot and, if the page loaded, its HTML for post-mortem debugging.
+ * Failures here are logged and never replace the original crawl error.
+ * @returns {Promise<{screenshotPath: string|null, snapshotPath: string|null, html: string}>}
+ */
+async function saveDebugArtifacts(page, pageLoaded) {
+    const basePath = `${DEBUG_DIR}/error_${new Date().toISOString().replace(/:/g, '-')}`;
+    const artifacts = { screenshotPath: null, snapshotPath: null, html: '' };
     try {
-        console.log(`Navigating to ${url}`);
-        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
-        const priceArray = await crawlFunction(page);
-        return priceArray;
+        await page.screenshot({ path: `${basePath}.png` });
+        artifacts.screenshotPath = `${basePath}.png`;
+        logger.info('Screenshot saved', { path: artifacts.screenshotPath });
     } catch (err) {
-        console.error(`Error crawling ${url}:`, err);
-        const screenshotPath = `./debug_screenshot/error_screenshot_${new Date().toISOString().replace(/:/g, '-')}.png`;
-        await page.screenshot({ path: screenshotPath });
-        console.log(`Screenshot saved to ${screenshotPath}`);
-        // Re-throw the error to be caught by the handler
-        throw err;
-    } finally {
-        await browser.close();
-        console.log(`Browser closed for ${url}`);
+        logger.error("Could not save screenshot", { err });
+    }
+    if (pageLoaded) {
+        try {
+            artifacts.html = await page.content();
+            await fs.promises.mkdir(DEBUG_DIR, { recursive: true });
+            await fs.promises.writeFile(`${basePath}.html`, artifacts.html);
+            artifacts.snapshotPath = `${basePath}.html`;
+            logger.info('HTML snapshot saved', { path: artifacts.snapshotPath });
+        } catch (err) {
+            logger.error("Could not save HTML snapshot", { err });
+        }
     }
+    return artifacts;
 }
 
-// --- Individual Crawler Functions ---
 
-async function crawlAccela(page) {
-    await page.waitForSelector('tr.tr', { timeout: 10000 });
-    return page.evaluate(() => {
-        const rows = Array.from(document.querySelectorAll('tr.tr'));
-        return rows.map(row => {
-            const cells = row.querySelectorAll('td');
-            return {
-                quantity: cells[2]?.innerText.trim(),
-                price: cells[3]?.innerText.trim()
-            };
-        }).filter(p => p.quantity && p.price);
-    });
-}
+// =================================================================
+// SERVER START
+// =================================================================
 
-async function crawlBLD(page) {
-    // Attempt to handle the currency/location popup
-    try {
-        const popupSelector = '.location_selt';
-        await page.waitForSelector(popupSelector, { timeout: 5000 });
-        const usUSDLink = page.locator('span[key="United States"] ~ a', { hasText: 'USD' });
-        await usUSDLink.first().click();
-        await page.waitForLoadState('domcontentloaded');
-        console.log("Clicked US/USD currency option.");
-    } catch (err) {
-        console.log('Currency popup not found or already handled.');
-    }
+const SHUTDOWN_GRACE_MS = 15000;
 
-    await page.waitForSelector('table.pro_table tbody tr', { timeout: 10000 });
-    return page.evaluate(() => {
-        const rows = document.querySelectorAll('table.pro_table tbody tr');
-        const data = [];
-        rows.forEach(row => {
-            if (!row.getAttribute('size')) return; // Skip rows without a 'size' attribute
-            const cells = row.querySelectorAll('td');
-            data.push({
-                quantity: cells[0]?.innerText.trim(),
-                price: cells[1]?.innerText.trim(),
-            });
-        });
-        return data.filter(p => p.quantity && p.price);
+/**
+ * Starts listening and installs the SIGTERM/SIGINT handlers.
+ * Only runs when this file is executed directly, so tests and the CLI (`bin/purepeg-prices.js`)
+ * can load the app and its lookup pipeline without a server.
+ */
+function startServer() {
+    const server = app.listen(PORT, () => {
+        logger.info('Server running', { host: '0.0.0.0', port: Number(PORT) });
     });
-}
 
-async function crawlBroadPharm(page) {
-    await page.waitForSelector('form.single-product ul ul', { timeout: 10000 });
-    return page.evaluate(() => {
-        const productBlocks = document.querySelectorAll('form.single-product > ul > ul');
-        const data = [];
-        productBlocks.forEach(block => {
-            const quantity = block.querySelector('li.name')?.textContent.trim();
-            const price = block.querySelector('li.price')?.textContent.trim();
-            if (quantity && price) {
-                data.push({ quantity, price });
-            }
+    /**
+     * Stops accepting connections, lets in-flight requests finish, then closes the shared browser.
+     */
+    async function shutdown(signal) {
+        logger.info('Shutting down', { signal });
+        catalogSweep.close();
+        catalogSync.close();
+        flushCaches();
+        await new Promise(resolve => {
+            server.close(resolve);
+            server.closeIdleConnections();
+            // Don't let a hung crawl block shutdown forever
+            setTimeout(resolve, SHUTDOWN_GRACE_MS).unref();
         });
-        return data;
-    });
-}
+        try {
+            await browserPool.close();
+        } catch (err) {
+            logger.error("Error closing browser pool", { err });
+        }
+        process.exit(0);
+    }
 
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+}
 
-// =================================================================
-// SERVER START
-// =================================================================
+if (require.main === module) {
+    startServer();
+}
 
-app.listen(PORT, () => {
-    console.log(`Server running on 0.0.0.0:${PORT}`);
-});
+module.exports = { app, browserPool, catalogSweep, catalogSync, priceHistory, VENDOR_CONFIG, lookupPrices, recordLookup };
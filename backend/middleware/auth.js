@@ -0,0 +1,86 @@
+const { hasRole } = require('../services/users');
+
+const SESSION_COOKIE = 'purepeg_session';
+
+/**
+ * Reads one cookie from the `Cookie` header.
+ * @param {import('express').Request} req
+ * @param {string} name
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+  const header = req.get('Cookie');
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+    if (part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads an API key from `Authorization: Bearer <key>` or `X-API-Key`.
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function readApiKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) return authorization.replace(/^Bearer\s+/i, '').trim();
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Builds the authentication middleware.
+ * @param {object} deps
+ * @param {object} deps.users - The store created by `createUsers`.
+ * @param {object} deps.sessions - The store created by `createSessions`.
+ * @returns {{authenticate: Function, requireRole: Function}}
+ */
+function createAuthMiddleware({ users, sessions }) {
+  /**
+   * Attaches `req.user` from the API key or session cookie, or null for anonymous requests.
+   * Never rejects; routes decide what anonymous users may do with `requireRole`.
+   */
+  function authenticate(req, res, next) {
+    const apiKey = readApiKey(req);
+    if (apiKey) {
+      req.user = users.findByApiKey(apiKey);
+      req.authMethod = req.user ? 'api_key' : null;
+      return next();
+    }
+    const session = sessions.get(readCookie(req, SESSION_COOKIE));
+    req.user = session ? users.get(session.userId) : null;
+    req.authMethod = req.user ? 'session' : null;
+    next();
+  }
+
+  /**
+   * @param {'viewer'|'admin'} role - The least role allowed through.
+   * @returns {Function} Middleware answering 401 to anonymous requests and 403 to users below `role`.
+   */
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Login required' });
+      }
+      if (!hasRole(req.user.role, role)) {
+        return res.status(403).json({ error: `This action requires the ${role} role` });
+      }
+      next();
+    };
+  }
+
+  return { authenticate, requireRole };
+}
+
+module.exports = createAuthMiddleware;
+module.exports.SESSION_COOKIE = SESSION_COOKIE;
+module.exports.readCookie = readCookie;
+module.exports.readApiKey = readApiKey;
@@ -1,49 +1,100 @@
-const axios = require('axios');
+const { cidCache, wantsRefresh, cacheHeader } = require('../services/lookupCache');
+const { describeCandidates } = require('../services/pubchemCompound');
+const { logger } = require('../services/logger');
+const { pubchemGet } = require('../services/pubchem');
+const { pipelineError, sendError } = require('../utils/errors');
 
-async function getCID(req, res, next) {
-  const id = req.params.id;
+/**
+ * Resolves a CAS number, name or SMILES string to every matching PubChem CID, trying the
+ * name endpoint first and falling back to SMILES. Ambiguous names and mixtures match several.
+ * @param {string} id - The identifier to resolve.
+ * @returns {Promise<number[]>} The matching CIDs in PubChem's order; empty if PubChem has none.
+ * @throws {Error} PUBCHEM_UNAVAILABLE if PubChem cannot be reached (see `pubchemGet`).
+ */
+async function lookupCIDs(id) {
   const name_url = `https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/name/${encodeURIComponent(id)}/cids/JSON`;
   const smiles_url = `https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/smiles/${encodeURIComponent(id)}/cids/JSON`
 
-  try {
+  const cids_from_name = (await pubchemGet(name_url))?.IdentifierList?.CID;
+  if (cids_from_name && cids_from_name.length > 0) {
+    return cids_from_name;
+  }
+  logger.info('Name not found, falling back to SMILES', { identifier: id });
 
-    const name_response = await axios.get(name_url);
-    const cids_from_name = name_response.data.IdentifierList?.CID;
+  return (await pubchemGet(smiles_url))?.IdentifierList?.CID || [];
+}
 
-    if (cids_from_name && cids_from_name.length > 0) {
-      req.cid = cids_from_name[0]; // Attach CID to the request object
-      next(); // Continue to next middleware or route handler
-      return;
-    } else {
-      console.log("No compound found for CAS/Name: ", id);
-    }
+/**
+ * Resolves an identifier to its first PubChem CID.
+ * @param {string} id - The identifier to resolve.
+ * @returns {Promise<number|null>} The first matching CID, or null if PubChem has none.
+ * @throws {Error} See `lookupCIDs`.
+ */
+async function lookupCID(id) {
+  const cids = await lookupCIDs(id);
+  return cids[0] ?? null;
+}
+
+/**
+ * `lookupCIDs` behind the identifier -> CID cache layer. Misses ("not found") are not cached.
+ * @param {string} id - The identifier to resolve.
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Bypass the cache.
+ * @returns {Promise<{cid: number|null, cids: number[], cache: object}>} `cid` is the first match.
+ */
+async function cachedLookupCID(id, { refresh = false } = {}) {
+  // The key and the lookup use the same form, so the entry does not depend on which spelling came first
+  const identifier = id.trim();
+  const { value, cache } = await cidCache.wrap(identifier, () => lookupCIDs(identifier), {
+    refresh,
+    shouldCache: cids => cids.length > 0,
+  });
+  // Caches persisted before candidates were kept hold a single CID
+  const cids = [].concat(value);
+  return { cid: cids[0] ?? null, cids, cache };
+}
+
+async function getCID(req, res, next) {
+  let cids;
+  try {
+    const result = await cachedLookupCID(req.params.id, { refresh: wantsRefresh(req) });
+    cids = result.cids;
+    res.set('X-Cache-CID', cacheHeader(result.cache));
   } catch (err) {
-    const apiError = err.response?.data?.Fault?.Code;
-    if (apiError !== 'PUGREST.NotFound') {
-      // Only fail if it’s a real error, not just "not found"
-      return res.status(500).json({
-        error: 'Failed to get CID by name',
-        details: err.message,
-      });
-    }
-    console.log("Name not found, falling back to SMILES...");
+    return sendError(res, err);
   }
 
-  try {
-    const smiles_response = await axios.get(smiles_url);
-    const cids_from_smiles = smiles_response.data.IdentifierList?.CID;
-    if (cids_from_smiles && cids_from_smiles.length > 0) {
-      req.cid = cids_from_smiles[0];
-      next();
-      return;
-    }
-    else {
-      res.status(404).json({error: 'No compound found for ID'});
+  if (cids.length === 0) {
+    return sendError(res, pipelineError('COMPOUND_NOT_FOUND'));
+  }
+  if (cids.length > 1) {
+    // Let the client pick one and retry through /prices/cid/:cid rather than guess
+    let candidates;
+    try {
+      candidates = await describeCandidates(cids);
+    } catch (err) {
+      return sendError(res, err);
     }
-  } catch (err) {
-    res.status(500).json({ error: 'Could not get CID for this smiles number', details: err.message });
+    return sendError(res, pipelineError('AMBIGUOUS_IDENTIFIER'), { total: cids.length, candidates });
   }
+  req.cid = cids[0]; // Attach CID to the request object
+  next(); // Continue to next middleware or route handler
+}
 
+/**
+ * Takes the CID straight from the `:cid` route parameter, skipping name resolution.
+ */
+function useCIDParam(req, res, next) {
+  const cid = Number(req.params.cid);
+  if (!Number.isInteger(cid) || cid <= 0) {
+    return res.status(400).json({ error: 'CID must be a positive integer' });
+  }
+  req.cid = cid;
+  next();
 }
 
 module.exports = getCID;
+module.exports.useCIDParam = useCIDParam;
+module.exports.lookupCIDs = lookupCIDs;
+module.exports.lookupCID = lookupCID;
+module.exports.cachedLookupCID = cachedLookupCID;
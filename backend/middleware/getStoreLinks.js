@@ -1,23 +1,53 @@
-const axios = require('axios');
+const { vendorListCache, wantsRefresh, cacheHeader } = require('../services/lookupCache');
+const { logger } = require('../services/logger');
+const { pubchemGet } = require('../services/pubchem');
+const { pipelineError, sendError } = require('../utils/errors');
 
-async function getStoreLinks(req, res, next) {
-  const cid = req.cid;
+/**
+ * Fetches the "Chemical Vendors" sources PubChem lists for a compound.
+ * @param {number} cid - The PubChem CID.
+ * @returns {Promise<Array<object>>} The vendor sources; empty if PubChem lists none.
+ * @throws {Error} PUBCHEM_UNAVAILABLE if PubChem cannot be reached (see `pubchemGet`).
+ */
+async function fetchStoreLinks(cid) {
   const url = `https://pubchem.ncbi.nlm.nih.gov/rest/pug_view/categories/compound/${encodeURIComponent(cid)}/JSON/?heading=Chemical+Vendors`;
-  console.log(url);
+  logger.info('Fetching PubChem vendor listing', { cid });
+
+  const data = await pubchemGet(url);
+  return data?.SourceCategories?.Categories?.[0]?.Sources || [];
+}
 
+/**
+ * `fetchStoreLinks` behind the CID -> vendor list cache layer. Empty listings are not cached.
+ * @param {number} cid - The PubChem CID.
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Bypass the cache.
+ * @returns {Promise<{vendors: Array<object>, cache: object}>}
+ */
+async function cachedFetchStoreLinks(cid, { refresh = false } = {}) {
+  const { value, cache } = await vendorListCache.wrap(String(cid), () => fetchStoreLinks(cid), {
+    refresh,
+    shouldCache: vendors => vendors.length > 0,
+  });
+  return { vendors: value, cache };
+}
+
+async function getStoreLinks(req, res, next) {
   try {
-    const response = await axios.get(url);
-    const vendors = response.data?.SourceCategories.Categories[0].Sources;
+    const { vendors, cache } = await cachedFetchStoreLinks(req.cid, { refresh: wantsRefresh(req) });
+    res.set('X-Cache-Vendors', cacheHeader(cache));
 
     if (vendors && vendors.length > 0) {
       req.vendors = vendors;
       next();
     } else {
-      res.status(404).json({ error: 'Vendors not found for given CAS number' });
+      sendError(res, pipelineError('VENDORS_NOT_FOUND'));
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch Vendors', details: err.message });
+    sendError(res, err);
   }
 }
 
 module.exports = getStoreLinks;
+module.exports.fetchStoreLinks = fetchStoreLinks;
+module.exports.cachedFetchStoreLinks = cachedFetchStoreLinks;
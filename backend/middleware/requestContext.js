@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+const { logger, withLogContext } = require('../services/logger');
+const { metrics } = require('../services/metrics');
+
+// A caller-supplied ID is kept if it looks like one; anything else could be used to forge log lines
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * The route pattern a request matched (`/prices/:id`), so metrics do not get a series per identifier.
+ * @param {import('express').Request} req
+ * @returns {string} The pattern, or 'unmatched' for static files and 404s.
+ */
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+  // A router's own root route (`router.get('/')`) is reported as the path it is mounted at
+  return req.route.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+}
+
+/**
+ * Gives every request a correlation ID: the caller's `X-Request-Id` if valid, otherwise a new UUID.
+ * The ID is echoed in the `X-Request-Id` response header and carried by every log line written
+ * while the request is handled. When the response finishes, its status and duration are logged
+ * and counted in the HTTP metrics.
+ */
+function requestContext(req, res, next) {
+  const supplied = req.get('X-Request-Id');
+  const requestId = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const stopTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    const route = routeLabel(req);
+    const seconds = stopTimer({ route });
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    logger.info('Request finished', {
+      requestId,
+      method: req.method,
+      url: req.originalUrl,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      userId: req.user?.id,
+    });
+  });
+
+  withLogContext({ requestId }, () => {
+    logger.debug('Request started', { method: req.method, url: req.originalUrl });
+    next();
+  });
+}
+
+module.exports = requestContext;
+module.exports.routeLabel = routeLabel;
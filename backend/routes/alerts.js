@@ -0,0 +1,91 @@
+const express = require('express');
+
+const { logger } = require('../services/logger');
+
+/**
+ * Builds the router for alert rules and the alerts inbox.
+ * @param {object} deps
+ * @param {object} deps.alerts - The subsystem created by `createAlerts`.
+ * @param {Function} deps.requireAdmin - Middleware that only lets admins through.
+ * @returns {express.Router}
+ */
+function createAlertsRouter({ alerts, requireAdmin }) {
+  const router = express.Router();
+
+  /**
+   * @api {get} /alerts Alerts inbox, newest first
+   * @apiName GetAlerts
+   * @apiGroup Alerts
+   *
+   * @apiQuery {Boolean} [unread=false] Only alerts that have not been marked as read.
+   *
+   * @apiSuccess {Object[]} alerts Raised alerts with their rule, vendor, message and details.
+   * @apiSuccess {Number} unreadCount Number of unread alerts.
+   */
+  router.get('/', (req, res) => {
+    res.status(200).json(alerts.list({ unreadOnly: req.query.unread === 'true' }));
+  });
+
+  /**
+   * @api {post} /alerts/read Mark alerts as read
+   * @apiName MarkAlertsRead
+   * @apiGroup Alerts
+   *
+   * @apiBody {String[]} [ids] Alerts to mark; every alert when omitted.
+   */
+  router.post('/read', (req, res) => {
+    const ids = req.body?.ids;
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({ error: '"ids" must be an array of alert ids' });
+    }
+    const changed = alerts.markRead(ids);
+    res.status(200).json({ changed, unreadCount: alerts.list().unreadCount });
+  });
+
+  /**
+   * @api {get} /alerts/rules List alert rules
+   * @apiName GetAlertRules
+   * @apiGroup Alerts
+   */
+  router.get('/rules', (req, res) => {
+    res.status(200).json(alerts.listRules());
+  });
+
+  /**
+   * @api {post} /alerts/rules Create an alert rule
+   * @apiName CreateAlertRule
+   * @apiGroup Alerts
+   *
+   * @apiBody {String="undercut","availability"} type What the rule watches.
+   * @apiBody {Number} [thresholdPercent] For undercut rules: how far below PurePEG's per-gram price
+   * a competitor must be.
+   * @apiBody {Object} [scope] `{cas, vendorName}`; both optional. Without `cas` the rule covers the whole catalog.
+   * @apiBody {String[]} [sinks] Deliver to these sinks only (log, webhook, smtp). All configured sinks by default.
+   * @apiBody {String} [name] Label shown in the inbox.
+   */
+  router.post('/rules', requireAdmin, (req, res) => {
+    try {
+      res.status(201).json(alerts.addRule(req.body || {}));
+    } catch (err) {
+      if (err.errors) return res.status(400).json({ error: err.message, details: err.errors });
+      logger.error('Failed to save alert rule', { err });
+      res.status(500).json({ error: 'Failed to save alert rule', details: err.message });
+    }
+  });
+
+  /**
+   * @api {delete} /alerts/rules/:ruleId Delete an alert rule
+   * @apiName DeleteAlertRule
+   * @apiGroup Alerts
+   */
+  router.delete('/rules/:ruleId', requireAdmin, (req, res) => {
+    if (!alerts.removeRule(req.params.ruleId)) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = createAlertsRouter;
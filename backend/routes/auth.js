@@ -0,0 +1,159 @@
+const express = require('express');
+
+const { SESSION_COOKIE, readCookie } = require('../middleware/auth');
+
+const MAX_SEARCHES_LIMIT = 50;
+
+/**
+ * Builds the router for logging in and out and for the signed-in user's own account:
+ * recent searches, API keys and password.
+ * @param {object} deps
+ * @param {object} deps.users - The store created by `createUsers`.
+ * @param {object} deps.sessions - The store created by `createSessions`.
+ * @param {object} deps.searchHistory - The store created by `createSearchHistory`.
+ * @param {function(string): Function} deps.requireRole - From `createAuthMiddleware`.
+ * @param {number} deps.sessionTtlMs - Session cookie lifetime.
+ * @param {boolean} [deps.secureCookies=false] - Only send the session cookie over HTTPS.
+ * @returns {express.Router}
+ */
+function createAuthRouter({ users, sessions, searchHistory, requireRole, sessionTtlMs, secureCookies = false }) {
+  const router = express.Router();
+  const requireUser = requireRole('viewer');
+  const cookieOptions = { httpOnly: true, sameSite: 'lax', secure: secureCookies, path: '/' };
+
+  /**
+   * @api {post} /auth/login Start a session
+   * @apiName Login
+   * @apiGroup Auth
+   *
+   * @apiBody {String} username
+   * @apiBody {String} password
+   *
+   * @apiSuccess {Object} user The signed-in user. The session travels in an HttpOnly cookie.
+   */
+  router.post('/login', (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Body must contain "username" and "password"' });
+    }
+    const user = users.authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Wrong username or password' });
+    }
+    const { token } = sessions.create(user.id);
+    res.cookie(SESSION_COOKIE, token, { ...cookieOptions, maxAge: sessionTtlMs });
+    res.status(200).json({ user });
+  });
+
+  /**
+   * @api {post} /auth/logout End the current session
+   * @apiName Logout
+   * @apiGroup Auth
+   */
+  router.post('/logout', (req, res) => {
+    sessions.destroy(readCookie(req, SESSION_COOKIE));
+    res.clearCookie(SESSION_COOKIE, cookieOptions);
+    res.status(204).end();
+  });
+
+  /**
+   * @api {get} /auth/me The signed-in user
+   * @apiName GetMe
+   * @apiGroup Auth
+   *
+   * @apiSuccess {String} id
+   * @apiSuccess {String} username
+   * @apiSuccess {String="viewer","admin"} role
+   * @apiSuccess {Object[]} apiKeys `{id, label, prefix, createdAt}` for each key; the keys themselves are never shown again.
+   */
+  router.get('/me', requireUser, (req, res) => {
+    res.status(200).json(req.user);
+  });
+
+  /**
+   * @api {put} /auth/me/password Change the signed-in user's password
+   * @apiName ChangePassword
+   * @apiGroup Auth
+   *
+   * @apiBody {String} currentPassword
+   * @apiBody {String} newPassword At least 8 characters.
+   */
+  router.put('/me/password', requireUser, (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!users.authenticate(req.user.username, String(currentPassword ?? ''))) {
+      return res.status(403).json({ error: 'Current password is wrong' });
+    }
+    try {
+      users.setPassword(req.user.id, newPassword);
+    } catch (err) {
+      if (err.errors) return res.status(400).json({ error: err.message, details: err.errors });
+      throw err;
+    }
+    // Other browsers signed in with the old password are logged out; this one gets a new session
+    sessions.destroyForUser(req.user.id);
+    if (req.authMethod === 'session') {
+      const { token } = sessions.create(req.user.id);
+      res.cookie(SESSION_COOKIE, token, { ...cookieOptions, maxAge: sessionTtlMs });
+    }
+    res.status(204).end();
+  });
+
+  /**
+   * @api {get} /auth/me/searches The signed-in user's recent searches
+   * @apiName GetMySearches
+   * @apiGroup Auth
+   *
+   * @apiQuery {Number{1-50}} [limit=10]
+   *
+   * @apiSuccess {Object[]} searches `{identifier, cid, searchedAt}`, newest first.
+   */
+  router.get('/me/searches', requireUser, (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), MAX_SEARCHES_LIMIT);
+    res.status(200).json({ searches: searchHistory.list(req.user.id, { limit }) });
+  });
+
+  /**
+   * @api {delete} /auth/me/searches Forget the signed-in user's recent searches
+   * @apiName ClearMySearches
+   * @apiGroup Auth
+   */
+  router.delete('/me/searches', requireUser, (req, res) => {
+    searchHistory.clear(req.user.id);
+    res.status(204).end();
+  });
+
+  /**
+   * @api {post} /auth/me/api-keys Create an API key for scripts
+   * @apiName CreateApiKey
+   * @apiGroup Auth
+   *
+   * @apiBody {String} [label] What the key is for.
+   *
+   * @apiSuccess (201) {String} key Send as `Authorization: Bearer <key>` or `X-API-Key`. Shown only this once.
+   * @apiSuccess (201) {Object} apiKey The key's listing entry.
+   * @apiError (404) {String} error The account was deleted after the session started.
+   */
+  router.post('/me/api-keys', requireUser, (req, res) => {
+    const created = users.createApiKey(req.user.id, req.body?.label);
+    if (!created) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(201).json(created);
+  });
+
+  /**
+   * @api {delete} /auth/me/api-keys/:keyId Revoke an API key
+   * @apiName RevokeApiKey
+   * @apiGroup Auth
+   */
+  router.delete('/me/api-keys/:keyId', requireUser, (req, res) => {
+    if (!users.revokeApiKey(req.user.id, req.params.keyId)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,83 @@
+const express = require('express');
+
+const { describeMatch } = require('../services/catalogIndex');
+
+const MAX_LIMIT = 50;
+
+/**
+ * Builds the router for searching and syncing the PurePEG catalog.
+ * @param {object} deps
+ * @param {function(): object} deps.getCatalogIndex - Returns the current catalog index
+ * (a getter, so a reloaded catalog is picked up without rebuilding the router).
+ * @param {object} deps.catalogSync - The sync created by `createCatalogSync`.
+ * @param {Function} deps.requireAdmin - Middleware that only lets admins through.
+ * @returns {express.Router}
+ */
+function createCatalogRouter({ getCatalogIndex, catalogSync, requireAdmin }) {
+  const router = express.Router();
+
+  /**
+   * @api {get} /catalog/search Search the PurePEG catalog
+   * @apiName SearchCatalog
+   * @apiGroup Catalog
+   *
+   * @apiQuery {String} q Name, synonym, CAS number, formula, SKU or SMILES; partial and misspelled input is matched too.
+   * @apiQuery {Number{1-50}} [limit=10] Maximum number of products returned.
+   *
+   * @apiSuccess {Object[]} results Matching products, best first, with the `score` (0-1)
+   * and the field and value that matched.
+   */
+  router.get('/search', (req, res) => {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({ error: 'Query parameter "q" is required' });
+    }
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 10, 1), MAX_LIMIT);
+
+    const results = getCatalogIndex().search(query, { limit }).map(describeMatch);
+    res.status(200).json({ query, results });
+  });
+
+  /**
+   * @api {get} /catalog/sync Status of the catalog sync
+   * @apiName GetCatalogSync
+   * @apiGroup Catalog
+   *
+   * @apiSuccess {Boolean} running Whether a sync is in progress.
+   * @apiSuccess {Object} lastSync Report of the latest finished sync: status, timings, product
+   * count and the added, removed and repriced products.
+   */
+  router.get('/sync', (req, res) => {
+    res.status(200).json(catalogSync.status());
+  });
+
+  /**
+   * @api {post} /catalog/sync Rebuild the product cache from WooCommerce
+   * @apiName StartCatalogSync
+   * @apiGroup Catalog
+   *
+   * @apiQuery {Boolean} [wait=false] Respond with the finished sync report instead of right away.
+   */
+  router.post('/sync', requireAdmin, async (req, res) => {
+    if (req.query.wait !== 'true') {
+      try {
+        return res.status(202).json(catalogSync.start());
+      } catch (err) {
+        return res.status(409).json({ error: err.message });
+      }
+    }
+
+    if (catalogSync.status().running) {
+      return res.status(409).json({ error: 'A catalog sync is already running.' });
+    }
+    try {
+      res.status(200).json(await catalogSync.sync());
+    } catch (err) {
+      res.status(502).json({ error: 'Catalog sync failed', details: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCatalogRouter;
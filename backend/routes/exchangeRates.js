@@ -0,0 +1,48 @@
+const express = require('express');
+
+const { logger } = require('../services/logger');
+
+/**
+ * Builds the router for viewing and replacing the exchange-rate table.
+ * @param {object} deps
+ * @param {object} deps.exchangeRates - The converter created by `createExchangeRates`.
+ * @param {Function} deps.requireAdmin - Middleware that only lets admins through.
+ * @returns {express.Router}
+ */
+function createExchangeRatesRouter({ exchangeRates, requireAdmin }) {
+  const router = express.Router();
+
+  /**
+   * @api {get} /admin/exchange-rates Current exchange-rate table
+   * @apiName GetExchangeRates
+   * @apiGroup Admin
+   *
+   * @apiSuccess {String} base The currency every price is converted to.
+   * @apiSuccess {Object} rates Units of each currency per 1 unit of `base`.
+   */
+  router.get('/', (req, res) => {
+    res.status(200).json(exchangeRates.getTable());
+  });
+
+  /**
+   * @api {put} /admin/exchange-rates Replace the exchange-rate table
+   * @apiName UpdateExchangeRates
+   * @apiGroup Admin
+   *
+   * @apiBody {Object} rates Units of each currency per 1 unit of `base`, e.g. `{"EUR": 0.92}`.
+   * @apiBody {String} [base] New base currency; defaults to the current one.
+   */
+  router.put('/', requireAdmin, (req, res) => {
+    try {
+      res.status(200).json(exchangeRates.update(req.body || {}));
+    } catch (err) {
+      if (err.errors) return res.status(400).json({ error: err.message, details: err.errors });
+      logger.error('Failed to save exchange rates', { err });
+      res.status(500).json({ error: 'Failed to save exchange rates', details: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createExchangeRatesRouter;
@@ -0,0 +1,35 @@
+const express = require('express');
+
+/**
+ * Builds the router exposing scraper health.
+ * @param {object} deps
+ * @param {object} deps.vendorHealth - The tracker created by `createVendorHealth`.
+ * @param {function(): string[]} deps.getCrawlVendorNames - Names of the vendors that are crawled.
+ * @param {{stats: Function}} deps.browserPool - The shared browser pool.
+ * @returns {express.Router}
+ */
+function createHealthRouter({ vendorHealth, getCrawlVendorNames, browserPool }) {
+  const router = express.Router();
+
+  /**
+   * @api {get} /health/vendors Crawl health of every scraped vendor
+   * @apiName GetVendorHealth
+   * @apiGroup Health
+   *
+   * @apiSuccess {Object[]} vendors Per vendor: status (healthy, degraded, failing, unknown), success,
+   * empty and error rates, latency, error type counts, selector-drift flag and the last error
+   * with its screenshot and HTML snapshot paths.
+   * @apiSuccess {Object} browser Shared browser pool state.
+   */
+  router.get('/vendors', (req, res) => {
+    res.status(200).json({
+      generatedAt: new Date().toISOString(),
+      vendors: vendorHealth.summarizeAll(getCrawlVendorNames()),
+      browser: browserPool.stats(),
+    });
+  });
+
+  return router;
+}
+
+module.exports = createHealthRouter;
@@ -0,0 +1,84 @@
+const express = require('express');
+
+const getCID = require('../middleware/getCID');
+const { findPriceChanges } = require('../services/priceHistory');
+
+/**
+ * Builds the router serving price-over-time series from the price history store.
+ * @param {object} deps
+ * @param {{query: Function}} deps.priceHistory - The store created by `createPriceHistory`.
+ * @returns {express.Router}
+ */
+function createHistoryRouter({ priceHistory }) {
+  const router = express.Router();
+
+  /**
+   * @api {get} /history/:id Price history for every vendor of a product
+   * @apiName GetHistory
+   * @apiGroup History
+   *
+   * @apiParam {String} id Product identifier (CAS, SMILES, or item name).
+   * @apiQuery {String} [since] ISO timestamp; only entries at or after it.
+   * @apiQuery {String} [until] ISO timestamp; only entries at or before it.
+   *
+   * @apiSuccess {Number} cid The PubChem CID the identifier resolved to.
+   * @apiSuccess {Object} vendors Series of `{timestamp, status, url, prices}` keyed by vendor name.
+   */
+  router.get('/:id', getCID, async (req, res) => {
+    const range = parseRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const entries = await priceHistory.query({ cid: req.cid, ...range });
+    const vendors = {};
+    for (const entry of entries) {
+      (vendors[entry.vendorName] ||= []).push(toPoint(entry));
+    }
+    res.status(200).json({ cid: req.cid, vendors });
+  });
+
+  /**
+   * @api {get} /history/:id/:vendor Price history for a single vendor of a product
+   * @apiName GetVendorHistory
+   * @apiGroup History
+   *
+   * @apiParam {String} id Product identifier (CAS, SMILES, or item name).
+   * @apiParam {String} vendor Vendor name as shown in `/prices/:id`, case-insensitive.
+   *
+   * @apiSuccess {Object[]} series Every recorded `{timestamp, status, url, prices}` for the vendor.
+   * @apiSuccess {Object[]} changes Points at which a pack size's price changed.
+   */
+  router.get('/:id/:vendor', getCID, async (req, res) => {
+    const range = parseRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const entries = await priceHistory.query({ cid: req.cid, vendorName: req.params.vendor, ...range });
+    if (entries.length === 0) {
+      return res.status(404).json({ error: `No price history for vendor '${req.params.vendor}'` });
+    }
+    res.status(200).json({
+      cid: req.cid,
+      vendorName: entries[0].vendorName,
+      series: entries.map(toPoint),
+      changes: findPriceChanges(entries),
+    });
+  });
+
+  return router;
+}
+
+function toPoint({ timestamp, status, url, prices }) {
+  return { timestamp, status, url, prices };
+}
+
+function parseRange({ since, until }) {
+  const range = {};
+  for (const [key, value] of Object.entries({ since, until })) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return { error: `Invalid '${key}' timestamp` };
+    range[key] = date;
+  }
+  return range;
+}
+
+module.exports = createHistoryRouter;
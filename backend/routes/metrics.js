@@ -0,0 +1,28 @@
+const express = require('express');
+
+/**
+ * Builds the router exposing metrics for Prometheus to scrape.
+ * @param {object} deps
+ * @param {{render: function(): string}} deps.registry - The registry from `services/metrics`.
+ * @param {string} deps.contentType - The exposition format's content type.
+ * @returns {express.Router}
+ */
+function createMetricsRouter({ registry, contentType }) {
+  const router = express.Router();
+
+  /**
+   * @api {get} /metrics Prometheus metrics
+   * @apiName GetMetrics
+   * @apiGroup Health
+   * @apiDescription Request counts and durations per route, PubChem latency, lookup stage timings,
+   * vendor handler durations, and crawl durations and failures per vendor, in the Prometheus text
+   * format. Scrapers authenticate like any API client, e.g. with a viewer's API key as a bearer token.
+   */
+  router.get('/', (req, res) => {
+    res.status(200).type(contentType).send(registry.render());
+  });
+
+  return router;
+}
+
+module.exports = createMetricsRouter;
@@ -0,0 +1,64 @@
+const express = require('express');
+
+/**
+ * Builds the router controlling catalog sweeps.
+ * @param {object} deps
+ * @param {object} deps.catalogSweep - The scheduler created by `createCatalogSweep`.
+ * @param {Function} deps.requireAdmin - Middleware that only lets admins through.
+ * @returns {express.Router}
+ */
+function createSweepRouter({ catalogSweep, requireAdmin }) {
+  const router = express.Router();
+
+  /**
+   * @api {get} /sweep Status of the latest catalog sweep
+   * @apiName GetSweep
+   * @apiGroup Sweep
+   *
+   * @apiSuccess {String} status One of idle, running, stopped, interrupted, completed, failed.
+   * @apiSuccess {Number} total Number of distinct identifiers in the sweep.
+   * @apiSuccess {Number} processed Identifiers processed so far.
+   * @apiSuccess {Number} failed Identifiers whose lookup failed.
+   */
+  router.get('/', (req, res) => {
+    res.status(200).json(catalogSweep.status());
+  });
+
+  /**
+   * @api {get} /sweep/errors Per-product errors of the latest catalog sweep
+   * @apiName GetSweepErrors
+   * @apiGroup Sweep
+   */
+  router.get('/errors', (req, res) => {
+    res.status(200).json(catalogSweep.errors());
+  });
+
+  /**
+   * @api {post} /sweep/start Start a catalog sweep
+   * @apiName StartSweep
+   * @apiGroup Sweep
+   *
+   * @apiBody {Boolean} [resume=false] Continue the previous unfinished sweep instead of starting over.
+   */
+  router.post('/start', requireAdmin, (req, res) => {
+    try {
+      const status = catalogSweep.start({ resume: Boolean(req.body?.resume) });
+      res.status(202).json(status);
+    } catch (err) {
+      res.status(409).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @api {post} /sweep/stop Stop the running catalog sweep after its current product
+   * @apiName StopSweep
+   * @apiGroup Sweep
+   */
+  router.post('/stop', requireAdmin, (req, res) => {
+    res.status(202).json(catalogSweep.stop());
+  });
+
+  return router;
+}
+
+module.exports = createSweepRouter;
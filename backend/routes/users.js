@@ -0,0 +1,65 @@
+const express = require('express');
+
+const { logger } = require('../services/logger');
+
+/**
+ * Builds the router admins use to manage accounts. Mount it behind `requireRole('admin')`.
+ * @param {object} deps
+ * @param {object} deps.users - The store created by `createUsers`.
+ * @param {object} deps.sessions - The store created by `createSessions`.
+ * @param {object} deps.searchHistory - The store created by `createSearchHistory`.
+ * @returns {express.Router}
+ */
+function createUsersRouter({ users, sessions, searchHistory }) {
+  const router = express.Router();
+
+  /**
+   * @api {get} /admin/users List users
+   * @apiName GetUsers
+   * @apiGroup Admin
+   */
+  router.get('/', (req, res) => {
+    res.status(200).json(users.list());
+  });
+
+  /**
+   * @api {post} /admin/users Create a user
+   * @apiName CreateUser
+   * @apiGroup Admin
+   *
+   * @apiBody {String} username 3-32 letters, digits, dots, dashes or underscores.
+   * @apiBody {String} password At least 8 characters.
+   * @apiBody {String="viewer","admin"} role
+   */
+  router.post('/', (req, res) => {
+    try {
+      res.status(201).json(users.add(req.body || {}));
+    } catch (err) {
+      if (err.errors) return res.status(400).json({ error: err.message, details: err.errors });
+      logger.error('Failed to save user', { err });
+      res.status(500).json({ error: 'Failed to save user', details: err.message });
+    }
+  });
+
+  /**
+   * @api {delete} /admin/users/:userId Delete a user, ending their sessions and forgetting their searches
+   * @apiName DeleteUser
+   * @apiGroup Admin
+   */
+  router.delete('/:userId', (req, res) => {
+    const { userId } = req.params;
+    if (userId === req.user.id) {
+      return res.status(409).json({ error: 'You cannot delete your own account' });
+    }
+    if (!users.remove(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    sessions.destroyForUser(userId);
+    searchHistory.clear(userId);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = createUsersRouter;
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Creates a user account, e.g. the first admin on a fresh install.
+ *
+ *   npm run create-user -- <username> [viewer|admin]
+ *
+ * The password is read from the USER_PASSWORD environment variable, or asked for on the terminal.
+ * Writes to USERS_FILE (default `meta/users.json`); a running server picks the account up on restart.
+ */
+
+const readline = require('readline');
+
+const { ROLES, createUsers } = require('../services/users');
+
+function askPassword() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  // Keep the typed password off the screen
+  rl._writeToOutput = text => {
+    if (text.startsWith('Password')) rl.output.write(text);
+  };
+  return new Promise(resolve => {
+    rl.question('Password: ', answer => {
+      rl.output.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const [username, role = 'viewer'] = process.argv.slice(2);
+  if (!username || !ROLES.includes(role)) {
+    console.error(`Usage: npm run create-user -- <username> [${ROLES.join('|')}]`);
+    process.exit(2);
+  }
+
+  const users = createUsers({ filePath: process.env.USERS_FILE || './meta/users.json' });
+  const password = process.env.USER_PASSWORD || await askPassword();
+  try {
+    const user = users.add({ username, password, role });
+    console.log(`Created ${user.role} "${user.username}".`);
+  } catch (err) {
+    if (!err.errors) throw err;
+    console.error(`${err.message}: ${err.errors.join('; ')}`);
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Records a vendor page as a crawler test fixture.
+ *
+ *   npm run record-fixture -- <vendor> <url|saved-page.html>
+ *
+ * <vendor> is an adapter file name in `vendors/` without extension (e.g. `bld`) or a vendor name.
+ * With a URL, the page is opened in Chromium and the vendor's crawl (including pre-actions such
+ * as currency popups) runs first, so the saved HTML is the state the crawler actually reads.
+ * With a file, a page already saved from a browser is used as-is.
+ *
+ * Writes `test/fixtures/pages/<vendor>.html` with scripts stripped, plus `<vendor>.expected.json`
+ * holding what the crawler extracts from the saved HTML. Review the expected output before committing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { loadVendorAdapters } = require('../services/vendorRegistry');
+const { createFakePage } = require('../test/helpers/fakeBrowser');
+const { PAGES_DIR } = require('../test/helpers/fixtures');
+
+function stripScripts(html) {
+  return html.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
+}
+
+async function capturePage(adapter, url) {
+  const { chromium } = require('playwright');
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const page = await browser.newPage();
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    try {
+      await adapter.crawl(page);
+    } catch (err) {
+      console.warn(`Crawl failed on the live page (${err.message.split('\n')[0]}); saving it anyway.`);
+    }
+    return await page.content();
+  } finally {
+    await browser.close();
+  }
+}
+
+async function main() {
+  const [vendorArg, source] = process.argv.slice(2);
+  if (!vendorArg || !source) {
+    console.error('Usage: npm run record-fixture -- <vendor> <url|saved-page.html>');
+    process.exit(2);
+  }
+
+  // Disabled vendors are exactly the ones waiting for a recorded page
+  const { adapters } = loadVendorAdapters(undefined, { includeDisabled: true });
+  const adapter = adapters.find(a => path.parse(a.file).name === vendorArg || a.name.toLowerCase() === vendorArg.toLowerCase());
+  if (!adapter || !adapter.crawl) {
+    console.error(`No crawl vendor named "${vendorArg}". Crawl vendors: ${adapters.filter(a => a.crawl).map(a => path.parse(a.file).name).join(', ')}`);
+    process.exit(2);
+  }
+
+  const html = /^https?:\/\//.test(source)
+    ? await capturePage(adapter, source)
+    : fs.readFileSync(source, 'utf8');
+  const fixtureHtml = stripScripts(html);
+
+  // Expected output comes from the saved HTML, exactly as the tests will see it
+  const page = createFakePage();
+  await page.setContent(fixtureHtml);
+  const expected = await adapter.crawl(page);
+
+  const name = path.parse(adapter.file).name;
+  fs.writeFileSync(path.join(PAGES_DIR, `${name}.html`), fixtureHtml);
+  fs.writeFileSync(path.join(PAGES_DIR, `${name}.expected.json`), JSON.stringify(expected, null, 2) + '\n');
+  console.log(`Saved ${name}.html with ${expected.length} price entries.`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
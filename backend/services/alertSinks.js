@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Places price alerts are delivered to. Each sink is `{ name, send(alert) }`,
+ * where `send` returns a promise that rejects when delivery failed.
+ * - log: appends one JSON line per alert to a local file
+ * - webhook: POSTs the alert as JSON to a URL (Slack/Teams bridges, n8n, Zapier...)
+ * - smtp: emails the alert through an SMTP server
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const SINK_NAMES = ['log', 'webhook', 'smtp'];
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON-lines file the alerts are appended to.
+ * @returns {{name: string, send: Function}}
+ */
+function createLogSink({ filePath }) {
+  let writeQueue = Promise.resolve();
+  return {
+    name: 'log',
+    send(alert) {
+      // Appends are chained so concurrent alerts never interleave partial lines
+      const write = writeQueue
+        .then(() => fs.promises.mkdir(path.dirname(filePath), { recursive: true }))
+        .then(() => fs.promises.appendFile(filePath, JSON.stringify(alert) + '\n'));
+      writeQueue = write.catch(() => {});
+      return write;
+    },
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.url - Receives a `POST` with `{ type: 'price_alert', alert }`.
+ * @returns {{name: string, send: Function}}
+ */
+function createWebhookSink({ url }) {
+  return {
+    name: 'webhook',
+    async send(alert) {
+      await axios.post(url, { type: 'price_alert', text: alert.message, alert }, { timeout: WEBHOOK_TIMEOUT_MS });
+    },
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.transport - Nodemailer SMTP options (`host`, `port`, `secure`, `auth`).
+ * @param {string} options.from - Sender address.
+ * @param {string} options.to - Recipient address(es), comma-separated.
+ * @returns {{name: string, send: Function}}
+ */
+function createSmtpSink({ transport, from, to }) {
+  const transporter = nodemailer.createTransport(transport);
+  return {
+    name: 'smtp',
+    async send(alert) {
+      await transporter.sendMail({
+        from,
+        to,
+        subject: `[PurePEG price alert] ${alert.ruleName}`,
+        text: [
+          alert.message,
+          '',
+          `Rule: ${alert.ruleName} (${alert.type})`,
+          `Identifier: ${alert.searchTerm} (CID ${alert.cid ?? 'unknown'})`,
+          alert.url ? `Vendor page: ${alert.url}` : null,
+          `Raised at: ${alert.createdAt}`,
+        ].filter(line => line !== null).join('\n'),
+      });
+    },
+  };
+}
+
+/**
+ * Builds the sinks configured through environment variables. The log sink is always on;
+ * the webhook sink needs `ALERT_WEBHOOK_URL`; the SMTP sink needs `SMTP_HOST` and `ALERT_EMAIL_TO`.
+ * @param {object} env - Usually `process.env`.
+ * @returns {Array<{name: string, send: Function}>}
+ */
+function createSinksFromEnv(env) {
+  const sinks = [createLogSink({ filePath: env.ALERT_LOG_FILE || './meta/alerts.log' })];
+  if (env.ALERT_WEBHOOK_URL) {
+    sinks.push(createWebhookSink({ url: env.ALERT_WEBHOOK_URL }));
+  }
+  if (env.SMTP_HOST && env.ALERT_EMAIL_TO) {
+    sinks.push(createSmtpSink({
+      transport: {
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+      },
+      from: env.ALERT_EMAIL_FROM || env.SMTP_USER || 'alerts@purepeg.local',
+      to: env.ALERT_EMAIL_TO,
+    }));
+  }
+  return sinks;
+}
+
+module.exports = {
+  SINK_NAMES,
+  createLogSink,
+  createWebhookSink,
+  createSmtpSink,
+  createSinksFromEnv,
+};
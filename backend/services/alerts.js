@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Price-change alerts. Users define rules; every lookup's vendor results are
+ * checked against them right after the scrape, and matching changes raise alerts that are kept
+ * in an inbox and delivered to the configured sinks (see `services/alertSinks`).
+ *
+ * Rule types:
+ * - undercut: a competitor's per-gram price at one of PurePEG's pack sizes is at least
+ *   `thresholdPercent` below PurePEG's (from the same comparison as `/prices/:id/compare`).
+ * - availability: a vendor starts or stops carrying the product. A vendor carries it when its
+ *   card is 'success' and no longer does when it is 'not_found'; errors, link-only cards and
+ *   cards carrying a failed PubChem lookup (the vendor was not asked) say nothing either way.
+ *
+ * A rule applies to one CAS number (`scope.cas`) or the whole catalog, and optionally to one
+ * vendor (`scope.vendorName`). Alerts fire on the transition into the alerting state only,
+ * so a competitor that stays cheaper does not raise a new alert on every scrape.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('./logger').createLogger({ module: 'alerts' });
+const { SINK_NAMES } = require('./alertSinks');
+const { LOOKUP_ERROR_CODES } = require('../utils/errors');
+
+const RULE_TYPES = ['undercut', 'availability'];
+const MAX_ALERTS = 1000;
+
+/**
+ * Checks a rule submitted by a user.
+ * @param {object} rule
+ * @returns {string[]} Problems found; empty if the rule is valid.
+ */
+function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') return ['rule must be an object'];
+  if (!RULE_TYPES.includes(rule.type)) errors.push(`"type" must be one of ${RULE_TYPES.join(', ')}`);
+  if (rule.type === 'undercut' && (!Number.isFinite(rule.thresholdPercent) || rule.thresholdPercent < 0)) {
+    errors.push('"thresholdPercent" must be a number of 0 or more');
+  }
+  if (rule.name !== undefined && typeof rule.name !== 'string') errors.push('"name" must be a string');
+  if (rule.scope !== undefined) {
+    if (!rule.scope || typeof rule.scope !== 'object') {
+      errors.push('"scope" must be an object');
+    } else {
+      for (const key of ['cas', 'vendorName']) {
+        if (rule.scope[key] !== undefined && typeof rule.scope[key] !== 'string') errors.push(`"scope.${key}" must be a string`);
+      }
+    }
+  }
+  if (rule.sinks !== undefined
+      && (!Array.isArray(rule.sinks) || !rule.sinks.every(sink => SINK_NAMES.includes(sink)))) {
+    errors.push(`"sinks" must be an array of ${SINK_NAMES.join(', ')}`);
+  }
+  return errors;
+}
+
+function describeRule(rule) {
+  const target = [rule.scope.cas || 'any product', rule.scope.vendorName || 'any vendor'].join(', ');
+  return rule.type === 'undercut'
+    ? `Competitor ${rule.thresholdPercent}% below PurePEG (${target})`
+    : `Vendor starts/stops carrying (${target})`;
+}
+
+function readJson(filePath, fallback) {
+  try {
+    if (fs.existsSync(filePath)) return JSON.parse(fs.readFileSync(filePath));
+  } catch (err) {
+    logger.error('Could not read alerts file, starting empty', { filePath, err });
+  }
+  return fallback;
+}
+
+function writeJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // Write then rename so a crash mid-write never leaves a truncated file
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Creates the alerting subsystem.
+ * @param {object} options
+ * @param {string} options.rulesFilePath - JSON file holding the rules.
+ * @param {string} options.storeFilePath - JSON file holding the inbox and the last known state
+ * (which undercuts are active, which vendors carry what).
+ * @param {Array<{name: string, send: Function}>} [options.sinks=[]] - Where alerts are delivered.
+ * @param {function(string, Array<object>): object|null} options.compare - Builds the PurePEG
+ * comparison for a lookup (see `utils/compare`), or returns null if the product is not in the catalog.
+ * @returns {{listRules: Function, addRule: Function, removeRule: Function, evaluate: Function,
+ *   list: Function, markRead: Function}}
+ */
+function createAlerts({ rulesFilePath, storeFilePath, sinks = [], compare }) {
+  let rules = readJson(rulesFilePath, []);
+  const store = { alerts: [], active: {}, carrying: {}, ...readJson(storeFilePath, {}) };
+  let dirty = false;
+
+  function saveStore() {
+    try {
+      writeJson(storeFilePath, store);
+    } catch (err) {
+      logger.error('Could not save alerts', { err });
+    }
+  }
+
+  function listRules() {
+    return rules;
+  }
+
+  /**
+   * @param {object} input - A rule that passes `validateRule`.
+   * @returns {object} The stored rule, with its `id`.
+   * @throws {Error} With `errors` listing the problems when the rule is invalid.
+   */
+  function addRule(input) {
+    const errors = validateRule(input);
+    if (errors.length > 0) {
+      const err = new Error('Invalid alert rule');
+      err.errors = errors;
+      throw err;
+    }
+    const rule = {
+      id: crypto.randomUUID(),
+      type: input.type,
+      scope: { cas: input.scope?.cas || null, vendorName: input.scope?.vendorName || null },
+      thresholdPercent: input.type === 'undercut' ? input.thresholdPercent : null,
+      sinks: input.sinks || null,
+      createdAt: new Date().toISOString(),
+    };
+    rule.name = input.name || describeRule(rule);
+    rules = [...rules, rule];
+    writeJson(rulesFilePath, rules);
+    return rule;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} Whether a rule was removed.
+   */
+  function removeRule(id) {
+    const remaining = rules.filter(rule => rule.id !== id);
+    if (remaining.length === rules.length) return false;
+    rules = remaining;
+    writeJson(rulesFilePath, rules);
+    for (const key of Object.keys(store.active)) {
+      if (key.startsWith(`${id}|`)) delete store.active[key];
+    }
+    saveStore();
+    return true;
+  }
+
+  function matchesScope(rule, { searchTerm, casNumber, vendorName }) {
+    if (rule.scope.cas && rule.scope.cas !== casNumber && rule.scope.cas !== searchTerm) return false;
+    if (rule.scope.vendorName && rule.scope.vendorName.toLowerCase() !== vendorName.toLowerCase()) return false;
+    return true;
+  }
+
+  function raise(rule, fields) {
+    const alert = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      type: rule.type,
+      createdAt: new Date().toISOString(),
+      read: false,
+      ...fields,
+    };
+    store.alerts.unshift(alert);
+    dirty = true;
+    store.alerts.length = Math.min(store.alerts.length, MAX_ALERTS);
+
+    const targets = sinks.filter(sink => !rule.sinks || rule.sinks.includes(sink.name));
+    for (const sink of targets) {
+      sink.send(alert).catch(err => logger.error('Alert delivery failed', { sink: sink.name, err }));
+    }
+    return alert;
+  }
+
+  function evaluateUndercuts({ searchTerm, cid, results }, raised) {
+    const undercutRules = rules.filter(rule => rule.type === 'undercut');
+    if (undercutRules.length === 0) return;
+    const comparison = compare(searchTerm, results);
+    if (!comparison) return;
+    const casNumber = comparison.product.casNumber;
+
+    for (const variation of comparison.variations) {
+      const purePegPerGram = variation.purePeg.pricePerGram;
+      if (!purePegPerGram) continue;
+      for (const quote of variation.competitors) {
+        const undercutPercent = Math.round((purePegPerGram - quote.pricePerGram) / purePegPerGram * 1000) / 10;
+        for (const rule of undercutRules) {
+          if (!matchesScope(rule, { searchTerm, casNumber, vendorName: quote.vendorName })) continue;
+          const key = [rule.id, cid ?? searchTerm, quote.vendorName, variation.grams].join('|');
+          if (undercutPercent < rule.thresholdPercent) {
+            if (store.active[key]) {
+              delete store.active[key];
+              dirty = true;
+            }
+            continue;
+          }
+          if (store.active[key]) continue;
+          store.active[key] = new Date().toISOString();
+          dirty = true;
+          raised.push(raise(rule, {
+            searchTerm,
+            cid,
+            productName: comparison.product.name,
+            vendorName: quote.vendorName,
+            url: quote.url,
+            message: `${quote.vendorName} sells ${comparison.product.name} at ${quote.pricePerGram} ${comparison.currency}/g `
+              + `for the ${variation.quantity} pack, ${undercutPercent}% below PurePEG (${purePegPerGram} ${comparison.currency}/g).`,
+            details: { grams: variation.grams, undercutPercent, competitorPricePerGram: quote.pricePerGram, purePegPricePerGram: purePegPerGram, method: quote.method },
+          }));
+        }
+      }
+    }
+  }
+
+  function evaluateAvailability({ searchTerm, cid, results }, raised) {
+    const availabilityRules = rules.filter(rule => rule.type === 'availability');
+    const casNumber = availabilityRules.length > 0 ? compare(searchTerm, results)?.product.casNumber : null;
+
+    for (const result of results) {
+      if (result.vendorName === 'PurePEG') continue;
+      let carrying;
+      if (result.status === 'success') carrying = true;
+      else if (result.status === 'not_found' && !LOOKUP_ERROR_CODES.includes(result.error?.code)) carrying = false;
+      else continue;
+
+      const key = `${cid ?? searchTerm}|${result.vendorName}`;
+      const previous = store.carrying[key];
+      if (previous === carrying) continue;
+      store.carrying[key] = carrying;
+      dirty = true;
+      // The first sighting only establishes the baseline
+      if (previous === undefined) continue;
+
+      for (const rule of availabilityRules) {
+        if (!matchesScope(rule, { searchTerm, casNumber, vendorName: result.vendorName })) continue;
+        raised.push(raise(rule, {
+          searchTerm,
+          cid,
+          vendorName: result.vendorName,
+          url: result.data.url,
+          message: carrying
+            ? `${result.vendorName} now carries ${searchTerm}.`
+            : `${result.vendorName} no longer carries ${searchTerm}.`,
+          details: { carrying },
+        }));
+      }
+    }
+  }
+
+  /**
+   * Checks one lookup's vendor results against every rule. Never throws, so a broken rule
+   * cannot fail the lookup it runs after.
+   * @param {object} lookup
+   * @param {string} lookup.searchTerm
+   * @param {number|null} lookup.cid
+   * @param {Array<object>} lookup.results - Vendor responses as produced by `formatResponse`.
+   * @returns {Array<object>} The alerts raised.
+   */
+  function evaluate(lookup) {
+    const raised = [];
+    try {
+      evaluateUndercuts(lookup, raised);
+      evaluateAvailability(lookup, raised);
+    } catch (err) {
+      logger.error('Alert evaluation failed', { err });
+    }
+    if (dirty) saveStore();
+    dirty = false;
+    return raised;
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.unreadOnly=false]
+   * @returns {{alerts: Array<object>, unreadCount: number}} Newest first.
+   */
+  function list({ unreadOnly = false } = {}) {
+    return {
+      alerts: unreadOnly ? store.alerts.filter(alert => !alert.read) : store.alerts,
+      unreadCount: store.alerts.filter(alert => !alert.read).length,
+    };
+  }
+
+  /**
+   * @param {string[]} [ids] - Alerts to mark as read; all of them when omitted.
+   * @returns {number} How many alerts changed.
+   */
+  function markRead(ids) {
+    let changed = 0;
+    for (const alert of store.alerts) {
+      if (!alert.read && (!ids || ids.includes(alert.id))) {
+        alert.read = true;
+        changed++;
+      }
+    }
+    if (changed > 0) saveStore();
+    dirty = false;
+    return changed;
+  }
+
+  return { listRules, addRule, removeRule, evaluate, list, markRead };
+}
+
+module.exports = {
+  RULE_TYPES,
+  validateRule,
+  createAlerts,
+};
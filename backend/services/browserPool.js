@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Long-lived Playwright browser shared by all crawls.
+ * Launching Chromium is by far the slowest part of a crawl, so a single browser is kept
+ * open and every crawl gets its own isolated context instead. A concurrency cap keeps
+ * simultaneous lookups from opening more pages than the host can handle.
+ */
+
+const logger = require('./logger').createLogger({ module: 'browserPool' });
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+/**
+ * Creates a browser pool.
+ * @param {object} options
+ * @param {object} options.browserType - A Playwright browser type, e.g. `chromium`.
+ * @param {object} [options.launchOptions={ headless: true }] - Passed to `browserType.launch`.
+ * @param {number} [options.maxConcurrency=3] - Maximum number of pages open at once.
+ * @param {number} [options.healthCheckIntervalMs=60000] - How often to verify the browser is alive. 0 disables it.
+ * @param {number} [options.healthCheckTimeoutMs=10000] - How long the browser may take to open a page during a health check.
+ * @param {string} [options.userAgent] - User agent for every new context.
+ * @returns {{withPage: Function, healthCheck: Function, close: Function, stats: Function}}
+ */
+function createBrowserPool({
+  browserType,
+  launchOptions = { headless: true },
+  maxConcurrency = 3,
+  healthCheckIntervalMs = 60000,
+  healthCheckTimeoutMs = 10000,
+  userAgent = DEFAULT_USER_AGENT,
+}) {
+  let browser = null;
+  let launching = null;
+  let closed = false;
+  let active = 0;
+  let launches = 0;
+  const waiting = [];
+
+  async function getBrowser() {
+    if (browser && browser.isConnected()) return browser;
+    if (!launching) {
+      launching = browserType.launch(launchOptions)
+        .then(instance => {
+          launches++;
+          browser = instance;
+          instance.on('disconnected', () => {
+            if (browser === instance) {
+              logger.warn('Pooled browser disconnected; it will be relaunched on next use.');
+              browser = null;
+            }
+          });
+          logger.info('Launched pooled browser.');
+          return instance;
+        })
+        .finally(() => {
+          launching = null;
+        });
+    }
+    return launching;
+  }
+
+  function acquireSlot() {
+    if (active < maxConcurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  }
+
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+      next(); // Hand the slot straight to the next waiter
+    } else {
+      active--;
+    }
+  }
+
+  /**
+   * Runs `fn` with a fresh page in its own browser context, waiting for a free slot first.
+   * The context is always closed afterwards, whether `fn` succeeds or throws.
+   * @param {function(import('playwright').Page): Promise<*>} fn - Work to do with the page.
+   * @returns {Promise<*>} Whatever `fn` resolves to.
+   */
+  async function withPage(fn) {
+    if (closed) throw new Error('Browser pool is shut down.');
+    await acquireSlot();
+    let context = null;
+    try {
+      const instance = await getBrowser();
+      context = await instance.newContext({ userAgent });
+      const page = await context.newPage();
+      return await fn(page);
+    } finally {
+      if (context) await context.close().catch(() => {});
+      releaseSlot();
+    }
+  }
+
+  // Opening and closing a page needs the browser process to answer, unlike `version()`,
+  // which Playwright answers from what it learned at launch
+  async function openAndClosePage(instance) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`no page within ${healthCheckTimeoutMs}ms`)), healthCheckTimeoutMs);
+    });
+    const roundTrip = (async () => {
+      const context = await instance.newContext({ userAgent });
+      try {
+        await context.newPage();
+      } finally {
+        await context.close();
+      }
+    })();
+    try {
+      await Promise.race([roundTrip, timeout]);
+    } finally {
+      clearTimeout(timer);
+      roundTrip.catch(() => {}); // A hung round trip settles, if ever, after the browser is replaced
+    }
+  }
+
+  /**
+   * Checks that the browser still opens pages, and relaunches it if not. Does nothing before the
+   * first crawl launched it or after the pool is closed.
+   * @returns {Promise<boolean>} False if the browser failed the check and was replaced.
+   */
+  async function healthCheck() {
+    if (closed || !browser) return true;
+    const instance = browser;
+    try {
+      if (!instance.isConnected()) throw new Error('not connected');
+      await openAndClosePage(instance);
+      return true;
+    } catch (err) {
+      logger.warn('Pooled browser failed health check, relaunching', { err });
+      if (browser === instance) browser = null;
+      await instance.close().catch(() => {});
+      await getBrowser().catch(launchErr => logger.error('Failed to relaunch pooled browser', { err: launchErr }));
+      return false;
+    }
+  }
+
+  const healthTimer = healthCheckIntervalMs > 0 ? setInterval(healthCheck, healthCheckIntervalMs) : null;
+  if (healthTimer) healthTimer.unref();
+
+  /**
+   * Stops accepting work and closes the browser. Pages already in use are closed with it.
+   */
+  async function close() {
+    closed = true;
+    if (healthTimer) clearInterval(healthTimer);
+    const pending = launching;
+    if (pending) await pending.catch(() => {});
+    if (browser) {
+      const instance = browser;
+      browser = null;
+      await instance.close();
+      logger.info('Pooled browser closed.');
+    }
+  }
+
+  function stats() {
+    return {
+      connected: Boolean(browser && browser.isConnected()),
+      active,
+      queued: waiting.length,
+      maxConcurrency,
+      launches,
+    };
+  }
+
+  return { withPage, healthCheck, close, stats };
+}
+
+module.exports = createBrowserPool;
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Search index over the PurePEG catalog (`product_cache.json`).
+ * Users type names with spaces instead of dashes ("exo BCN OH"), use synonyms, make typos or
+ * paste a SMILES written differently from the catalog's, so exact comparisons miss products
+ * PurePEG does sell. Every product is indexed by name, Full Name, Synonyms, CAS Number,
+ * Molecular Formula, SKU and the structure key of its SMILES (see `utils/smiles`).
+ *
+ * Match scores run from 0 to 1:
+ * - 1     exact match, ignoring case
+ * - 0.95  same letters and digits ignoring punctuation and spaces, or the same SMILES structure
+ * - 0.85  field starts with the query (typeahead)
+ * - 0.75  every query word starts a word of the field
+ * - 0.65  field contains the query
+ * - < 0.6 close spelling (edit distance), scaled by similarity
+ */
+
+const { structureKey, looksLikeSmiles } = require('../utils/smiles');
+
+const SCORES = { exact: 1, compact: 0.95, structure: 0.95, prefix: 0.85, tokens: 0.75, contains: 0.65 };
+const CONFIDENT_SCORE = 0.95;
+const MIN_FUZZY_SIMILARITY = 0.75;
+const FUZZY_WEIGHT = 0.75;
+const MAX_FUZZY_LENGTH = 60;
+
+const TEXT_FIELDS = [
+  { field: 'name', read: p => [p.name] },
+  { field: 'Full Name', read: p => splitAttribute(p.attributes?.['Full Name']) },
+  { field: 'Synonyms', read: p => splitAttribute(p.attributes?.Synonyms) },
+  { field: 'CAS Number', read: p => splitAttribute(p.attributes?.['CAS Number']) },
+  { field: 'Molecular Formula', read: p => splitAttribute(p.attributes?.['Molecular Formula']) },
+  { field: 'SKU', read: p => [p.sku] },
+  { field: 'SMILES', read: p => splitAttribute(p.attributes?.SMILES) },
+];
+
+/**
+ * WooCommerce stores multi-valued attributes comma-separated, with literal commas escaped as `\,`.
+ */
+function splitAttribute(value) {
+  if (value === null || value === undefined) return [];
+  return String(value)
+    .split(/(?<!\\),/)
+    .map(part => part.replace(/\\,/g, ',').trim())
+    .filter(part => part && part !== 'N/A');
+}
+
+function compact(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function tokenize(text) {
+  return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds `limit`.
+ * @returns {number} The distance, or `limit + 1` if it is larger than `limit`.
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost);
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previousRow = row;
+  }
+  return previousRow[b.length];
+}
+
+function scoreText(query, value) {
+  if (value.lower === query.lower) return SCORES.exact;
+  if (!query.compact || !value.compact) return 0;
+  if (value.compact === query.compact) return SCORES.compact;
+  if (value.compact.startsWith(query.compact)) return SCORES.prefix;
+  if (query.tokens.length > 0 && query.tokens.every(t => value.tokens.some(v => v.startsWith(t)))) return SCORES.tokens;
+  if (query.compact.length >= 3 && value.compact.includes(query.compact)) return SCORES.contains;
+
+  if (query.compact.length < 4 || value.compact.length > MAX_FUZZY_LENGTH) return 0;
+  const longest = Math.max(query.compact.length, value.compact.length);
+  const limit = Math.floor(longest * (1 - MIN_FUZZY_SIMILARITY));
+  const distance = editDistance(query.compact, value.compact, limit);
+  if (distance > limit) return 0;
+  return Math.round((1 - distance / longest) * FUZZY_WEIGHT * 1000) / 1000;
+}
+
+function prepare(text) {
+  const lower = String(text).trim().toLowerCase();
+  return { text: String(text).trim(), lower, compact: compact(lower), tokens: tokenize(lower) };
+}
+
+/**
+ * Builds the index.
+ * @param {Array<object>} products - Product entries from `product_cache.json`.
+ * @returns {{search: Function, findProduct: Function, size: number}}
+ */
+function createCatalogIndex(products) {
+  const entries = products.map(product => {
+    const values = TEXT_FIELDS.flatMap(({ field, read }) => read(product)
+      .filter(value => value !== null && value !== undefined && value !== '')
+      .map(value => ({ field, ...prepare(value) })));
+    const smiles = product.attributes?.SMILES;
+    const key = smiles && smiles !== 'N/A' ? structureKey(smiles) : null;
+    return { product, values, structureKey: key };
+  });
+
+  /**
+   * Ranks catalog products against a query.
+   * @param {string} query - Name, synonym, CAS, formula, SKU or SMILES, possibly partial or misspelled.
+   * @param {object} [options]
+   * @param {number} [options.limit=10]
+   * @param {number} [options.minScore=0.5]
+   * @returns {Array<{product: object, score: number, matchedField: string, matchedValue: string}>}
+   * Best match first; one entry per product.
+   */
+  function search(query, { limit = 10, minScore = 0.5 } = {}) {
+    const prepared = prepare(query);
+    if (!prepared.lower) return [];
+    const queryKey = looksLikeSmiles(prepared.text) ? structureKey(prepared.text) : null;
+
+    const matches = [];
+    for (const entry of entries) {
+      let best = { score: 0, matchedField: null, matchedValue: null };
+      for (const value of entry.values) {
+        const score = scoreText(prepared, value);
+        if (score > best.score) best = { score, matchedField: value.field, matchedValue: value.text };
+      }
+      if (queryKey && entry.structureKey === queryKey && SCORES.structure > best.score) {
+        best = { score: SCORES.structure, matchedField: 'structure', matchedValue: entry.product.attributes.SMILES };
+      }
+      if (best.score >= minScore) matches.push({ product: entry.product, ...best });
+    }
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Picks the one product an identifier refers to, for pricing. Only exact, punctuation-insensitive
+   * and same-structure matches count, and ties between different products (a formula shared by
+   * isomers, or stereoisomers sharing a structure key) are refused rather than guessed.
+   * @param {string} identifier
+   * @returns {object|undefined} The product entry, if exactly one matches confidently.
+   */
+  function findProduct(identifier) {
+    const [top, runnerUp] = search(identifier, { limit: 2, minScore: CONFIDENT_SCORE });
+    if (!top) return undefined;
+    return !runnerUp || runnerUp.score < top.score ? top.product : undefined;
+  }
+
+  return { search, findProduct, size: entries.length };
+}
+
+/**
+ * Summarizes a search match for API responses.
+ * @param {{product: object, score: number, matchedField: string, matchedValue: string}} match
+ * @returns {object}
+ */
+function describeMatch({ product, score, matchedField, matchedValue }) {
+  return {
+    name: product.name,
+    fullName: product.attributes?.['Full Name'] || null,
+    sku: product.sku,
+    casNumber: product.attributes?.['CAS Number'] || null,
+    formula: product.attributes?.['Molecular Formula'] || null,
+    smiles: product.attributes?.SMILES || null,
+    score,
+    matchedField,
+    matchedValue,
+  };
+}
+
+module.exports = {
+  createCatalogIndex,
+  describeMatch,
+  splitAttribute,
+};
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Batch sweep of the whole PurePEG catalog through the vendor pipeline.
+ * Products are processed one at a time with a delay between them so PubChem and vendor
+ * sites are not hammered. Progress is saved after every product, so a sweep that was
+ * stopped or interrupted by a restart can be resumed where it left off. A resumed sweep
+ * tries the products that failed again; their failures are often transient.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('./logger').createLogger({ module: 'catalogSweep' });
+
+/**
+ * Picks the identifier used to look a product up: its CAS Number, or its SMILES when
+ * the catalog has no CAS for it.
+ * @param {object} product - A product entry from `product_cache.json`.
+ * @returns {string|null} The identifier, or null if the product has neither.
+ */
+function getProductIdentifier(product) {
+  const cas = product.attributes?.['CAS Number'];
+  if (cas && cas !== 'N/A') return cas;
+  const smiles = product.attributes?.SMILES;
+  if (smiles && smiles !== 'N/A') return smiles;
+  return null;
+}
+
+/**
+ * Creates the catalog sweep scheduler.
+ * @param {object} options
+ * @param {function(): Array<object>} options.getProducts - Returns the current catalog products.
+ * @param {function(string): Promise<{cid: number, results: Array<object>}>} options.lookup - Runs the
+ * vendor pipeline for one identifier. Should throw when the identifier cannot be priced.
+ * @param {{record: Function}} options.priceHistory - Where results are stored.
+ * @param {string} options.progressFilePath - JSON file holding the progress of the latest sweep.
+ * @param {number} [options.delayMs=5000] - Pause between two products.
+ * @param {number} [options.intervalMs=0] - Start a new sweep this often. 0 disables scheduling.
+ * @returns {{start: Function, stop: Function, status: Function, errors: Function, close: Function}}
+ */
+function createCatalogSweep({ getProducts, lookup, priceHistory, progressFilePath, delayMs = 5000, intervalMs = 0 }) {
+  let progress = loadProgress(progressFilePath);
+  let running = false;
+  let stopRequested = false;
+  let wakeUp = null;
+
+  // A sweep that was running when the server stopped is no longer running
+  if (progress?.status === 'running') {
+    progress.status = 'interrupted';
+    saveProgress(progressFilePath, progress);
+  }
+
+  /**
+   * Starts a sweep in the background.
+   * @param {object} [options]
+   * @param {boolean} [options.resume=false] - Continue the previous unfinished sweep instead of starting over.
+   * @returns {object} The sweep status.
+   * @throws {Error} If a sweep is already running.
+   */
+  function start({ resume = false } = {}) {
+    if (running) throw new Error('A sweep is already running.');
+
+    const canResume = resume && progress && progress.status !== 'completed';
+    if (!canResume) {
+      progress = {
+        id: new Date().toISOString(),
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        total: 0,
+        done: {},
+        errors: {},
+      };
+    }
+    progress.status = 'running';
+    progress.finishedAt = null;
+    saveProgress(progressFilePath, progress);
+
+    running = true;
+    stopRequested = false;
+    run().catch(err => {
+      logger.error('Catalog sweep crashed', { err });
+      progress.status = 'failed';
+      saveProgress(progressFilePath, progress);
+    }).finally(() => {
+      running = false;
+    });
+    return status();
+  }
+
+  async function run() {
+    // Several catalog entries share a CAS number; each identifier is only looked up once
+    const identifiers = new Map();
+    for (const product of getProducts()) {
+      const identifier = getProductIdentifier(product);
+      if (!identifier) continue;
+      if (!identifiers.has(identifier)) identifiers.set(identifier, []);
+      identifiers.get(identifier).push(product.sku);
+    }
+    progress.total = identifiers.size;
+
+    for (const [identifier, skus] of identifiers) {
+      if (stopRequested) break;
+      // Older progress files also list failures under `done`, marked `ok: false`
+      if (progress.done[identifier]?.ok) continue;
+
+      try {
+        const { cid, results } = await lookup(identifier);
+        await priceHistory.record({ searchTerm: identifier, cid, results });
+        delete progress.errors[identifier];
+        progress.done[identifier] = { at: new Date().toISOString(), ok: true };
+      } catch (err) {
+        logger.error('Sweep lookup failed', { identifier, err });
+        progress.errors[identifier] = { skus, code: err.code ?? null, message: err.message, at: new Date().toISOString() };
+        delete progress.done[identifier];
+      }
+      saveProgress(progressFilePath, progress);
+
+      if (!stopRequested) await sleep(delayMs);
+    }
+
+    progress.status = stopRequested ? 'stopped' : 'completed';
+    progress.finishedAt = new Date().toISOString();
+    saveProgress(progressFilePath, progress);
+    logger.info('Catalog sweep finished', { status: progress.status });
+  }
+
+  function sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    }).finally(() => {
+      wakeUp = null;
+    });
+  }
+
+  /**
+   * Asks the running sweep to stop after the product it is currently processing.
+   * @returns {object} The sweep status.
+   */
+  function stop() {
+    if (running) {
+      stopRequested = true;
+      if (wakeUp) wakeUp();
+    }
+    return status();
+  }
+
+  function status() {
+    if (!progress) return { status: 'idle', running: false };
+    const succeeded = Object.values(progress.done).filter(entry => entry.ok).length;
+    return {
+      id: progress.id,
+      status: progress.status,
+      running,
+      startedAt: progress.startedAt,
+      finishedAt: progress.finishedAt,
+      total: progress.total,
+      processed: succeeded + Object.keys(progress.errors).length,
+      failed: Object.keys(progress.errors).length,
+    };
+  }
+
+  /**
+   * @returns {Array<{identifier: string, skus: Array<number>, message: string, at: string}>}
+   * The per-product errors of the latest sweep.
+   */
+  function errors() {
+    if (!progress) return [];
+    return Object.entries(progress.errors).map(([identifier, error]) => ({ identifier, ...error }));
+  }
+
+  const scheduleTimer = intervalMs > 0 ? setInterval(() => {
+    if (running) return;
+    logger.info('Starting scheduled catalog sweep.');
+    // Pick up an interrupted sweep rather than starting from scratch
+    start({ resume: true });
+  }, intervalMs) : null;
+  if (scheduleTimer) scheduleTimer.unref();
+
+  /**
+   * Cancels the schedule and stops any running sweep.
+   */
+  function close() {
+    if (scheduleTimer) clearInterval(scheduleTimer);
+    stop();
+  }
+
+  return { start, stop, status, errors, close };
+}
+
+function loadProgress(filePath) {
+  try {
+    if (fs.existsSync(filePath)) return JSON.parse(fs.readFileSync(filePath));
+  } catch (err) {
+    logger.error('Could not read sweep progress, starting fresh', { err });
+  }
+  return null;
+}
+
+function saveProgress(filePath, progress) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // Write then rename so a crash mid-write never leaves a truncated file
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(progress, null, 2));
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    logger.error('Could not save sweep progress', { err });
+  }
+}
+
+module.exports = {
+  createCatalogSweep,
+  getProductIdentifier,
+};
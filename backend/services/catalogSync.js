@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Rebuilds the PurePEG product cache (`product_cache.json`) from the WooCommerce
+ * REST API: products, their attributes and categories, and every variation with its price,
+ * pack size and purity. The new cache is written atomically and handed to the running server,
+ * so a sync never needs a restart. Each sync reports which products were added, removed or
+ * repriced compared to the cache it replaced.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { mapWithConcurrency } = require('../utils/concurrency');
+const logger = require('./logger').createLogger({ module: 'catalogSync' });
+
+const PAGE_SIZE = 100;
+const VARIATION_CONCURRENCY = 4;
+
+/**
+ * Reads the product cache file.
+ * @param {string} filePath
+ * @returns {{products: object, loadedAt: string|null}} Products keyed by SKU, and when the file
+ * was last written; an empty catalog if the file is missing or unreadable.
+ */
+function loadProductCache(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      logger.warn('Could not find PurePEG cache file', { filePath });
+      return { products: {}, loadedAt: null };
+    }
+    const products = JSON.parse(fs.readFileSync(filePath));
+    logger.info('Successfully loaded PurePEG product cache.');
+    return { products, loadedAt: fs.statSync(filePath).mtime.toISOString() };
+  } catch (error) {
+    logger.error('Error loading or parsing PurePEG cache file', { filePath, err: error });
+    return { products: {}, loadedAt: null };
+  }
+}
+
+// WooCommerce returns numbers as strings; the cache has always stored them as numbers
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : value;
+}
+
+/**
+ * Joins an attribute's options the way the cache stores them: comma-separated, with commas
+ * inside an option escaped as `\,`. Single numeric options (Molecular Weight) become numbers.
+ */
+function toAttributeValue(options) {
+  if (options.length === 1 && /^\d+(\.\d+)?$/.test(options[0])) return Number(options[0]);
+  return options.map(option => String(option).replace(/,/g, '\\,')).join(',');
+}
+
+/**
+ * Converts a WooCommerce product and its variations into a cache entry.
+ * @param {object} product - A `GET /products` item.
+ * @param {Array<object>} variations - Its `GET /products/:id/variations` items.
+ * @returns {object} The entry, in the `product_cache.json` format.
+ */
+function toCacheEntry(product, variations) {
+  return {
+    parentId: product.id,
+    name: product.name,
+    sku: toNumber(product.sku),
+    categories: (product.categories || []).map(c => c.name).join(', '),
+    attributes: Object.fromEntries((product.attributes || []).map(a => [a.name, toAttributeValue(a.options || [])])),
+    variations: Object.fromEntries(variations.filter(v => v.sku).map(v => [v.sku, {
+      variationId: v.id,
+      regular_price: toNumber(v.regular_price),
+      weight: toNumber(v.weight),
+      _purity: v.meta_data?.find(m => m.key === '_purity')?.value ?? null,
+    }])),
+  };
+}
+
+/**
+ * Compares two caches.
+ * @param {object} previous - Products keyed by SKU before the sync.
+ * @param {object} next - Products keyed by SKU after the sync.
+ * @returns {{added: Array<object>, removed: Array<object>, repriced: Array<object>}} Added and
+ * removed products, and one entry per variation whose regular price changed (including
+ * variations that appeared or disappeared on a product that exists in both).
+ */
+function diffCatalogs(previous, next) {
+  const describe = (sku, product) => ({ sku, name: product.name });
+  const added = Object.keys(next).filter(sku => !previous[sku]).map(sku => describe(sku, next[sku]));
+  const removed = Object.keys(previous).filter(sku => !next[sku]).map(sku => describe(sku, previous[sku]));
+
+  const repriced = [];
+  for (const [sku, product] of Object.entries(next)) {
+    const old = previous[sku];
+    if (!old) continue;
+    const variationSkus = new Set([...Object.keys(old.variations || {}), ...Object.keys(product.variations || {})]);
+    for (const variationSku of variationSkus) {
+      const oldPrice = old.variations?.[variationSku]?.regular_price ?? null;
+      const newPrice = product.variations?.[variationSku]?.regular_price ?? null;
+      if (oldPrice !== newPrice) {
+        repriced.push({ sku, name: product.name, variationSku, oldPrice, newPrice });
+      }
+    }
+  }
+  return { added, removed, repriced };
+}
+
+/**
+ * Creates the catalog sync.
+ * @param {object} options
+ * @param {{get: Function}} options.wcApi - WooCommerce REST client.
+ * @param {string} options.filePath - The product cache file to rewrite.
+ * @param {function(): object} options.getProducts - Returns the current products keyed by SKU.
+ * @param {function(object, string): void} options.onReload - Receives the new products and the sync time.
+ * @param {number} [options.intervalMs=0] - Sync this often. 0 disables scheduling.
+ * @returns {{sync: Function, start: Function, status: Function, close: Function}}
+ */
+function createCatalogSync({ wcApi, filePath, getProducts, onReload, intervalMs = 0 }) {
+  let running = false;
+  let lastReport = null;
+
+  async function fetchAll(endpoint, params = {}) {
+    const items = [];
+    for (let page = 1; ; page++) {
+      const response = await wcApi.get(endpoint, { ...params, per_page: PAGE_SIZE, page });
+      items.push(...response.data);
+      const totalPages = Number(response.headers?.['x-wp-totalpages']) || 1;
+      if (page >= totalPages || response.data.length === 0) return items;
+    }
+  }
+
+  /**
+   * Runs a sync to completion.
+   * @returns {Promise<object>} The sync report: timings, product count and the diff.
+   * @throws {Error} If a sync is already running, WooCommerce fails or returns no products.
+   * The existing cache is left untouched in that case.
+   */
+  async function sync() {
+    if (running) throw new Error('A catalog sync is already running.');
+    running = true;
+    const startedAt = new Date().toISOString();
+    try {
+      const products = (await fetchAll('products', { status: 'publish' })).filter(p => p.sku);
+      // An empty answer is far more likely a misconfigured store or key than an empty catalog
+      if (products.length === 0) throw new Error('WooCommerce returned no products; keeping the current cache.');
+
+      const entries = await mapWithConcurrency(products, VARIATION_CONCURRENCY, async product => {
+        const variations = product.type === 'variable' ? await fetchAll(`products/${product.id}/variations`) : [];
+        return toCacheEntry(product, variations);
+      });
+      const next = Object.fromEntries(entries.map(entry => [String(entry.sku), entry]));
+      const diff = diffCatalogs(getProducts(), next);
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Write then rename so a crash mid-write never leaves a truncated cache
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(next, null, 2));
+      fs.renameSync(tempPath, filePath);
+
+      const finishedAt = new Date().toISOString();
+      onReload(next, finishedAt);
+      lastReport = { status: 'completed', startedAt, finishedAt, productCount: entries.length, diff };
+      logger.info('Catalog sync completed', {
+        products: entries.length,
+        added: diff.added.length,
+        removed: diff.removed.length,
+        repriced: diff.repriced.length,
+      });
+      return lastReport;
+    } catch (err) {
+      lastReport = { status: 'failed', startedAt, finishedAt: new Date().toISOString(), error: err.message };
+      throw err;
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * Starts a sync in the background.
+   * @returns {object} The sync status.
+   * @throws {Error} If a sync is already running.
+   */
+  function start() {
+    if (running) throw new Error('A catalog sync is already running.');
+    sync().catch(err => logger.error('Catalog sync failed', { err }));
+    return status();
+  }
+
+  /**
+   * @returns {{running: boolean, lastSync: object|null}} Whether a sync is running and the
+   * report of the latest finished one.
+   */
+  function status() {
+    return { running, lastSync: lastReport };
+  }
+
+  const scheduleTimer = intervalMs > 0 ? setInterval(() => {
+    if (running) return;
+    logger.info('Starting scheduled catalog sync.');
+    start();
+  }, intervalMs) : null;
+  if (scheduleTimer) scheduleTimer.unref();
+
+  /**
+   * Cancels the schedule. A sync already in progress finishes on its own.
+   */
+  function close() {
+    if (scheduleTimer) clearInterval(scheduleTimer);
+  }
+
+  return { sync, start, status, close };
+}
+
+module.exports = {
+  loadProductCache,
+  toCacheEntry,
+  diffCatalogs,
+  createCatalogSync,
+};
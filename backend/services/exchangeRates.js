@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Currency conversion using a local exchange-rate table.
+ * Rates live in a JSON file as "units of currency per 1 unit of base currency", the way
+ * most rate feeds publish them, and can be replaced at runtime through the admin endpoint.
+ * Nothing here fetches rates from the network; keeping the table current is up to an admin.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('./logger').createLogger({ module: 'exchangeRates' });
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * Checks a rate table before it is used or saved.
+ * @param {object} table - `{ base, rates }`.
+ * @returns {string[]} Problems found; empty if the table is valid.
+ */
+function validateRateTable(table) {
+  const errors = [];
+  if (!table || typeof table !== 'object') return ['rate table must be an object'];
+  if (!CURRENCY_CODE.test(table.base)) errors.push('"base" must be a 3-letter currency code');
+  if (!table.rates || typeof table.rates !== 'object') {
+    errors.push('"rates" must be an object of currency code to rate');
+    return errors;
+  }
+  for (const [code, rate] of Object.entries(table.rates)) {
+    if (!CURRENCY_CODE.test(code)) errors.push(`"${code}" is not a 3-letter currency code`);
+    if (!Number.isFinite(rate) || rate <= 0) errors.push(`rate for ${code} must be a positive number`);
+  }
+  if (table.rates[table.base] !== undefined && table.rates[table.base] !== 1) {
+    errors.push(`rate for the base currency ${table.base} must be 1`);
+  }
+  return errors;
+}
+
+/**
+ * Creates the converter.
+ * @param {object} options
+ * @param {string} options.filePath - JSON file holding `{ base, updatedAt, rates }`.
+ * @returns {{convert: Function, convertEntry: Function, getTable: Function, update: Function}}
+ */
+function createExchangeRates({ filePath }) {
+  let table = { base: 'USD', updatedAt: null, rates: { USD: 1 } };
+
+  try {
+    const loaded = JSON.parse(fs.readFileSync(filePath));
+    const errors = validateRateTable(loaded);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    table = { ...loaded, rates: { ...loaded.rates, [loaded.base]: 1 } };
+    logger.info('Loaded exchange rates', { currencies: Object.keys(table.rates).length, base: table.base });
+  } catch (err) {
+    logger.warn(`Could not load exchange rates, only ${table.base} prices will be converted`, { filePath, err });
+  }
+
+  /**
+   * Converts an amount to the base currency.
+   * @param {number|null} amount
+   * @param {string|null} currency - ISO code of `amount`.
+   * @returns {number|null} The converted amount, or null if the amount or rate is unknown.
+   */
+  function convert(amount, currency) {
+    if (amount === null || amount === undefined || !currency) return null;
+    const rate = table.rates[currency];
+    if (!rate) return null;
+    return Math.round((amount / rate) * 100) / 100;
+  }
+
+  /**
+   * Adds base-currency fields to a normalized price entry.
+   * @param {object} entry - A normalized price entry (see `utils/normalize`).
+   * @returns {object} The entry plus `baseCurrency`, `basePrice` and `basePricePerGram`.
+   */
+  function convertEntry(entry) {
+    return {
+      ...entry,
+      baseCurrency: table.base,
+      basePrice: convert(entry.price, entry.currency),
+      basePricePerGram: convert(entry.pricePerGram, entry.currency),
+    };
+  }
+
+  function getTable() {
+    return { ...table, rates: { ...table.rates } };
+  }
+
+  /**
+   * Replaces the rate table and saves it.
+   * @param {object} next - `{ base, rates }`. `base` defaults to the current base.
+   * @returns {object} The new table.
+   * @throws {Error} With `errors` listing the problems when the table is invalid; the file
+   * system's error if it cannot be saved, leaving the current table in use.
+   */
+  function update({ base = table.base, rates }) {
+    // Checked before the base rate is filled in, or a missing table would pass as base-only
+    const errors = validateRateTable({ base, rates });
+    if (errors.length > 0) {
+      const err = new Error('Invalid exchange-rate table');
+      err.errors = errors;
+      throw err;
+    }
+
+    const next = { base, updatedAt: new Date().toISOString(), rates: { ...rates, [base]: 1 } };
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(next, null, 2) + '\n');
+    fs.renameSync(tempPath, filePath);
+    // Only a saved table is used, so memory and disk never disagree
+    table = next;
+    return getTable();
+  }
+
+  return { convert, convertEntry, getTable, update };
+}
+
+module.exports = {
+  validateRateTable,
+  createExchangeRates,
+};
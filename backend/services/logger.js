@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Structured logging: one JSON object per line, carrying the correlation ID of the
+ * request (or CLI lookup, or sweep step) it was written for. The ID lives in an AsyncLocalStorage
+ * context opened by `withLogContext`, so code deep in the pipeline logs it without being passed it.
+ *
+ * Lines go through `console.log` (debug, info) and `console.error` (warn, error), which the CLI
+ * redirects so that stdout only carries its results. `LOG_LEVEL` sets the least level written.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'info';
+
+const contextStorage = new AsyncLocalStorage();
+
+function minimumLevel() {
+  return LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS[DEFAULT_LEVEL];
+}
+
+/**
+ * Errors do not survive `JSON.stringify`; keep the parts worth reading.
+ */
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  const serialized = { name: err.name, message: err.message };
+  if (err.code !== undefined) serialized.code = err.code;
+  if (err.details !== undefined) serialized.details = err.details;
+  // A pipeline error's code already says what went wrong; a stack only helps with unexpected ones
+  if (err.name !== 'PipelineError') serialized.stack = err.stack;
+  return serialized;
+}
+
+function write(level, bindings, msg, fields = {}) {
+  if (LEVELS[level] < minimumLevel()) return;
+  const entry = { time: new Date().toISOString(), level, msg, ...contextStorage.getStore(), ...bindings };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serializeError(value);
+  }
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+/**
+ * Creates a logger whose lines all carry `bindings`, e.g. `{module: 'browserPool'}`.
+ * @param {object} [bindings={}]
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ * Each level method takes a message and optional fields; Error values are serialized.
+ */
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: more => createLogger({ ...bindings, ...more }),
+  };
+}
+
+/**
+ * Runs `fn` with `fields` (typically `{requestId}`) added to every line logged while it runs,
+ * including from callbacks and promises it starts. Nested contexts add to the outer one.
+ * @param {object} fields
+ * @param {Function} fn
+ * @returns {*} What `fn` returns.
+ */
+function withLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+/**
+ * @returns {object} The fields of the current log context; empty outside of one.
+ */
+function getLogContext() {
+  return contextStorage.getStore() ?? {};
+}
+
+module.exports = {
+  LEVELS,
+  logger: createLogger(),
+  createLogger,
+  withLogContext,
+  getLogContext,
+};
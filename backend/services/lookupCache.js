@@ -0,0 +1,58 @@
+/**
+ * @fileoverview The shared cache layers of the lookup pipeline:
+ * identifier -> CID, CID -> PubChem vendor list, CID -> PubChem compound properties,
+ * and vendor URL -> scraped prices.
+ * TTLs are configurable per layer; set CACHE_PERSIST=true to keep entries across restarts.
+ */
+
+const path = require('path');
+
+const createTtlCache = require('./ttlCache');
+
+const HOUR_MS = 60 * 60 * 1000;
+const CACHE_DIR = './meta/cache';
+const persist = process.env.CACHE_PERSIST === 'true';
+
+function layer(name, ttlMs) {
+  return createTtlCache({
+    name,
+    ttlMs,
+    filePath: persist ? path.join(CACHE_DIR, `${name}.json`) : null,
+  });
+}
+
+// CIDs practically never change; vendor listings change slowly; prices change most often
+const cidCache = layer('cid', (Number(process.env.CACHE_TTL_CID_HOURS) || 24 * 7) * HOUR_MS);
+const vendorListCache = layer('vendors', (Number(process.env.CACHE_TTL_VENDORS_HOURS) || 24) * HOUR_MS);
+const compoundCache = layer('compounds', (Number(process.env.CACHE_TTL_COMPOUNDS_HOURS) || 24 * 7) * HOUR_MS);
+const priceCache = layer('prices', (Number(process.env.CACHE_TTL_PRICES_MINUTES) || 60) * 60 * 1000);
+
+/**
+ * Reads the `?refresh=true` cache bypass from a request.
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+function wantsRefresh(req) {
+  return req.query.refresh === 'true' || req.query.refresh === '1';
+}
+
+/**
+ * Formats cache metadata as a short header value, e.g. "hit; age=42".
+ */
+function cacheHeader(cache) {
+  return `${cache.hit ? 'hit' : 'miss'}; age=${cache.ageSeconds}`;
+}
+
+function flushAll() {
+  [cidCache, vendorListCache, compoundCache, priceCache].forEach(cache => cache.flush());
+}
+
+module.exports = {
+  cidCache,
+  vendorListCache,
+  compoundCache,
+  priceCache,
+  wantsRefresh,
+  cacheHeader,
+  flushAll,
+};
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview In-process metrics in the Prometheus text exposition format, served at `/metrics`.
+ * Counters and histograms only, labelled with low-cardinality values (route patterns, vendor names,
+ * outcomes; never identifiers). The `metrics` below are shared by every module that records them.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; from a cached lookup (a few ms) up to a crawl close to its deadline
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+/**
+ * Creates an empty metric registry.
+ * @returns {{counter: Function, histogram: Function, render: Function, reset: Function}}
+ */
+function createMetricsRegistry() {
+  const metrics = [];
+
+  // Series are keyed by their label values in `labelNames` order; missing labels become ''
+  function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+  }
+
+  function labelsOf(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+  }
+
+  /**
+   * @param {{name: string, help: string, labelNames?: string[]}} options
+   * @returns {{inc: function(object=, number=): void}}
+   */
+  function counter({ name, help, labelNames = [] }) {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      lines: () => [...series].map(([key, value]) => `${name}${formatLabels(labelsOf(labelNames, key))} ${formatNumber(value)}`),
+      reset: () => series.clear(),
+    });
+    return {
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        series.set(key, (series.get(key) ?? 0) + value);
+      },
+    };
+  }
+
+  /**
+   * @param {{name: string, help: string, labelNames?: string[], buckets?: number[]}} options
+   * `buckets` are upper bounds in ascending order; `+Inf` is added.
+   * @returns {{observe: function(object, number): void, startTimer: function(object=): function(object=): number}}
+   * `startTimer` returns a function that observes the seconds elapsed (with extra labels) and returns them.
+   */
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => [...series].flatMap(([key, { counts, sum, count }]) => {
+        const labels = labelsOf(labelNames, key);
+        return [
+          ...[...buckets, Infinity].map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[i]}`),
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`,
+        ];
+      }),
+      reset: () => series.clear(),
+    });
+
+    function observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) series.set(key, { counts: new Array(buckets.length + 1).fill(0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      // Buckets are cumulative: a value counts toward every bound at or above it
+      [...buckets, Infinity].forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    }
+
+    return {
+      observe,
+      startTimer(labels = {}) {
+        const startedAt = performance.now();
+        return (moreLabels = {}) => {
+          const seconds = (performance.now() - startedAt) / 1000;
+          observe({ ...labels, ...moreLabels }, seconds);
+          return seconds;
+        };
+      },
+    };
+  }
+
+  /**
+   * @returns {string} Every metric with its HELP and TYPE lines.
+   */
+  function render() {
+    return metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines(),
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  function reset() {
+    for (const metric of metrics) metric.reset();
+  }
+
+  return { counter, histogram, render, reset };
+}
+
+const registry = createMetricsRegistry();
+
+const metrics = {
+  httpRequests: registry.counter({
+    name: 'purepeg_http_requests_total',
+    help: 'HTTP requests handled, by method, route pattern and status code.',
+    labelNames: ['method', 'route', 'status'],
+  }),
+  httpRequestDuration: registry.histogram({
+    name: 'purepeg_http_request_duration_seconds',
+    help: 'Time to answer an HTTP request, by method and route pattern.',
+    labelNames: ['method', 'route'],
+  }),
+  pubchemRequestDuration: registry.histogram({
+    name: 'purepeg_pubchem_request_duration_seconds',
+    help: 'PubChem REST request latency per attempt, by outcome (ok, not_found, error).',
+    labelNames: ['outcome'],
+  }),
+  lookupStageDuration: registry.histogram({
+    name: 'purepeg_lookup_stage_duration_seconds',
+    help: 'Time spent in each lookup stage: pubchem_cid, pubchem_vendors, woocommerce, cas_number.',
+    labelNames: ['stage'],
+  }),
+  vendorDuration: registry.histogram({
+    name: 'purepeg_vendor_duration_seconds',
+    help: 'Time for a vendor handler to produce its card, by vendor and card status.',
+    labelNames: ['vendor', 'status'],
+  }),
+  crawlDuration: registry.histogram({
+    name: 'purepeg_crawl_duration_seconds',
+    help: 'Duration of one crawl attempt, by vendor and outcome (success, empty, error).',
+    labelNames: ['vendor', 'outcome'],
+  }),
+  crawlFailures: registry.counter({
+    name: 'purepeg_crawl_failures_total',
+    help: 'Failed crawl attempts, by vendor and error type.',
+    labelNames: ['vendor', 'error_type'],
+  }),
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  createMetricsRegistry,
+  registry,
+  metrics,
+};
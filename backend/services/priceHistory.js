@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Append-only price history stored as JSON lines under `backend/meta`.
+ * Every vendor result sent to a client is also written here, one line per vendor per lookup,
+ * so price changes can be traced over time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const logger = require('./logger').createLogger({ module: 'priceHistory' });
+
+/**
+ * Creates a price history store backed by a JSON-lines file.
+ * @param {object} options
+ * @param {string} options.filePath - Location of the `.jsonl` file. Created on first write.
+ * @returns {{record: Function, query: Function}}
+ */
+function createPriceHistory({ filePath }) {
+  // Appends are chained so concurrent lookups never interleave partial lines
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Persists the vendor results of one lookup.
+   * @param {object} entry
+   * @param {string} entry.searchTerm - The identifier the user searched for.
+   * @param {number|null} entry.cid - The PubChem CID the identifier resolved to.
+   * @param {Array<object>} entry.results - Vendor responses as produced by `formatResponse`.
+   * @param {Date} [entry.fetchedAt=new Date()] - When the results were fetched.
+   * @returns {Promise<void>}
+   */
+  function record({ searchTerm, cid, results, fetchedAt = new Date() }) {
+    const timestamp = fetchedAt.toISOString();
+    const lines = results.map(result => JSON.stringify({
+      timestamp,
+      cid: cid ?? null,
+      searchTerm,
+      vendorName: result.vendorName,
+      status: result.status,
+      url: result.data.url,
+      prices: result.data.prices,
+    })).join('\n') + '\n';
+
+    writeQueue = writeQueue
+      .then(() => fs.promises.mkdir(path.dirname(filePath), { recursive: true }))
+      .then(() => fs.promises.appendFile(filePath, lines))
+      .catch(err => logger.error('Failed to write price history', { err }));
+    return writeQueue;
+  }
+
+  /**
+   * Reads history entries matching the given filters, oldest first.
+   * @param {object} filters
+   * @param {number} [filters.cid] - Only entries for this CID.
+   * @param {string} [filters.vendorName] - Only entries for this vendor (case-insensitive).
+   * @param {Date} [filters.since] - Only entries at or after this time.
+   * @param {Date} [filters.until] - Only entries at or before this time.
+   * @returns {Promise<Array<object>>}
+   */
+  async function query({ cid, vendorName, since, until } = {}) {
+    await writeQueue;
+    if (!fs.existsSync(filePath)) return [];
+
+    const vendorKey = vendorName?.toLowerCase();
+    const entries = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        entry = null;
+      }
+      // A line cut short by a crash can still parse, e.g. as a bare number
+      if (typeof entry?.vendorName !== 'string' || typeof entry.timestamp !== 'string') {
+        logger.warn('Skipping corrupt price history line.');
+        continue;
+      }
+      if (cid !== undefined && entry.cid !== cid) continue;
+      if (vendorKey && entry.vendorName.toLowerCase() !== vendorKey) continue;
+      const time = new Date(entry.timestamp);
+      if (since && time < since) continue;
+      if (until && time > until) continue;
+      entries.push(entry);
+    }
+    return entries;
+  }
+
+  return { record, query };
+}
+
+/**
+ * Lists, for one vendor's history, every point at which a pack size's price changed
+ * or a pack appeared/disappeared.
+ * @param {Array<object>} entries - History entries for a single vendor, oldest first.
+ * @returns {Array<{timestamp: string, quantity: string, previousPrice: number|null, price: number|null}>}
+ */
+function findPriceChanges(entries) {
+  const changes = [];
+  let previous = null;
+
+  for (const entry of entries) {
+    if (entry.status !== 'success') continue;
+    const current = new Map(entry.prices.map(p => [packKey(p), p.price]));
+    if (previous) {
+      for (const key of new Set([...previous.keys(), ...current.keys()])) {
+        const before = previous.has(key) ? previous.get(key) : null;
+        const after = current.has(key) ? current.get(key) : null;
+        if (before !== after) {
+          changes.push({ timestamp: entry.timestamp, quantity: key, previousPrice: before, price: after });
+        }
+      }
+    }
+    previous = current;
+  }
+  return changes;
+}
+
+function packKey(price) {
+  return price.amount !== null ? `${price.amount} ${price.unit}` : String(price.raw.quantity);
+}
+
+module.exports = {
+  createPriceHistory,
+  findPriceChanges,
+};
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview The one way the pipeline calls PubChem. Every request has a timeout and is retried
+ * with backoff while PubChem is busy or unreachable (5xx, 429, network errors and timeouts);
+ * anything left failing surfaces as PUBCHEM_UNAVAILABLE. "Not found" is an answer, not an error.
+ * Every attempt's latency is recorded in the PubChem metrics.
+ */
+
+const axios = require('axios');
+
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { pipelineError } = require('../utils/errors');
+const { withRetry } = require('../utils/retry');
+
+const PUBCHEM_TIMEOUT_MS = Number(process.env.PUBCHEM_TIMEOUT_MS) || 15000;
+const PUBCHEM_RETRIES = Math.max(Number.parseInt(process.env.PUBCHEM_RETRIES ?? '2', 10) || 0, 0);
+const PUBCHEM_RETRY_DELAY_MS = Number(process.env.PUBCHEM_RETRY_DELAY_MS) || 500;
+
+// PubChem answers 404 for unknown names and CIDs, and 400 for input that is not a valid SMILES
+const NO_MATCH_STATUSES = [400, 404];
+
+function isTransient(err) {
+  const status = err.response?.status;
+  return status === undefined || status === 429 || status >= 500;
+}
+
+async function timedGet(url) {
+  const stopTimer = metrics.pubchemRequestDuration.startTimer();
+  try {
+    const response = await axios.get(url, { timeout: PUBCHEM_TIMEOUT_MS });
+    stopTimer({ outcome: 'ok' });
+    return response;
+  } catch (err) {
+    stopTimer({ outcome: NO_MATCH_STATUSES.includes(err.response?.status) ? 'not_found' : 'error' });
+    throw err;
+  }
+}
+
+/**
+ * GETs a PubChem REST URL.
+ * @param {string} url
+ * @returns {Promise<object|null>} The response body, or null when PubChem has nothing for the request.
+ * @throws {Error} PUBCHEM_UNAVAILABLE once the retries run out.
+ */
+async function pubchemGet(url) {
+  try {
+    logger.debug('PubChem request', { url });
+    const response = await withRetry(() => timedGet(url), {
+      retries: PUBCHEM_RETRIES,
+      baseDelayMs: PUBCHEM_RETRY_DELAY_MS,
+      shouldRetry: isTransient,
+      onRetry: (err, attempt, delayMs) => logger.warn('PubChem request failed, retrying', { url, err: err.message, attempt, delayMs }),
+    });
+    return response.data;
+  } catch (err) {
+    if (NO_MATCH_STATUSES.includes(err.response?.status)) return null;
+    const fault = err.response?.data?.Fault?.Message;
+    throw pipelineError('PUBCHEM_UNAVAILABLE', { details: fault ? `${err.message}: ${fault}` : err.message, cause: err });
+  }
+}
+
+module.exports = {
+  pubchemGet,
+};
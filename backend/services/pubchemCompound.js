@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Descriptive PubChem data for a resolved CID: IUPAC name, formula, molecular weight,
+ * SMILES and the most common synonyms. Used to show users which compound their identifier resolved to,
+ * and to let them choose when it resolved to several.
+ */
+
+const { compoundCache } = require('./lookupCache');
+const { logger } = require('./logger');
+const { pubchemGet } = require('./pubchem');
+const { pipelineError } = require('../utils/errors');
+
+const PUBCHEM_REST = 'https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/cid';
+const PROPERTIES = ['IUPACName', 'MolecularFormula', 'MolecularWeight', 'CanonicalSMILES'];
+const MAX_SYNONYMS = 10;
+const MAX_CANDIDATES = 10;
+
+/**
+ * @param {number} cid - The PubChem CID.
+ * @returns {string} A PNG of the 2D structure, served by PubChem.
+ */
+function structureImageUrl(cid) {
+  return `${PUBCHEM_REST}/${encodeURIComponent(cid)}/PNG`;
+}
+
+function toMolecularWeight(value) {
+  const molecularWeight = Number(value);
+  return Number.isFinite(molecularWeight) && molecularWeight > 0 ? molecularWeight : null;
+}
+
+/**
+ * Fetches a compound's properties and synonyms from PubChem.
+ * @param {number} cid - The PubChem CID.
+ * @returns {Promise<{cid: number, iupacName: string|null, formula: string|null, molecularWeight: number|null,
+ *   smiles: string|null, synonyms: string[], imageUrl: string, pubchemUrl: string}>}
+ * @throws {Error} COMPOUND_NOT_FOUND for an unknown CID, PUBCHEM_UNAVAILABLE if PubChem cannot be reached.
+ * A compound without synonyms is not an error.
+ */
+async function fetchCompoundProperties(cid) {
+  const propertiesUrl = `${PUBCHEM_REST}/${encodeURIComponent(cid)}/property/${PROPERTIES.join(',')}/JSON`;
+  const synonymsUrl = `${PUBCHEM_REST}/${encodeURIComponent(cid)}/synonyms/JSON`;
+
+  const [propertiesData, synonymsData] = await Promise.all([pubchemGet(propertiesUrl), pubchemGet(synonymsUrl)]);
+  if (!propertiesData) {
+    throw pipelineError('COMPOUND_NOT_FOUND', { message: `PubChem has no compound with CID ${cid}` });
+  }
+
+  const properties = propertiesData.PropertyTable?.Properties?.[0] || {};
+  const synonyms = synonymsData?.InformationList?.Information?.[0]?.Synonym || [];
+  return {
+    cid,
+    iupacName: properties.IUPACName || null,
+    formula: properties.MolecularFormula || null,
+    molecularWeight: toMolecularWeight(properties.MolecularWeight),
+    // PubChem now answers a CanonicalSMILES request with ConnectivitySMILES
+    smiles: properties.CanonicalSMILES || properties.ConnectivitySMILES || properties.SMILES || null,
+    synonyms: synonyms.slice(0, MAX_SYNONYMS),
+    imageUrl: structureImageUrl(cid),
+    pubchemUrl: `https://pubchem.ncbi.nlm.nih.gov/compound/${encodeURIComponent(cid)}`,
+  };
+}
+
+/**
+ * `fetchCompoundProperties` behind the CID -> compound properties cache layer.
+ * @param {number} cid - The PubChem CID.
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Bypass the cache.
+ * @returns {Promise<{compound: object, cache: object}>}
+ */
+async function cachedFetchCompoundProperties(cid, { refresh = false } = {}) {
+  const { value, cache } = await compoundCache.wrap(String(cid), () => fetchCompoundProperties(cid), { refresh });
+  return { compound: value, cache };
+}
+
+/**
+ * Describes the compounds an ambiguous identifier resolved to, in one PubChem request.
+ * @param {number[]} cids - The matching CIDs in PubChem's order.
+ * @returns {Promise<Array<{cid: number, title: string|null, iupacName: string|null, formula: string|null,
+ *   molecularWeight: number|null, imageUrl: string}>>} The first `MAX_CANDIDATES`. Never rejects:
+ * if PubChem fails, the candidates carry their CID and structure image only.
+ */
+async function describeCandidates(cids) {
+  const shown = cids.slice(0, MAX_CANDIDATES);
+  let properties = [];
+  try {
+    const url = `${PUBCHEM_REST}/${shown.join(',')}/property/Title,IUPACName,MolecularFormula,MolecularWeight/JSON`;
+    properties = (await pubchemGet(url))?.PropertyTable?.Properties || [];
+  } catch (err) {
+    logger.error('Could not describe candidate CIDs', { cids: shown, err });
+  }
+
+  return shown.map(cid => {
+    const match = properties.find(p => p.CID === cid) || {};
+    return {
+      cid,
+      title: match.Title || null,
+      iupacName: match.IUPACName || null,
+      formula: match.MolecularFormula || null,
+      molecularWeight: toMolecularWeight(match.MolecularWeight),
+      imageUrl: structureImageUrl(cid),
+    };
+  });
+}
+
+module.exports = {
+  structureImageUrl,
+  describeCandidates,
+  fetchCompoundProperties,
+  cachedFetchCompoundProperties,
+};
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Each user's recent searches, newest first, so a lookup can be repeated with one
+ * click. Searching an identifier again moves it to the top instead of adding a duplicate.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('./logger').createLogger({ module: 'searchHistory' });
+
+const MAX_PER_USER = 50;
+
+function readJson(filePath, fallback) {
+  try {
+    if (fs.existsSync(filePath)) return JSON.parse(fs.readFileSync(filePath));
+  } catch (err) {
+    logger.error('Could not read search history, starting empty', { filePath, err });
+  }
+  return fallback;
+}
+
+/**
+ * Creates the search history.
+ * @param {object} options
+ * @param {string} options.filePath - JSON file holding every user's searches.
+ * @returns {{record: Function, list: Function, clear: Function}}
+ */
+function createSearchHistory({ filePath }) {
+  const searches = readJson(filePath, {});
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Write then rename so a crash mid-write never leaves a truncated file
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(searches, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (err) {
+      logger.error('Could not save search history', { err });
+    }
+  }
+
+  /**
+   * @param {string} userId
+   * @param {object} search
+   * @param {string} search.identifier - What the user searched for.
+   * @param {number|null} search.cid - The CID it was priced under; null if it did not resolve to one.
+   */
+  function record(userId, { identifier, cid }) {
+    const key = identifier.trim().toLowerCase();
+    const previous = (searches[userId] || []).filter(search => search.identifier.trim().toLowerCase() !== key);
+    searches[userId] = [{ identifier, cid, searchedAt: new Date().toISOString() }, ...previous].slice(0, MAX_PER_USER);
+    save();
+  }
+
+  /**
+   * @param {string} userId
+   * @param {object} [options]
+   * @param {number} [options.limit=MAX_PER_USER]
+   * @returns {Array<{identifier: string, cid: number|null, searchedAt: string}>} Newest first.
+   */
+  function list(userId, { limit = MAX_PER_USER } = {}) {
+    return (searches[userId] || []).slice(0, limit);
+  }
+
+  /**
+   * Forgets a user's searches, e.g. at their request or once the user is deleted.
+   */
+  function clear(userId) {
+    if (!searches[userId]) return;
+    delete searches[userId];
+    save();
+  }
+
+  return { record, list, clear };
+}
+
+module.exports = {
+  createSearchHistory,
+};
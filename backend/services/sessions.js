@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Login sessions for the browser frontend. A session is a random token handed to the
+ * browser in an HttpOnly cookie; only its hash is kept, in memory, so a restart logs everyone out.
+ */
+
+const crypto = require('crypto');
+
+const { hashToken } = require('./users');
+
+/**
+ * Creates the session store.
+ * @param {object} options
+ * @param {number} options.ttlMs - How long a session lasts after login.
+ * @returns {{create: Function, get: Function, destroy: Function, destroyForUser: Function}}
+ */
+function createSessions({ ttlMs }) {
+  const sessions = new Map();
+
+  function pruneExpired(now = Date.now()) {
+    for (const [hash, session] of sessions) {
+      if (session.expiresAt <= now) sessions.delete(hash);
+    }
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {{token: string, expiresAt: number}} The token to hand to the client.
+   */
+  function create(userId) {
+    pruneExpired();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + ttlMs;
+    sessions.set(hashToken(token), { userId, expiresAt });
+    return { token, expiresAt };
+  }
+
+  /**
+   * @param {string} token
+   * @returns {{userId: string, expiresAt: number}|null} The session, unless unknown or expired.
+   */
+  function get(token) {
+    if (!token) return null;
+    const hash = hashToken(token);
+    const session = sessions.get(hash);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(hash);
+      return null;
+    }
+    return session;
+  }
+
+  function destroy(token) {
+    if (token) sessions.delete(hashToken(token));
+  }
+
+  /**
+   * Ends every session of a user, e.g. once the user is deleted or changes their password.
+   */
+  function destroyForUser(userId) {
+    for (const [hash, session] of sessions) {
+      if (session.userId === userId) sessions.delete(hash);
+    }
+  }
+
+  return { create, get, destroy, destroyForUser };
+}
+
+module.exports = {
+  createSessions,
+};
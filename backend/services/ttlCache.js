@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Small TTL cache with optional on-disk persistence.
+ * Used to avoid repeating PubChem lookups and vendor crawls for identifiers that were
+ * searched recently. Every read reports whether it was a hit and how old the value is,
+ * so responses can tell users how fresh their numbers are.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('./logger').createLogger({ module: 'ttlCache' });
+
+const PERSIST_DEBOUNCE_MS = 2000;
+
+/**
+ * Creates a TTL cache.
+ * @param {object} options
+ * @param {string} options.name - Used in logs and cache metadata.
+ * @param {number} options.ttlMs - How long an entry stays fresh.
+ * @param {number} [options.maxEntries=5000] - Oldest entries are evicted beyond this.
+ * @param {string|null} [options.filePath=null] - If set, entries are loaded from and saved to this JSON file.
+ * @returns {{get: Function, set: Function, wrap: Function, delete: Function, clear: Function, stats: Function, flush: Function}}
+ */
+function createTtlCache({ name, ttlMs, maxEntries = 5000, filePath = null }) {
+  // Map preserves insertion order, which doubles as the eviction order
+  const entries = new Map();
+  const pending = new Map();
+  let hits = 0;
+  let misses = 0;
+  let persistTimer = null;
+
+  if (filePath) loadFromDisk();
+
+  function isFresh(entry) {
+    return Date.now() - entry.storedAt < ttlMs;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {{value: *, storedAt: number}|undefined} The entry, if present and not expired.
+   */
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (!isFresh(entry)) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, storedAt: Date.now() });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    schedulePersist();
+  }
+
+  /**
+   * Returns the cached value for `key`, or computes, stores and returns it.
+   * Concurrent misses for the same key share one computation.
+   * @param {string} key
+   * @param {function(): Promise<*>} compute - Produces the value on a miss.
+   * @param {object} [options]
+   * @param {boolean} [options.refresh=false] - Ignore any cached value and recompute.
+   * @param {function(*): boolean} [options.shouldCache] - Return false to skip storing a computed value.
+   * @returns {Promise<{value: *, cache: {layer: string, hit: boolean, ageSeconds: number, storedAt: string}}>}
+   */
+  async function wrap(key, compute, { refresh = false, shouldCache = () => true } = {}) {
+    const entry = refresh ? undefined : get(key);
+    if (entry) {
+      hits++;
+      return { value: entry.value, cache: describe(entry, true) };
+    }
+
+    misses++;
+    if (!pending.has(key)) {
+      pending.set(key, (async () => {
+        try {
+          const value = await compute();
+          if (shouldCache(value)) set(key, value);
+          return { value, storedAt: Date.now() };
+        } finally {
+          pending.delete(key);
+        }
+      })());
+    }
+    const result = await pending.get(key);
+    return { value: result.value, cache: describe(result, false) };
+  }
+
+  function describe(entry, hit) {
+    return {
+      layer: name,
+      hit,
+      ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000),
+      storedAt: new Date(entry.storedAt).toISOString(),
+    };
+  }
+
+  function stats() {
+    return { name, size: entries.size, hits, misses, ttlSeconds: Math.round(ttlMs / 1000) };
+  }
+
+  function clear() {
+    entries.clear();
+    schedulePersist();
+  }
+
+  function schedulePersist() {
+    if (!filePath || persistTimer) return;
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      flush();
+    }, PERSIST_DEBOUNCE_MS);
+    persistTimer.unref();
+  }
+
+  /**
+   * Writes fresh entries to disk right away. No-op without a `filePath`.
+   */
+  function flush() {
+    if (!filePath) return;
+    try {
+      const fresh = [...entries].filter(([, entry]) => isFresh(entry));
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(fresh));
+      fs.renameSync(tempPath, filePath);
+    } catch (err) {
+      logger.error('Failed to persist cache', { cache: name, err });
+    }
+  }
+
+  function loadFromDisk() {
+    try {
+      if (!fs.existsSync(filePath)) return;
+      for (const [key, entry] of JSON.parse(fs.readFileSync(filePath))) {
+        if (isFresh(entry)) entries.set(key, entry);
+      }
+      logger.info('Loaded cache from disk', { cache: name, entries: entries.size });
+    } catch (err) {
+      logger.error('Could not load cache from disk', { cache: name, err });
+    }
+  }
+
+  return { get, set, wrap, delete: key => entries.delete(key), clear, stats, flush };
+}
+
+module.exports = createTtlCache;
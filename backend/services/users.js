@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Local user accounts. Passwords are stored as salted scrypt hashes; API keys are
+ * stored as SHA-256 hashes and shown to their owner once, when created.
+ *
+ * Roles:
+ * - viewer: looks up prices and reads everything the app shows
+ * - admin: also changes shared state (catalog syncs, sweeps, exchange rates, alert rules, users)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('./logger').createLogger({ module: 'users' });
+
+const ROLES = ['viewer', 'admin'];
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+const API_KEY_PREFIX = 'ppk_';
+
+/**
+ * @param {string} password
+ * @returns {string} `scrypt$<salt>$<hash>`, hex-encoded.
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * @param {string} password
+ * @param {string} stored - A hash produced by `hashPassword`.
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * @param {string} token - A session token or API key.
+ * @returns {string} Its SHA-256 hash, hex-encoded. Tokens are random, so no salt is needed.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * @param {string} role - The role a user has.
+ * @param {string} required - The role an action needs.
+ * @returns {boolean} Whether `role` is `required` or above it.
+ */
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(required);
+}
+
+/**
+ * Checks a user submitted by an admin.
+ * @param {object} input
+ * @returns {string[]} Problems found; empty if the user is valid.
+ */
+function validateUser(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object') return ['user must be an object'];
+  if (typeof input.username !== 'string' || !USERNAME_PATTERN.test(input.username)) {
+    errors.push('"username" must be 3-32 letters, digits, dots, dashes or underscores');
+  }
+  if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`"password" must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (!ROLES.includes(input.role)) errors.push(`"role" must be one of ${ROLES.join(', ')}`);
+  return errors;
+}
+
+function invalid(message, errors) {
+  const err = new Error(message);
+  err.errors = errors;
+  return err;
+}
+
+function readJson(filePath, fallback) {
+  try {
+    if (fs.existsSync(filePath)) return JSON.parse(fs.readFileSync(filePath));
+  } catch (err) {
+    logger.error('Could not read users file, starting empty', { filePath, err });
+  }
+  return fallback;
+}
+
+function writeJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // Write then rename so a crash mid-write never leaves a truncated file
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(value, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Creates the user store.
+ * @param {object} options
+ * @param {string} options.filePath - JSON file holding the accounts.
+ * @returns {{list: Function, count: Function, get: Function, add: Function, remove: Function,
+ *   setPassword: Function, authenticate: Function, createApiKey: Function, revokeApiKey: Function,
+ *   findByApiKey: Function}}
+ */
+function createUsers({ filePath }) {
+  let users = readJson(filePath, []);
+  // Compared against when the username is unknown, so a miss takes as long as a wrong password
+  let dummyHash = null;
+
+  function save() {
+    writeJson(filePath, users);
+  }
+
+  // What leaves this module: never the password hash or key hashes
+  function toKeyListing({ id, label, prefix, createdAt }) {
+    return { id, label, prefix, createdAt };
+  }
+
+  function toPublic(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      createdAt: user.createdAt,
+      apiKeys: user.apiKeys.map(toKeyListing),
+    };
+  }
+
+  function findRaw(id) {
+    return users.find(user => user.id === id);
+  }
+
+  /**
+   * @returns {Array<object>} Every user, oldest first.
+   */
+  function list() {
+    return users.map(toPublic);
+  }
+
+  function count() {
+    return users.length;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null}
+   */
+  function get(id) {
+    const user = findRaw(id);
+    return user ? toPublic(user) : null;
+  }
+
+  /**
+   * @param {{username: string, password: string, role: string}} input
+   * @returns {object} The new user.
+   * @throws {Error} With `errors` listing the problems when the user is invalid or the username is taken.
+   */
+  function add(input) {
+    const errors = validateUser(input);
+    if (errors.length > 0) throw invalid('Invalid user', errors);
+    if (users.some(user => user.username.toLowerCase() === input.username.toLowerCase())) {
+      throw invalid('Invalid user', [`username "${input.username}" is already taken`]);
+    }
+    const user = {
+      id: crypto.randomUUID(),
+      username: input.username,
+      role: input.role,
+      passwordHash: hashPassword(input.password),
+      apiKeys: [],
+      createdAt: new Date().toISOString(),
+    };
+    users = [...users, user];
+    save();
+    return toPublic(user);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} Whether a user was removed.
+   */
+  function remove(id) {
+    const remaining = users.filter(user => user.id !== id);
+    if (remaining.length === users.length) return false;
+    users = remaining;
+    save();
+    return true;
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} password
+   * @returns {boolean} Whether the user exists.
+   * @throws {Error} With `errors` when the password is too short.
+   */
+  function setPassword(id, password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw invalid('Invalid password', [`"password" must be at least ${MIN_PASSWORD_LENGTH} characters`]);
+    }
+    const user = findRaw(id);
+    if (!user) return false;
+    user.passwordHash = hashPassword(password);
+    save();
+    return true;
+  }
+
+  /**
+   * @param {string} username - Matched case-insensitively.
+   * @param {string} password
+   * @returns {object|null} The user, or null if the username or password is wrong.
+   */
+  function authenticate(username, password) {
+    const user = users.find(u => u.username.toLowerCase() === String(username).toLowerCase());
+    if (!user) {
+      dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+      verifyPassword(String(password), dummyHash);
+      return null;
+    }
+    return verifyPassword(String(password), user.passwordHash) ? toPublic(user) : null;
+  }
+
+  /**
+   * @param {string} id - The owner.
+   * @param {string} [label] - What the key is for, shown in key listings.
+   * @returns {{key: string, apiKey: object}|null} The key itself, which is not stored and cannot be
+   * shown again, and its listing entry. Null if the user does not exist.
+   */
+  function createApiKey(id, label) {
+    const user = findRaw(id);
+    if (!user) return null;
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const apiKey = {
+      id: crypto.randomUUID(),
+      label: typeof label === 'string' && label.trim() ? label.trim() : 'API key',
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      hash: hashToken(key),
+      createdAt: new Date().toISOString(),
+    };
+    user.apiKeys.push(apiKey);
+    save();
+    return { key, apiKey: toKeyListing(apiKey) };
+  }
+
+  /**
+   * @param {string} id - The owner.
+   * @param {string} keyId
+   * @returns {boolean} Whether a key was revoked.
+   */
+  function revokeApiKey(id, keyId) {
+    const user = findRaw(id);
+    if (!user || !user.apiKeys.some(key => key.id === keyId)) return false;
+    user.apiKeys = user.apiKeys.filter(key => key.id !== keyId);
+    save();
+    return true;
+  }
+
+  /**
+   * @param {string} key - An API key as sent by a client.
+   * @returns {object|null} Its owner.
+   */
+  function findByApiKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) return null;
+    const hash = hashToken(key);
+    const user = users.find(u => u.apiKeys.some(apiKey => apiKey.hash === hash));
+    return user ? toPublic(user) : null;
+  }
+
+  return { list, count, get, add, remove, setPassword, authenticate, createApiKey, revokeApiKey, findByApiKey };
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  hasRole,
+  validateUser,
+  createUsers,
+};
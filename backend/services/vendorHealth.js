@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Per-vendor crawl health: success rate, latency, empty results and error types.
+ * Every live crawl is recorded as an event. The recent window is kept in memory and appended
+ * to a JSON-lines file, so trends survive restarts. When a vendor's page keeps loading but
+ * its expected elements are missing, the vendor is flagged for likely selector drift,
+ * which usually means the site was redesigned and its scraper needs updating.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const logger = require('./logger').createLogger({ module: 'vendorHealth' });
+
+const ERROR_TYPES = ['navigation', 'timeout', 'http_error', 'blocked', 'selector_missing', 'parse', 'unknown'];
+const DRIFT_WINDOW = 5;
+const DRIFT_THRESHOLD = 2;
+
+const BLOCKED_PATTERN = /captcha|access denied|are you a robot|cloudflare|request blocked|unusual traffic/i;
+
+/**
+ * Works out what kind of failure a crawl error was.
+ * @param {Error} err - The error thrown by the crawl.
+ * @param {object} context
+ * @param {boolean} context.pageLoaded - Whether navigation to the product page succeeded.
+ * @param {number|null} [context.httpStatus] - HTTP status of the product page, if known.
+ * @param {string} [context.html] - The page HTML at the time of the failure, if captured.
+ * @param {boolean} [context.aborted=false] - Whether the crawl was cut off by the vendor's deadline.
+ * @returns {string} One of `ERROR_TYPES`.
+ */
+function classifyCrawlError(err, { pageLoaded, httpStatus = null, html = '', aborted = false }) {
+  if (aborted) return 'timeout';
+  if (!pageLoaded) return err.name === 'TimeoutError' ? 'timeout' : 'navigation';
+  if (httpStatus === 403 || httpStatus === 429 || BLOCKED_PATTERN.test(html)) return 'blocked';
+  if (httpStatus !== null && httpStatus >= 400) return 'http_error';
+  if (err.name === 'TimeoutError' || /waiting for (locator|selector)/i.test(err.message)) return 'selector_missing';
+  if (err instanceof TypeError || err instanceof SyntaxError) return 'parse';
+  return 'unknown';
+}
+
+/**
+ * Creates the health tracker.
+ * @param {object} options
+ * @param {string|null} [options.filePath=null] - JSON-lines file to persist events to.
+ * @param {number} [options.windowSize=100] - Events kept per vendor for the statistics.
+ * @returns {{record: Function, load: Function, summarize: Function, summarizeAll: Function}}
+ */
+function createVendorHealth({ filePath = null, windowSize = 100 } = {}) {
+  const eventsByVendor = new Map();
+  let writeQueue = Promise.resolve();
+
+  function remember(event) {
+    const events = eventsByVendor.get(event.vendorName) || [];
+    events.push(event);
+    if (events.length > windowSize) events.splice(0, events.length - windowSize);
+    eventsByVendor.set(event.vendorName, events);
+  }
+
+  /**
+   * Records the outcome of one live crawl.
+   * @param {object} event
+   * @param {string} event.vendorName
+   * @param {'success'|'empty'|'error'} event.outcome
+   * @param {number} event.latencyMs - Time from navigation start to result or failure.
+   * @param {number} [event.priceCount=0]
+   * @param {string|null} [event.errorType=null] - One of `ERROR_TYPES` when `outcome` is 'error'.
+   * @param {string|null} [event.message=null]
+   * @param {string|null} [event.url=null]
+   * @param {string|null} [event.screenshotPath=null]
+   * @param {string|null} [event.snapshotPath=null] - Saved HTML of the page at the time of failure.
+   */
+  function record(event) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      priceCount: 0,
+      errorType: null,
+      message: null,
+      url: null,
+      screenshotPath: null,
+      snapshotPath: null,
+      ...event,
+    };
+    remember(entry);
+
+    if (filePath) {
+      writeQueue = writeQueue
+        .then(() => fs.promises.mkdir(path.dirname(filePath), { recursive: true }))
+        .then(() => fs.promises.appendFile(filePath, JSON.stringify(entry) + '\n'))
+        .catch(err => logger.error('Failed to write vendor health event', { err }));
+    }
+    return entry;
+  }
+
+  /**
+   * Loads past events from the file so statistics cover crawls from before the last restart.
+   */
+  async function load() {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        remember(JSON.parse(line));
+      } catch {
+        // A half-written last line after a crash; skip it
+      }
+    }
+  }
+
+  /**
+   * Summarizes one vendor's recent crawls.
+   * @param {string} vendorName
+   * @returns {object} Rates, latency, error type counts, drift flag and an overall status of
+   * 'healthy', 'degraded', 'failing' or 'unknown' (no crawls yet).
+   */
+  function summarize(vendorName) {
+    const events = eventsByVendor.get(vendorName) || [];
+    if (events.length === 0) {
+      return { vendorName, status: 'unknown', attempts: 0 };
+    }
+
+    const successes = events.filter(e => e.outcome === 'success');
+    const empties = events.filter(e => e.outcome === 'empty');
+    const errors = events.filter(e => e.outcome === 'error');
+    const latencies = events.map(e => e.latencyMs).sort((a, b) => a - b);
+
+    const errorTypes = Object.fromEntries(ERROR_TYPES.map(type => [type, 0]));
+    errors.forEach(e => { errorTypes[e.errorType || 'unknown']++; });
+
+    const drift = detectDrift(events);
+    const successRate = successes.length / events.length;
+    const emptyRate = empties.length / events.length;
+
+    let status = 'healthy';
+    if (drift.suspected || successRate < 0.5) status = 'failing';
+    else if (successRate < 0.9 || emptyRate > 0.3) status = 'degraded';
+
+    const lastError = errors[errors.length - 1] || null;
+    return {
+      vendorName,
+      status,
+      attempts: events.length,
+      since: events[0].timestamp,
+      successRate: round(successRate),
+      emptyRate: round(emptyRate),
+      errorRate: round(errors.length / events.length),
+      latencyMs: {
+        avg: Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length),
+        p95: latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))],
+      },
+      errorTypes,
+      drift,
+      lastSuccessAt: successes[successes.length - 1]?.timestamp || null,
+      lastError: lastError && {
+        timestamp: lastError.timestamp,
+        errorType: lastError.errorType,
+        message: lastError.message,
+        url: lastError.url,
+        screenshotPath: lastError.screenshotPath,
+        snapshotPath: lastError.snapshotPath,
+      },
+    };
+  }
+
+  /**
+   * @param {string[]} vendorNames - Vendors to include, even if they have no crawls yet.
+   * @returns {Array<object>} One summary per vendor.
+   */
+  function summarizeAll(vendorNames) {
+    const names = new Set([...vendorNames, ...eventsByVendor.keys()]);
+    return [...names].map(summarize);
+  }
+
+  return { record, load, summarize, summarizeAll };
+}
+
+/**
+ * Flags likely selector drift: among the most recent crawls, the page loaded but the
+ * expected elements were missing (or matched nothing) at least `DRIFT_THRESHOLD` times,
+ * and the vendor has not succeeded since.
+ */
+function detectDrift(events) {
+  const recent = events.slice(-DRIFT_WINDOW);
+  const latestSuccess = recent.map(e => e.outcome).lastIndexOf('success');
+  const sinceSuccess = recent.slice(latestSuccess + 1);
+  const symptoms = sinceSuccess.filter(e => e.errorType === 'selector_missing' || e.outcome === 'empty');
+
+  if (symptoms.length < DRIFT_THRESHOLD) return { suspected: false, reason: null };
+  const latest = symptoms[symptoms.length - 1];
+  return {
+    suspected: true,
+    reason: latest.outcome === 'empty'
+      ? `Last ${symptoms.length} crawls loaded the page but found no price rows`
+      : `Last ${symptoms.length} crawls loaded the page but expected elements were missing: ${latest.message}`,
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  ERROR_TYPES,
+  classifyCrawlError,
+  createVendorHealth,
+};
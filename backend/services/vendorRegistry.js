@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Discovers and validates the vendor adapters in `backend/vendors/`.
+ *
+ * Each adapter is a `.js` module or a `.json` file exporting:
+ * - name: The user-facing vendor name.
+ * - type: How data is retrieved: 'api', 'crawl' or 'link'.
+ * - sourceNames: PubChem `SourceName` values for this vendor; strings (case-insensitive) or RegExps.
+ * - order (optional): Position in responses, ascending. Defaults to the end.
+ * - crawl or scraper (one required for 'crawl'): an async function(page) returning raw
+ *   {quantity, price, stock?, purity?, catalogNumber?} entries, or a declarative definition (see `utils/declarativeScraper`).
+ * - buildSearchUrl or searchUrl (optional): a function(searchTerm) returning a vendor search page URL,
+ *   or a URL template in which `{query}` is replaced by the URL-encoded search term.
+ * - search (optional, 'crawl' only): how to get from the search URL to the product page when PubChem
+ *   has no direct link (see `utils/searchResults`). Needs buildSearchUrl or searchUrl.
+ * - enabled (optional, 'crawl' only): false keeps the crawl and search from running, e.g. until their
+ *   selectors have been checked against pages recorded with `npm run record-fixture`. The vendor is
+ *   then offered as a link, like a 'link' vendor. Defaults to true.
+ * - deadlineMs (optional): How long the vendor may take before its card reports a timeout.
+ *   Defaults to the `VENDOR_DEADLINE_MS` environment variable, or 60 seconds.
+ *
+ * Adding a vendor means dropping a new file in that directory; nothing else needs to change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('./logger').createLogger({ module: 'vendorRegistry' });
+const { validateScraperDefinition, createDeclarativeCrawl } = require('../utils/declarativeScraper');
+const { validateSearchDefinition } = require('../utils/searchResults');
+
+const VENDORS_DIR = path.join(__dirname, '../vendors');
+const VENDOR_TYPES = ['api', 'crawl', 'link'];
+
+/**
+ * Checks an adapter module against the adapter schema.
+ * @param {object} adapter - The module's exports.
+ * @returns {string[]} Problems found; empty if the adapter is valid.
+ */
+function validateAdapter(adapter) {
+  const errors = [];
+  if (!adapter || typeof adapter !== 'object') return ['module must export an object'];
+
+  if (typeof adapter.name !== 'string' || !adapter.name.trim()) {
+    errors.push('"name" must be a non-empty string');
+  }
+  if (!VENDOR_TYPES.includes(adapter.type)) {
+    errors.push(`"type" must be one of ${VENDOR_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(adapter.sourceNames)
+      || !adapter.sourceNames.every(s => typeof s === 'string' || s instanceof RegExp)) {
+    errors.push('"sourceNames" must be an array of strings or RegExps');
+  }
+  if (adapter.order !== undefined && !Number.isFinite(adapter.order)) {
+    errors.push('"order" must be a number');
+  }
+  if (adapter.deadlineMs !== undefined && !(Number.isFinite(adapter.deadlineMs) && adapter.deadlineMs > 0)) {
+    errors.push('"deadlineMs" must be a positive number');
+  }
+  if (adapter.enabled !== undefined && typeof adapter.enabled !== 'boolean') {
+    errors.push('"enabled" must be a boolean');
+  }
+  if (adapter.type === 'crawl') {
+    if (adapter.crawl !== undefined && typeof adapter.crawl !== 'function') {
+      errors.push('"crawl" must be a function');
+    } else if (adapter.crawl === undefined && adapter.scraper === undefined) {
+      errors.push('crawl vendors need a "crawl" function or a "scraper" definition');
+    }
+  }
+  if (adapter.scraper !== undefined) {
+    errors.push(...validateScraperDefinition(adapter.scraper));
+  }
+  if (adapter.buildSearchUrl !== undefined && typeof adapter.buildSearchUrl !== 'function') {
+    errors.push('"buildSearchUrl" must be a function');
+  }
+  if (adapter.searchUrl !== undefined && (typeof adapter.searchUrl !== 'string' || !adapter.searchUrl.includes('{query}'))) {
+    errors.push('"searchUrl" must be a URL template containing {query}');
+  }
+  if (adapter.search !== undefined) {
+    if (adapter.type !== 'crawl') errors.push('"search" is only used by crawl vendors');
+    if (adapter.buildSearchUrl === undefined && adapter.searchUrl === undefined) {
+      errors.push('"search" needs a "buildSearchUrl" function or a "searchUrl" template');
+    }
+    errors.push(...validateSearchDefinition(adapter.search));
+  }
+  return errors;
+}
+
+/**
+ * Whether a PubChem vendor source belongs to the adapter.
+ * @param {object} adapter - A validated adapter.
+ * @param {string} sourceName - The `SourceName` of a PubChem vendor source.
+ * @returns {boolean}
+ */
+function matchesSource(adapter, sourceName) {
+  if (!sourceName) return false;
+  return adapter.sourceNames.some(matcher => (matcher instanceof RegExp
+    ? matcher.test(sourceName)
+    : matcher.toLowerCase() === sourceName.toLowerCase()));
+}
+
+/**
+ * Loads every adapter in the vendors directory. Invalid adapters are logged and skipped
+ * so one broken file does not take the whole service down.
+ * @param {string} [dir=VENDORS_DIR]
+ * @param {object} [options]
+ * @param {boolean} [options.includeDisabled=false] - Keep the crawl of disabled vendors, for recording
+ * and testing their fixtures.
+ * @returns {{adapters: Array<object>, rejected: Array<{file: string, errors: string[]}>}}
+ * Valid adapters sorted by `order`, each with the `file` it came from.
+ */
+function loadVendorAdapters(dir = VENDORS_DIR, { includeDisabled = false } = {}) {
+  const adapters = [];
+  const rejected = [];
+  const seenNames = new Set();
+
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.js') || file.endsWith('.json')).sort();
+  for (const file of files) {
+    let adapter;
+    try {
+      adapter = require(path.join(dir, file));
+    } catch (err) {
+      rejected.push({ file, errors: [`failed to load: ${err.message}`] });
+      continue;
+    }
+
+    const errors = validateAdapter(adapter);
+    if (adapter && seenNames.has(adapter.name)) errors.push(`duplicate vendor name "${adapter.name}"`);
+    if (errors.length > 0) {
+      rejected.push({ file, errors });
+      continue;
+    }
+
+    seenNames.add(adapter.name);
+    adapters.push(resolveAdapter(adapter, file, { includeDisabled }));
+  }
+
+  for (const { file, errors } of rejected) {
+    logger.error('Skipping vendor adapter', { file, errors });
+  }
+  logger.info('Loaded vendor adapters', { count: adapters.length });
+
+  adapters.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+  return { adapters, rejected };
+}
+
+/**
+ * Turns the declarative parts of a validated adapter (scraper definition, search URL template)
+ * into the functions the handlers call. A disabled crawl vendor becomes a link vendor.
+ */
+function resolveAdapter(adapter, file, { includeDisabled = false } = {}) {
+  if (adapter.type === 'crawl' && adapter.enabled === false && !includeDisabled) {
+    const { crawl, scraper, search, ...linkOnly } = adapter;
+    return resolveAdapter({ ...linkOnly, type: 'link' }, file);
+  }
+  const resolved = { ...adapter, file };
+  if (!resolved.crawl && resolved.scraper) {
+    resolved.crawl = createDeclarativeCrawl(resolved.scraper);
+  }
+  if (!resolved.buildSearchUrl && resolved.searchUrl) {
+    resolved.buildSearchUrl = searchTerm => resolved.searchUrl.replace('{query}', encodeURIComponent(searchTerm));
+  }
+  return resolved;
+}
+
+/**
+ * Summarizes an adapter for the `/vendors` endpoint.
+ * @param {object} adapter - A loaded adapter.
+ * @returns {object}
+ */
+function describeAdapter(adapter) {
+  return {
+    name: adapter.name,
+    type: adapter.type,
+    enabled: adapter.enabled !== false,
+    file: adapter.file,
+    sourceNames: adapter.sourceNames.map(String),
+    capabilities: {
+      prices: adapter.type !== 'link',
+      crawl: adapter.type === 'crawl',
+      declarative: Boolean(adapter.scraper),
+      searchUrl: typeof adapter.buildSearchUrl === 'function',
+      search: Boolean(adapter.search),
+    },
+  };
+}
+
+module.exports = {
+  VENDOR_TYPES,
+  validateAdapter,
+  matchesSource,
+  loadVendorAdapters,
+  describeAdapter,
+};
@@ -0,0 +1,148 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createAlerts, validateRule } = require('../services/alerts');
+const { createLogSink } = require('../services/alertSinks');
+
+const CAS = '1263291-41-3';
+
+function comparisonWith(competitorPricePerGram) {
+  return {
+    product: { name: 'exo-BCN-OH', sku: 11341, casNumber: CAS },
+    currency: 'USD',
+    variations: [{
+      grams: 1,
+      quantity: '1 g',
+      purePeg: { price: 400, pricePerGram: 400, source: 'live' },
+      competitors: [{ vendorName: 'BLD', url: 'https://bld.test/p', method: 'exact', pricePerGram: competitorPricePerGram, price: competitorPricePerGram }],
+    }],
+  };
+}
+
+function card(vendorName, status) {
+  return { vendorName, status, data: { prices: [], url: null, message: null } };
+}
+
+describe('validateRule', () => {
+  it('requires a threshold for undercut rules', () => {
+    assert.deepEqual(validateRule({ type: 'undercut', thresholdPercent: 10 }), []);
+    assert.equal(validateRule({ type: 'undercut' }).length, 1);
+    assert.equal(validateRule({ type: 'cheaper', sinks: ['pager'] }).length, 2);
+  });
+});
+
+describe('createAlerts', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purepeg-alerts-'));
+  let comparison;
+  let delivered;
+  let alerts;
+
+  beforeEach(() => {
+    fs.rmSync(path.join(tmpDir, 'alerts.json'), { force: true });
+    fs.rmSync(path.join(tmpDir, 'rules.json'), { force: true });
+    delivered = [];
+    alerts = createAlerts({
+      rulesFilePath: path.join(tmpDir, 'rules.json'),
+      storeFilePath: path.join(tmpDir, 'alerts.json'),
+      sinks: [{ name: 'webhook', send: async alert => { delivered.push(alert); } }],
+      compare: () => comparison,
+    });
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('raises an undercut alert once per drop below the threshold', () => {
+    alerts.addRule({ type: 'undercut', thresholdPercent: 10, scope: { cas: CAS } });
+    const lookup = { searchTerm: CAS, cid: 53393599, results: [] };
+
+    comparison = comparisonWith(380);
+    assert.equal(alerts.evaluate(lookup).length, 0);
+
+    comparison = comparisonWith(340);
+    const [alert] = alerts.evaluate(lookup);
+    assert.equal(alert.vendorName, 'BLD');
+    assert.equal(alert.details.undercutPercent, 15);
+    assert.equal(alerts.evaluate(lookup).length, 0, 'still below the threshold, no new alert');
+
+    comparison = comparisonWith(390);
+    alerts.evaluate(lookup);
+    comparison = comparisonWith(300);
+    assert.equal(alerts.evaluate(lookup).length, 1, 'dropped below again');
+
+    assert.equal(delivered.length, 2);
+    assert.equal(alerts.list().unreadCount, 2);
+  });
+
+  it('ignores products and vendors outside the rule scope', () => {
+    alerts.addRule({ type: 'undercut', thresholdPercent: 10, scope: { vendorName: 'Accela' } });
+    alerts.addRule({ type: 'undercut', thresholdPercent: 10, scope: { cas: '000-00-0' } });
+    comparison = comparisonWith(100);
+
+    assert.equal(alerts.evaluate({ searchTerm: CAS, cid: 1, results: [] }).length, 0);
+  });
+
+  it('reports vendors that start or stop carrying a product', () => {
+    alerts.addRule({ type: 'availability' });
+    comparison = null;
+    const lookup = results => ({ searchTerm: CAS, cid: 53393599, results });
+
+    assert.equal(alerts.evaluate(lookup([card('BLD', 'success')])).length, 0, 'first sighting is the baseline');
+    assert.equal(alerts.evaluate(lookup([card('BLD', 'error')])).length, 0, 'errors say nothing');
+    const [stopped] = alerts.evaluate(lookup([card('BLD', 'not_found')]));
+    assert.match(stopped.message, /BLD no longer carries/);
+    const [started] = alerts.evaluate(lookup([card('BLD', 'success')]));
+    assert.match(started.message, /BLD now carries/);
+  });
+
+  it('does not take a PubChem listing gap for a vendor that stopped carrying', () => {
+    alerts.addRule({ type: 'availability' });
+    comparison = null;
+    const lookup = results => ({ searchTerm: CAS, cid: 53393599, results });
+    const lookupFailed = code => ({ ...card('BLD', 'not_found'), error: { code, message: 'PubChem', retryable: false } });
+
+    alerts.evaluate(lookup([card('BLD', 'success')]));
+    assert.equal(alerts.evaluate(lookup([lookupFailed('VENDORS_NOT_FOUND')])).length, 0);
+    assert.equal(alerts.evaluate(lookup([lookupFailed('COMPOUND_NOT_FOUND')])).length, 0);
+    assert.equal(alerts.evaluate(lookup([card('BLD', 'success')])).length, 0, 'still carrying, so no "now carries" either');
+
+    const [stopped] = alerts.evaluate(lookup([lookupFailed('PRODUCT_NOT_FOUND')]));
+    assert.match(stopped.message, /BLD no longer carries/);
+  });
+
+  it('marks alerts as read and keeps them across restarts', () => {
+    alerts.addRule({ type: 'availability', sinks: ['log'] });
+    comparison = null;
+    alerts.evaluate({ searchTerm: CAS, cid: 1, results: [card('BLD', 'success')] });
+    alerts.evaluate({ searchTerm: CAS, cid: 1, results: [card('BLD', 'not_found')] });
+    assert.equal(delivered.length, 0, 'rule only delivers to the log sink');
+
+    const [alert] = alerts.list().alerts;
+    assert.equal(alerts.markRead([alert.id]), 1);
+
+    const reloaded = createAlerts({
+      rulesFilePath: path.join(tmpDir, 'rules.json'),
+      storeFilePath: path.join(tmpDir, 'alerts.json'),
+      compare: () => null,
+    });
+    assert.equal(reloaded.listRules().length, 1);
+    assert.deepEqual(reloaded.list(), { alerts: [{ ...alert, read: true }], unreadCount: 0 });
+  });
+});
+
+describe('createLogSink', () => {
+  it('appends one JSON line per alert', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'purepeg-alert-log-')), 'alerts.log');
+    const sink = createLogSink({ filePath });
+
+    await Promise.all([sink.send({ id: 'a' }), sink.send({ id: 'b' })]);
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.id), ['a', 'b']);
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+});
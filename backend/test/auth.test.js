@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const { hashPassword, verifyPassword, hasRole, createUsers } = require('../services/users');
+const { createSessions } = require('../services/sessions');
+const { createSearchHistory } = require('../services/searchHistory');
+const createAuthRouter = require('../routes/auth');
+
+function tmpFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'purepeg-auth-')), name);
+}
+
+describe('password hashing', () => {
+  it('verifies the right password only', () => {
+    const stored = hashPassword('correct horse');
+    assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.equal(verifyPassword('correct horse', stored), true);
+    assert.equal(verifyPassword('wrong horse', stored), false);
+    assert.notEqual(hashPassword('correct horse'), stored);
+  });
+
+  it('ranks admins above viewers', () => {
+    assert.equal(hasRole('admin', 'viewer'), true);
+    assert.equal(hasRole('viewer', 'admin'), false);
+    assert.equal(hasRole('viewer', 'owner'), false);
+  });
+});
+
+describe('createUsers', () => {
+  it('stores hashes, never passwords or keys, and reloads them', () => {
+    const filePath = tmpFile('users.json');
+    const users = createUsers({ filePath });
+    const user = users.add({ username: 'Alice', password: 'alice-password', role: 'admin' });
+    const { key } = users.createApiKey(user.id, 'cron');
+
+    const saved = fs.readFileSync(filePath, 'utf8');
+    assert.ok(!saved.includes('alice-password'));
+    assert.ok(!saved.includes(key));
+
+    const reloaded = createUsers({ filePath });
+    assert.equal(reloaded.authenticate('alice', 'alice-password').id, user.id);
+    assert.equal(reloaded.authenticate('alice', 'wrong-password'), null);
+    assert.equal(reloaded.authenticate('nobody', 'alice-password'), null);
+    assert.equal(reloaded.findByApiKey(key).username, 'Alice');
+    assert.equal(reloaded.findByApiKey('ppk_forged'), null);
+    assert.equal(reloaded.list()[0].passwordHash, undefined);
+  });
+
+  it('rejects invalid and duplicate users', () => {
+    const users = createUsers({ filePath: tmpFile('users.json') });
+    users.add({ username: 'bob', password: 'bob-password', role: 'viewer' });
+
+    assert.throws(() => users.add({ username: 'b', password: 'short', role: 'owner' }), err => err.errors.length === 3);
+    assert.throws(() => users.add({ username: 'BOB', password: 'bob-password', role: 'viewer' }), /Invalid user/);
+  });
+
+  it('revokes API keys', () => {
+    const users = createUsers({ filePath: tmpFile('users.json') });
+    const user = users.add({ username: 'carol', password: 'carol-password', role: 'viewer' });
+    const { key, apiKey } = users.createApiKey(user.id);
+
+    assert.equal(users.revokeApiKey(user.id, apiKey.id), true);
+    assert.equal(users.findByApiKey(key), null);
+    assert.equal(users.revokeApiKey(user.id, apiKey.id), false);
+  });
+});
+
+describe('createSessions', () => {
+  it('expires sessions and ends them per user', async () => {
+    const sessions = createSessions({ ttlMs: 20 });
+    const first = sessions.create('u1');
+    const second = sessions.create('u2');
+    assert.equal(sessions.get(first.token).userId, 'u1');
+
+    sessions.destroyForUser('u2');
+    assert.equal(sessions.get(second.token), null);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(sessions.get(first.token), null);
+  });
+});
+
+describe('createSearchHistory', () => {
+  it('keeps searches per user, newest first, without duplicates', () => {
+    const filePath = tmpFile('searches.json');
+    const history = createSearchHistory({ filePath });
+    history.record('u1', { identifier: 'exo-BCN-OH', cid: null });
+    history.record('u1', { identifier: '112-60-7', cid: 8200 });
+    history.record('u1', { identifier: 'EXO-BCN-OH', cid: 53393599 });
+    history.record('u2', { identifier: 'PEG4', cid: 1 });
+
+    const reloaded = createSearchHistory({ filePath });
+    assert.deepEqual(reloaded.list('u1').map(s => [s.identifier, s.cid]), [['EXO-BCN-OH', 53393599], ['112-60-7', 8200]]);
+    assert.equal(reloaded.list('u1', { limit: 1 }).length, 1);
+    reloaded.clear('u2');
+    assert.deepEqual(reloaded.list('u2'), []);
+  });
+});
+
+describe('/auth/me/api-keys', () => {
+  it('answers 404 when the signed-in user no longer exists', async () => {
+    const users = createUsers({ filePath: tmpFile('users.json') });
+    const user = users.add({ username: 'Bob', password: 'bob-password', role: 'viewer' });
+    // Stands in for a session that was authenticated just before the account was removed
+    const requireRole = () => (req, res, next) => {
+      req.user = user;
+      next();
+    };
+    const app = express();
+    app.use(express.json());
+    app.use('/auth', createAuthRouter({ users, sessions: createSessions({ ttlMs: 1000 }), searchHistory: null, requireRole, sessionTtlMs: 1000 }));
+
+    const created = await request(app).post('/auth/me/api-keys').send({ label: 'cron' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.apiKey.label, 'cron');
+
+    users.remove(user.id);
+    const res = await request(app).post('/auth/me/api-keys').send({ label: 'cron' });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, 'User not found');
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createBrowserPool = require('../services/browserPool');
+const { fakeBrowserType } = require('./helpers/fakeBrowser');
+
+// A browser type that keeps every browser it launched, so tests can break them
+function trackingBrowserType() {
+  const launched = [];
+  return {
+    launched,
+    async launch() {
+      const browser = await fakeBrowserType.launch();
+      launched.push(browser);
+      return browser;
+    },
+  };
+}
+
+describe('createBrowserPool', () => {
+  let pool;
+
+  afterEach(async () => {
+    await pool?.close();
+    pool = null;
+  });
+
+  it('queues pages beyond the concurrency cap and hands slots on as they are released', async () => {
+    pool = createBrowserPool({ browserType: trackingBrowserType(), maxConcurrency: 1, healthCheckIntervalMs: 0 });
+    let release;
+    const first = pool.withPage(() => new Promise(resolve => { release = resolve; }));
+    await new Promise(resolve => setImmediate(resolve));
+    const second = pool.withPage(async () => 'second');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual([pool.stats().active, pool.stats().queued], [1, 1]);
+    release('first');
+    assert.deepEqual(await Promise.all([first, second]), ['first', 'second']);
+    assert.deepEqual([pool.stats().active, pool.stats().queued, pool.stats().launches], [0, 0, 1]);
+  });
+
+  it('releases the slot when the work throws', async () => {
+    pool = createBrowserPool({ browserType: trackingBrowserType(), maxConcurrency: 1, healthCheckIntervalMs: 0 });
+
+    await assert.rejects(pool.withPage(async () => { throw new Error('crawl failed'); }), /crawl failed/);
+    assert.equal(await pool.withPage(async () => 'next'), 'next');
+    assert.equal(pool.stats().active, 0);
+  });
+
+  it('relaunches the browser after it disconnects', async () => {
+    const browserType = trackingBrowserType();
+    pool = createBrowserPool({ browserType, healthCheckIntervalMs: 0 });
+    await pool.withPage(async () => {});
+
+    browserType.launched[0].disconnect();
+    assert.equal(pool.stats().connected, false);
+    await pool.withPage(async () => {});
+
+    assert.equal(pool.stats().launches, 2);
+    assert.equal(pool.stats().connected, true);
+  });
+
+  it('replaces a browser that no longer opens pages', async () => {
+    const browserType = trackingBrowserType();
+    pool = createBrowserPool({ browserType, healthCheckIntervalMs: 0, healthCheckTimeoutMs: 20 });
+    await pool.withPage(async () => {});
+    assert.equal(await pool.healthCheck(), true);
+
+    const [hung] = browserType.launched;
+    hung.newContext = () => new Promise(() => {});
+    assert.equal(await pool.healthCheck(), false);
+
+    assert.equal(hung.isConnected(), false, 'the hung browser is closed');
+    assert.equal(pool.stats().launches, 2);
+    assert.equal(await pool.healthCheck(), true);
+  });
+
+  it('refuses work once closed', async () => {
+    pool = createBrowserPool({ browserType: trackingBrowserType(), healthCheckIntervalMs: 0 });
+    await pool.close();
+
+    await assert.rejects(pool.withPage(async () => {}), /shut down/);
+  });
+});
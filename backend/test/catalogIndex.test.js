@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCatalogIndex } = require('../services/catalogIndex');
+const { structureKey } = require('../utils/smiles');
+
+const PRODUCTS = [
+  {
+    name: 'exo-BCN-OH',
+    sku: 11341,
+    attributes: {
+      'CAS Number': '1263291-41-3',
+      'Full Name': 'exo-BCN-OH',
+      'Molecular Formula': 'C10H14O',
+      SMILES: 'OC[C@H]1[C@]2([H])CCC#CCC[C@@]21[H]',
+      Synonyms: '((1R\\,8S\\,9r)-bicyclo[6.1.0]non-4-yn-9-yl)methanol',
+    },
+  },
+  {
+    name: 'endo-BCN-OH',
+    sku: 11343,
+    attributes: {
+      'CAS Number': '1263166-90-0',
+      'Molecular Formula': 'C10H14O',
+      SMILES: 'OC[C@@H]1[C@]2([H])CCC#CCC[C@@]21[H]',
+    },
+  },
+  {
+    name: 'HO-PEG4-OH',
+    sku: 12001,
+    attributes: { 'CAS Number': '112-60-7', 'Molecular Formula': 'C8H18O5', SMILES: 'OCCOCCOCCOCCO' },
+  },
+];
+
+describe('structureKey', () => {
+  it('ignores writing order and explicit hydrogens', () => {
+    assert.equal(structureKey('OCC'), structureKey('CCO'));
+    assert.equal(structureKey('OC[C@H]1[C@]2([H])CCC#CCC[C@@]21[H]'), structureKey('C1CC#CCCC2C(CO)C12'));
+  });
+
+  it('gives aromatic and Kekulé notation the same key, but keeps triple bonds', () => {
+    assert.equal(structureKey('c1ccccc1'), structureKey('C1=CC=CC=C1'));
+    assert.equal(structureKey('OCc1ccncc1'), structureKey('OCC1=CC=NC=C1'));
+    assert.equal(structureKey('c1cc[nH]c1'), structureKey('C1=CNC=C1'));
+    assert.notEqual(structureKey('C1CC#CCCCC1'), structureKey('C1CC=CCCCC1'));
+  });
+
+  it('tells different structures apart and rejects non-SMILES', () => {
+    assert.notEqual(structureKey('CCCO'), structureKey('CC(C)O'));
+    assert.equal(structureKey('exo-BCN-OH'), null);
+  });
+});
+
+describe('createCatalogIndex', () => {
+  const index = createCatalogIndex(PRODUCTS);
+
+  it('finds products regardless of spacing, punctuation and case', () => {
+    assert.equal(index.findProduct('exo BCN OH').sku, 11341);
+    assert.equal(index.findProduct('EXO-bcn-oh').sku, 11341);
+    assert.equal(index.findProduct('((1R,8S,9r)-bicyclo[6.1.0]non-4-yn-9-yl)methanol').sku, 11341);
+    assert.equal(index.findProduct('112-60-7').sku, 12001);
+  });
+
+  it('matches a SMILES written differently from the catalog', () => {
+    assert.equal(index.findProduct('C(CO)OCCOCCOCCO').sku, 12001);
+    assert.equal(index.findProduct('OC[C@H]1[C@]2([H])CCC#CCC[C@@]21[H]').sku, 11341);
+  });
+
+  it('refuses to guess between products sharing a formula or structure', () => {
+    assert.equal(index.findProduct('C10H14O'), undefined);
+    assert.equal(index.findProduct('C1CC#CCCC2C(CO)C12'), undefined);
+    assert.deepEqual(index.search('C10H14O').map(m => m.product.sku).sort(), [11341, 11343]);
+  });
+
+  it('suggests partial and misspelled names', () => {
+    assert.equal(index.search('exo-BC')[0].product.sku, 11341);
+    assert.equal(index.search('exo-BNC-OH')[0].product.sku, 11341);
+    assert.equal(index.findProduct('exo-BNC-OH'), undefined);
+  });
+});
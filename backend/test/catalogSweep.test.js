@@ -0,0 +1,208 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const { createCatalogSweep, getProductIdentifier } = require('../services/catalogSweep');
+const createSweepRouter = require('../routes/sweep');
+
+const PRODUCTS = [
+  { sku: 1, attributes: { 'CAS Number': '112-60-7' } },
+  { sku: 2, attributes: { 'CAS Number': '112-60-7' } },
+  { sku: 3, attributes: { 'CAS Number': 'N/A', SMILES: 'OCCO' } },
+  { sku: 4, attributes: { 'CAS Number': '1263291-41-3' } },
+  { sku: 5, attributes: {} },
+];
+
+function pipelineFailure(code) {
+  const err = new Error(`${code} for this identifier`);
+  err.code = code;
+  return err;
+}
+
+async function finished(sweep) {
+  while (sweep.status().running) await new Promise(resolve => setImmediate(resolve));
+  return sweep.status();
+}
+
+describe('getProductIdentifier', () => {
+  it('prefers the CAS number and falls back to SMILES', () => {
+    assert.deepEqual(PRODUCTS.map(getProductIdentifier), ['112-60-7', '112-60-7', 'OCCO', '1263291-41-3', null]);
+  });
+});
+
+describe('createCatalogSweep', () => {
+  let tmpDir;
+  let progressFilePath;
+  let looked;
+  let recorded;
+  let failing;
+  let sweeps;
+
+  function createSweep() {
+    const sweep = createCatalogSweep({
+      getProducts: () => PRODUCTS,
+      lookup: async identifier => {
+        looked.push(identifier);
+        if (failing.has(identifier)) throw pipelineFailure('PUBCHEM_UNAVAILABLE');
+        return { cid: 1, results: [] };
+      },
+      priceHistory: { record: async entry => { recorded.push(entry.searchTerm); } },
+      progressFilePath,
+      delayMs: 0,
+    });
+    sweeps.push(sweep);
+    return sweep;
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purepeg-sweep-'));
+    progressFilePath = path.join(tmpDir, 'sweep_progress.json');
+    looked = [];
+    recorded = [];
+    failing = new Set();
+    sweeps = [];
+  });
+
+  afterEach(() => {
+    for (const sweep of sweeps) sweep.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('looks each identifier up once and records its results', async () => {
+    const sweep = createSweep();
+    sweep.start();
+
+    const status = await finished(sweep);
+    assert.deepEqual(looked, ['112-60-7', 'OCCO', '1263291-41-3']);
+    assert.deepEqual(recorded, looked);
+    assert.deepEqual([status.status, status.total, status.processed, status.failed], ['completed', 3, 3, 0]);
+  });
+
+  it('lists failed identifiers with their products and error code', async () => {
+    failing.add('112-60-7');
+    const sweep = createSweep();
+    sweep.start();
+
+    const status = await finished(sweep);
+    assert.deepEqual([status.processed, status.failed], [3, 1]);
+    const [error] = sweep.errors();
+    assert.deepEqual([error.identifier, error.skus, error.code], ['112-60-7', [1, 2], 'PUBCHEM_UNAVAILABLE']);
+  });
+
+  it('resumes an interrupted sweep, skipping what succeeded and retrying what failed', async () => {
+    fs.writeFileSync(progressFilePath, JSON.stringify({
+      id: 'earlier',
+      status: 'running',
+      startedAt: '2026-01-01T00:00:00.000Z',
+      finishedAt: null,
+      total: 3,
+      done: { '112-60-7': { at: '2026-01-01T00:00:01.000Z', ok: true } },
+      errors: { OCCO: { skus: [3], code: 'PUBCHEM_UNAVAILABLE', message: 'down', at: '2026-01-01T00:00:02.000Z' } },
+    }));
+    const sweep = createSweep();
+    assert.equal(sweep.status().status, 'interrupted', 'a sweep running at shutdown is interrupted');
+
+    sweep.start({ resume: true });
+
+    const status = await finished(sweep);
+    assert.deepEqual(looked, ['OCCO', '1263291-41-3']);
+    assert.deepEqual([status.id, status.status, status.processed, status.failed], ['earlier', 'completed', 3, 0]);
+    assert.deepEqual(sweep.errors(), []);
+  });
+
+  it('retries failures kept under `done` by older progress files', async () => {
+    fs.writeFileSync(progressFilePath, JSON.stringify({
+      id: 'earlier',
+      status: 'stopped',
+      startedAt: '2026-01-01T00:00:00.000Z',
+      finishedAt: '2026-01-01T00:00:03.000Z',
+      total: 3,
+      done: { '112-60-7': { at: '2026-01-01T00:00:01.000Z', ok: false } },
+      errors: { '112-60-7': { skus: [1, 2], code: null, message: 'timeout', at: '2026-01-01T00:00:01.000Z' } },
+    }));
+    const sweep = createSweep();
+    assert.equal(sweep.status().processed, 1);
+
+    sweep.start({ resume: true });
+
+    await finished(sweep);
+    assert.deepEqual(looked, ['112-60-7', 'OCCO', '1263291-41-3']);
+  });
+
+  it('starts over unless asked to resume', async () => {
+    const sweep = createSweep();
+    sweep.start();
+    await finished(sweep);
+
+    sweep.start({ resume: true });
+    await finished(sweep);
+    assert.equal(looked.length, 6, 'a completed sweep is not resumed');
+  });
+});
+
+describe('/sweep routes', () => {
+  let tmpDir;
+  let sweep;
+  let release;
+
+  function createTestApp() {
+    const app = express();
+    app.use(express.json());
+    const requireAdmin = (req, res, next) => (req.get('X-Role') === 'admin' ? next() : res.status(403).json({ error: 'Forbidden' }));
+    app.use('/sweep', createSweepRouter({ catalogSweep: sweep, requireAdmin }));
+    return app;
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purepeg-sweep-'));
+    sweep = createCatalogSweep({
+      getProducts: () => PRODUCTS,
+      // The first lookup waits until the test releases it, so the sweep is observably running
+      lookup: identifier => new Promise((resolve, reject) => {
+        release = () => (identifier === 'OCCO' ? reject(pipelineFailure('COMPOUND_NOT_FOUND')) : resolve({ cid: 1, results: [] }));
+        if (identifier !== '112-60-7') release();
+      }),
+      priceHistory: { record: async () => {} },
+      progressFilePath: path.join(tmpDir, 'sweep_progress.json'),
+      delayMs: 0,
+    });
+  });
+
+  afterEach(() => {
+    sweep.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('starts one sweep at a time, for admins only', async () => {
+    const app = createTestApp();
+    assert.deepEqual((await request(app).get('/sweep')).body, { status: 'idle', running: false });
+
+    await request(app).post('/sweep/start').expect(403);
+    const started = await request(app).post('/sweep/start').set('X-Role', 'admin').expect(202);
+    assert.equal(started.body.status, 'running');
+    await request(app).post('/sweep/start').set('X-Role', 'admin').expect(409);
+
+    release();
+    await finished(sweep);
+    const status = await request(app).get('/sweep');
+    assert.deepEqual([status.body.status, status.body.processed, status.body.failed], ['completed', 3, 1]);
+    const errors = await request(app).get('/sweep/errors');
+    assert.deepEqual(errors.body.map(error => [error.identifier, error.code]), [['OCCO', 'COMPOUND_NOT_FOUND']]);
+  });
+
+  it('stops a running sweep after its current product', async () => {
+    const app = createTestApp();
+    await request(app).post('/sweep/start').set('X-Role', 'admin').expect(202);
+
+    const stopping = await request(app).post('/sweep/stop').set('X-Role', 'admin').expect(202);
+    assert.equal(stopping.body.running, true);
+    release();
+
+    const status = await finished(sweep);
+    assert.deepEqual([status.status, status.processed], ['stopped', 1]);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createCatalogSync, diffCatalogs, toCacheEntry } = require('../services/catalogSync');
+
+const WC_PRODUCT = {
+  id: 16806,
+  name: 'exo-BCN-OH',
+  sku: '11341',
+  type: 'variable',
+  categories: [{ name: 'BCN Linker' }],
+  attributes: [
+    { name: 'CAS Number', options: ['1263291-41-3'] },
+    { name: 'Molecular Weight', options: ['150.22'] },
+    { name: 'Synonyms', options: ['((1R,8S,9r)-bicyclo[6.1.0]non-4-yn-9-yl)methanol'] },
+  ],
+};
+const WC_VARIATIONS = [
+  { id: 17425, sku: '11341-1', weight: '1', regular_price: '425', meta_data: [{ key: '_purity', value: 'min.95%' }] },
+  { id: 17426, sku: '11341-100', weight: '0.1', regular_price: '100', meta_data: [] },
+];
+
+// Serves `GET products` in pages of one product, like a store with `per_page=1`
+function fakeWooCommerce(products, variationsById) {
+  const calls = [];
+  return {
+    calls,
+    async get(endpoint, params) {
+      calls.push(endpoint);
+      if (endpoint === 'products') {
+        return { data: products.slice(params.page - 1, params.page), headers: { 'x-wp-totalpages': String(products.length) } };
+      }
+      const id = Number(endpoint.split('/')[1]);
+      return { data: variationsById[id] || [], headers: { 'x-wp-totalpages': '1' } };
+    },
+  };
+}
+
+describe('toCacheEntry', () => {
+  it('converts a WooCommerce product to the product cache format', () => {
+    const entry = toCacheEntry(WC_PRODUCT, WC_VARIATIONS);
+    assert.equal(entry.parentId, 16806);
+    assert.equal(entry.sku, 11341);
+    assert.equal(entry.categories, 'BCN Linker');
+    assert.equal(entry.attributes['Molecular Weight'], 150.22);
+    assert.equal(entry.attributes.Synonyms, '((1R\\,8S\\,9r)-bicyclo[6.1.0]non-4-yn-9-yl)methanol');
+    assert.deepEqual(entry.variations['11341-1'], { variationId: 17425, regular_price: 425, weight: 1, _purity: 'min.95%' });
+  });
+});
+
+describe('diffCatalogs', () => {
+  it('lists added, removed and repriced products', () => {
+    const previous = {
+      1: { name: 'A', variations: { '1-1': { regular_price: 10 } } },
+      2: { name: 'B', variations: {} },
+    };
+    const next = {
+      1: { name: 'A', variations: { '1-1': { regular_price: 12 }, '1-5': { regular_price: 40 } } },
+      3: { name: 'C', variations: {} },
+    };
+    const diff = diffCatalogs(previous, next);
+    assert.deepEqual(diff.added, [{ sku: '3', name: 'C' }]);
+    assert.deepEqual(diff.removed, [{ sku: '2', name: 'B' }]);
+    assert.deepEqual(diff.repriced.map(r => [r.variationSku, r.oldPrice, r.newPrice]), [['1-1', 10, 12], ['1-5', null, 40]]);
+  });
+});
+
+describe('createCatalogSync', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purepeg-sync-'));
+  const filePath = path.join(tmpDir, 'product_cache.json');
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes the new cache, reloads it and reports the diff', async () => {
+    const other = { id: 20000, name: 'HO-PEG4-OH', sku: '12001', type: 'simple', attributes: [] };
+    const wcApi = fakeWooCommerce([WC_PRODUCT, other], { 16806: WC_VARIATIONS });
+    const previous = { 11341: { name: 'exo-BCN-OH', variations: { '11341-1': { regular_price: 405 } } } };
+    let reloaded = null;
+    const catalogSync = createCatalogSync({
+      wcApi,
+      filePath,
+      getProducts: () => previous,
+      onReload: products => { reloaded = products; },
+    });
+
+    const report = await catalogSync.sync();
+
+    assert.equal(report.status, 'completed');
+    assert.equal(report.productCount, 2);
+    assert.deepEqual(report.diff.added, [{ sku: '12001', name: 'HO-PEG4-OH' }]);
+    assert.deepEqual(report.diff.repriced.find(r => r.variationSku === '11341-1'), {
+      sku: '11341', name: 'exo-BCN-OH', variationSku: '11341-1', oldPrice: 405, newPrice: 425,
+    });
+    assert.deepEqual(Object.keys(reloaded).sort(), ['11341', '12001']);
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath)), reloaded);
+    assert.ok(!wcApi.calls.includes('products/20000/variations'), 'simple products have no variations to fetch');
+  });
+
+  it('keeps the current cache when WooCommerce returns nothing', async () => {
+    fs.writeFileSync(filePath, '{"keep": true}');
+    const catalogSync = createCatalogSync({
+      wcApi: fakeWooCommerce([], {}),
+      filePath,
+      getProducts: () => ({}),
+      onReload: () => assert.fail('should not reload'),
+    });
+
+    await assert.rejects(catalogSync.sync(), /no products/);
+    assert.equal(catalogSync.status().lastSync.status, 'failed');
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath)), { keep: true });
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nock = require('nock');
+const { chromium } = require('playwright');
+
+const { fakeBrowserType } = require('./helpers/fakeBrowser');
+const startFixtureServer = require('./helpers/fixtureServer');
+const { PAGES_DIR, readJsonFixture } = require('./helpers/fixtures');
+
+const PUBCHEM = 'https://pubchem.ncbi.nlm.nih.gov';
+const WOOCOMMERCE = 'http://wc.test';
+const SEARCH_TERM = 'exo-BCN-OH';
+
+// Collects what the CLI writes to one of its streams
+function output() {
+  return { text: '', write(chunk) { this.text += chunk; return true; } };
+}
+
+describe('purepeg-prices CLI', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purepeg-cli-'));
+  let server;
+  let cli;
+  let browserPool;
+
+  before(async () => {
+    server = await startFixtureServer(PAGES_DIR);
+    Object.assign(process.env, {
+      WC_API_URL: WOOCOMMERCE,
+      WC_KEY: 'ck_test',
+      WC_SECRET: 'cs_test',
+      PRICE_HISTORY_FILE: path.join(tmpDir, 'price_history.jsonl'),
+      SWEEP_PROGRESS_FILE: path.join(tmpDir, 'sweep_progress.json'),
+      VENDOR_HEALTH_FILE: path.join(tmpDir, 'vendor_health.jsonl'),
+      ALERT_RULES_FILE: path.join(tmpDir, 'alert_rules.json'),
+      ALERTS_FILE: path.join(tmpDir, 'alerts.json'),
+      USERS_FILE: path.join(tmpDir, 'users.json'),
+      SEARCH_HISTORY_FILE: path.join(tmpDir, 'search_history.json'),
+      PUBCHEM_RETRY_DELAY_MS: '1',
+      CRAWL_RETRY_DELAY_MS: '1',
+    });
+    chromium.launch = fakeBrowserType.launch;
+    cli = require('../bin/purepeg-prices');
+    ({ browserPool } = require('../index.cjs'));
+
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  after(async () => {
+    nock.enableNetConnect();
+    await browserPool.close();
+    await server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function mockLookup() {
+    nock(PUBCHEM)
+      .get(`/rest/pug/compound/name/${SEARCH_TERM}/cids/JSON`).reply(200, readJsonFixture('pubchem/cids.json'))
+      .get('/rest/pug_view/categories/compound/53393599/JSON/').query(true)
+      .reply(200, readJsonFixture('pubchem/vendors.json', server.url));
+    nock(WOOCOMMERCE)
+      .get('/wp-json/wc/v3/products/16806/variations').query(true)
+      .reply(200, readJsonFixture('woocommerce/variations.json'));
+  }
+
+  it('prints one lookup as JSON', async () => {
+    mockLookup();
+    const stdout = output();
+
+    const code = await cli.run(['lookup', SEARCH_TERM, '--format', 'json', '--refresh'], { stdout, stderr: output() });
+
+    assert.equal(code, cli.EXIT_OK);
+    const outcome = JSON.parse(stdout.text);
+    assert.equal(outcome.status, 'success');
+    assert.equal(outcome.cid, 53393599);
+    assert.equal(outcome.results.find(card => card.vendorName === 'BLD').data.prices.length, 3);
+  });
+
+  it('exits non-zero when any identifier in a batch fails', async () => {
+    mockLookup();
+    nock(PUBCHEM)
+      .get('/rest/pug/compound/name/not-a-compound/cids/JSON').reply(404, readJsonFixture('pubchem/not-found.json'))
+      .get('/rest/pug/compound/smiles/not-a-compound/cids/JSON').reply(400, { Fault: { Code: 'PUGREST.BadRequest' } });
+    const file = path.join(tmpDir, 'identifiers.txt');
+    fs.writeFileSync(file, `${SEARCH_TERM}\nnot-a-compound\n`);
+    const stdout = output();
+    const stderr = output();
+
+    const code = await cli.run(['batch', file, '-f', 'csv', '--refresh'], { stdout, stderr });
+
+    assert.equal(code, cli.EXIT_FAILED);
+    const lines = stdout.text.trim().split('\r\n');
+    assert.ok(lines.some(line => line.startsWith(`${SEARCH_TERM},53393599,BLD,success,100mg`)));
+    assert.ok(lines.some(line => line.startsWith('not-a-compound,,,error,') && line.includes('COMPOUND_NOT_FOUND')));
+    assert.match(stderr.text, /not-a-compound: No compound found for ID \(COMPOUND_NOT_FOUND\)/);
+  });
+
+  it('lists the vendors without network access', async () => {
+    const stdout = output();
+
+    assert.equal(await cli.run(['vendors'], { stdout, stderr: output() }), cli.EXIT_OK);
+    assert.match(stdout.text, /^Vendor\s+Type/);
+    assert.match(stdout.text, /^BLD\s+crawl\s+BLD Pharm/m);
+  });
+
+  it('rejects unknown commands, options and formats with exit code 2', async () => {
+    assert.equal(await cli.run(['price', SEARCH_TERM], { stdout: output(), stderr: output() }), cli.EXIT_USAGE);
+    assert.equal(await cli.run(['lookup', SEARCH_TERM, '--colour'], { stdout: output(), stderr: output() }), cli.EXIT_USAGE);
+    assert.equal(await cli.run(['sync-catalog', '-f', 'csv'], { stdout: output(), stderr: output() }), cli.EXIT_USAGE);
+    assert.equal(await cli.run(['lookup'], { stdout: output(), stderr: output() }), cli.EXIT_USAGE);
+  });
+});
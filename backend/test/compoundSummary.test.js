@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseFormula, sameFormula, buildCompoundSummary } = require('../utils/compoundSummary');
+
+const PRODUCT = {
+  name: 'exo-BCN-OH',
+  sku: 11341,
+  attributes: {
+    'CAS Number': '1263291-41-3',
+    'Molecular Formula': 'C10H14O',
+    'Molecular Weight': 150.22,
+    'Functional Group': 'BCN, Hydroxyl',
+    'PEG-Length': 'N/A',
+    Storage: '2-8°C in the dark',
+  },
+  variations: {
+    '11341-100': { weight: 0.1, regular_price: 100, _purity: 'min.95%' },
+    '11341-1': { weight: 1, regular_price: 405, _purity: 'min.95%' },
+  },
+};
+
+const COMPOUND = { cid: 53393599, formula: 'C10H14O', molecularWeight: 150.22 };
+
+describe('parseFormula', () => {
+  it('reads element order, groups, components and charges', () => {
+    assert.deepEqual(parseFormula('C2H4O2.2Na'), { counts: { C: 2, H: 4, O: 2, Na: 2 }, charge: 0 });
+    assert.deepEqual(parseFormula('Ca(OH)2'), { counts: { Ca: 1, O: 2, H: 2 }, charge: 0 });
+    assert.deepEqual(parseFormula('C31H33N2O+'), { counts: { C: 31, H: 33, N: 2, O: 1 }, charge: 1 });
+    assert.deepEqual(parseFormula('C[sub]8[/sub]H[sub]8[/sub]O[sub]2[/sub]'), { counts: { C: 8, H: 8, O: 2 }, charge: 0 });
+  });
+
+  it('returns null for text that is not a formula', () => {
+    assert.equal(parseFormula('N/A'), null);
+    assert.equal(parseFormula('C2H(5'), null);
+  });
+});
+
+describe('sameFormula', () => {
+  it('ignores element order but not counts or charge', () => {
+    assert.equal(sameFormula('C45H30O2N4', 'C45H30N4O2'), true);
+    assert.equal(sameFormula('C10H14O', 'C10H16O'), false);
+    assert.equal(sameFormula('C31H33N2O+', 'C31H33N2O'), false);
+    assert.equal(sameFormula('C10H14O', 'unknown'), null);
+  });
+});
+
+describe('buildCompoundSummary', () => {
+  it('merges the PurePEG attributes without warnings when both sources agree', () => {
+    const summary = buildCompoundSummary(COMPOUND, PRODUCT);
+
+    assert.equal(summary.pubchem, COMPOUND);
+    assert.deepEqual(summary.purePeg, {
+      name: 'exo-BCN-OH',
+      sku: 11341,
+      casNumber: '1263291-41-3',
+      formula: 'C10H14O',
+      molecularWeight: 150.22,
+      purity: 'min.95%',
+      pegLength: null,
+      storage: '2-8°C in the dark',
+      functionalGroup: 'BCN, Hydroxyl',
+    });
+    assert.deepEqual(summary.warnings, []);
+  });
+
+  it('warns when the formula or molecular weight disagree', () => {
+    const summary = buildCompoundSummary({ ...COMPOUND, formula: 'C10H16O', molecularWeight: 152.23 }, PRODUCT);
+
+    assert.deepEqual(summary.warnings.map(w => w.field), ['formula', 'molecularWeight']);
+    assert.match(summary.warnings[0].message, /C10H16O.*C10H14O/);
+  });
+
+  it('tolerates rounding and monoisotopic masses', () => {
+    const summary = buildCompoundSummary({ ...COMPOUND, molecularWeight: 150.1045 }, PRODUCT);
+    assert.deepEqual(summary.warnings, []);
+  });
+
+  it('returns PubChem data alone for compounds PurePEG does not sell', () => {
+    assert.deepEqual(buildCompoundSummary(COMPOUND, undefined), { pubchem: COMPOUND, purePeg: null, warnings: [] });
+  });
+});
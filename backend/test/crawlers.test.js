@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { loadVendorAdapters, describeAdapter } = require('../services/vendorRegistry');
+const { createFakePage } = require('./helpers/fakeBrowser');
+const startFixtureServer = require('./helpers/fixtureServer');
+const { PAGES_DIR, listPageFixtures } = require('./helpers/fixtures');
+
+describe('vendor crawlers against saved pages', () => {
+  // Disabled vendors keep their fixtures, so they can be enabled once the fixtures are recorded
+  const { adapters } = loadVendorAdapters(undefined, { includeDisabled: true });
+  let server;
+
+  before(async () => {
+    server = await startFixtureServer(PAGES_DIR);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('has a fixture for every crawl vendor', () => {
+    const fixtureNames = listPageFixtures().map(f => f.name);
+    const crawlVendors = adapters.filter(a => a.type === 'crawl').map(a => path.parse(a.file).name);
+    for (const name of crawlVendors) {
+      assert.ok(fixtureNames.includes(name), `missing test/fixtures/pages/${name}.html`);
+    }
+  });
+
+  for (const fixture of listPageFixtures()) {
+    it(`extracts prices from ${fixture.page}`, async () => {
+      const adapter = adapters.find(a => path.parse(a.file).name === fixture.name);
+      assert.ok(adapter, `no vendor adapter named ${fixture.name}`);
+      assert.ok(fixture.expected, `missing ${fixture.name}.expected.json`);
+
+      const page = createFakePage();
+      await page.goto(`${server.url}/${fixture.page}`);
+      const prices = await adapter.crawl(page);
+
+      assert.deepEqual(prices, fixture.expected);
+    });
+  }
+
+  it('serves a disabled crawl vendor as a link to its search page', () => {
+    const aaBlocks = loadVendorAdapters().adapters.find(a => a.name === 'AA Blocks');
+
+    assert.equal(aaBlocks.type, 'link');
+    assert.equal(aaBlocks.crawl, undefined);
+    assert.equal(aaBlocks.search, undefined);
+    assert.equal(aaBlocks.buildSearchUrl('112-60-7'), 'https://www.aablocks.com/prod/112-60-7');
+    assert.equal(describeAdapter(aaBlocks).enabled, false);
+  });
+
+  it('fails when the page no longer has the expected rows', async () => {
+    const adapter = adapters.find(a => a.name === 'Accela');
+    const page = createFakePage();
+    await page.setContent('<html><body><p>We moved things around</p></body></html>');
+
+    await assert.rejects(adapter.crawl(page), /Timeout/);
+  });
+});
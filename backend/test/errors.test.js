@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pipelineError, toPipelineError, crawlErrorCode, errorBody } = require('../utils/errors');
+const { withRetry, withDeadline, untilAborted } = require('../utils/retry');
+
+describe('pipeline errors', () => {
+  it('carry a stable code, status and retry hint', () => {
+    const err = pipelineError('PUBCHEM_UNAVAILABLE', { details: 'Request failed with status code 503' });
+
+    assert.equal(err.code, 'PUBCHEM_UNAVAILABLE');
+    assert.equal(err.status, 502);
+    assert.deepEqual(errorBody(err), {
+      error: 'PubChem is unavailable',
+      code: 'PUBCHEM_UNAVAILABLE',
+      retryable: true,
+      details: 'Request failed with status code 503',
+    });
+  });
+
+  it('wraps unexpected errors as INTERNAL_ERROR', () => {
+    const err = toPipelineError(new TypeError('boom'));
+
+    assert.equal(err.code, 'INTERNAL_ERROR');
+    assert.equal(err.status, 500);
+    assert.equal(err.details, 'boom');
+  });
+
+  it('maps crawl failure types to codes', () => {
+    assert.equal(crawlErrorCode('blocked'), 'VENDOR_BLOCKED');
+    assert.equal(crawlErrorCode('selector_missing'), 'PARSE_FAILED');
+    assert.equal(crawlErrorCode('timeout'), 'VENDOR_TIMEOUT');
+    assert.equal(crawlErrorCode('navigation'), 'VENDOR_UNAVAILABLE');
+  });
+});
+
+describe('withRetry', () => {
+  it('retries until the call succeeds', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls < 3) throw new Error('flaky');
+      return 'ok';
+    }, { retries: 2, baseDelayMs: 1 });
+
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+  });
+
+  it('gives up after the last retry or when the error is not worth retrying', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => { calls++; throw new Error('down'); }, { retries: 2, baseDelayMs: 1 }), /down/);
+    assert.equal(calls, 3);
+
+    calls = 0;
+    const permanent = pipelineError('VENDOR_BLOCKED');
+    await assert.rejects(withRetry(async () => { calls++; throw permanent; }, { baseDelayMs: 1, shouldRetry: err => err.retryable }));
+    assert.equal(calls, 1);
+  });
+});
+
+describe('withDeadline', () => {
+  it('rejects with the timeout error and aborts the work', async () => {
+    let aborted = false;
+    const work = signal => new Promise(resolve => {
+      signal.addEventListener('abort', () => { aborted = true; resolve('too late'); });
+    });
+
+    await assert.rejects(withDeadline(work, 10, () => pipelineError('VENDOR_TIMEOUT')), { code: 'VENDOR_TIMEOUT' });
+    assert.equal(aborted, true);
+  });
+
+  it('resolves with the result when the work finishes in time', async () => {
+    assert.equal(await withDeadline(async () => 42, 1000, () => new Error('timeout')), 42);
+  });
+});
+
+describe('untilAborted', () => {
+  it('stops waiting when the signal aborts, leaving the work to finish', async () => {
+    let finish;
+    const work = new Promise(resolve => { finish = resolve; });
+    const controller = new AbortController();
+
+    const waiting = untilAborted(work, controller.signal, () => pipelineError('VENDOR_TIMEOUT'));
+    controller.abort();
+    await assert.rejects(waiting, { code: 'VENDOR_TIMEOUT' });
+
+    finish(42);
+    assert.equal(await untilAborted(work, new AbortController().signal, () => new Error('aborted')), 42);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createExchangeRates, validateRateTable } = require('../services/exchangeRates');
+const { normalizePriceEntry } = require('../utils/normalize');
+
+describe('createExchangeRates', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purepeg-rates-'));
+  const filePath = path.join(tmpDir, 'exchange_rates.json');
+  let exchangeRates;
+
+  before(() => {
+    fs.writeFileSync(filePath, JSON.stringify({ base: 'USD', rates: { EUR: 0.8, CNY: 8 } }));
+    exchangeRates = createExchangeRates({ filePath });
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('adds base-currency prices to normalized entries', () => {
+    const entry = exchangeRates.convertEntry(normalizePriceEntry({ quantity: '100 mg', price: '€40.00' }));
+    assert.equal(entry.currency, 'EUR');
+    assert.equal(entry.baseCurrency, 'USD');
+    assert.equal(entry.basePrice, 50);
+    assert.equal(entry.basePricePerGram, 500);
+  });
+
+  it('leaves the base price empty for currencies without a rate', () => {
+    const entry = exchangeRates.convertEntry(normalizePriceEntry({ quantity: '1 g', price: '£10' }));
+    assert.equal(entry.currency, 'GBP');
+    assert.equal(entry.basePrice, null);
+  });
+
+  it('saves a replaced table and rejects invalid ones', () => {
+    exchangeRates.update({ rates: { EUR: 0.5 } });
+    assert.equal(exchangeRates.convert(10, 'EUR'), 20);
+    assert.equal(exchangeRates.convert(10, 'CNY'), null);
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath)).rates, { EUR: 0.5, USD: 1 });
+
+    assert.throws(() => exchangeRates.update({ rates: { EUR: -1 } }), err => err.errors.length === 1);
+    assert.equal(exchangeRates.convert(10, 'EUR'), 20);
+  });
+
+  it('rejects an update without rates instead of keeping only the base currency', () => {
+    assert.throws(() => exchangeRates.update({}), err => /"rates" must be an object/.test(err.errors[0]));
+    assert.throws(() => exchangeRates.update({ rates: 'EUR=0.5' }), err => err.errors.length === 1);
+    assert.equal(exchangeRates.convert(10, 'EUR'), 20);
+  });
+
+  it('keeps the current table when the new one cannot be saved', () => {
+    const unwritable = createExchangeRates({ filePath: path.join(filePath, 'nested.json') });
+    assert.throws(() => unwritable.update({ rates: { EUR: 0.5 } }));
+    assert.deepEqual(unwritable.getTable().rates, { USD: 1 });
+  });
+});
+
+describe('validateRateTable', () => {
+  it('requires currency codes and positive rates', () => {
+    assert.deepEqual(validateRateTable({ base: 'USD', rates: { USD: 1, EUR: 0.9 } }), []);
+    assert.equal(validateRateTable({ base: 'dollars', rates: { eur: 0 } }).length, 3);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview A jsdom-backed stand-in for the slice of the Playwright API the crawlers use,
+ * so crawl functions can run against saved HTML without a Chromium install.
+ * Pages are static: `waitForSelector` fails immediately instead of waiting.
+ */
+
+const { JSDOM } = require('jsdom');
+
+function timeoutError(what, timeout) {
+  const err = new Error(`Timeout ${timeout}ms exceeded waiting for ${what}`);
+  err.name = 'TimeoutError';
+  return err;
+}
+
+/**
+ * Creates a page. Load it with `goto(url)` (fetched over HTTP) or `setContent(html)`.
+ */
+function createFakePage() {
+  let dom = null;
+
+  function load(html, url) {
+    dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+    // jsdom has no layout engine and therefore no innerText
+    Object.defineProperty(dom.window.HTMLElement.prototype, 'innerText', {
+      get() { return this.textContent; },
+    });
+  }
+
+  function document() {
+    if (!dom) throw new Error('Page has no content; call goto() or setContent() first');
+    return dom.window.document;
+  }
+
+  function locator(selector, { hasText } = {}) {
+    const matches = () => Array.from(document().querySelectorAll(selector))
+      .filter(el => !hasText || el.textContent.includes(hasText));
+    const nth = index => ({
+      async click({ timeout = 30000 } = {}) {
+        const el = matches()[index];
+        if (!el) throw timeoutError(`locator('${selector}')`, timeout);
+        el.click();
+      },
+      async textContent() {
+        return matches()[index]?.textContent ?? null;
+      },
+    });
+    return {
+      first: () => nth(0),
+      nth,
+      count: async () => matches().length,
+    };
+  }
+
+  return {
+    async goto(url) {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`net::ERR_HTTP_RESPONSE_CODE_FAILURE ${res.status} at ${url}`);
+      load(await res.text(), url);
+      return { status: () => res.status };
+    },
+    async setContent(html) {
+      load(html, 'http://localhost/');
+    },
+    async content() {
+      return dom.serialize();
+    },
+    url() {
+      return dom ? dom.window.location.href : 'about:blank';
+    },
+    async waitForSelector(selector, { timeout = 30000 } = {}) {
+      const el = document().querySelector(selector);
+      if (!el) throw timeoutError(`locator('${selector}')`, timeout);
+      return el;
+    },
+    async waitForLoadState() {},
+    async evaluate(fn, arg) {
+      // Serialize like Playwright does, so crawl code that leaks outer variables fails here too
+      const source = `(${fn.toString()})(${arg === undefined ? '' : JSON.stringify(arg)})`;
+      const result = await dom.window.eval(source);
+      return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    },
+    locator,
+    async screenshot() {},
+    async close() {
+      if (dom) dom.window.close();
+    },
+  };
+}
+
+/**
+ * A drop-in for `chromium` in `createBrowserPool` and `chromium.launch`.
+ */
+const fakeBrowserType = {
+  async launch() {
+    let connected = true;
+    const listeners = { disconnected: [] };
+    return {
+      isConnected: () => connected,
+      on(event, listener) {
+        listeners[event]?.push(listener);
+      },
+      // Test hook: the browser process died
+      disconnect() {
+        connected = false;
+        for (const listener of listeners.disconnected) listener();
+      },
+      async newContext() {
+        const pages = [];
+        return {
+          async newPage() {
+            const page = createFakePage();
+            pages.push(page);
+            return page;
+          },
+          async close() {
+            await Promise.all(pages.map(p => p.close()));
+          },
+        };
+      },
+      async close() {
+        connected = false;
+      },
+    };
+  },
+};
+
+module.exports = { createFakePage, fakeBrowserType };
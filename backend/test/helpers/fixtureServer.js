@@ -0,0 +1,33 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Serves saved vendor pages from a directory on a random local port.
+ * @param {string} dir - Directory holding the `.html` fixtures.
+ * @returns {Promise<{url: string, close: Function}>} `url` has no trailing slash.
+ */
+function startFixtureServer(dir) {
+  const server = http.createServer((req, res) => {
+    const filePath = path.join(dir, path.basename(decodeURIComponent(new URL(req.url, 'http://localhost').pathname)));
+    fs.readFile(filePath, (err, body) => {
+      if (err) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Not found');
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(body);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = startFixtureServer;
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures');
+const PAGES_DIR = path.join(FIXTURES_DIR, 'pages');
+
+/**
+ * Reads a JSON fixture, replacing `{{FIXTURE_URL}}` with the local fixture server URL.
+ * @param {string} relativePath - Path under `test/fixtures`.
+ * @param {string} [fixtureUrl] - Base URL of the running fixture server.
+ */
+function readJsonFixture(relativePath, fixtureUrl = '') {
+  const text = fs.readFileSync(path.join(FIXTURES_DIR, relativePath), 'utf8');
+  return JSON.parse(text.replaceAll('{{FIXTURE_URL}}', fixtureUrl));
+}
+
+/**
+ * Lists the vendors that have a saved page and the output their crawler is expected to produce.
+ * @returns {Array<{name: string, page: string, expected: Array<object>}>} `name` is the adapter file basename.
+ */
+function listPageFixtures() {
+  return fs.readdirSync(PAGES_DIR)
+    .filter(file => file.endsWith('.html'))
+    .map(file => {
+      const name = path.basename(file, '.html');
+      const expectedPath = path.join(PAGES_DIR, `${name}.expected.json`);
+      return {
+        name,
+        page: file,
+        expected: fs.existsSync(expectedPath) ? JSON.parse(fs.readFileSync(expectedPath, 'utf8')) : null,
+      };
+    });
+}
+
+module.exports = { FIXTURES_DIR, PAGES_DIR, readJsonFixture, listPageFixtures };
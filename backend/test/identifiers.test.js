@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+const { parseIdentifierText, parseCsvRows, readIdentifiers } = require('../utils/identifiers');
+
+async function xlsxBuffer(rows) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Identifiers').addRows(rows);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+describe('parseIdentifierText', () => {
+  it('splits on lines, tabs and semicolons but not commas', () => {
+    assert.deepEqual(parseIdentifierText(' 112-60-7\r\nOCCO;\t1,2-ethanediol\n\n'), ['112-60-7', 'OCCO', '1,2-ethanediol']);
+  });
+});
+
+describe('parseCsvRows', () => {
+  it('keeps commas, doubled quotes and line breaks inside quoted cells', () => {
+    assert.deepEqual(parseCsvRows('CAS,Name\r\n112-60-7,"1,2-bis(2-hydroxyethoxy)ethane"\n\n"a ""b""\nc",d'), [
+      ['CAS', 'Name'],
+      ['112-60-7', '1,2-bis(2-hydroxyethoxy)ethane'],
+      ['a "b"\nc', 'd'],
+    ]);
+  });
+});
+
+describe('readIdentifiers', () => {
+  it('reads the identifier column of a CSV file, skipping its header', async () => {
+    const csv = Buffer.from('Note,SMILES\nglycol,OCCO\n"triethylene, glycol","C(COCCOCCO)O"\nglycol again,OCCO\n');
+    assert.deepEqual(await readIdentifiers(csv, 'batch.CSV'), ['OCCO', 'C(COCCOCCO)O']);
+  });
+
+  it('reads the first column of an XLSX file without a header', async () => {
+    const buffer = await xlsxBuffer([['112-60-7', 'note'], [], [1263291, 'a number']]);
+    assert.deepEqual(await readIdentifiers(buffer, 'batch.xlsx'), ['112-60-7', '1263291']);
+  });
+
+  it('reads anything else as text', async () => {
+    assert.deepEqual(await readIdentifiers(Buffer.from('112-60-7\nOCCO\n')), ['112-60-7', 'OCCO']);
+  });
+});
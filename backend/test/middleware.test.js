@@ -0,0 +1,139 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const nock = require('nock');
+
+process.env.PUBCHEM_RETRY_DELAY_MS = '1';
+const getCID = require('../middleware/getCID');
+const getStoreLinks = require('../middleware/getStoreLinks');
+const { readJsonFixture } = require('./helpers/fixtures');
+
+const PUBCHEM = 'https://pubchem.ncbi.nlm.nih.gov';
+
+// A bare app exposing what the middleware attached to the request
+function createTestApp() {
+  const app = express();
+  app.get('/lookup/:id', getCID, getStoreLinks, (req, res) => {
+    res.json({ cid: req.cid, vendors: req.vendors.map(v => v.SourceName) });
+  });
+  return app;
+}
+
+describe('getCID and getStoreLinks', () => {
+  const app = createTestApp();
+
+  before(() => {
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  it('resolves a name to a CID and lists its vendors', async () => {
+    nock(PUBCHEM)
+      .get('/rest/pug/compound/name/mw-name-hit/cids/JSON').reply(200, readJsonFixture('pubchem/cids.json'))
+      .get('/rest/pug_view/categories/compound/53393599/JSON/').query(true).reply(200, readJsonFixture('pubchem/vendors.json'));
+
+    const res = await request(app).get('/lookup/mw-name-hit');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cid, 53393599);
+    assert.deepEqual(res.body.vendors, ['Accela ChemBio Inc.', 'BLD Pharm', 'BroadPharm', 'Combi-Blocks']);
+  });
+
+  it('falls back to the SMILES endpoint when the name is unknown', async () => {
+    nock(PUBCHEM)
+      .get('/rest/pug/compound/name/C%23C/cids/JSON').reply(404, readJsonFixture('pubchem/not-found.json'))
+      .get('/rest/pug/compound/smiles/C%23C/cids/JSON').reply(200, readJsonFixture('pubchem/cids.json'))
+      .get('/rest/pug_view/categories/compound/53393599/JSON/').query(true).reply(200, readJsonFixture('pubchem/vendors.json'));
+
+    const res = await request(app).get(`/lookup/${encodeURIComponent('C#C')}`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cid, 53393599);
+  });
+
+  it('responds 404 when neither endpoint knows the identifier', async () => {
+    nock(PUBCHEM)
+      .get('/rest/pug/compound/name/mw-unknown/cids/JSON').reply(200, { IdentifierList: { CID: [] } })
+      .get('/rest/pug/compound/smiles/mw-unknown/cids/JSON').reply(200, { IdentifierList: { CID: [] } });
+
+    const res = await request(app).get('/lookup/mw-unknown');
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, 'No compound found for ID');
+    assert.equal(res.body.code, 'COMPOUND_NOT_FOUND');
+  });
+
+  it('responds 300 with the candidates when the identifier matches several compounds', async () => {
+    nock(PUBCHEM)
+      .get('/rest/pug/compound/name/mw-ambiguous/cids/JSON').reply(200, { IdentifierList: { CID: [53393599, 53393600] } })
+      .get('/rest/pug/compound/cid/53393599,53393600/property/Title,IUPACName,MolecularFormula,MolecularWeight/JSON')
+      .reply(200, readJsonFixture('pubchem/candidates.json'));
+
+    const res = await request(app).get('/lookup/mw-ambiguous');
+
+    assert.equal(res.status, 300);
+    assert.equal(res.body.total, 2);
+    assert.deepEqual(res.body.candidates.map(c => [c.cid, c.title, c.formula, c.molecularWeight]), [
+      [53393599, 'exo-BCN-OH', 'C10H14O', 150.22],
+      [53393600, 'endo-BCN-OH', 'C10H14O', 150.22],
+    ]);
+  });
+
+  it('still lists the candidate CIDs when PubChem fails to describe them', async () => {
+    nock(PUBCHEM)
+      .get('/rest/pug/compound/name/mw-ambiguous-outage/cids/JSON').reply(200, { IdentifierList: { CID: [53393599, 53393600] } })
+      .get('/rest/pug/compound/cid/53393599,53393600/property/Title,IUPACName,MolecularFormula,MolecularWeight/JSON')
+      .times(3).reply(503, 'Service Unavailable');
+
+    const res = await request(app).get('/lookup/mw-ambiguous-outage');
+
+    assert.equal(res.status, 300);
+    assert.equal(res.body.code, 'AMBIGUOUS_IDENTIFIER');
+    assert.deepEqual(res.body.candidates.map(c => [c.cid, c.title]), [[53393599, null], [53393600, null]]);
+  });
+
+  it('retries, then responds 502 PUBCHEM_UNAVAILABLE when PubChem keeps failing', async () => {
+    const outage = nock(PUBCHEM)
+      .get('/rest/pug/compound/name/mw-outage/cids/JSON').times(3).reply(503, 'Service Unavailable');
+
+    const res = await request(app).get('/lookup/mw-outage');
+
+    assert.ok(outage.isDone(), 'PubChem was not retried');
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, 'PUBCHEM_UNAVAILABLE');
+    assert.equal(res.body.retryable, true);
+  });
+
+  it('recovers when a retry succeeds', async () => {
+    nock(PUBCHEM)
+      .get('/rest/pug/compound/name/mw-flaky/cids/JSON').reply(503, 'Service Unavailable')
+      .get('/rest/pug/compound/name/mw-flaky/cids/JSON').reply(200, readJsonFixture('pubchem/cids.json'))
+      .get('/rest/pug_view/categories/compound/53393599/JSON/').query(true).reply(200, readJsonFixture('pubchem/vendors.json'));
+
+    const res = await request(app).get('/lookup/mw-flaky');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cid, 53393599);
+  });
+
+  it('responds 404 when PubChem lists no vendors', async () => {
+    nock(PUBCHEM)
+      .get('/rest/pug/compound/name/mw-no-vendors/cids/JSON').reply(200, { IdentifierList: { CID: [42] } })
+      .get('/rest/pug_view/categories/compound/42/JSON/').query(true)
+      .reply(200, { SourceCategories: { Categories: [{ Sources: [] }] } });
+
+    const res = await request(app).get('/lookup/mw-no-vendors');
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'VENDORS_NOT_FOUND');
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseQuantity, parsePrice, parseAvailability, normalizePriceEntry } = require('../utils/normalize');
+
+describe('parseQuantity', () => {
+  it('converts mass units to grams', () => {
+    assert.deepEqual(parseQuantity('250mg'), { amount: 250, unit: 'mg', grams: 0.25 });
+    assert.deepEqual(parseQuantity('1 kg'), { amount: 1, unit: 'kg', grams: 1000 });
+    assert.deepEqual(parseQuantity('5 x 100 mg'), { amount: 500, unit: 'mg', grams: 0.5 });
+  });
+
+  it('treats bare numbers as grams', () => {
+    assert.deepEqual(parseQuantity(0.1), { amount: 0.1, unit: 'g', grams: 0.1 });
+    assert.deepEqual(parseQuantity('0.25'), { amount: 0.25, unit: 'g', grams: 0.25 });
+  });
+
+  it('recognizes volumes without converting them to grams', () => {
+    assert.deepEqual(parseQuantity('100µL'), { amount: 100, unit: 'µL', grams: null });
+  });
+
+  it('returns nulls for text it cannot read', () => {
+    assert.deepEqual(parseQuantity('bulk'), { amount: null, unit: null, grams: null });
+  });
+});
+
+describe('parsePrice', () => {
+  it('reads currency symbols and thousands separators', () => {
+    assert.deepEqual(parsePrice('$1,234.00'), { price: 1234, currency: 'USD' });
+    assert.deepEqual(parsePrice('€ 1.234,50'), { price: 1234.5, currency: 'EUR' });
+  });
+
+  it('returns a null price for placeholders', () => {
+    assert.deepEqual(parsePrice('Inquire'), { price: null, currency: null });
+    assert.deepEqual(parsePrice('N/A'), { price: null, currency: null });
+  });
+});
+
+describe('normalizePriceEntry', () => {
+  it('keeps the raw text and computes the per-gram price', () => {
+    assert.deepEqual(normalizePriceEntry({ quantity: '250mg', price: '$100.00' }), {
+      raw: { quantity: '250mg', price: '$100.00' },
+      amount: 250,
+      unit: 'mg',
+      grams: 0.25,
+      price: 100,
+      currency: 'USD',
+      pricePerGram: 400,
+      inStock: null,
+      leadTime: null,
+      purity: null,
+      catalogNumber: null,
+    });
+  });
+
+  it('reads stock text into inStock and leadTime and keeps product details', () => {
+    const entry = normalizePriceEntry({ quantity: '1g', price: '$420.00', stock: '2-3 weeks', purity: ' 95% ', catalogNumber: 'SY123456' });
+    assert.equal(entry.inStock, false);
+    assert.equal(entry.leadTime, '2-3 weeks');
+    assert.equal(entry.purity, '95%');
+    assert.equal(entry.catalogNumber, 'SY123456');
+    assert.equal(normalizePriceEntry({ quantity: 1, price: 405, inStock: true, stock: 'Inquire' }).inStock, true);
+  });
+});
+
+describe('parseAvailability', () => {
+  it('recognizes in-stock, lead-time and inquiry wording', () => {
+    assert.deepEqual(parseAvailability('In Stock'), { inStock: true, leadTime: null });
+    assert.deepEqual(parseAvailability('1 - 2 weeks'), { inStock: false, leadTime: '1-2 weeks' });
+    assert.deepEqual(parseAvailability('Ship within 24 hours'), { inStock: true, leadTime: '24 hours' });
+    assert.deepEqual(parseAvailability('Inquiry'), { inStock: false, leadTime: null });
+    assert.deepEqual(parseAvailability('Out of stock'), { inStock: false, leadTime: null });
+  });
+
+  it('returns nulls for missing or unrecognized text', () => {
+    assert.deepEqual(parseAvailability(undefined), { inStock: null, leadTime: null });
+    assert.deepEqual(parseAvailability('See website'), { inStock: null, leadTime: null });
+  });
+});
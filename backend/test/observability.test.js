@@ -0,0 +1,160 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+
+const { createLogger, withLogContext, getLogContext } = require('../services/logger');
+const { createMetricsRegistry, registry } = require('../services/metrics');
+const { pipelineError } = require('../utils/errors');
+const requestContext = require('../middleware/requestContext');
+
+// Collects what the logger writes, parsed, instead of printing it
+function captureLogs() {
+  const lines = [];
+  const original = { log: console.log, error: console.error };
+  console.log = line => lines.push({ stream: 'stdout', ...JSON.parse(line) });
+  console.error = line => lines.push({ stream: 'stderr', ...JSON.parse(line) });
+  return { lines, restore: () => Object.assign(console, original) };
+}
+
+describe('logger', () => {
+  let capture;
+
+  beforeEach(() => {
+    capture = captureLogs();
+  });
+
+  afterEach(() => {
+    capture.restore();
+    delete process.env.LOG_LEVEL;
+  });
+
+  it('writes one JSON object per line, with the bindings and the log context', async () => {
+    const logger = createLogger({ module: 'test' });
+
+    await withLogContext({ requestId: 'abc' }, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      withLogContext({ vendor: 'BLD' }, () => logger.info('Crawl finished', { prices: 3 }));
+      assert.deepEqual(getLogContext(), { requestId: 'abc' });
+    });
+    logger.warn('Outside');
+
+    const [inside, outside] = capture.lines;
+    assert.deepEqual({ ...inside, time: undefined }, {
+      stream: 'stdout', time: undefined, level: 'info', msg: 'Crawl finished', requestId: 'abc', vendor: 'BLD', module: 'test', prices: 3,
+    });
+    assert.equal(outside.stream, 'stderr');
+    assert.equal(outside.requestId, undefined);
+  });
+
+  it('serializes errors, without a stack for pipeline errors', () => {
+    const logger = createLogger();
+    logger.error('Unexpected', { err: new TypeError('boom') });
+    logger.error('Expected', { err: pipelineError('PUBCHEM_UNAVAILABLE') });
+
+    assert.equal(capture.lines[0].err.name, 'TypeError');
+    assert.match(capture.lines[0].err.stack, /boom/);
+    assert.equal(capture.lines[1].err.code, 'PUBCHEM_UNAVAILABLE');
+    assert.equal(capture.lines[1].err.stack, undefined);
+  });
+
+  it('skips levels below LOG_LEVEL', () => {
+    process.env.LOG_LEVEL = 'warn';
+    const logger = createLogger();
+    logger.debug('no');
+    logger.info('no');
+    logger.warn('yes');
+
+    assert.deepEqual(capture.lines.map(line => line.msg), ['yes']);
+  });
+});
+
+describe('metrics registry', () => {
+  it('renders counters and cumulative histogram buckets in the Prometheus text format', () => {
+    const metrics = createMetricsRegistry();
+    const requests = metrics.counter({ name: 'test_requests_total', help: 'Requests.', labelNames: ['route'] });
+    const duration = metrics.histogram({ name: 'test_duration_seconds', help: 'Duration.', labelNames: ['vendor'], buckets: [0.1, 1] });
+
+    requests.inc({ route: '/prices/:id' });
+    requests.inc({ route: '/prices/:id' }, 2);
+    requests.inc({ route: 'say "hi"' });
+    duration.observe({ vendor: 'BLD' }, 0.5);
+    duration.observe({ vendor: 'BLD' }, 0.05);
+
+    assert.equal(metrics.render(), [
+      '# HELP test_requests_total Requests.',
+      '# TYPE test_requests_total counter',
+      'test_requests_total{route="/prices/:id"} 3',
+      'test_requests_total{route="say \\"hi\\""} 1',
+      '# HELP test_duration_seconds Duration.',
+      '# TYPE test_duration_seconds histogram',
+      'test_duration_seconds_bucket{vendor="BLD",le="0.1"} 1',
+      'test_duration_seconds_bucket{vendor="BLD",le="1"} 2',
+      'test_duration_seconds_bucket{vendor="BLD",le="+Inf"} 2',
+      'test_duration_seconds_sum{vendor="BLD"} 0.55',
+      'test_duration_seconds_count{vendor="BLD"} 2',
+      '',
+    ].join('\n'));
+
+    metrics.reset();
+    assert.doesNotMatch(metrics.render(), /test_requests_total\{/);
+  });
+
+  it('times with startTimer, adding labels known only at the end', async () => {
+    const metrics = createMetricsRegistry();
+    const duration = metrics.histogram({ name: 'test_crawl_seconds', help: 'Crawl.', labelNames: ['vendor', 'outcome'] });
+
+    const stop = duration.startTimer({ vendor: 'BLD' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const seconds = stop({ outcome: 'success' });
+
+    assert.ok(seconds > 0);
+    assert.match(metrics.render(), /test_crawl_seconds_count\{vendor="BLD",outcome="success"\} 1/);
+  });
+});
+
+describe('requestContext', () => {
+  let capture;
+
+  function createTestApp() {
+    const app = express();
+    app.use(requestContext);
+    app.get('/prices/:id', (req, res) => res.json({ id: req.id, context: getLogContext() }));
+    return app;
+  }
+
+  beforeEach(() => {
+    capture = captureLogs();
+    registry.reset();
+  });
+
+  afterEach(() => {
+    capture.restore();
+  });
+
+  it('keeps a valid caller request ID and carries it through the handler', async () => {
+    const res = await request(createTestApp()).get('/prices/BCN').set('X-Request-Id', 'lookup-42');
+
+    assert.equal(res.headers['x-request-id'], 'lookup-42');
+    assert.deepEqual(res.body, { id: 'lookup-42', context: { requestId: 'lookup-42' } });
+    const finished = capture.lines.find(line => line.msg === 'Request finished');
+    assert.deepEqual([finished.requestId, finished.route, finished.status], ['lookup-42', '/prices/:id', 200]);
+  });
+
+  it('replaces a missing or malformed request ID with a UUID', async () => {
+    const res = await request(createTestApp()).get('/prices/BCN').set('X-Request-Id', 'forged\tid');
+
+    assert.match(res.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+  });
+
+  it('counts requests by route pattern, never by identifier', async () => {
+    const app = createTestApp();
+    await request(app).get('/prices/BCN');
+    await request(app).get('/prices/DBCO');
+    await request(app).get('/missing');
+
+    const text = registry.render();
+    assert.match(text, /purepeg_http_requests_total\{method="GET",route="\/prices\/:id",status="200"\} 2/);
+    assert.match(text, /purepeg_http_requests_total\{method="GET",route="unmatched",status="404"\} 1/);
+  });
+});
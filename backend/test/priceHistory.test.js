@@ -0,0 +1,167 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const nock = require('nock');
+
+process.env.PUBCHEM_RETRY_DELAY_MS = '1';
+const { createPriceHistory, findPriceChanges } = require('../services/priceHistory');
+const createHistoryRouter = require('../routes/history');
+const { normalizePriceEntry } = require('../utils/normalize');
+const { readJsonFixture } = require('./helpers/fixtures');
+
+const PUBCHEM = 'https://pubchem.ncbi.nlm.nih.gov';
+const CID = 53393599;
+
+function card(vendorName, prices, status = 'success') {
+  return {
+    vendorName,
+    status,
+    data: { url: `https://${vendorName.toLowerCase()}.test/product`, prices: prices.map(([quantity, price]) => normalizePriceEntry({ quantity, price })) },
+  };
+}
+
+describe('createPriceHistory', () => {
+  let tmpDir;
+  let filePath;
+  let history;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purepeg-history-'));
+    filePath = path.join(tmpDir, 'meta', 'price_history.jsonl');
+    history = createPriceHistory({ filePath });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reads back one entry per vendor per lookup, oldest first', async () => {
+    await history.record({ searchTerm: 'exo-BCN-OH', cid: CID, results: [card('BLD', [['1g', '$354']]), card('Accela', [['1g', '$420']])], fetchedAt: new Date('2026-01-01T00:00:00Z') });
+    history.record({ searchTerm: 'exo-BCN-OH', cid: CID, results: [card('BLD', [['1g', '$340']])], fetchedAt: new Date('2026-02-01T00:00:00Z') });
+
+    // Queries wait for pending writes
+    const entries = await history.query({ cid: CID });
+    assert.deepEqual(entries.map(e => [e.timestamp, e.vendorName, e.prices[0].price]), [
+      ['2026-01-01T00:00:00.000Z', 'BLD', 354],
+      ['2026-01-01T00:00:00.000Z', 'Accela', 420],
+      ['2026-02-01T00:00:00.000Z', 'BLD', 340],
+    ]);
+    assert.deepEqual(Object.keys(entries[0]), ['timestamp', 'cid', 'searchTerm', 'vendorName', 'status', 'url', 'prices']);
+  });
+
+  it('filters by CID, vendor (case-insensitive) and time range', async () => {
+    await history.record({ searchTerm: 'a', cid: 1, results: [card('BLD', [['1g', '$1']]), card('Accela', [['1g', '$2']])], fetchedAt: new Date('2026-01-01T00:00:00Z') });
+    await history.record({ searchTerm: 'a', cid: 1, results: [card('BLD', [['1g', '$3']])], fetchedAt: new Date('2026-03-01T00:00:00Z') });
+    await history.record({ searchTerm: 'b', cid: 2, results: [card('BLD', [['1g', '$4']])], fetchedAt: new Date('2026-02-01T00:00:00Z') });
+
+    assert.equal((await history.query({ cid: 1 })).length, 3);
+    assert.deepEqual((await history.query({ cid: 1, vendorName: 'bld' })).map(e => e.prices[0].price), [1, 3]);
+    assert.deepEqual((await history.query({ since: new Date('2026-01-15T00:00:00Z'), until: new Date('2026-02-15T00:00:00Z') })).map(e => e.cid), [2]);
+    assert.deepEqual(await history.query({ cid: 3 }), []);
+  });
+
+  it('returns nothing before the first write', async () => {
+    assert.deepEqual(await history.query({}), []);
+  });
+
+  it('skips corrupt and truncated lines', async () => {
+    await history.record({ searchTerm: 'a', cid: 1, results: [card('BLD', [['1g', '$1']])], fetchedAt: new Date('2026-01-01T00:00:00Z') });
+    // A garbled line, a value that parses but is no entry, and a write cut short by a crash
+    fs.appendFileSync(filePath, 'not json\n42\n{"timestamp":"2026-01-02T00:00:00.000Z","cid":1,"vendorName":"Acc');
+    fs.appendFileSync(filePath, '\n');
+    await history.record({ searchTerm: 'a', cid: 1, results: [card('BLD', [['1g', '$2']])], fetchedAt: new Date('2026-01-03T00:00:00Z') });
+
+    const entries = await history.query({ cid: 1, vendorName: 'BLD' });
+    assert.deepEqual(entries.map(e => e.prices[0].price), [1, 2]);
+  });
+});
+
+describe('findPriceChanges', () => {
+  it('reports changed, added and removed pack sizes, ignoring failed scrapes', () => {
+    const entry = (timestamp, prices, status) => ({ timestamp, ...card('BLD', prices, status).data, status: status ?? 'success' });
+    const changes = findPriceChanges([
+      entry('t1', [['100mg', '$71'], ['1g', '$354']]),
+      entry('t2', [], 'error'),
+      entry('t3', [['100mg', '$71'], ['1g', '$340'], ['5g', '$1200']]),
+      entry('t4', [['1g', '$340'], ['5g', '$1200']]),
+    ]);
+
+    assert.deepEqual(changes, [
+      { timestamp: 't3', quantity: '1 g', previousPrice: 354, price: 340 },
+      { timestamp: 't3', quantity: '5 g', previousPrice: null, price: 1200 },
+      { timestamp: 't4', quantity: '100 mg', previousPrice: 71, price: null },
+    ]);
+  });
+});
+
+describe('/history routes', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purepeg-history-'));
+  const history = createPriceHistory({ filePath: path.join(tmpDir, 'price_history.jsonl') });
+  const app = express();
+  app.use('/history', createHistoryRouter({ priceHistory: history }));
+
+  // Each test resolves its own name, so the CID cache never answers for PubChem
+  function mockCID(name) {
+    nock(PUBCHEM).get(`/rest/pug/compound/name/${name}/cids/JSON`).reply(200, readJsonFixture('pubchem/cids.json'));
+  }
+
+  before(async () => {
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    await history.record({ searchTerm: 'exo-BCN-OH', cid: CID, results: [card('BLD', [['1g', '$354']]), card('Accela', [['1g', '$420']])], fetchedAt: new Date('2026-01-01T00:00:00Z') });
+    await history.record({ searchTerm: 'exo-BCN-OH', cid: CID, results: [card('BLD', [['1g', '$340']])], fetchedAt: new Date('2026-02-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('groups the series by vendor', async () => {
+    mockCID('history-all');
+    const res = await request(app).get('/history/history-all');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cid, CID);
+    assert.deepEqual(Object.keys(res.body.vendors), ['BLD', 'Accela']);
+    assert.equal(res.body.vendors.BLD.length, 2);
+    assert.deepEqual(Object.keys(res.body.vendors.BLD[0]), ['timestamp', 'status', 'url', 'prices']);
+  });
+
+  it('limits the series to a time range and rejects invalid timestamps', async () => {
+    mockCID('history-range');
+    const res = await request(app).get('/history/history-range?since=2026-01-15T00:00:00Z');
+    assert.deepEqual(Object.keys(res.body.vendors), ['BLD']);
+    assert.equal(res.body.vendors.BLD[0].prices[0].price, 340);
+
+    mockCID('history-invalid');
+    const invalid = await request(app).get('/history/history-invalid?until=yesterday');
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /until/);
+  });
+
+  it('serves one vendor\'s series with its price changes', async () => {
+    mockCID('history-vendor');
+    const res = await request(app).get('/history/history-vendor/bld');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.vendorName, 'BLD');
+    assert.equal(res.body.series.length, 2);
+    assert.deepEqual(res.body.changes, [{ timestamp: '2026-02-01T00:00:00.000Z', quantity: '1 g', previousPrice: 354, price: 340 }]);
+  });
+
+  it('answers 404 for a vendor without history', async () => {
+    mockCID('history-missing');
+    const res = await request(app).get('/history/history-missing/BroadPharm');
+
+    assert.equal(res.status, 404);
+  });
+});
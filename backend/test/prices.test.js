@@ -0,0 +1,561 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const nock = require('nock');
+const ExcelJS = require('exceljs');
+const { chromium } = require('playwright');
+
+const { fakeBrowserType } = require('./helpers/fakeBrowser');
+const startFixtureServer = require('./helpers/fixtureServer');
+const { FIXTURES_DIR, PAGES_DIR, readJsonFixture } = require('./helpers/fixtures');
+const { priceCache } = require('../services/lookupCache');
+
+const PUBCHEM = 'https://pubchem.ncbi.nlm.nih.gov';
+const WOOCOMMERCE = 'http://wc.test';
+const SEARCH_TERM = 'exo-BCN-OH'; // In meta/product_cache.json with parentId 16806
+const CAS = '1263291-41-3'; // Its CAS Number there, which vendor searches are run with
+
+describe('/prices/:id end to end', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purepeg-prices-'));
+  let server;
+  let app;
+  let admin; // A logged-in admin session
+  let browserPool;
+  let priceHistory;
+  let VENDOR_CONFIG;
+
+  before(async () => {
+    server = await startFixtureServer(PAGES_DIR);
+
+    Object.assign(process.env, {
+      WC_API_URL: WOOCOMMERCE,
+      WC_KEY: 'ck_test',
+      WC_SECRET: 'cs_test',
+      PRICE_HISTORY_FILE: path.join(tmpDir, 'price_history.jsonl'),
+      SWEEP_PROGRESS_FILE: path.join(tmpDir, 'sweep_progress.json'),
+      VENDOR_HEALTH_FILE: path.join(tmpDir, 'vendor_health.jsonl'),
+      EXCHANGE_RATES_FILE: path.join(tmpDir, 'exchange_rates.json'),
+      ALERT_RULES_FILE: path.join(tmpDir, 'alert_rules.json'),
+      ALERTS_FILE: path.join(tmpDir, 'alerts.json'),
+      ALERT_LOG_FILE: path.join(tmpDir, 'alerts.log'),
+      USERS_FILE: path.join(tmpDir, 'users.json'),
+      SEARCH_HISTORY_FILE: path.join(tmpDir, 'search_history.json'),
+      ADMIN_USERNAME: 'admin',
+      ADMIN_PASSWORD: 'admin-password',
+      PUBCHEM_RETRY_DELAY_MS: '1',
+      CRAWL_RETRY_DELAY_MS: '1',
+      // The search vendors ship disabled until their pages are recorded, but the search pipeline is tested through them
+      VENDORS_INCLUDE_DISABLED: 'true',
+    });
+    fs.copyFileSync(path.join(__dirname, '../meta/exchange_rates.json'), process.env.EXCHANGE_RATES_FILE);
+    // Crawls go through the shared pool, which launches whatever `chromium.launch` returns
+    chromium.launch = fakeBrowserType.launch;
+    ({ app, browserPool, priceHistory, VENDOR_CONFIG } = require('../index.cjs'));
+
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+
+    admin = request.agent(app);
+    await admin.post('/auth/login').send({ username: 'admin', password: 'admin-password' }).expect(200);
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  after(async () => {
+    nock.enableNetConnect();
+    await browserPool.close();
+    await server.close();
+    await priceHistory.query(); // Waits for pending history writes
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function mockPubChem() {
+    nock(PUBCHEM)
+      .get(`/rest/pug/compound/name/${SEARCH_TERM}/cids/JSON`).reply(200, readJsonFixture('pubchem/cids.json'))
+      .get('/rest/pug_view/categories/compound/53393599/JSON/').query(true)
+      .reply(200, readJsonFixture('pubchem/vendors.json', server.url));
+  }
+
+  function mockCompound() {
+    nock(PUBCHEM)
+      .get('/rest/pug/compound/cid/53393599/property/IUPACName,MolecularFormula,MolecularWeight,CanonicalSMILES/JSON')
+      .reply(200, readJsonFixture('pubchem/properties.json'))
+      .get('/rest/pug/compound/cid/53393599/synonyms/JSON').reply(200, readJsonFixture('pubchem/synonyms.json'));
+  }
+
+  // AA Blocks and AbaChemScene have no PubChem link, so their search pages are followed
+  function mockVendorSearches() {
+    const page = file => fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+    nock('https://www.aablocks.com')
+      .get(`/prod/${CAS}`).reply(200, page('search/aaBlocks.html'))
+      .get('/prod/AA01ABCD').reply(200, page('pages/aaBlocks.html'));
+    nock('https://www.chemscene.com')
+      .get('/search.html').query({ keyword: CAS }).reply(200, page('search/abaChemScene.html'))
+      .get('/CS-0109876.html').reply(200, page('pages/abaChemScene.html'));
+  }
+
+  function mockWooCommerce() {
+    return nock(WOOCOMMERCE)
+      .get('/wp-json/wc/v3/products/16806/variations').query(true)
+      .reply(200, readJsonFixture('woocommerce/variations.json'));
+  }
+
+  it('returns one card per vendor with normalized prices', async () => {
+    mockPubChem();
+    mockVendorSearches();
+    const wooCommerce = mockWooCommerce();
+
+    const res = await admin.get(`/prices/${SEARCH_TERM}?refresh=true`);
+
+    assert.equal(res.status, 200);
+    assert.ok(wooCommerce.isDone(), 'WooCommerce variations were not requested');
+    const byVendor = Object.fromEntries(res.body.map(card => [card.vendorName, card]));
+
+    assert.equal(byVendor.PurePEG.status, 'success');
+    assert.equal(byVendor.PurePEG.data.prices.length, 4);
+    const purePegGram = byVendor.PurePEG.data.prices.find(p => p.grams === 1);
+    assert.deepEqual([purePegGram.inStock, purePegGram.purity, purePegGram.catalogNumber], [true, 'min.95%', '11341-1']);
+    assert.equal(byVendor.PurePEG.data.prices.find(p => p.grams === 0.25).inStock, false);
+
+    assert.equal(byVendor.Accela.status, 'success');
+    assert.deepEqual(
+      byVendor.Accela.data.prices.map(p => [p.grams, p.price, p.pricePerGram]),
+      [[0.1, 95, 950], [0.25, 160, 640], [1, 420, 420]],
+    );
+    assert.equal(byVendor.Accela.data.prices[0].baseCurrency, 'USD');
+    assert.equal(byVendor.Accela.data.prices[0].basePrice, 95);
+    assert.deepEqual(
+      byVendor.Accela.data.prices.map(p => [p.inStock, p.leadTime, p.purity, p.catalogNumber]),
+      [[true, null, '95%', 'SY123456'], [true, null, '95%', 'SY123456'], [false, '2-3 weeks', '95%', 'SY123456']],
+    );
+    assert.deepEqual(
+      byVendor.BLD.data.prices.map(p => [p.grams, p.inStock, p.leadTime]),
+      [[0.1, true, null], [0.25, false, '1-2 weeks'], [1, false, null]],
+    );
+    assert.deepEqual(
+      byVendor.BroadPharm.data.prices.map(p => [p.grams, p.inStock, p.leadTime]),
+      [[0.1, true, '24 hours'], [0.25, true, '24 hours'], [1, false, '2 weeks']],
+    );
+
+    assert.equal(byVendor['Combi-Blocks'].status, 'success');
+    assert.equal(byVendor['Combi-Blocks'].match, null);
+    assert.deepEqual(byVendor['Combi-Blocks'].data.prices.map(p => p.catalogNumber), ['QC-1234-100MG', 'QC-1234-1G']);
+
+    assert.equal(byVendor['AA Blocks'].status, 'success');
+    assert.equal(byVendor['AA Blocks'].data.url, 'https://www.aablocks.com/prod/AA01ABCD');
+    assert.deepEqual(byVendor['AA Blocks'].match, { method: 'cas', confidence: 1, candidates: 1 });
+    assert.deepEqual(byVendor['AA Blocks'].data.prices.map(p => p.price), [62, 105, 310, null]);
+
+    // Two listings share the CAS number, so the first is used with half the confidence
+    assert.equal(byVendor.AbaChemScene.status, 'success');
+    assert.deepEqual(byVendor.AbaChemScene.match, { method: 'cas', confidence: 0.5, candidates: 2 });
+    assert.equal(byVendor.AbaChemScene.data.prices[0].purity, '≥97.0%');
+  });
+
+  it('answers a repeated lookup from the caches, except for crawls that failed', async () => {
+    priceCache.clear(); // So no earlier crawl of the failing vendors answers for them
+    mockPubChem();
+    mockWooCommerce();
+    nock('https://www.aablocks.com').get(`/prod/${CAS}`).times(5).reply(500, 'Internal Server Error');
+    nock('https://www.chemscene.com').get('/search.html').query({ keyword: CAS }).times(5).reply(500, 'Internal Server Error');
+
+    const refreshed = await admin.get(`/prices/${SEARCH_TERM}?refresh=true`);
+    assert.equal(refreshed.headers['x-cache-cid'], 'miss; age=0');
+    const before = Object.fromEntries(refreshed.body.map(card => [card.vendorName, card]));
+    assert.equal(before.Accela.cache.hit, false);
+    assert.equal(before['AA Blocks'].status, 'error');
+    nock.cleanAll();
+
+    // PubChem is not mocked: its answers must come from the cache
+    mockWooCommerce();
+    mockVendorSearches();
+    const res = await admin.get(`/prices/${SEARCH_TERM}`);
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['x-cache-cid'], /^hit; age=\d+$/);
+    assert.match(res.headers['x-cache-vendors'], /^hit; age=\d+$/);
+    const byVendor = Object.fromEntries(res.body.map(card => [card.vendorName, card]));
+    assert.deepEqual([byVendor.Accela.cache.layer, byVendor.Accela.cache.hit, byVendor.Accela.fetchedAt], ['prices', true, before.Accela.cache.storedAt]);
+    assert.deepEqual(byVendor.Accela.data.prices, before.Accela.data.prices);
+    assert.equal(byVendor['AA Blocks'].status, 'success');
+    assert.equal(byVendor['AA Blocks'].cache.hit, false, 'the failed crawl was not cached');
+  });
+
+  it('keeps a shared crawl going for the other callers when one stops waiting', async () => {
+    const config = VENDOR_CONFIG.find(entry => entry.vendorName === 'Accela');
+    const vendorData = { SourceName: 'Accela ChemBio Inc.', SourceRecordURL: 'https://www.accelachem.com/shared-crawl.html' };
+    nock('https://www.accelachem.com').get('/shared-crawl.html').delay(50)
+      .reply(200, fs.readFileSync(path.join(PAGES_DIR, 'accela.html'), 'utf8'));
+    const lookup = signal => config.handler({ config, vendorData, searchTerm: SEARCH_TERM, cid: 53393599, signal });
+
+    const controller = new AbortController();
+    const [gaveUp, waited] = [lookup(controller.signal), lookup(new AbortController().signal)];
+    controller.abort();
+
+    await assert.rejects(gaveUp, { code: 'VENDOR_TIMEOUT' });
+    const card = await waited;
+    assert.equal(card.status, 'success');
+    assert.equal(card.data.prices.length, 3);
+  });
+
+  it('reports a vendor whose search has no result for the compound as not found', async () => {
+    mockPubChem();
+    mockWooCommerce();
+    nock('https://www.aablocks.com').get(`/prod/${CAS}`).reply(200, '<html><body><p class="no-result">No products found</p></body></html>');
+
+    const res = await admin.get(`/prices/${SEARCH_TERM}?refresh=true`);
+
+    const aaBlocks = res.body.find(card => card.vendorName === 'AA Blocks');
+    assert.equal(aaBlocks.status, 'not_found');
+    assert.equal(aaBlocks.error.code, 'PRODUCT_NOT_FOUND');
+    assert.match(aaBlocks.data.message, /CAS 1263291-41-3/);
+    assert.equal(aaBlocks.data.url, `https://www.aablocks.com/prod/${CAS}`);
+  });
+
+  it('prices a chosen CID without resolving the identifier', async () => {
+    nock(PUBCHEM)
+      .get('/rest/pug_view/categories/compound/53393599/JSON/').query(true)
+      .reply(200, readJsonFixture('pubchem/vendors.json', server.url));
+    mockWooCommerce();
+
+    const res = await admin.get(`/prices/cid/53393599?q=${SEARCH_TERM}&refresh=true`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.find(card => card.vendorName === 'PurePEG').status, 'success');
+    assert.equal((await admin.get('/prices/cid/abc')).status, 400);
+  });
+
+  it('serves cached catalog prices on the PurePEG card during a WooCommerce outage', async () => {
+    mockPubChem();
+    nock(WOOCOMMERCE).get('/wp-json/wc/v3/products/16806/variations').query(true).reply(500, { message: 'boom' });
+
+    const res = await admin.get(`/prices/${SEARCH_TERM}?refresh=true`);
+
+    assert.equal(res.status, 200);
+    const purePeg = res.body.find(card => card.vendorName === 'PurePEG');
+    assert.equal(purePeg.status, 'success');
+    assert.equal(purePeg.cache.layer, 'catalog');
+    assert.match(purePeg.data.message, /WooCommerce is unavailable/);
+    assert.equal(purePeg.data.prices.find(p => p.grams === 1).price, 405);
+    assert.equal(purePeg.data.prices.find(p => p.grams === 1).purity, 'min.95%');
+    assert.equal(res.body.find(card => card.vendorName === 'Accela').status, 'success');
+  });
+
+  it('still returns PurePEG prices when PubChem is down', async () => {
+    nock(PUBCHEM).get(`/rest/pug/compound/name/${SEARCH_TERM}/cids/JSON`).times(3).reply(503, 'Service Unavailable');
+    mockWooCommerce();
+
+    const res = await admin.get(`/prices/${SEARCH_TERM}?refresh=true`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['x-partial-results'], 'PUBCHEM_UNAVAILABLE');
+    const byVendor = Object.fromEntries(res.body.map(card => [card.vendorName, card]));
+    assert.equal(byVendor.PurePEG.status, 'success');
+    assert.equal(byVendor.PurePEG.error, null);
+    assert.equal(byVendor.Accela.status, 'error');
+    assert.deepEqual(byVendor.Accela.error, { code: 'PUBCHEM_UNAVAILABLE', message: 'PubChem is unavailable', retryable: true });
+  });
+
+  it('still searches vendors by the catalog\'s CAS number when PubChem is down', async () => {
+    nock(PUBCHEM).get(`/rest/pug/compound/name/${SEARCH_TERM}/cids/JSON`).times(3).reply(503, 'Service Unavailable');
+    mockVendorSearches();
+    mockWooCommerce();
+
+    const res = await admin.get(`/prices/${SEARCH_TERM}?refresh=true`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['x-partial-results'], 'PUBCHEM_UNAVAILABLE');
+    const byVendor = Object.fromEntries(res.body.map(card => [card.vendorName, card]));
+    assert.equal(byVendor['AA Blocks'].status, 'success');
+    assert.equal(byVendor['AA Blocks'].error, null);
+    assert.deepEqual(byVendor['AA Blocks'].match, { method: 'cas', confidence: 1, candidates: 1 });
+    assert.equal(byVendor.Accela.error.code, 'PUBCHEM_UNAVAILABLE');
+  });
+
+  it('responds with the lookup error when no vendor has prices', async () => {
+    nock(PUBCHEM)
+      .get('/rest/pug/compound/name/not-a-compound/cids/JSON').reply(404, readJsonFixture('pubchem/not-found.json'))
+      .get('/rest/pug/compound/smiles/not-a-compound/cids/JSON').reply(400, { Fault: { Code: 'PUGREST.BadRequest' } });
+
+    const res = await admin.get('/prices/not-a-compound?refresh=true');
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'COMPOUND_NOT_FOUND');
+  });
+
+  it('compares competitors against PurePEG variations', async () => {
+    mockPubChem();
+    mockWooCommerce();
+
+    const res = await admin.get(`/prices/${SEARCH_TERM}/compare?refresh=true`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.product.name, SEARCH_TERM);
+    const oneGram = res.body.variations.find(v => v.grams === 1);
+    assert.equal(oneGram.purePeg.price, 405);
+    assert.equal(oneGram.cheapest.vendorName, 'BLD');
+    assert.equal(oneGram.cheapest.price, 354);
+  });
+
+  it('raises an alert when a competitor undercuts PurePEG', async () => {
+    const rule = await admin.post('/alerts/rules')
+      .send({ type: 'undercut', thresholdPercent: 10, scope: { vendorName: 'BLD' } });
+    assert.equal(rule.status, 201);
+    mockPubChem();
+    mockWooCommerce();
+
+    await admin.get(`/prices/${SEARCH_TERM}?refresh=true`);
+
+    const res = await admin.get('/alerts?unread=true');
+    assert.equal(res.status, 200);
+    assert.ok(res.body.unreadCount >= 1);
+    assert.ok(res.body.alerts.every(alert => alert.vendorName === 'BLD'));
+    const oneGram = res.body.alerts.find(alert => alert.details.grams === 1);
+    assert.equal(oneGram.details.competitorPricePerGram, 354);
+    assert.equal((await admin.delete(`/alerts/rules/${rule.body.id}`)).status, 204);
+  });
+
+  it('summarizes the compound from PubChem and the PurePEG catalog', async () => {
+    mockPubChem();
+    mockCompound();
+
+    const res = await admin.get(`/compounds/${SEARCH_TERM}?refresh=true`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.pubchem.formula, 'C10H14O');
+    assert.equal(res.body.pubchem.molecularWeight, 150.22);
+    assert.equal(res.body.pubchem.smiles, 'C1CC2C(C2CO)CCC#C1');
+    assert.match(res.body.pubchem.imageUrl, /\/cid\/53393599\/PNG$/);
+    assert.equal(res.body.purePeg.sku, 11341);
+    assert.equal(res.body.purePeg.purity, 'min.95%');
+    assert.deepEqual(res.body.warnings, []);
+  });
+
+  it('requires a login, and the admin role for shared changes', async () => {
+    assert.equal((await request(app).get(`/prices/${SEARCH_TERM}`)).status, 401);
+    assert.equal((await request(app).post('/auth/login').send({ username: 'admin', password: 'wrong' })).status, 401);
+    const created = await admin.post('/admin/users').send({ username: 'viewer', password: 'viewer-password', role: 'viewer' });
+    assert.equal(created.status, 201);
+
+    const viewer = request.agent(app);
+    await viewer.post('/auth/login').send({ username: 'viewer', password: 'viewer-password' }).expect(200);
+    assert.equal((await viewer.get('/catalog/search?q=BCN')).status, 200);
+    assert.equal((await viewer.post('/catalog/sync')).status, 403);
+    assert.equal((await viewer.put('/admin/exchange-rates').send({ rates: { EUR: 1 } })).status, 403);
+    assert.equal((await viewer.get('/admin/users')).status, 403);
+
+    const { body: { key } } = await viewer.post('/auth/me/api-keys').send({ label: 'script' }).expect(201);
+    const me = await request(app).get('/auth/me').set('Authorization', `Bearer ${key}`);
+    assert.equal(me.body.username, 'viewer');
+    assert.equal(me.body.apiKeys[0].label, 'script');
+
+    await viewer.post('/auth/logout').expect(204);
+    assert.equal((await viewer.get('/auth/me')).status, 401);
+    assert.equal((await admin.delete(`/admin/users/${created.body.id}`)).status, 204);
+    assert.equal((await request(app).get('/auth/me').set('Authorization', `Bearer ${key}`)).status, 401);
+  });
+
+  it('remembers each user\'s recent searches', async () => {
+    mockPubChem();
+    mockWooCommerce();
+    await admin.get(`/prices/${SEARCH_TERM}?refresh=true`).expect(200);
+
+    const res = await admin.get('/auth/me/searches');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.searches.filter(s => s.identifier === SEARCH_TERM).map(s => s.cid), [53393599]);
+  });
+
+  it('updates the exchange-rate table through the admin endpoint', async () => {
+    const res = await admin.put('/admin/exchange-rates').send({ rates: { EUR: 0.5 } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.rates, { EUR: 0.5, USD: 1 });
+    const invalid = await admin.put('/admin/exchange-rates').send({ rates: { EUR: 'lots' } });
+    assert.equal(invalid.status, 400);
+    const missing = await admin.put('/admin/exchange-rates').send({ base: 'USD' });
+    assert.equal(missing.status, 400);
+    assert.equal((await admin.get('/admin/exchange-rates')).body.rates.EUR, 0.5);
+  });
+
+  it('searches the catalog for typeahead suggestions', async () => {
+    const res = await admin.get('/catalog/search?q=exo%20BCN%20OH');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.results[0].name, SEARCH_TERM);
+    assert.equal(res.body.results[0].casNumber, '1263291-41-3');
+    assert.equal((await admin.get('/catalog/search')).status, 400);
+  });
+
+  it('exports a CSV report', async () => {
+    mockPubChem();
+    mockWooCommerce();
+
+    const res = await admin.get(`/prices/${SEARCH_TERM}?format=csv&refresh=true`);
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /text\/csv/);
+    const lines = res.text.trim().split('\r\n');
+    assert.match(lines[0], /^Identifier,CID,Vendor,Status/);
+    assert.ok(lines.some(line => line.startsWith(`${SEARCH_TERM},53393599,BLD,success,100mg`)));
+  });
+
+  it('exports an XLSX report', async () => {
+    mockPubChem();
+    mockWooCommerce();
+
+    const res = await admin.get(`/prices/${SEARCH_TERM}?format=xlsx&refresh=true`).buffer(true).parse(readBinary);
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-disposition'], /purepeg-prices-exo-BCN-OH\.xlsx/);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const sheet = workbook.getWorksheet('Prices');
+    assert.deepEqual(sheet.getRow(1).values.slice(1, 5), ['Identifier', 'CID', 'Vendor', 'Status']);
+    const bld = sheet.getRows(2, sheet.rowCount - 1).find(row => row.getCell(3).value === 'BLD');
+    assert.deepEqual([bld.getCell(1).value, bld.getCell(2).value, bld.getCell(5).value], [SEARCH_TERM, 53393599, '100mg']);
+  });
+
+  it('reports crawl health for the vendors it scraped', async () => {
+    mockPubChem();
+    mockWooCommerce();
+    await admin.get(`/prices/${SEARCH_TERM}?refresh=true`);
+
+    const res = await admin.get('/health/vendors');
+
+    assert.equal(res.status, 200);
+    const accela = res.body.vendors.find(v => v.vendorName === 'Accela');
+    assert.equal(accela.status, 'healthy');
+    assert.equal(accela.successRate, 1);
+    assert.ok(accela.attempts >= 1);
+  });
+
+  it('traces requests by ID and exposes lookup metrics', async () => {
+    mockPubChem();
+    mockWooCommerce();
+
+    const lookup = await admin.get(`/prices/${SEARCH_TERM}?refresh=true`).set('X-Request-Id', 'trace-123');
+    assert.equal(lookup.headers['x-request-id'], 'trace-123');
+
+    const res = await admin.get('/metrics');
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+    assert.match(res.text, /purepeg_http_requests_total\{method="GET",route="\/prices\/:id",status="200"\} \d+/);
+    assert.match(res.text, /purepeg_pubchem_request_duration_seconds_count\{outcome="ok"\} \d+/);
+    assert.match(res.text, /purepeg_lookup_stage_duration_seconds_count\{stage="woocommerce"\} \d+/);
+    assert.match(res.text, /purepeg_crawl_duration_seconds_count\{vendor="Accela",outcome="success"\} \d+/);
+    assert.doesNotMatch(res.text, new RegExp(SEARCH_TERM), 'identifiers must not become metric labels');
+
+    await request(app).get('/metrics').expect(401);
+  });
+
+  // Streamed responses are not buffered by supertest unless asked to
+  function readText(stream, callback) {
+    let body = '';
+    stream.on('data', chunk => { body += chunk; });
+    stream.on('end', () => callback(null, body));
+  }
+
+  function readBinary(stream, callback) {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => callback(null, Buffer.concat(chunks)));
+  }
+
+  it('looks up a batch once per distinct identifier, with an error line for each failure', async () => {
+    mockPubChem();
+    mockWooCommerce();
+    nock(PUBCHEM)
+      .get('/rest/pug/compound/name/batch-unknown/cids/JSON').reply(404, readJsonFixture('pubchem/not-found.json'))
+      .get('/rest/pug/compound/smiles/batch-unknown/cids/JSON').reply(400, { Fault: { Code: 'PUGREST.BadRequest' } });
+
+    const res = await admin.post('/prices/batch?refresh=true')
+      .send({ identifiers: [SEARCH_TERM, ` ${SEARCH_TERM} `, 'batch-unknown', SEARCH_TERM, ''] })
+      .buffer(true)
+      .parse(readText);
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /application\/x-ndjson/);
+    const lines = res.body.trim().split('\n').map(line => JSON.parse(line));
+    const results = lines.filter(line => line.type === 'result').sort((a, b) => a.index - b.index);
+    assert.deepEqual(results.map(line => [line.index, line.identifier, line.status]), [
+      [0, SEARCH_TERM, 'success'],
+      [1, 'batch-unknown', 'error'],
+    ]);
+    assert.equal(results[0].cid, 53393599);
+    assert.equal(results[0].results.find(card => card.vendorName === 'PurePEG').status, 'success');
+    assert.deepEqual([results[1].code, results[1].cid, results[1].results], ['COMPOUND_NOT_FOUND', null, []]);
+    assert.deepEqual(lines[lines.length - 1], { type: 'done', total: 2, succeeded: 1, failed: 1 });
+  });
+
+  it('downloads a batch as one report, with a row for each failed identifier', async () => {
+    mockPubChem();
+    mockWooCommerce();
+    nock(PUBCHEM)
+      .get('/rest/pug/compound/name/batch-missing/cids/JSON').reply(404, readJsonFixture('pubchem/not-found.json'))
+      .get('/rest/pug/compound/smiles/batch-missing/cids/JSON').reply(400, { Fault: { Code: 'PUGREST.BadRequest' } });
+
+    const res = await admin.post('/prices/batch?format=csv&refresh=true').send({ identifiers: [SEARCH_TERM, 'batch-missing'] });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /text\/csv/);
+    assert.match(res.headers['content-disposition'], /purepeg-batch-prices\.csv/);
+    const lines = res.text.trim().split('\r\n');
+    assert.match(lines[0], /^Identifier,CID,Vendor,Status/);
+    assert.ok(lines.some(line => line.startsWith(`${SEARCH_TERM},53393599,BLD,success,100mg`)));
+    assert.match(lines[lines.length - 1], /^batch-missing,,,error,.*,COMPOUND_NOT_FOUND,$/);
+
+    const unsupported = await admin.post('/prices/batch?format=pdf').send({ identifiers: [SEARCH_TERM] });
+    assert.equal(unsupported.status, 400);
+  });
+
+  it('rejects a batch that is not a list of identifiers', async () => {
+    for (const body of [{}, [SEARCH_TERM], { identifiers: SEARCH_TERM }, { identifiers: [SEARCH_TERM, { cas: CAS }] }, { identifiers: ['', ' '] }]) {
+      const res = await admin.post('/prices/batch').send(body);
+      assert.equal(res.status, 400, JSON.stringify(body));
+      assert.match(res.body.error, /identifiers/);
+    }
+  });
+
+  it('rejects a batch over the size limit before looking anything up', async () => {
+    const identifiers = Array.from({ length: 501 }, (_, i) => `compound-${i}`);
+
+    const res = await admin.post('/prices/batch').send({ identifiers });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /At most 500/);
+  });
+
+  it('streams each vendor result as a server-sent event', async () => {
+    mockPubChem();
+    mockCompound();
+    mockWooCommerce();
+
+    const res = await admin
+      .get(`/prices/${SEARCH_TERM}/stream?refresh=true`)
+      .buffer(true)
+      .parse(readText);
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /text\/event-stream/);
+    const events = res.body.trim().split('\n\n').map(block => {
+      const [, event] = block.match(/^event: (.+)$/m);
+      const [, data] = block.match(/^data: (.+)$/m);
+      return { event, data: JSON.parse(data) };
+    });
+
+    assert.equal(events[0].event, 'vendors');
+    const results = events.filter(e => e.event === 'result');
+    assert.equal(results.find(e => e.data.vendorName === 'PurePEG').data.status, 'success');
+    assert.equal(results.length, events[0].data.vendors.length);
+    assert.equal(events.find(e => e.event === 'compound').data.purePeg.name, SEARCH_TERM);
+    assert.deepEqual(events[events.length - 1], { event: 'done', data: { total: results.length } });
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { isCasNumber, findCasNumbers } = require('../utils/cas');
+const { chooseSearchResult, followSearchResults } = require('../utils/searchResults');
+const { createFakePage } = require('./helpers/fakeBrowser');
+const { FIXTURES_DIR } = require('./helpers/fixtures');
+
+const CAS = '1263291-41-3';
+
+describe('CAS numbers', () => {
+  it('checks the check digit', () => {
+    assert.equal(isCasNumber(CAS), true);
+    assert.equal(isCasNumber(' 112-60-7 '), true);
+    assert.equal(isCasNumber('1263291-41-4'), false);
+    assert.equal(isCasNumber('exo-BCN-OH'), false);
+  });
+
+  it('finds the valid CAS numbers in page text', () => {
+    assert.deepEqual(findCasNumbers(`CAS: ${CAS} (not 1263291-41-4), see also 1263166-90-0 and ${CAS}`), [CAS, '1263166-90-0']);
+  });
+});
+
+describe('chooseSearchResult', () => {
+  const result = (title, cas) => ({ url: `https://vendor.test/${encodeURIComponent(title)}`, title, text: `${title} CAS: ${cas ?? 'n/a'}` });
+
+  it('picks the one result listing the CAS number', () => {
+    const chosen = chooseSearchResult([result('endo-BCN-OH', '1263166-90-0'), result('exo-BCN-OH', CAS)], { cas: CAS, searchTerm: 'BCN' });
+    assert.equal(chosen.result.title, 'exo-BCN-OH');
+    assert.deepEqual(chosen.match, { method: 'cas', confidence: 1, candidates: 1 });
+  });
+
+  it('splits the confidence when several results list the CAS number', () => {
+    const chosen = chooseSearchResult([result('exo-BCN-OH', CAS), result('BCN-OH (exo)', CAS), result('BCN', CAS)], { cas: CAS, searchTerm: 'BCN' });
+    assert.equal(chosen.result.title, 'exo-BCN-OH');
+    assert.deepEqual(chosen.match, { method: 'cas', confidence: 0.33, candidates: 3 });
+  });
+
+  it('falls back to the exact name, but never to a result with another CAS number', () => {
+    const byName = chooseSearchResult([result('exo-BCN-OH'), result('endo-BCN-OH')], { cas: CAS, searchTerm: 'EXO-bcn-oh' });
+    assert.deepEqual(byName.match, { method: 'name', confidence: 0.6, candidates: 1 });
+
+    assert.equal(chooseSearchResult([result('exo-BCN-OH', '1263166-90-0')], { cas: CAS, searchTerm: 'exo-BCN-OH' }), null);
+  });
+
+  it('takes a lone result without a CAS number with low confidence', () => {
+    assert.deepEqual(chooseSearchResult([result('BCN alcohol')], { cas: null, searchTerm: 'exo-BCN-OH' }).match,
+      { method: 'only_result', confidence: 0.3, candidates: 1 });
+    assert.equal(chooseSearchResult([], { cas: CAS, searchTerm: 'exo-BCN-OH' }), null);
+  });
+});
+
+describe('followSearchResults', () => {
+  const definition = { results: 'ul.product-list > li', link: 'a.product-name', productPage: 'table.price-table', noResults: '.no-result' };
+  const fixture = file => fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+
+  it('accepts a search that went straight to the product page, checking its CAS number', async () => {
+    const page = createFakePage();
+    await page.setContent(fixture('pages/aaBlocks.html'));
+
+    assert.deepEqual(await followSearchResults(page, definition, { cas: CAS, searchTerm: CAS }), {
+      url: 'http://localhost/',
+      match: { method: 'cas', confidence: 1, candidates: 1 },
+    });
+    const other = await followSearchResults(page, definition, { cas: '112-60-7', searchTerm: '112-60-7' });
+    assert.equal(other.match.method, 'redirect');
+  });
+
+  it('fails with PRODUCT_NOT_FOUND when no result is the compound', async () => {
+    const page = createFakePage();
+    await page.setContent(fixture('search/aaBlocks.html'));
+
+    await assert.rejects(followSearchResults(page, definition, { cas: '112-60-7', searchTerm: 'tetraethylene glycol' }),
+      err => err.code === 'PRODUCT_NOT_FOUND' && /CAS 112-60-7/.test(err.message));
+  });
+
+  it('fails like a missing selector when the page shows none of the expected elements', async () => {
+    const page = createFakePage();
+    await page.setContent('<html><body><p>Maintenance</p></body></html>');
+
+    await assert.rejects(followSearchResults(page, { ...definition, timeout: 10 }, { cas: CAS, searchTerm: CAS }), /Timeout/);
+  });
+});
@@ -0,0 +1,234 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nock = require('nock');
+
+process.env.PUBCHEM_RETRY_DELAY_MS = '1';
+const createTtlCache = require('../services/ttlCache');
+const { cachedLookupCID } = require('../middleware/getCID');
+const { cachedFetchStoreLinks } = require('../middleware/getStoreLinks');
+const { cachedFetchCompoundProperties } = require('../services/pubchemCompound');
+const { readJsonFixture } = require('./helpers/fixtures');
+
+const PUBCHEM = 'https://pubchem.ncbi.nlm.nih.gov';
+const HOUR_MS = 60 * 60 * 1000;
+
+// Counts its calls and returns the call number, so tests can tell a hit from a recomputation
+function counter() {
+  const compute = async () => ++compute.calls;
+  compute.calls = 0;
+  return compute;
+}
+
+describe('createTtlCache', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.parse('2026-01-01T00:00:00Z');
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('serves a value until its TTL runs out, then recomputes it', async () => {
+    const cache = createTtlCache({ name: 'test', ttlMs: HOUR_MS });
+    const compute = counter();
+
+    assert.deepEqual(await cache.wrap('key', compute), {
+      value: 1,
+      cache: { layer: 'test', hit: false, ageSeconds: 0, storedAt: '2026-01-01T00:00:00.000Z' },
+    });
+    now += HOUR_MS - 1000;
+    assert.deepEqual(await cache.wrap('key', compute), {
+      value: 1,
+      cache: { layer: 'test', hit: true, ageSeconds: 3599, storedAt: '2026-01-01T00:00:00.000Z' },
+    });
+
+    now += 1000;
+    const expired = await cache.wrap('key', compute);
+    assert.deepEqual([expired.value, expired.cache.hit, expired.cache.ageSeconds], [2, false, 0]);
+    assert.deepEqual([cache.stats().hits, cache.stats().misses], [1, 2]);
+  });
+
+  it('bypasses a fresh value on refresh and stores the recomputed one', async () => {
+    const cache = createTtlCache({ name: 'test', ttlMs: HOUR_MS });
+    const compute = counter();
+    await cache.wrap('key', compute);
+
+    now += 60 * 1000;
+    const refreshed = await cache.wrap('key', compute, { refresh: true });
+    assert.deepEqual([refreshed.value, refreshed.cache.hit], [2, false]);
+
+    now += 60 * 1000;
+    const next = await cache.wrap('key', compute);
+    assert.deepEqual([next.value, next.cache.hit, next.cache.ageSeconds], [2, true, 60]);
+  });
+
+  it('does not store a computation that throws or is declined', async () => {
+    const cache = createTtlCache({ name: 'test', ttlMs: HOUR_MS });
+    await assert.rejects(cache.wrap('key', async () => { throw new Error('PubChem is down'); }), /PubChem is down/);
+    assert.equal(cache.get('key'), undefined);
+
+    const empty = await cache.wrap('empty', async () => [], { shouldCache: value => value.length > 0 });
+    assert.deepEqual(empty.value, []);
+    assert.equal(cache.get('empty'), undefined);
+
+    const compute = counter();
+    assert.equal((await cache.wrap('key', compute)).value, 1);
+    assert.equal((await cache.wrap('key', compute)).cache.hit, true);
+  });
+
+  it('shares one computation between concurrent misses', async () => {
+    const cache = createTtlCache({ name: 'test', ttlMs: HOUR_MS });
+    const compute = counter();
+
+    const results = await Promise.all([cache.wrap('key', compute), cache.wrap('key', compute)]);
+    assert.deepEqual(results.map(result => result.value), [1, 1]);
+    assert.equal(compute.calls, 1);
+  });
+
+  it('evicts the least recently stored entries beyond maxEntries', () => {
+    const cache = createTtlCache({ name: 'test', ttlMs: HOUR_MS, maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 3);
+    cache.set('c', 4);
+
+    assert.deepEqual(['a', 'b', 'c'].map(key => cache.get(key)?.value), [3, undefined, 4]);
+  });
+
+  it('reloads fresh entries from disk and drops expired ones', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purepeg-cache-'));
+    try {
+      const filePath = path.join(tmpDir, 'cache', 'test.json');
+      const cache = createTtlCache({ name: 'test', ttlMs: HOUR_MS, filePath });
+      cache.set('old', 1);
+      now += 30 * 60 * 1000;
+      cache.set('new', 2);
+      cache.flush();
+
+      now += 45 * 60 * 1000;
+      const reloaded = createTtlCache({ name: 'test', ttlMs: HOUR_MS, filePath });
+      assert.deepEqual([reloaded.get('old'), reloaded.get('new')?.value], [undefined, 2]);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('lookup cache layers', () => {
+  before(() => {
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  // Each test uses its own identifiers and CIDs, since the layers are shared by the whole process
+  function mockVendors(cid, body = readJsonFixture('pubchem/vendors.json')) {
+    return nock(PUBCHEM).get(`/rest/pug_view/categories/compound/${cid}/JSON/`).query(true).reply(200, body);
+  }
+
+  function mockProperties(cid) {
+    return nock(PUBCHEM)
+      .get(uri => uri.startsWith(`/rest/pug/compound/cid/${cid}/property/`)).reply(200, readJsonFixture('pubchem/properties.json'))
+      .get(`/rest/pug/compound/cid/${cid}/synonyms/JSON`).reply(200, readJsonFixture('pubchem/synonyms.json'));
+  }
+
+  it('caches identifier -> CID until refreshed, then repopulates', async () => {
+    nock(PUBCHEM).get('/rest/pug/compound/name/cache-cid/cids/JSON').reply(200, readJsonFixture('pubchem/cids.json'));
+    assert.equal((await cachedLookupCID('cache-cid')).cache.hit, false);
+    const hit = await cachedLookupCID('cache-cid');
+    assert.deepEqual([hit.cid, hit.cache.layer, hit.cache.hit], [53393599, 'cid', true]);
+
+    const refetch = nock(PUBCHEM).get('/rest/pug/compound/name/cache-cid/cids/JSON').reply(200, { IdentifierList: { CID: [1234] } });
+    const refreshed = await cachedLookupCID('cache-cid', { refresh: true });
+    assert.ok(refetch.isDone(), 'refresh goes to PubChem');
+    assert.deepEqual([refreshed.cid, refreshed.cache.hit], [1234, false]);
+
+    const repopulated = await cachedLookupCID('cache-cid');
+    assert.deepEqual([repopulated.cid, repopulated.cache.hit], [1234, true]);
+  });
+
+  it('looks an identifier up without its surrounding whitespace, whichever spelling comes first', async () => {
+    const trimmed = nock(PUBCHEM).get('/rest/pug/compound/name/cache-spaced/cids/JSON').reply(200, readJsonFixture('pubchem/cids.json'));
+    assert.equal((await cachedLookupCID(' cache-spaced ')).cid, 53393599);
+    assert.ok(trimmed.isDone(), 'PubChem was asked for the trimmed identifier');
+
+    const hit = await cachedLookupCID('cache-spaced');
+    assert.deepEqual([hit.cid, hit.cache.hit], [53393599, true]);
+  });
+
+  it('does not cache an identifier PubChem does not know or could not be asked about', async () => {
+    nock(PUBCHEM)
+      .get('/rest/pug/compound/name/cache-unknown/cids/JSON').reply(404, readJsonFixture('pubchem/not-found.json'))
+      .get('/rest/pug/compound/smiles/cache-unknown/cids/JSON').reply(404, readJsonFixture('pubchem/not-found.json'));
+    assert.equal((await cachedLookupCID('cache-unknown')).cid, null);
+
+    nock(PUBCHEM).get('/rest/pug/compound/name/cache-unknown/cids/JSON').times(3).reply(503, 'Service Unavailable');
+    await assert.rejects(cachedLookupCID('cache-unknown'), { code: 'PUBCHEM_UNAVAILABLE' });
+
+    nock(PUBCHEM).get('/rest/pug/compound/name/cache-unknown/cids/JSON').reply(200, readJsonFixture('pubchem/cids.json'));
+    const found = await cachedLookupCID('cache-unknown');
+    assert.deepEqual([found.cid, found.cache.hit], [53393599, false]);
+  });
+
+  it('caches CID -> vendor list until refreshed, then repopulates', async () => {
+    mockVendors(9001);
+    assert.equal((await cachedFetchStoreLinks(9001)).cache.hit, false);
+    const hit = await cachedFetchStoreLinks(9001);
+    assert.deepEqual([hit.vendors.length, hit.cache.layer, hit.cache.hit], [4, 'vendors', true]);
+
+    const refetch = mockVendors(9001);
+    const refreshed = await cachedFetchStoreLinks(9001, { refresh: true });
+    assert.ok(refetch.isDone(), 'refresh goes to PubChem');
+    assert.equal(refreshed.cache.hit, false);
+    assert.equal((await cachedFetchStoreLinks(9001)).cache.hit, true);
+  });
+
+  it('does not cache an empty vendor list or a failed request', async () => {
+    mockVendors(9002, { SourceCategories: { Categories: [] } });
+    assert.deepEqual((await cachedFetchStoreLinks(9002)).vendors, []);
+
+    nock(PUBCHEM).get('/rest/pug_view/categories/compound/9002/JSON/').query(true).times(3).reply(503, 'Service Unavailable');
+    await assert.rejects(cachedFetchStoreLinks(9002), { code: 'PUBCHEM_UNAVAILABLE' });
+
+    mockVendors(9002);
+    const listed = await cachedFetchStoreLinks(9002);
+    assert.deepEqual([listed.vendors.length, listed.cache.hit], [4, false]);
+  });
+
+  it('caches CID -> compound properties until refreshed, then repopulates', async () => {
+    mockProperties(9003);
+    assert.equal((await cachedFetchCompoundProperties(9003)).cache.hit, false);
+    const hit = await cachedFetchCompoundProperties(9003);
+    assert.deepEqual([hit.compound.formula, hit.cache.layer, hit.cache.hit], ['C10H14O', 'compounds', true]);
+
+    const refetch = mockProperties(9003);
+    const refreshed = await cachedFetchCompoundProperties(9003, { refresh: true });
+    assert.ok(refetch.isDone(), 'refresh goes to PubChem');
+    assert.equal(refreshed.cache.hit, false);
+    assert.equal((await cachedFetchCompoundProperties(9003)).cache.hit, true);
+  });
+
+  it('does not cache compound properties PubChem failed to return', async () => {
+    nock(PUBCHEM)
+      .get(uri => uri.startsWith('/rest/pug/compound/cid/9004/property/')).reply(404, readJsonFixture('pubchem/not-found.json'))
+      .get('/rest/pug/compound/cid/9004/synonyms/JSON').reply(404, readJsonFixture('pubchem/not-found.json'));
+    await assert.rejects(cachedFetchCompoundProperties(9004), { code: 'COMPOUND_NOT_FOUND' });
+
+    mockProperties(9004);
+    const fetched = await cachedFetchCompoundProperties(9004);
+    assert.deepEqual([fetched.compound.cid, fetched.cache.hit], [9004, false]);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createVendorHealth, classifyCrawlError } = require('../services/vendorHealth');
+
+function timeoutError(selector) {
+  const err = new Error(`page.waitForSelector: Timeout 10000ms exceeded.\nwaiting for locator('${selector}')`);
+  err.name = 'TimeoutError';
+  return err;
+}
+
+describe('classifyCrawlError', () => {
+  it('separates navigation failures from missing selectors', () => {
+    assert.equal(classifyCrawlError(new Error('net::ERR_NAME_NOT_RESOLVED'), { pageLoaded: false }), 'navigation');
+    assert.equal(classifyCrawlError(timeoutError('tr.tr'), { pageLoaded: true, httpStatus: 200 }), 'selector_missing');
+  });
+
+  it('reports slow pages and deadline aborts as timeouts', () => {
+    const slowPage = new Error('page.goto: Timeout 30000ms exceeded.');
+    slowPage.name = 'TimeoutError';
+    assert.equal(classifyCrawlError(slowPage, { pageLoaded: false }), 'timeout');
+    assert.equal(classifyCrawlError(new Error('Target page, context or browser has been closed'), { pageLoaded: true, aborted: true }), 'timeout');
+  });
+
+  it('recognizes block pages', () => {
+    const html = '<html><body>Please complete the CAPTCHA to continue</body></html>';
+    assert.equal(classifyCrawlError(timeoutError('tr.tr'), { pageLoaded: true, httpStatus: 200, html }), 'blocked');
+    assert.equal(classifyCrawlError(new Error('x'), { pageLoaded: true, httpStatus: 403 }), 'blocked');
+  });
+});
+
+describe('createVendorHealth', () => {
+  it('summarizes success rate and latency', () => {
+    const health = createVendorHealth();
+    health.record({ vendorName: 'BLD', outcome: 'success', latencyMs: 1000, priceCount: 3 });
+    health.record({ vendorName: 'BLD', outcome: 'success', latencyMs: 3000, priceCount: 3 });
+
+    const summary = health.summarize('BLD');
+
+    assert.equal(summary.status, 'healthy');
+    assert.equal(summary.successRate, 1);
+    assert.equal(summary.latencyMs.avg, 2000);
+    assert.equal(summary.drift.suspected, false);
+  });
+
+  it('flags selector drift after repeated missing elements', () => {
+    const health = createVendorHealth();
+    health.record({ vendorName: 'Accela', outcome: 'success', latencyMs: 900, priceCount: 4 });
+    for (let i = 0; i < 2; i++) {
+      health.record({
+        vendorName: 'Accela',
+        outcome: 'error',
+        latencyMs: 10900,
+        errorType: 'selector_missing',
+        message: "waiting for locator('tr.tr')",
+      });
+    }
+
+    const summary = health.summarize('Accela');
+
+    assert.equal(summary.status, 'failing');
+    assert.equal(summary.drift.suspected, true);
+    assert.match(summary.drift.reason, /tr\.tr/);
+    assert.equal(summary.errorTypes.selector_missing, 2);
+  });
+
+  it('reports vendors without crawls as unknown', () => {
+    const health = createVendorHealth();
+    assert.deepEqual(health.summarizeAll(['BroadPharm']), [{ vendorName: 'BroadPharm', status: 'unknown', attempts: 0 }]);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview CAS Registry Numbers: recognizing them and finding them in vendor page text.
+ * Vendors list the same compound under different names, but a CAS number is an exact key.
+ */
+
+// Two to seven digits, two digits, one check digit: "1263291-41-3"
+const CAS_PATTERN = /\b(\d{2,7})-(\d{2})-(\d)\b/g;
+
+/**
+ * Whether the check digit matches: the sum of the other digits, each multiplied by its
+ * position counted from the right, modulo 10.
+ */
+function hasValidCheckDigit(digits, checkDigit) {
+  const sum = [...digits].reverse().reduce((total, digit, i) => total + Number(digit) * (i + 1), 0);
+  return sum % 10 === Number(checkDigit);
+}
+
+/**
+ * @param {*} text
+ * @returns {boolean} True if the whole text (trimmed) is one CAS number with a valid check digit.
+ */
+function isCasNumber(text) {
+  if (typeof text !== 'string') return false;
+  const match = text.trim().match(/^(\d{2,7})-(\d{2})-(\d)$/);
+  return Boolean(match) && hasValidCheckDigit(match[1] + match[2], match[3]);
+}
+
+/**
+ * Finds every valid CAS number in a piece of text, such as a search result or a product page.
+ * @param {string} text
+ * @returns {string[]} Distinct CAS numbers in order of appearance.
+ */
+function findCasNumbers(text) {
+  if (!text) return [];
+  const found = [];
+  for (const [cas, first, second, checkDigit] of String(text).matchAll(CAS_PATTERN)) {
+    if (hasValidCheckDigit(first + second, checkDigit) && !found.includes(cas)) found.push(cas);
+  }
+  return found;
+}
+
+module.exports = {
+  isCasNumber,
+  findCasNumbers,
+};
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Cross-vendor price comparison against PurePEG's own pack sizes.
+ * Competitor pack sizes rarely line up with PurePEG's, so each competitor's per-gram
+ * cost is estimated at every PurePEG pack size before the prices are compared.
+ * All prices are compared in the base currency, so vendors quoting EUR, GBP or CNY count too.
+ */
+
+const { normalizePriceEntry } = require('./normalize');
+
+const GRAMS_EPSILON = 1e-9;
+
+/**
+ * Estimates a vendor's per-gram price at a given pack size.
+ * Exact pack matches are used as-is. Between two known packs the per-gram price is
+ * interpolated linearly on a log scale of pack size, since catalogs step in multiples
+ * (100 mg, 250 mg, 1 g...). Outside the known range the nearest pack's per-gram price is used.
+ * @param {Array<{grams: number, pricePerGram: number}>} points - Priced packs sorted by grams.
+ * @param {number} grams - The target pack size in grams.
+ * @returns {{pricePerGram: number, method: 'exact'|'interpolated'|'nearest', basedOn: number[]}|null}
+ */
+function estimatePricePerGram(points, grams) {
+  if (points.length === 0) return null;
+
+  const exact = points.find(p => Math.abs(p.grams - grams) < GRAMS_EPSILON);
+  if (exact) return { pricePerGram: exact.pricePerGram, method: 'exact', basedOn: [exact.grams] };
+
+  const upperIndex = points.findIndex(p => p.grams > grams);
+  if (upperIndex === 0 || upperIndex === -1) {
+    const nearest = upperIndex === 0 ? points[0] : points[points.length - 1];
+    return { pricePerGram: nearest.pricePerGram, method: 'nearest', basedOn: [nearest.grams] };
+  }
+
+  const lower = points[upperIndex - 1];
+  const upper = points[upperIndex];
+  const t = (Math.log(grams) - Math.log(lower.grams)) / (Math.log(upper.grams) - Math.log(lower.grams));
+  const pricePerGram = lower.pricePerGram + t * (upper.pricePerGram - lower.pricePerGram);
+  return { pricePerGram, method: 'interpolated', basedOn: [lower.grams, upper.grams] };
+}
+
+/**
+ * Reduces a vendor's normalized price entries to the points usable for comparison:
+ * mass-based packs with a known base-currency price, one point per pack size (cheapest wins).
+ * @param {Array<object>} prices - Normalized price entries from `formatResponse`.
+ * @returns {Array<{grams: number, pricePerGram: number}>} Points sorted by ascending grams.
+ */
+function toComparablePoints(prices) {
+  const byGrams = new Map();
+  for (const entry of prices) {
+    if (entry.basePricePerGram === null || entry.basePricePerGram === undefined) continue;
+    const existing = byGrams.get(entry.grams);
+    if (!existing || entry.basePricePerGram < existing.pricePerGram) {
+      byGrams.set(entry.grams, { grams: entry.grams, pricePerGram: entry.basePricePerGram });
+    }
+  }
+  return [...byGrams.values()].sort((a, b) => a.grams - b.grams);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function percentDifference(value, reference) {
+  if (value === null || !reference) return null;
+  return round((value - reference) / reference * 100);
+}
+
+function round(value, decimals = 2) {
+  if (value === null) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Builds the PurePEG positioning report for one product.
+ * @param {object} product - The PurePEG product entry from `product_cache.json`.
+ * @param {Array<object>} vendorResults - Vendor responses as produced by `formatResponse`.
+ * @param {object} options
+ * @param {function(object): object} options.toBase - Adds base-currency fields to a normalized
+ * price entry (see `services/exchangeRates`); applied to PurePEG's cached catalog prices.
+ * @param {string} options.baseCurrency - The currency the report is in.
+ * @returns {object} One row per PurePEG variation with the cheapest competitor, the competitor
+ * median, and PurePEG's percentage above (positive) or below (negative) each of them.
+ */
+function buildComparison(product, vendorResults, { toBase, baseCurrency }) {
+  const purePegResult = vendorResults.find(r => r.vendorName === 'PurePEG');
+  const livePurePegPrices = purePegResult?.status === 'success' ? purePegResult.data.prices : [];
+  const cachedPurePegPrices = Object.values(product.variations || {})
+    .map(v => toBase(normalizePriceEntry({ quantity: v.weight, price: v.regular_price })));
+
+  const competitors = vendorResults
+    .filter(r => r.vendorName !== 'PurePEG' && r.status === 'success')
+    .map(r => ({ vendorName: r.vendorName, url: r.data.url, points: toComparablePoints(r.data.prices) }))
+    .filter(c => c.points.length > 0);
+
+  const variations = cachedPurePegPrices
+    .filter(entry => entry.grams)
+    .sort((a, b) => a.grams - b.grams)
+    .map(cached => {
+      // Prefer the live WooCommerce price when it is available for this pack size
+      const live = livePurePegPrices.find(p => p.grams !== null && Math.abs(p.grams - cached.grams) < GRAMS_EPSILON);
+      const purePegPrice = live?.basePrice ?? cached.basePrice;
+
+      const quotes = competitors.map(({ vendorName, url, points }) => {
+        const estimate = estimatePricePerGram(points, cached.grams);
+        return {
+          vendorName,
+          url,
+          method: estimate.method,
+          basedOnGrams: estimate.basedOn,
+          pricePerGram: round(estimate.pricePerGram, 4),
+          price: round(estimate.pricePerGram * cached.grams),
+        };
+      }).sort((a, b) => a.price - b.price);
+
+      const cheapest = quotes[0] || null;
+      const medianPrice = round(median(quotes.map(q => q.price)));
+
+      return {
+        grams: cached.grams,
+        quantity: `${cached.amount} ${cached.unit}`,
+        purePeg: {
+          price: purePegPrice,
+          pricePerGram: purePegPrice === null ? null : round(purePegPrice / cached.grams, 4),
+          source: live ? 'live' : 'cache',
+        },
+        cheapest,
+        medianPrice,
+        vsCheapestPercent: percentDifference(purePegPrice, cheapest?.price),
+        vsMedianPercent: percentDifference(purePegPrice, medianPrice),
+        competitors: quotes,
+      };
+    });
+
+  return {
+    product: {
+      name: product.name,
+      sku: product.sku,
+      casNumber: product.attributes?.['CAS Number'] || null,
+    },
+    currency: baseCurrency,
+    comparedVendors: competitors.map(c => c.vendorName),
+    variations,
+  };
+}
+
+module.exports = {
+  estimatePricePerGram,
+  buildComparison,
+};
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Merges what PubChem says about a compound with what the PurePEG catalog says
+ * about the matching product, and flags where the two disagree. A formula or molecular weight
+ * mismatch usually means the identifier resolved to a different compound (a salt, a stereoisomer,
+ * a different PEG length) than the product being priced.
+ */
+
+const { splitAttribute } = require('../services/catalogIndex');
+
+// Catalogs list either the average or the monoisotopic mass and round differently
+const MW_TOLERANCE_ABSOLUTE = 0.5;
+const MW_TOLERANCE_RELATIVE = 0.005;
+
+/**
+ * Parses a molecular formula into element counts. Accepts the notations found in the catalog:
+ * any element order, parentheses, `.`-separated components with multipliers ("C2H4O2.2Na"),
+ * a trailing charge ("C31H33N2O+") and WooCommerce `[sub]` markup.
+ * @param {string} formula
+ * @returns {{counts: Object<string, number>, charge: number}|null} Null if the formula cannot be read.
+ */
+function parseFormula(formula) {
+  if (typeof formula !== 'string') return null;
+  let text = formula.replace(/\[\/?sub\]|<\/?sub>|\s/gi, '');
+  if (!text) return null;
+
+  let charge = 0;
+  const chargeMatch = text.match(/(\d*)([+-])$/);
+  if (chargeMatch) {
+    charge = (Number(chargeMatch[1]) || 1) * (chargeMatch[2] === '+' ? 1 : -1);
+    text = text.slice(0, -chargeMatch[0].length);
+  }
+
+  const counts = {};
+  for (const component of text.split('.')) {
+    const [, multiplier, body] = component.match(/^(\d*)(.*)$/);
+    const parsed = parseGroup(body);
+    if (!parsed) return null;
+    for (const [element, count] of Object.entries(parsed)) {
+      counts[element] = (counts[element] || 0) + count * (Number(multiplier) || 1);
+    }
+  }
+  return Object.keys(counts).length > 0 ? { counts, charge } : null;
+}
+
+function parseGroup(text) {
+  const stack = [{}];
+  const tokens = text.match(/[A-Z][a-z]?\d*|\(|\)\d*|./g) || [];
+  for (const token of tokens) {
+    if (token === '(') {
+      stack.push({});
+    } else if (token.startsWith(')')) {
+      if (stack.length < 2) return null;
+      const group = stack.pop();
+      const times = Number(token.slice(1)) || 1;
+      for (const [element, count] of Object.entries(group)) {
+        stack[stack.length - 1][element] = (stack[stack.length - 1][element] || 0) + count * times;
+      }
+    } else {
+      const match = token.match(/^([A-Z][a-z]?)(\d*)$/);
+      if (!match) return null;
+      const top = stack[stack.length - 1];
+      top[match[1]] = (top[match[1]] || 0) + (Number(match[2]) || 1);
+    }
+  }
+  return stack.length === 1 ? stack[0] : null;
+}
+
+/**
+ * @returns {boolean|null} Whether two formulas describe the same composition and charge,
+ * or null if either cannot be read.
+ */
+function sameFormula(a, b) {
+  const first = parseFormula(a);
+  const second = parseFormula(b);
+  if (!first || !second) return null;
+  const elements = new Set([...Object.keys(first.counts), ...Object.keys(second.counts)]);
+  return first.charge === second.charge
+    && [...elements].every(element => first.counts[element] === second.counts[element]);
+}
+
+function attribute(product, name) {
+  const values = splitAttribute(product.attributes?.[name]);
+  return values.length > 0 ? values.join(', ') : null;
+}
+
+/**
+ * Picks the attributes shown next to PubChem's data. Purity is stored per variation and
+ * listed once per distinct value.
+ * @param {object} product - A PurePEG product cache entry.
+ * @returns {object}
+ */
+function describePurePegProduct(product) {
+  const purities = [...new Set(Object.values(product.variations || {})
+    .map(variation => variation._purity)
+    .filter(Boolean))];
+  const molecularWeight = Number(product.attributes?.['Molecular Weight']);
+  return {
+    name: product.name,
+    sku: product.sku,
+    casNumber: attribute(product, 'CAS Number'),
+    formula: attribute(product, 'Molecular Formula'),
+    molecularWeight: Number.isFinite(molecularWeight) && molecularWeight > 0 ? molecularWeight : null,
+    purity: purities.length > 0 ? purities.join(', ') : null,
+    pegLength: attribute(product, 'PEG-Length'),
+    storage: attribute(product, 'Storage'),
+    functionalGroup: attribute(product, 'Functional Group'),
+  };
+}
+
+/**
+ * Builds the compound summary shown above the vendor cards.
+ * @param {object} compound - PubChem data from `fetchCompoundProperties`.
+ * @param {object|undefined} product - The matching PurePEG product cache entry, if any.
+ * @returns {{pubchem: object, purePeg: object|null, warnings: Array<{field: string, message: string}>}}
+ */
+function buildCompoundSummary(compound, product) {
+  const purePeg = product ? describePurePegProduct(product) : null;
+  const warnings = [];
+
+  if (purePeg && compound.formula && purePeg.formula && sameFormula(compound.formula, purePeg.formula) === false) {
+    warnings.push({
+      field: 'formula',
+      message: `PubChem lists the formula ${compound.formula}, but the PurePEG catalog lists ${purePeg.formula}.`,
+    });
+  }
+  if (purePeg && compound.molecularWeight && purePeg.molecularWeight) {
+    const difference = Math.abs(compound.molecularWeight - purePeg.molecularWeight);
+    const tolerance = Math.max(MW_TOLERANCE_ABSOLUTE, compound.molecularWeight * MW_TOLERANCE_RELATIVE);
+    if (difference > tolerance) {
+      warnings.push({
+        field: 'molecularWeight',
+        message: `PubChem lists a molecular weight of ${compound.molecularWeight} g/mol, `
+          + `but the PurePEG catalog lists ${purePeg.molecularWeight} g/mol.`,
+      });
+    }
+  }
+
+  return { pubchem: compound, purePeg, warnings };
+}
+
+module.exports = {
+  parseFormula,
+  sameFormula,
+  describePurePegProduct,
+  buildCompoundSummary,
+};
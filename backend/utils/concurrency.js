@@ -0,0 +1,28 @@
+/**
+ * Maps over `items` with at most `limit` calls of `fn` in flight at once.
+ * Results keep the order of `items`; a rejected call rejects the whole map, so
+ * callers that want per-item failures should catch inside `fn`.
+ * @param {Array<*>} items - The inputs.
+ * @param {number} limit - Maximum number of concurrent calls.
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index.
+ * @param {object} [options]
+ * @param {function(): boolean} [options.shouldStop] - Checked before each new call; returning true stops scheduling.
+ * @returns {Promise<Array<*>>} The results; items skipped because of `shouldStop` are left undefined.
+ */
+async function mapWithConcurrency(items, limit, fn, { shouldStop = () => false } = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length && !shouldStop()) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
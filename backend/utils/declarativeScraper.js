@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Generic engine for declarative, selector-based scraper definitions.
+ * Most vendor pages list pack sizes as table rows or repeated blocks, so a vendor can be
+ * described by its selectors instead of hand-written Playwright code:
+ *
+ * {
+ *   "preActions": [                           // optional, run in order before scraping
+ *     { "action": "click", "waitFor": ".popup", "selector": "a.usd", "hasText": "USD", "optional": true },
+ *     { "action": "waitFor", "selector": ".prices" },
+ *     { "action": "waitForLoadState", "state": "domcontentloaded" }
+ *   ],
+ *   "waitFor": "table.prices tr",             // must appear before rows are read
+ *   "timeout": 10000,                         // ms, for "waitFor" (default 10000)
+ *   "rows": "table.prices tr",                // one element per pack size
+ *   "rowFilter": { "hasAttribute": "size", "matches": ".in-stock" },   // optional
+ *   "fields": {
+ *     "quantity": { "cell": 0 },              // nth `td` of the row ("cellSelector" overrides `td`)
+ *     "price": { "selector": "li.price", "property": "textContent" }, // or an element inside the row
+ *     "catalogNumber": { "attribute": "data-sku" }                    // or an attribute of the row itself
+ *   }
+ * }
+ *
+ * "quantity" and "price" fields are required; rows missing either are dropped. The optional "stock",
+ * "purity" and "catalogNumber" fields fill in the matching price entry details (see `utils/normalize`).
+ */
+
+const { logger } = require('../services/logger');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const PRE_ACTIONS = ['click', 'waitFor', 'waitForLoadState'];
+const FIELD_PROPERTIES = ['innerText', 'textContent'];
+
+/**
+ * Checks a scraper definition for structural errors.
+ * @param {object} definition
+ * @returns {string[]} Problems found; empty if the definition is valid.
+ */
+function validateScraperDefinition(definition) {
+  const errors = [];
+  if (!definition || typeof definition !== 'object') return ['scraper must be an object'];
+
+  if (typeof definition.rows !== 'string' || !definition.rows) errors.push('scraper "rows" must be a CSS selector');
+  if (definition.waitFor !== undefined && typeof definition.waitFor !== 'string') {
+    errors.push('scraper "waitFor" must be a CSS selector');
+  }
+  if (definition.timeout !== undefined && !Number.isFinite(definition.timeout)) {
+    errors.push('scraper "timeout" must be a number');
+  }
+
+  const fields = definition.fields;
+  if (!fields || typeof fields !== 'object') {
+    errors.push('scraper "fields" must be an object');
+  } else {
+    for (const required of ['quantity', 'price']) {
+      if (!fields[required]) errors.push(`scraper "fields.${required}" is required`);
+    }
+    for (const [name, spec] of Object.entries(fields)) {
+      if (!spec || typeof spec !== 'object') {
+        errors.push(`scraper field "${name}" must be an object`);
+        continue;
+      }
+      if (spec.cell !== undefined && !Number.isInteger(spec.cell)) {
+        errors.push(`scraper field "${name}.cell" must be an integer`);
+      }
+      if (spec.property !== undefined && !FIELD_PROPERTIES.includes(spec.property)) {
+        errors.push(`scraper field "${name}.property" must be one of ${FIELD_PROPERTIES.join(', ')}`);
+      }
+    }
+  }
+
+  for (const [index, action] of (definition.preActions || []).entries()) {
+    if (!PRE_ACTIONS.includes(action?.action)) {
+      errors.push(`scraper "preActions[${index}].action" must be one of ${PRE_ACTIONS.join(', ')}`);
+    } else if (action.action !== 'waitForLoadState' && typeof action.selector !== 'string') {
+      errors.push(`scraper "preActions[${index}].selector" must be a CSS selector`);
+    }
+  }
+  return errors;
+}
+
+async function runPreAction(page, action) {
+  const timeout = action.timeout ?? DEFAULT_TIMEOUT_MS;
+  if (action.waitFor) await page.waitForSelector(action.waitFor, { timeout });
+
+  switch (action.action) {
+    case 'click': {
+      const locator = page.locator(action.selector, action.hasText ? { hasText: action.hasText } : undefined);
+      await locator.first().click({ timeout });
+      break;
+    }
+    case 'waitFor':
+      await page.waitForSelector(action.selector, { timeout });
+      break;
+    case 'waitForLoadState':
+      await page.waitForLoadState(action.state || 'domcontentloaded');
+      break;
+  }
+}
+
+/**
+ * Reads every row matching the definition. Runs inside the browser, so it must stay
+ * self-contained: no references to anything outside its own body.
+ */
+function extractRows({ rows, rowFilter = {}, fields }) {
+  function readField(row, spec) {
+    let element = row;
+    if (spec.cell !== undefined) {
+      element = row.querySelectorAll(spec.cellSelector || 'td')[spec.cell];
+    } else if (spec.selector) {
+      element = row.querySelector(spec.selector);
+    }
+    if (!element) return undefined;
+    const value = spec.attribute ? element.getAttribute(spec.attribute) : element[spec.property || 'innerText'];
+    return value?.trim() || undefined;
+  }
+
+  return Array.from(document.querySelectorAll(rows))
+    .filter(row => !rowFilter.hasAttribute || row.getAttribute(rowFilter.hasAttribute))
+    .filter(row => !rowFilter.matches || row.matches(rowFilter.matches))
+    .map(row => Object.fromEntries(Object.entries(fields).map(([name, spec]) => [name, readField(row, spec)])))
+    .filter(entry => entry.quantity && entry.price);
+}
+
+/**
+ * Builds a crawl function (page => raw price entries) from a scraper definition.
+ * Pre-actions marked `"optional": true` may fail without failing the crawl, which is how
+ * popups that only appear for some visitors are handled.
+ * @param {object} definition - A definition that passes `validateScraperDefinition`.
+ * @returns {function(import('playwright').Page): Promise<Array<object>>}
+ */
+function createDeclarativeCrawl(definition) {
+  const { preActions = [], waitFor, timeout = DEFAULT_TIMEOUT_MS, rows, rowFilter, fields } = definition;
+
+  return async function declarativeCrawl(page) {
+    for (const action of preActions) {
+      try {
+        await runPreAction(page, action);
+      } catch (err) {
+        if (!action.optional) throw err;
+        logger.info('Optional pre-action skipped', { action: action.action, selector: action.selector || action.waitFor || 'page', reason: err.message.split('\n')[0] });
+      }
+    }
+
+    await page.waitForSelector(waitFor || rows, { timeout });
+    return page.evaluate(extractRows, { rows, rowFilter, fields });
+  };
+}
+
+module.exports = {
+  validateScraperDefinition,
+  createDeclarativeCrawl,
+  extractRows,
+};
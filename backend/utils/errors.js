@@ -0,0 +1,126 @@
+/**
+ * @fileoverview The error taxonomy of the lookup pipeline. Every failure a client can see carries
+ * one of these stable codes, whether it ends the request (`{error, code, retryable, details}`
+ * response bodies, `lookup_error` events, batch lines) or only one vendor's card (`card.error`).
+ * Clients should branch on `code`; the messages are for people and may change.
+ */
+
+/**
+ * Each code's HTTP status, whether trying again later may help, and its default message.
+ */
+const ERROR_CODES = {
+  COMPOUND_NOT_FOUND: { status: 404, retryable: false, message: 'No compound found for ID' },
+  AMBIGUOUS_IDENTIFIER: { status: 300, retryable: false, message: 'Identifier matches more than one compound' },
+  VENDORS_NOT_FOUND: { status: 404, retryable: false, message: 'Vendors not found for given CAS number' },
+  PRODUCT_NOT_FOUND: { status: 404, retryable: false, message: 'This vendor does not offer the product.' },
+  PUBCHEM_UNAVAILABLE: { status: 502, retryable: true, message: 'PubChem is unavailable' },
+  WOOCOMMERCE_UNAVAILABLE: { status: 502, retryable: true, message: 'WooCommerce is unavailable' },
+  VENDOR_UNAVAILABLE: { status: 502, retryable: true, message: 'The vendor page could not be loaded' },
+  VENDOR_TIMEOUT: { status: 504, retryable: true, message: 'The vendor did not respond in time' },
+  VENDOR_BLOCKED: { status: 502, retryable: false, message: 'The vendor blocked the request (captcha or access denied)' },
+  PARSE_FAILED: { status: 502, retryable: false, message: 'The vendor page could not be read; its layout may have changed' },
+  INTERNAL_ERROR: { status: 500, retryable: false, message: 'An internal error occurred.' },
+};
+
+// Failures of the PubChem lookup step; on a vendor card they mean the vendor itself was never asked
+const LOOKUP_ERROR_CODES = ['COMPOUND_NOT_FOUND', 'AMBIGUOUS_IDENTIFIER', 'VENDORS_NOT_FOUND', 'PUBCHEM_UNAVAILABLE'];
+
+// Crawl failure types recorded by the vendor health tracker, and the code each one surfaces as
+const CRAWL_ERROR_CODES = {
+  navigation: 'VENDOR_UNAVAILABLE',
+  http_error: 'VENDOR_UNAVAILABLE',
+  timeout: 'VENDOR_TIMEOUT',
+  blocked: 'VENDOR_BLOCKED',
+  selector_missing: 'PARSE_FAILED',
+  parse: 'PARSE_FAILED',
+  unknown: 'INTERNAL_ERROR',
+};
+
+/**
+ * Creates an error carrying one of `ERROR_CODES`.
+ * @param {string} code - A key of `ERROR_CODES`.
+ * @param {object} [options]
+ * @param {string} [options.message] - Replaces the code's default message.
+ * @param {string} [options.details] - Technical detail, e.g. the upstream error message.
+ * @param {Error} [options.cause] - The error this one wraps.
+ * @returns {Error} With `code`, `status`, `retryable` and `details`.
+ */
+function pipelineError(code, { message, details = null, cause } = {}) {
+  const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+  const err = new Error(message || definition.message, cause ? { cause } : undefined);
+  err.name = 'PipelineError';
+  err.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+  err.status = definition.status;
+  err.retryable = definition.retryable;
+  err.details = details;
+  return err;
+}
+
+/**
+ * @param {*} err
+ * @returns {boolean} Whether `err` was created by `pipelineError`.
+ */
+function isPipelineError(err) {
+  return err?.name === 'PipelineError' && Boolean(ERROR_CODES[err.code]);
+}
+
+/**
+ * Passes pipeline errors through and wraps anything else as INTERNAL_ERROR.
+ * @param {Error} err
+ * @returns {Error}
+ */
+function toPipelineError(err) {
+  if (isPipelineError(err)) return err;
+  return pipelineError('INTERNAL_ERROR', { details: err?.message ?? String(err), cause: err });
+}
+
+/**
+ * @param {string} errorType - One of the vendor health tracker's `ERROR_TYPES`.
+ * @returns {string} The code a crawl failure of that type surfaces as.
+ */
+function crawlErrorCode(errorType) {
+  return CRAWL_ERROR_CODES[errorType] || 'INTERNAL_ERROR';
+}
+
+/**
+ * The JSON shape of an error that ends a request.
+ * @param {Error} err
+ * @returns {{error: string, code: string, retryable: boolean, details?: string}}
+ */
+function errorBody(err) {
+  const { message, code, retryable, details } = toPipelineError(err);
+  return details ? { error: message, code, retryable, details } : { error: message, code, retryable };
+}
+
+/**
+ * The JSON shape of an error on a vendor card, which may still be part of a successful response.
+ * @param {Error} err
+ * @returns {{code: string, message: string, retryable: boolean}}
+ */
+function cardError(err) {
+  const { message, code, retryable } = toPipelineError(err);
+  return { code, message, retryable };
+}
+
+/**
+ * Responds with an error's status and `errorBody`.
+ * @param {import('express').Response} res
+ * @param {Error} err
+ * @param {object} [extra] - More fields for the body, e.g. the candidates of an ambiguous identifier.
+ */
+function sendError(res, err, extra = {}) {
+  const { status } = toPipelineError(err);
+  res.status(status).json({ ...errorBody(err), ...extra });
+}
+
+module.exports = {
+  ERROR_CODES,
+  LOOKUP_ERROR_CODES,
+  pipelineError,
+  isPipelineError,
+  toPipelineError,
+  crawlErrorCode,
+  errorBody,
+  cardError,
+  sendError,
+};
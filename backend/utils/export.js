@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Flat price reports (one row per vendor x pack size) in CSV, XLSX and JSON.
+ */
+
+const ExcelJS = require('exceljs');
+
+const REPORT_COLUMNS = [
+  { key: 'identifier', label: 'Identifier' },
+  { key: 'cid', label: 'CID' },
+  { key: 'vendorName', label: 'Vendor' },
+  { key: 'status', label: 'Status' },
+  { key: 'rawQuantity', label: 'Quantity (raw)' },
+  { key: 'amount', label: 'Amount' },
+  { key: 'unit', label: 'Unit' },
+  { key: 'grams', label: 'Grams' },
+  { key: 'rawPrice', label: 'Price (raw)' },
+  { key: 'price', label: 'Price' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'pricePerGram', label: 'Price per gram' },
+  { key: 'basePrice', label: 'Base price' },
+  { key: 'baseCurrency', label: 'Base currency' },
+  { key: 'basePricePerGram', label: 'Base price per gram' },
+  { key: 'inStock', label: 'In stock' },
+  { key: 'leadTime', label: 'Lead time' },
+  { key: 'purity', label: 'Purity' },
+  { key: 'catalogNumber', label: 'Catalog number' },
+  { key: 'url', label: 'URL' },
+  { key: 'matchConfidence', label: 'Match confidence' },
+  { key: 'message', label: 'Message' },
+  { key: 'errorCode', label: 'Error code' },
+  { key: 'fetchedAt', label: 'Fetched at' },
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: rowsToCsv },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx', render: rowsToXlsx },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json', render: rows => JSON.stringify(rows, null, 2) },
+};
+
+/**
+ * Flattens vendor results into report rows. Vendors without prices still get one row
+ * so their status, link and message are not lost.
+ * @param {Array<object>} results - Vendor responses as produced by `formatResponse`.
+ * @param {object} meta
+ * @param {string} meta.identifier - The identifier that was looked up.
+ * @param {number|null} meta.cid - The PubChem CID it resolved to.
+ * @returns {Array<object>} Rows keyed by `REPORT_COLUMNS` keys.
+ */
+function toReportRows(results, { identifier, cid }) {
+  return results.flatMap(result => {
+    const base = {
+      identifier,
+      cid: cid ?? null,
+      vendorName: result.vendorName,
+      status: result.status,
+      url: result.data.url,
+      matchConfidence: result.match?.confidence ?? null,
+      message: result.data.message,
+      errorCode: result.error?.code ?? null,
+      fetchedAt: result.fetchedAt,
+    };
+    if (result.data.prices.length === 0) return [base];
+    return result.data.prices.map(item => ({
+      ...base,
+      rawQuantity: item.raw.quantity,
+      amount: item.amount,
+      unit: item.unit,
+      grams: item.grams,
+      rawPrice: item.raw.price,
+      price: item.price,
+      currency: item.currency,
+      pricePerGram: item.pricePerGram,
+      basePrice: item.basePrice,
+      baseCurrency: item.baseCurrency,
+      basePricePerGram: item.basePricePerGram,
+      inStock: item.inStock,
+      leadTime: item.leadTime,
+      purity: item.purity,
+      catalogNumber: item.catalogNumber,
+    }));
+  }).map(toReportColumns);
+}
+
+// Every report row carries every column, in `REPORT_COLUMNS` order
+function toReportColumns(row) {
+  return Object.fromEntries(REPORT_COLUMNS.map(({ key }) => [key, row[key] ?? null]));
+}
+
+/**
+ * Flattens batch lookup outcomes into report rows; a failed identifier gets one row carrying its error.
+ * @param {Array<{identifier: string, status: string, cid: number|null, results: Array<object>,
+ *   error: string|null, code: string|null}>} outcomes - In the shape of `/prices/batch` result lines.
+ * @returns {Array<object>} Rows keyed by `REPORT_COLUMNS` keys.
+ */
+function toBatchReportRows(outcomes) {
+  return outcomes.flatMap(outcome => (outcome.status === 'error'
+    ? [toReportColumns({ identifier: outcome.identifier, status: 'error', message: outcome.error, errorCode: outcome.code })]
+    : toReportRows(outcome.results, { identifier: outcome.identifier, cid: outcome.cid })));
+}
+
+function escapeCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<object>} rows
+ * @param {Array<{key: string, label: string}>} [columns=REPORT_COLUMNS]
+ * @returns {string} CSV with a header row and CRLF line endings.
+ */
+function rowsToCsv(rows, columns = REPORT_COLUMNS) {
+  const header = columns.map(c => escapeCsvCell(c.label)).join(',');
+  const body = rows.map(row => columns.map(c => escapeCsvCell(row[c.key])).join(','));
+  return [header, ...body].join('\r\n') + '\r\n';
+}
+
+/**
+ * Renders rows as a plain-text table for terminals, each column padded to its widest cell.
+ * @param {Array<object>} rows
+ * @param {Array<{key: string, label: string}>} columns
+ * @returns {string}
+ */
+function rowsToTable(rows, columns) {
+  const cells = rows.map(row => columns.map(c => (row[c.key] === null || row[c.key] === undefined ? '' : String(row[c.key]))));
+  const widths = columns.map((c, i) => Math.max(c.label.length, ...cells.map(line => line[i].length)));
+  const format = line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  return [format(columns.map(c => c.label)), format(widths.map(width => '-'.repeat(width))), ...cells.map(format)].join('\n') + '\n';
+}
+
+async function rowsToXlsx(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Prices');
+  sheet.columns = REPORT_COLUMNS.map(c => ({ header: c.label, key: c.key }));
+  sheet.addRows(rows);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Renders report rows in one of the supported formats.
+ * @param {Array<object>} rows - Rows from `toReportRows`.
+ * @param {'csv'|'xlsx'|'json'} format
+ * @returns {Promise<{body: string|Buffer, contentType: string, extension: string}>}
+ */
+async function renderReport(rows, format) {
+  const { render, contentType, extension } = EXPORT_FORMATS[format];
+  return { body: await render(rows), contentType, extension };
+}
+
+/**
+ * Turns an identifier into something safe to use in a download filename.
+ */
+function reportFilename(identifier, extension) {
+  const slug = String(identifier).replace(/[^A-Za-z0-9._-]+/g, '_').slice(0, 60) || 'report';
+  return `purepeg-prices-${slug}.${extension}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  REPORT_COLUMNS,
+  toReportRows,
+  toBatchReportRows,
+  rowsToCsv,
+  rowsToTable,
+  renderReport,
+  reportFilename,
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Reads lists of identifiers from pasted text and spreadsheet files, the same way the
+ * frontend's batch upload does (see `frontend/src/utils/identifiers.js`).
+ */
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const HEADER_PATTERN = /^(cas( number| no\.?)?|smiles|name|identifier|id)$/i;
+
+/**
+ * Splits text into identifiers, one per line. Tabs and semicolons also separate entries;
+ * commas do not, since names and SMILES can contain them.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseIdentifierText(text) {
+  return text
+    .split(/[\r\n\t;]+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Splits CSV text into rows of cells. Quoted cells may hold commas, quotes (doubled) and line breaks.
+ * @param {string} text
+ * @returns {string[][]} Without blank lines.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  rows.push([...row, cell]);
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * @param {Buffer} buffer - An XLSX workbook.
+ * @returns {Promise<string[][]>} The first sheet's non-empty rows, each cell as displayed.
+ */
+async function readXlsxRows(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const rows = [];
+  workbook.worksheets[0]?.eachRow(row => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, column) => { cells[column - 1] = cell.text; });
+    rows.push(Array.from(cells, value => value ?? ''));
+  });
+  return rows;
+}
+
+/**
+ * Picks the identifiers out of spreadsheet rows: the column whose header looks like "CAS", "SMILES",
+ * "Name" or "Identifier" if there is one, otherwise the first column.
+ * @param {string[][]} rows
+ * @returns {string[]}
+ */
+function identifiersFromRows(rows) {
+  if (rows.length === 0) return [];
+
+  let column = 0;
+  let dataRows = rows;
+  const headerIndex = rows[0].findIndex(cell => HEADER_PATTERN.test(String(cell ?? '').trim()));
+  if (headerIndex !== -1) {
+    column = headerIndex;
+    dataRows = rows.slice(1);
+  }
+
+  return dataRows
+    .map(row => String(row[column] ?? '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads identifiers from a file's contents, as a spreadsheet or as plain text depending on its name.
+ * @param {Buffer} buffer - The file contents.
+ * @param {string} [fileName=''] - Used only for its extension; plain text when it has none (e.g. stdin).
+ * @returns {Promise<string[]>} Without duplicates, in file order.
+ */
+async function readIdentifiers(buffer, fileName = '') {
+  const extension = path.extname(fileName).toLowerCase();
+  let identifiers;
+  if (extension === '.xlsx') {
+    identifiers = identifiersFromRows(await readXlsxRows(buffer));
+  } else if (extension === '.csv') {
+    identifiers = identifiersFromRows(parseCsvRows(buffer.toString('utf8')));
+  } else {
+    identifiers = parseIdentifierText(buffer.toString('utf8'));
+  }
+  return [...new Set(identifiers)];
+}
+
+module.exports = {
+  parseIdentifierText,
+  parseCsvRows,
+  readIdentifiers,
+};
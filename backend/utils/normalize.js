@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Normalization of vendor quantity/price strings into comparable numeric fields.
+ * Crawlers return whatever text the vendor page shows ("250mg", "$1,234.00", "Inquire"),
+ * while PurePEG returns bare numbers. Everything passes through here before it reaches the client.
+ */
+
+const DEFAULT_CURRENCY = 'USD';
+
+// Conversion factors to grams. Volume units are recognized but cannot be converted
+// to a mass without knowing the density, so their factor is null.
+const UNITS = {
+  ug: { unit: 'µg', toGrams: 1e-6 },
+  mcg: { unit: 'µg', toGrams: 1e-6 },
+  mg: { unit: 'mg', toGrams: 1e-3 },
+  g: { unit: 'g', toGrams: 1 },
+  gm: { unit: 'g', toGrams: 1 },
+  gr: { unit: 'g', toGrams: 1 },
+  gram: { unit: 'g', toGrams: 1 },
+  grams: { unit: 'g', toGrams: 1 },
+  kg: { unit: 'kg', toGrams: 1000 },
+  ul: { unit: 'µL', toGrams: null },
+  ml: { unit: 'mL', toGrams: null },
+  l: { unit: 'L', toGrams: null },
+};
+
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'],
+  ['$', 'USD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'CNY'],
+  ['￥', 'CNY'],
+  ['元', 'CNY'],
+];
+
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CNY', 'RMB', 'JPY', 'CHF', 'CAD', 'INR'];
+
+// e.g. "250mg", "1.5 g", "5 x 100 mg", "100µL"
+const QUANTITY_PATTERN = /(?:(\d+)\s*[x×*]\s*)?(\d+(?:[.,]\d+)?)\s*(µg|μg|ug|mcg|mg|kg|grams?|gm|gr|g|µl|μl|ul|ml|l)(?![a-z])/i;
+
+/**
+ * Parses a number written with either "," or "." as the decimal separator.
+ * When both appear, whichever comes last is treated as the decimal separator.
+ * A lone "," followed by exactly three digits is treated as a thousands separator.
+ * @param {string} text - The numeric text, already stripped of currency symbols.
+ * @returns {number|null} The parsed number, or null if the text holds no number.
+ */
+function parseLocaleNumber(text) {
+  const match = String(text).match(/\d[\d.,\s]*/);
+  if (!match) return null;
+  let digits = match[0].replace(/\s/g, '').replace(/[.,]$/, '');
+
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+  if (lastComma !== -1 && lastDot !== -1) {
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    digits = digits.split(thousands).join('').replace(decimal, '.');
+  } else if (lastComma !== -1) {
+    const isThousands = /^\d{1,3}(,\d{3})+$/.test(digits);
+    digits = isThousands ? digits.replace(/,/g, '') : digits.replace(',', '.');
+  }
+
+  const value = Number.parseFloat(digits);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Parses a pack size into an amount, a canonical unit and its mass in grams.
+ * Bare numbers (as returned by the WooCommerce `weight` field) are taken to be grams.
+ * @param {string|number|null} raw - The quantity as shown by the vendor.
+ * @returns {{amount: number|null, unit: string|null, grams: number|null}}
+ */
+function parseQuantity(raw) {
+  const empty = { amount: null, unit: null, grams: null };
+  if (raw === null || raw === undefined || raw === '') return empty;
+
+  if (typeof raw === 'number' || /^\s*\d+(\.\d+)?\s*$/.test(raw)) {
+    const grams = Number(raw);
+    return Number.isFinite(grams) ? { amount: grams, unit: 'g', grams } : empty;
+  }
+
+  const match = String(raw).match(QUANTITY_PATTERN);
+  if (!match) return empty;
+
+  const [, multiplier, amountText, unitText] = match;
+  const key = unitText.toLowerCase().replace(/[µμ]/g, 'u');
+  const unitInfo = UNITS[key];
+  const amount = parseLocaleNumber(amountText) * (multiplier ? Number(multiplier) : 1);
+  const grams = unitInfo.toGrams === null ? null : roundTo(amount * unitInfo.toGrams, 9);
+
+  return { amount, unit: unitInfo.unit, grams };
+}
+
+/**
+ * Detects the currency of a price string from its symbol or ISO code.
+ * @param {string} text - The price as shown by the vendor.
+ * @returns {string|null} An ISO 4217 code, or null if none is present.
+ */
+function detectCurrency(text) {
+  const upper = String(text).toUpperCase();
+  const code = CURRENCY_CODES.find(c => new RegExp(`\\b${c}\\b`).test(upper));
+  if (code) return code === 'RMB' ? 'CNY' : code;
+  const symbol = CURRENCY_SYMBOLS.find(([s]) => upper.includes(s));
+  return symbol ? symbol[1] : null;
+}
+
+/**
+ * Parses a price into a number and a currency. Placeholders such as "Inquire",
+ * "N/A" or "Call" yield a null price rather than an error.
+ * @param {string|number|null} raw - The price as shown by the vendor.
+ * @returns {{price: number|null, currency: string|null}}
+ */
+function parsePrice(raw) {
+  if (raw === null || raw === undefined || raw === '') return { price: null, currency: null };
+
+  if (typeof raw === 'number') {
+    return Number.isFinite(raw) ? { price: raw, currency: DEFAULT_CURRENCY } : { price: null, currency: null };
+  }
+
+  const price = parseLocaleNumber(raw);
+  if (price === null) return { price: null, currency: null };
+  return { price, currency: detectCurrency(raw) || DEFAULT_CURRENCY };
+}
+
+// Phrases that mean a pack can be shipped right away, or that it cannot be ordered as listed
+const IN_STOCK_PATTERN = /\bin[\s-]*stock\b|\bavailable\b/i;
+const OUT_OF_STOCK_PATTERN = /\bout[\s-]+of[\s-]+stock\b|\bnot\s+(?:in\s+stock|available)\b|\binquir|\bbackorder|\bdiscontinued\b|\bsold\s+out\b/i;
+// e.g. "1-2 weeks", "2–3 days", "24 hours"
+const LEAD_TIME_PATTERN = /\d+(?:\s*[-–~]\s*\d+)?\s*(?:hours?|days?|weeks?|months?)\b/i;
+
+/**
+ * Reads a vendor's stock text ("In Stock", "1-2 weeks", "Ship within 24 hours", "Inquiry").
+ * A lead time counted in hours is treated as in stock, since that is how vendors word same-day shipping.
+ * @param {string|null} raw - The stock status as shown by the vendor.
+ * @returns {{inStock: boolean|null, leadTime: string|null}} `inStock` is null when the text says neither.
+ */
+function parseAvailability(raw) {
+  if (raw === null || raw === undefined || String(raw).trim() === '') return { inStock: null, leadTime: null };
+  const text = String(raw).trim();
+  const leadTime = text.match(LEAD_TIME_PATTERN)?.[0].replace(/\s*([-–~])\s*/, '$1') ?? null;
+
+  let inStock = null;
+  if (OUT_OF_STOCK_PATTERN.test(text)) inStock = false;
+  else if (IN_STOCK_PATTERN.test(text) || /hours?$/i.test(leadTime ?? '')) inStock = true;
+  else if (leadTime) inStock = false;
+  return { inStock, leadTime };
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  return String(value).trim() || null;
+}
+
+/**
+ * Converts a raw price entry into the normalized price entry sent to clients.
+ * The original text is kept under `raw` so the UI can always show what the vendor displayed.
+ * Crawlers may also report a `stock` text, which is read into `inStock` and `leadTime`
+ * unless the entry sets those itself; entries without stock or product details get nulls.
+ * @param {{quantity: string|number, price: string|number, stock?: string, inStock?: boolean,
+ *   leadTime?: string, purity?: string, catalogNumber?: string|number}} entry - A raw price entry.
+ * @returns {{raw: {quantity: *, price: *}, amount: number|null, unit: string|null, grams: number|null,
+ *   price: number|null, currency: string|null, pricePerGram: number|null, inStock: boolean|null,
+ *   leadTime: string|null, purity: string|null, catalogNumber: string|null}}
+ */
+function normalizePriceEntry({ quantity, price, stock, inStock, leadTime, purity, catalogNumber, ...rest }) {
+  const { amount, unit, grams } = parseQuantity(quantity);
+  const parsed = parsePrice(price);
+  const pricePerGram = (parsed.price !== null && grams) ? roundTo(parsed.price / grams, 4) : null;
+  const availability = parseAvailability(stock);
+
+  return {
+    ...rest,
+    raw: { quantity, price },
+    amount,
+    unit,
+    grams,
+    price: parsed.price,
+    currency: parsed.currency,
+    pricePerGram,
+    inStock: typeof inStock === 'boolean' ? inStock : availability.inStock,
+    leadTime: toText(leadTime) ?? availability.leadTime,
+    purity: toText(purity),
+    catalogNumber: toText(catalogNumber),
+  };
+}
+
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  parseLocaleNumber,
+  parseQuantity,
+  parsePrice,
+  detectCurrency,
+  parseAvailability,
+  normalizePriceEntry,
+};
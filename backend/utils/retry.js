@@ -0,0 +1,118 @@
+/**
+ * Resolves after `ms`, or right away once `signal` aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * The wait before retry number `attempt`: exponential from `baseDelayMs`, capped at `maxDelayMs`,
+ * with jitter so callers that failed together do not all retry at the same moment.
+ * @param {number} attempt - 1 for the first retry.
+ * @param {number} baseDelayMs
+ * @param {number} maxDelayMs
+ * @returns {number} Milliseconds, between half and all of the capped exponential delay.
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Calls `fn` until it resolves, waiting longer after each failure.
+ * @param {function(number): Promise<*>} fn - Called with the attempt number, starting at 1.
+ * @param {object} [options]
+ * @param {number} [options.retries=2] - Attempts after the first; 0 disables retrying.
+ * @param {number} [options.baseDelayMs=500] - Wait before the first retry; doubled for each one after.
+ * @param {number} [options.maxDelayMs=10000] - Longest wait between attempts.
+ * @param {function(Error): boolean} [options.shouldRetry] - Returning false fails right away.
+ * @param {AbortSignal} [options.signal] - Once aborted, the last error is thrown instead of retrying.
+ * @param {function(Error, number, number): void} [options.onRetry] - Called with the error, the attempt
+ * that failed and the wait before the next one.
+ * @returns {Promise<*>} What `fn` resolved to.
+ * @throws {Error} The last error once retries run out or `shouldRetry` declines.
+ */
+async function withRetry(fn, {
+  retries = 2,
+  baseDelayMs = 500,
+  maxDelayMs = 10000,
+  shouldRetry = () => true,
+  signal,
+  onRetry = () => {},
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt > retries || signal?.aborted || !shouldRetry(err)) throw err;
+      const delayMs = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      onRetry(err, attempt, delayMs);
+      await sleep(delayMs, signal);
+      if (signal?.aborted) throw err;
+    }
+  }
+}
+
+/**
+ * Runs `fn` against a deadline. When time runs out the returned promise rejects with
+ * `onTimeout()` and `fn`'s signal aborts, so it can stop its work (close a page, skip retries).
+ * @param {function(AbortSignal): Promise<*>} fn
+ * @param {number} ms - The deadline; 0 or less means none.
+ * @param {function(): Error} onTimeout - Builds the error to reject with.
+ * @returns {Promise<*>} What `fn` resolved to.
+ */
+async function withDeadline(fn, ms, onTimeout) {
+  const controller = new AbortController();
+  if (!(ms > 0)) return fn(controller.signal);
+
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      // Reject before aborting, so work that settles as soon as it is aborted cannot win the race
+      reject(onTimeout());
+      controller.abort();
+    }, ms);
+  });
+  try {
+    return await Promise.race([fn(controller.signal), deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Waits for `promise` until `signal` aborts, then rejects with `onAbort()` without stopping the work
+ * behind it. For work shared by several callers, where one of them giving up must not end it for the rest.
+ * @param {Promise<*>} promise
+ * @param {AbortSignal} [signal]
+ * @param {function(): Error} onAbort - Builds the error to reject with.
+ * @returns {Promise<*>} What `promise` resolved to.
+ */
+async function untilAborted(promise, signal, onAbort) {
+  if (!signal) return promise;
+  let stopWaiting;
+  const aborted = new Promise((resolve, reject) => {
+    stopWaiting = () => reject(onAbort());
+    if (signal.aborted) stopWaiting();
+    else signal.addEventListener('abort', stopWaiting, { once: true });
+  });
+  try {
+    return await Promise.race([promise, aborted]);
+  } finally {
+    signal.removeEventListener('abort', stopWaiting);
+  }
+}
+
+module.exports = { sleep, backoffDelay, withRetry, withDeadline, untilAborted };
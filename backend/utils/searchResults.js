@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Following a vendor's search page to the product page, for vendors PubChem has no
+ * direct link for. A search definition sits next to the adapter's scraper:
+ *
+ * {
+ *   "results": "ul.search-list > li",      // one element per search result
+ *   "link": "a.name",                      // optional; the result's product link (default: first a[href])
+ *   "productPage": "table.price-table",    // optional; present when the search went straight to the product
+ *   "noResults": ".empty-result",          // optional; present when nothing matched the query
+ *   "timeout": 10000                       // ms, for the page to show one of the above (default 10000)
+ * }
+ *
+ * Results are matched by CAS number first, then by name. Every match carries a confidence between
+ * 0 and 1, below 1 whenever another result could have been the right one.
+ */
+
+const { logger } = require('../services/logger');
+const { findCasNumbers } = require('./cas');
+const { pipelineError } = require('./errors');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// How much a match method is trusted when exactly one result qualifies
+const METHOD_CONFIDENCE = {
+  cas: 1,
+  name: 0.6,
+  redirect: 0.5,
+  only_result: 0.3,
+};
+
+/**
+ * Checks a search definition for structural errors.
+ * @param {object} definition
+ * @returns {string[]} Problems found; empty if the definition is valid.
+ */
+function validateSearchDefinition(definition) {
+  if (!definition || typeof definition !== 'object') return ['search must be an object'];
+  const errors = [];
+  if (typeof definition.results !== 'string' || !definition.results) errors.push('search "results" must be a CSS selector');
+  for (const key of ['link', 'productPage', 'noResults']) {
+    if (definition[key] !== undefined && typeof definition[key] !== 'string') {
+      errors.push(`search "${key}" must be a CSS selector`);
+    }
+  }
+  if (definition.timeout !== undefined && !Number.isFinite(definition.timeout)) {
+    errors.push('search "timeout" must be a number');
+  }
+  return errors;
+}
+
+/**
+ * Reads every search result's link and text. Runs inside the browser, so it must stay
+ * self-contained: no references to anything outside its own body.
+ */
+function extractSearchResults({ results, link }) {
+  return Array.from(document.querySelectorAll(results))
+    .map(row => {
+      const anchor = row.matches(link) ? row : row.querySelector(link);
+      return {
+        url: anchor?.href || null,
+        title: anchor?.textContent.replace(/\s+/g, ' ').trim() || '',
+        text: row.textContent.replace(/\s+/g, ' ').trim(),
+      };
+    })
+    .filter(result => result.url);
+}
+
+function toMatch(candidates, method) {
+  return {
+    result: candidates[0],
+    match: {
+      method,
+      confidence: Math.round((METHOD_CONFIDENCE[method] / candidates.length) * 100) / 100,
+      candidates: candidates.length,
+    },
+  };
+}
+
+/**
+ * Picks the search result for the compound. A result listing the CAS number wins; without one,
+ * a result titled exactly like the search term, as long as it does not list a different CAS number.
+ * A lone result with no CAS number at all is taken with low confidence. When several results
+ * qualify the first is used and the confidence is divided between them.
+ * @param {Array<{url: string, title: string, text: string}>} results - As read from the search page.
+ * @param {object} compound
+ * @param {string|null} compound.cas - The compound's CAS number, if known.
+ * @param {string} compound.searchTerm - What the user searched for.
+ * @returns {{result: object, match: {method: string, confidence: number, candidates: number}}|null}
+ * Null when no result is the compound.
+ */
+function chooseSearchResult(results, { cas, searchTerm }) {
+  const listed = results.map(result => ({ ...result, casNumbers: findCasNumbers(result.text) }));
+  if (cas) {
+    const byCas = listed.filter(result => result.casNumbers.includes(cas));
+    if (byCas.length > 0) return toMatch(byCas, 'cas');
+  }
+
+  // A result with another CAS number is another compound, whatever its name
+  const unlisted = listed.filter(result => !cas || result.casNumbers.length === 0);
+  const name = String(searchTerm).trim().toLowerCase();
+  const byName = unlisted.filter(result => result.title.toLowerCase() === name);
+  if (byName.length > 0) return toMatch(byName, 'name');
+
+  if (listed.length === 1 && listed[0].casNumbers.length === 0) return toMatch(listed, 'only_result');
+  return null;
+}
+
+/**
+ * On a loaded search page, finds the result for the compound and navigates to it.
+ * @param {import('playwright').Page} page - A page showing the vendor's search results for the compound.
+ * @param {object} definition - A definition that passes `validateSearchDefinition`.
+ * @param {{cas: string|null, searchTerm: string}} compound
+ * @returns {Promise<{url: string, match: {method: string, confidence: number, candidates: number}}>}
+ * The product page now loaded in `page`, and how it was matched.
+ * @throws {Error} PRODUCT_NOT_FOUND if no result is the compound; Playwright's errors if the page
+ * shows none of the expected elements.
+ */
+async function followSearchResults(page, definition, compound) {
+  const { results, link = 'a[href]', productPage, noResults, timeout = DEFAULT_TIMEOUT_MS } = definition;
+  await page.waitForSelector([results, productPage, noResults].filter(Boolean).join(', '), { timeout });
+
+  if (productPage && await page.locator(productPage).count() > 0) {
+    const text = await page.evaluate(() => document.body.textContent);
+    const method = compound.cas && findCasNumbers(text).includes(compound.cas) ? 'cas' : 'redirect';
+    return { url: page.url(), match: toMatch([null], method).match };
+  }
+
+  const chosen = chooseSearchResult(await page.evaluate(extractSearchResults, { results, link }), compound);
+  if (!chosen) {
+    throw pipelineError('PRODUCT_NOT_FOUND', {
+      message: `No search result matches ${compound.cas ? `CAS ${compound.cas}` : compound.searchTerm}.`,
+    });
+  }
+
+  logger.info('Following search result', { url: chosen.result.url, ...chosen.match });
+  await page.goto(chosen.result.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  return { url: chosen.result.url, match: chosen.match };
+}
+
+module.exports = {
+  validateSearchDefinition,
+  extractSearchResults,
+  chooseSearchResult,
+  followSearchResults,
+};
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Writing-order independent keys for SMILES strings.
+ * The same molecule can be written many ways ("OCC" and "CCO"; with or without explicit
+ * hydrogens), so comparing SMILES as text misses matches. `structureKey` parses a SMILES
+ * string into its molecular graph and hashes it with Weisfeiler-Lehman refinement, which
+ * gives the same key for every way of writing the same connectivity.
+ *
+ * Stereochemistry, hydrogen counts and the difference between single, double and aromatic
+ * bonds are not part of the key, so aromatic and Kekulé notation ("c1ccccc1", "C1=CC=CC=C1")
+ * agree. Triple bonds are kept. Stereoisomers (exo/endo, R/S) and compounds that differ only
+ * in their double bonds (cyclohexane and benzene) therefore share a key, and callers must
+ * break those ties themselves.
+ */
+
+const crypto = require('crypto');
+
+const ORGANIC_SUBSET = /^(Cl|Br|B|C|N|O|P|S|F|I|b|c|n|o|p|s)/;
+const BOND_ORDERS = { '-': 1, '/': 1, '\\': 1, '=': 2, '#': 3, '$': 4, ':': 'ar' };
+const BRACKET_ATOM = /^\[(\d*)([A-Z][a-z]?|[a-z][a-z]?|\*)(@*)(H\d*)?([+-]+\d*)?(:\d+)?\]$/;
+
+/**
+ * Parses a SMILES string into atoms and bonds. Explicit hydrogen atoms are dropped.
+ * @param {string} smiles
+ * @returns {{atoms: string[], bonds: Array<[number, number, number|string]>}} Atom labels
+ * (element with isotope and charge) and `[from, to, order]` bonds.
+ * @throws {Error} If the string is not valid SMILES.
+ */
+function parseSmiles(smiles) {
+  const text = String(smiles).trim();
+  if (!text || /\s/.test(text)) throw new Error('SMILES must be a single non-empty token');
+
+  const atoms = [];
+  const aromatic = [];
+  const bonds = [];
+  const branchStack = [];
+  const openRings = new Map();
+  let previous = null;
+  let pendingBond = null;
+  let i = 0;
+
+  function addAtom(label, isAromatic) {
+    const index = atoms.length;
+    atoms.push(label);
+    aromatic.push(isAromatic);
+    if (previous !== null) connect(previous, index, pendingBond);
+    previous = index;
+    pendingBond = null;
+  }
+
+  function connect(a, b, bond) {
+    if (a === null || b === null) return; // Bond to a dropped hydrogen
+    const order = bond ? BOND_ORDERS[bond] : (aromatic[a] && aromatic[b] ? 'ar' : 1);
+    bonds.push([a, b, order]);
+  }
+
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const char = text[i];
+
+    if (char === '[') {
+      const end = text.indexOf(']', i);
+      if (end === -1) throw new Error(`Unclosed bracket atom at ${i}`);
+      const match = text.slice(i, end + 1).match(BRACKET_ATOM);
+      if (!match) throw new Error(`Invalid bracket atom at ${i}`);
+      const [, isotope, element, , , charge = ''] = match;
+      if (element === 'H' && !isotope && !charge) {
+        // Explicit hydrogen: not part of the graph, and neither is the bond to whatever follows it
+        previous = null;
+        pendingBond = null;
+      } else {
+        addAtom(`${isotope}${capitalize(element)}${normalizeCharge(charge)}`, element === element.toLowerCase());
+      }
+      i = end + 1;
+    } else if (ORGANIC_SUBSET.test(rest)) {
+      const element = rest.match(ORGANIC_SUBSET)[1];
+      addAtom(capitalize(element), element === element.toLowerCase());
+      i += element.length;
+    } else if (BOND_ORDERS[char] !== undefined) {
+      pendingBond = char;
+      i++;
+    } else if (char === '(') {
+      branchStack.push(previous);
+      i++;
+    } else if (char === ')') {
+      if (branchStack.length === 0) throw new Error(`Unbalanced ")" at ${i}`);
+      previous = branchStack.pop();
+      i++;
+    } else if (char === '.') {
+      previous = null;
+      i++;
+    } else if (/[0-9%]/.test(char)) {
+      const digits = char === '%' ? text.slice(i + 1, i + 3) : char;
+      if (!/^\d+$/.test(digits) || (char === '%' && digits.length !== 2)) throw new Error(`Invalid ring closure at ${i}`);
+      if (openRings.has(digits)) {
+        const { atom, bond } = openRings.get(digits);
+        connect(atom, previous, pendingBond || bond);
+        openRings.delete(digits);
+      } else {
+        openRings.set(digits, { atom: previous, bond: pendingBond });
+      }
+      pendingBond = null;
+      i += char === '%' ? 3 : 1;
+    } else {
+      throw new Error(`Unexpected "${char}" at ${i}`);
+    }
+  }
+
+  if (branchStack.length > 0) throw new Error('Unclosed branch');
+  if (openRings.size > 0) throw new Error('Unclosed ring');
+  if (atoms.length === 0) throw new Error('No atoms');
+  return { atoms, bonds };
+}
+
+function capitalize(element) {
+  return element[0].toUpperCase() + element.slice(1);
+}
+
+// "+", "+1" and "++" style charges all become a signed number
+function normalizeCharge(charge) {
+  if (!charge) return '';
+  const sign = charge[0];
+  const digits = charge.slice(1).replace(/[+-]/g, '');
+  const magnitude = digits ? Number(digits) : charge.length;
+  return `${sign}${magnitude}`;
+}
+
+// Single, double and aromatic bonds are one class, so no aromaticity perception is needed;
+// triple bonds keep cyclooctynes apart from cyclooctenes
+function bondClass(order) {
+  return order === 3 || order === 4 ? String(order) : 's';
+}
+
+/**
+ * Computes a key that is identical for every SMILES writing of the same molecular graph.
+ * @param {string} smiles
+ * @returns {string|null} The key, or null if the string is not valid SMILES.
+ */
+function structureKey(smiles) {
+  let graph;
+  try {
+    graph = parseSmiles(smiles);
+  } catch {
+    return null;
+  }
+
+  const { atoms, bonds } = graph;
+  const neighbors = atoms.map(() => []);
+  for (const [a, b, order] of bonds) {
+    neighbors[a].push([b, order]);
+    neighbors[b].push([a, order]);
+  }
+
+  // Each round relabels atoms by their own label plus their neighbors' labels. Labels are
+  // renumbered per round to keep them short, so every round's labels feed the hash.
+  const hash = crypto.createHash('sha1');
+  let labels = atoms;
+  let classCount = 0;
+  for (let round = 0; round <= atoms.length; round++) {
+    const signatures = round === 0 ? labels : labels.map((label, index) => (
+      label + '(' + neighbors[index].map(([other, order]) => `${bondClass(order)}${labels[other]}`).sort().join(',') + ')'
+    ));
+    const distinct = [...new Set(signatures)].sort();
+    hash.update(signatures.slice().sort().join(';') + '\n');
+    const ids = new Map(distinct.map((signature, id) => [signature, String(id)]));
+    labels = signatures.map(signature => ids.get(signature));
+    if (distinct.length === classCount) break;
+    classCount = distinct.length;
+  }
+
+  return hash.digest('base64').slice(0, 16);
+}
+
+/**
+ * Whether a string plausibly is SMILES rather than a name, CAS number or formula.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function looksLikeSmiles(text) {
+  const value = String(text).trim();
+  if (!value || /\s/.test(value) || /^\d+-\d+-\d$/.test(value)) return false;
+  if (!/[()=#[\]@]|\d/.test(value) && !/^[BCNOPSFIbcnops]+$/.test(value)) return false;
+  return structureKey(value) !== null;
+}
+
+module.exports = {
+  parseSmiles,
+  structureKey,
+  looksLikeSmiles,
+};
@@ -0,0 +1,10 @@
+/**
+ * PurePEG's own catalog. Prices come from the WooCommerce API rather than PubChem
+ * vendor links, so this adapter only declares metadata; see `handlePurePegApi`.
+ */
+module.exports = {
+  name: 'PurePEG',
+  order: 0,
+  type: 'api',
+  sourceNames: [],
+};
@@ -1,85 +1,256 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import axios from 'axios';
 
+import AlertsPanel from './components/AlertsPanel';
+import BatchLookup from './components/BatchLookup';
+import CandidateChooser from './components/CandidateChooser';
+import CatalogTypeahead from './components/CatalogTypeahead';
+import CompoundPanel from './components/CompoundPanel';
+import LoginForm from './components/LoginForm';
+import RecentSearches from './components/RecentSearches';
+import VendorHealthPanel from './components/VendorHealthPanel';
+import { errorLabel } from './utils/errors';
+import { formatQuantity, formatMoney, formatAge, formatStock, describeMatch, isConverted } from './utils/format';
 import './App.css';
 
 
 function App() {
+  const [view, setView] = useState("single");
+  // undefined while the session is being checked, null when signed out
+  const [user, setUser] = useState(undefined);
+
+  useEffect(() => {
+    axios.get("/auth/me")
+      .then((res) => setUser(res.data))
+      .catch(() => setUser(null));
+
+    // An expired session shows the login form again instead of failing every request
+    const interceptor = axios.interceptors.response.use(undefined, (err) => {
+      if (err.response?.status === 401 && err.config?.url !== "/auth/login") setUser(null);
+      return Promise.reject(err);
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  async function onLogout() {
+    try {
+      await axios.post("/auth/logout");
+    } catch (err) {
+      console.error(err);
+    }
+    setUser(null);
+  }
+
+  if (user === undefined) return null;
+  if (user === null) return <LoginForm onLogin={setUser} />;
+
+  return (
+    <div className="relative">
+      <div className="max-w-4xl mx-auto p-4">
+        <nav className="flex flex-wrap items-center gap-2 mb-4">
+          <TabButton active={view === "single"} onClick={() => setView("single")}>Single lookup</TabButton>
+          <TabButton active={view === "batch"} onClick={() => setView("batch")}>Batch lookup</TabButton>
+          <TabButton active={view === "health"} onClick={() => setView("health")}>Vendor status</TabButton>
+          <TabButton active={view === "alerts"} onClick={() => setView("alerts")}>Alerts</TabButton>
+          <div className="ml-auto flex items-center gap-2 text-sm text-gray-700">
+            <span>{user.username} <span className="text-gray-500">({user.role})</span></span>
+            <button type="button" onClick={onLogout} className="text-blue-600 hover:underline">Log out</button>
+          </div>
+        </nav>
+
+        {view === "single" && <SingleLookup />}
+        {view === "batch" && <BatchLookup />}
+        {view === "health" && <VendorHealthPanel />}
+        {view === "alerts" && <AlertsPanel canEditRules={user.role === "admin"} />}
+      </div>
+    </div>
+  )
+}
+
+function SingleLookup() {
   const [data, setData] = useState([]);
+  const [compound, setCompound] = useState(null);
+  const [candidates, setCandidates] = useState(null);
   const [id, setId] = useState("");
   const [errorMessage, setErrorMessage] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  const [searchedId, setSearchedId] = useState("");
+  // The lookup the export buttons re-run: `{path, query}`
+  const [lookup, setLookup] = useState(null);
+  const [refresh, setRefresh] = useState(false);
+  // Bumped after each lookup so the recent searches are fetched again
+  const [searchVersion, setSearchVersion] = useState(0);
+
+  const streamRef = useRef(null);
+
+  // Close any open stream when the view is left mid-lookup
+  useEffect(() => () => streamRef.current?.close(), []);
 
-  async function onSubmit(e) {
+  function onSubmit(e) {
     setErrorMessage("");
     e.preventDefault();
     if (!id) {
       setErrorMessage("Field cannot be blank!");
       return;
     }
-    setIsLoading(true);
-    try {
-      const res = await axios.get(`/prices/${encodeURIComponent(id)}`);
-      setData(res.data);
-      console.log(res.data)
-    } catch (err) {
-      console.error(err);
 
-      // If the backend sent a detailed message, use it
-      if (err.response && err.response.data && typeof err.response.data === "string") {
-        setErrorMessage(err.response.data);
-      } else if (err.response && err.response.data && err.response.data.error) {
-        setErrorMessage(err.response.data.error);
-      } else {
-        setErrorMessage("An unexpected error occurred.");
-      }
-    } finally {
-      setIsLoading(false);
+    setSearchedId(id);
+    startLookup(`/prices/${encodeURIComponent(id)}`);
+  }
+
+  // Skips name resolution on the server, so the chosen compound is priced rather than PubChem's first match
+  function onChooseCandidate(candidate) {
+    setErrorMessage("");
+    startLookup(`/prices/cid/${candidate.cid}`, { q: searchedId });
+  }
+
+  // A search that resolved before goes straight to its CID, keeping any candidate the user chose
+  function onPickRecent(search) {
+    setErrorMessage("");
+    setId(search.identifier);
+    setSearchedId(search.identifier);
+    if (search.cid) {
+      startLookup(`/prices/cid/${search.cid}`, { q: search.identifier });
+    } else {
+      startLookup(`/prices/${encodeURIComponent(search.identifier)}`);
     }
+  }
+
+  function startLookup(path, query = {}) {
+    streamRef.current?.close();
+    setIsLoading(true);
+    setData([]);
+    setCompound(null);
+    setCandidates(null);
+    setLookup({ path, query });
 
+    // Each vendor card is filled in as soon as that vendor settles on the server
+    const params = new URLSearchParams(query);
+    if (refresh) params.set("refresh", "true");
+    const search = params.toString();
+    const source = new EventSource(`${path}/stream${search ? `?${search}` : ""}`);
+    streamRef.current = source;
+
+    source.addEventListener("vendors", (event) => {
+      const { vendors } = JSON.parse(event.data);
+      setData(vendors.map((vendorName) => ({ vendorName, status: "loading", data: { prices: [], url: null, message: null } })));
+    });
+    source.addEventListener("compound", (event) => {
+      setCompound(JSON.parse(event.data));
+    });
+    source.addEventListener("candidates", (event) => {
+      setCandidates(JSON.parse(event.data));
+    });
+    source.addEventListener("result", (event) => {
+      const result = JSON.parse(event.data);
+      setData((prev) => prev.map((company) => (company.vendorName === result.vendorName ? result : company)));
+    });
+    source.addEventListener("lookup_error", (event) => {
+      const { error, retryable } = JSON.parse(event.data);
+      setErrorMessage(retryable ? `${error}. Showing the vendors that do not depend on it; try again later.` : error);
+    });
+    source.addEventListener("done", () => {
+      // Vendors waiting on a candidate choice never report; drop their placeholders
+      setData((prev) => prev.filter((company) => company.status !== "loading"));
+      source.close();
+      setIsLoading(false);
+      setSearchVersion((prev) => prev + 1);
+    });
+    source.onerror = () => {
+      // EventSource reports a closed connection as an error too; only complain if the lookup was cut short
+      if (source.readyState !== EventSource.CLOSED) {
+        source.close();
+        setErrorMessage("Lost connection to the server.");
+        setIsLoading(false);
+      }
+    };
   }
 
   return (
-    <div className="relative">
-      <div className="max-w-4xl mx-auto p-4">
-        <form onSubmit={onSubmit} className="space-y-4 bg-white shadow-md rounded-lg p-6 border border-gray-200">
-          <div>
-            <label htmlFor="ID" className="text-sm font-medium text-gray-700 block mb-1">
-              CAS/Name/SMILES
-            </label>
-            <input
-              id="ID"
-              type="text"
-              value={id}
-              onChange={(e) => setId(e.target.value)}
-              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 text-black"
-              placeholder="Input one of the above"
-              autoComplete="off"
-            />
-          </div>
-          <button
-            type="submit"
-            className="w-full bg-blue-600 text-white text-sm font-medium py-2 px-4 rounded-md hover:bg-blue-700 transition"
-          >
-            {isLoading ? "Loading..." : "Get Prices"}
-          </button>
-        </form>
-        <div className="text-sm font-medium text-red-400 mt-3 mb-1">
-          {errorMessage}
+    <>
+      <form onSubmit={onSubmit} className="space-y-4 bg-white shadow-md rounded-lg p-6 border border-gray-200">
+        <div>
+          <label htmlFor="ID" className="text-sm font-medium text-gray-700 block mb-1">
+            CAS/Name/SMILES
+          </label>
+          <CatalogTypeahead id="ID" value={id} onChange={setId} placeholder="Input one of the above" />
         </div>
+        <RecentSearches version={searchVersion} onPick={onPickRecent} />
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={refresh} onChange={(e) => setRefresh(e.target.checked)} />
+          Ignore cached results and fetch fresh prices
+        </label>
+        <button
+          type="submit"
+          className="w-full bg-blue-600 text-white text-sm font-medium py-2 px-4 rounded-md hover:bg-blue-700 transition"
+        >
+          {isLoading ? "Loading..." : "Get Prices"}
+        </button>
+      </form>
+      <div className="text-sm font-medium text-red-400 mt-3 mb-1">
+        {errorMessage}
+      </div>
 
 
-        <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-6">
-          {data.map((company) => (
-            <Card key={company.vendorName} company={company} />
-          ))}
-        </div>
+      {candidates && (
+        <CandidateChooser total={candidates.total} candidates={candidates.candidates} onChoose={onChooseCandidate} />
+      )}
+      {compound && <CompoundPanel summary={compound} />}
+
+      {data.length > 0 && !isLoading && !candidates && <ExportButtons lookup={lookup} />}
+
+      <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+        {data.map((company) => (
+          <Card key={company.vendorName} company={company} />
+        ))}
       </div>
-    </div>
+    </>
   )
 }
 
+// The backend re-runs the lookup and renders the report, one row per vendor x pack size
+function ExportButtons({ lookup }) {
+  return (
+    <div className="flex items-center gap-2 mt-3">
+      <span className="text-sm text-gray-700">Download:</span>
+      {["csv", "xlsx", "json"].map((format) => (
+        <a
+          key={format}
+          href={`${lookup.path}?${new URLSearchParams({ ...lookup.query, format })}`}
+          download
+          className="bg-gray-100 text-gray-800 text-sm font-medium py-1 px-3 rounded-md border border-gray-300 hover:bg-gray-200 uppercase"
+        >
+          {format}
+        </a>
+      ))}
+    </div>
+  );
+}
+
+function TabButton({ active, onClick, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={`text-sm font-medium py-1 px-3 rounded-md border ${active ? "bg-blue-600 text-white border-blue-600" : "bg-white text-gray-700 border-gray-300 hover:bg-gray-100"}`}
+    >
+      {children}
+    </button>
+  );
+}
+
+// Extra columns, shown only when at least one of the vendor's pack sizes has the detail
+const PRICE_DETAIL_COLUMNS = [
+  { key: "stock", label: "Stock", has: (item) => typeof item.inStock === "boolean" || Boolean(item.leadTime), render: formatStock },
+  { key: "purity", label: "Purity", has: (item) => Boolean(item.purity), render: (item) => item.purity ?? "—" },
+  { key: "catalogNumber", label: "Cat. no.", has: (item) => Boolean(item.catalogNumber), render: (item) => item.catalogNumber ?? "—" },
+];
+
 function Card({ company }) {
+  const prices = company.data?.prices ?? [];
+  const detailColumns = PRICE_DETAIL_COLUMNS.filter((column) => prices.some((item) => column.has(item)));
+  const width = detailColumns.length === 0 ? "w-1/3" : "";
+
   return (
     <div className="bg-white border border-gray-200 shadow-sm rounded-lg p-4 space-y-2">
       {(company.status === "success" && company.data.url) ?
@@ -92,21 +263,50 @@ function Card({ company }) {
         </a>) : 
         (<h2 className="text-lg font-semibold text-gray-800">{company.vendorName}</h2>)
       }
+      {company.status === "loading" && (
+        <div className="text-sm text-gray-500 animate-pulse">Fetching prices...</div>
+      )}
+
+      {company.cache?.hit && (
+        <div className="text-xs text-gray-500">Cached result, {formatAge(company.cache.ageSeconds)} old</div>
+      )}
+
+      {company.match && company.match.confidence < 1 && (
+        <div className="text-xs text-amber-700">{describeMatch(company.match)}</div>
+      )}
 
 
       {company.status === "success" && (
         <table className="w-full text-sm border border-gray-300 rounded">
           <thead className="bg-gray-100 text-gray-700">
             <tr>
-              <th className="px-4 py-2 text-left border-b text-black w-1/2">Quantity</th>
-              <th className="px-4 py-2 text-left border-b text-black w-1/2">Price</th>
+              <th className={`px-4 py-2 text-left border-b text-black ${width}`}>Quantity</th>
+              <th className={`px-4 py-2 text-left border-b text-black ${width}`}>Price</th>
+              <th className={`px-4 py-2 text-left border-b text-black ${width}`}>Per gram</th>
+              {detailColumns.map((column) => (
+                <th key={column.key} className="px-4 py-2 text-left border-b text-black">{column.label}</th>
+              ))}
             </tr>
           </thead>
           <tbody>
-            {company.data.prices.map((item, i) => (
+            {prices.map((item, i) => (
               <tr key={i} className="even:bg-gray-50">
-                <td className="px-4 py-2 border-b text-gray-900 w-1/2">{item.quantity}</td>
-                <td className="px-4 py-2 border-b text-gray-900 w-1/2">{item.price}</td>
+                <td className={`px-4 py-2 border-b text-gray-900 ${width}`}>{formatQuantity(item)}</td>
+                <td className={`px-4 py-2 border-b text-gray-900 ${width}`}>
+                  {formatMoney(item.price, item.currency, item.raw.price)}
+                  {isConverted(item) && (
+                    <div className="text-xs text-gray-500">≈ {formatMoney(item.basePrice, item.baseCurrency, "—")}</div>
+                  )}
+                </td>
+                <td className={`px-4 py-2 border-b text-gray-900 ${width}`}>
+                  {formatMoney(item.pricePerGram, item.currency, "—")}
+                  {isConverted(item) && (
+                    <div className="text-xs text-gray-500">≈ {formatMoney(item.basePricePerGram, item.baseCurrency, "—")}</div>
+                  )}
+                </td>
+                {detailColumns.map((column) => (
+                  <td key={column.key} className="px-4 py-2 border-b text-gray-900">{column.render(item)}</td>
+                ))}
               </tr>
             ))}
           </tbody>
@@ -125,7 +325,13 @@ function Card({ company }) {
 
       {(company.status === "error" || company.status === "not_found") && (
         <div className="text-sm text-red-600">
+          {company.error && (
+            <span className="inline-block mr-2 px-2 py-0.5 rounded bg-red-50 border border-red-200 text-xs font-medium">
+              {errorLabel(company.error.code)}
+            </span>
+          )}
           ERROR: {company.data.message}
+          {company.error?.retryable && <div className="text-xs text-gray-500">This may work if you try again later.</div>}
         </div>
       )}
     </div>
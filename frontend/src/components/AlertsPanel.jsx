@@ -0,0 +1,192 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+const EMPTY_RULE = { type: "undercut", thresholdPercent: "10", cas: "", vendorName: "" };
+
+// Rules notify everyone, so only admins may add or delete them
+function AlertsPanel({ canEditRules }) {
+  const [inbox, setInbox] = useState({ alerts: [], unreadCount: 0 });
+  const [rules, setRules] = useState([]);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [errorMessage, setErrorMessage] = useState("");
+  // Bumped after every change so the inbox and rules are fetched again
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const [inboxRes, rulesRes] = await Promise.all([
+          axios.get("/alerts", { params: { unread: unreadOnly } }),
+          axios.get("/alerts/rules"),
+        ]);
+        setInbox(inboxRes.data);
+        setRules(rulesRes.data);
+      } catch (err) {
+        console.error(err);
+        setErrorMessage(err.response?.data?.error || "Could not load alerts.");
+      }
+    }
+    load();
+  }, [unreadOnly, version]);
+
+  function reload() {
+    setErrorMessage("");
+    setVersion((prev) => prev + 1);
+  }
+
+  async function markRead(ids) {
+    try {
+      await axios.post("/alerts/read", ids ? { ids } : {});
+      reload();
+    } catch (err) {
+      console.error(err);
+      setErrorMessage("Could not mark alerts as read.");
+    }
+  }
+
+  async function onAddRule(e) {
+    e.preventDefault();
+    setErrorMessage("");
+    const scope = {};
+    if (draft.cas.trim()) scope.cas = draft.cas.trim();
+    if (draft.vendorName.trim()) scope.vendorName = draft.vendorName.trim();
+    const rule = { type: draft.type, scope };
+    if (draft.type === "undercut") rule.thresholdPercent = Number(draft.thresholdPercent);
+
+    try {
+      await axios.post("/alerts/rules", rule);
+      setDraft(EMPTY_RULE);
+      reload();
+    } catch (err) {
+      console.error(err);
+      const details = err.response?.data?.details;
+      setErrorMessage(details ? details.join("; ") : "Could not save the rule.");
+    }
+  }
+
+  async function onDeleteRule(id) {
+    try {
+      await axios.delete(`/alerts/rules/${id}`);
+      reload();
+    } catch (err) {
+      console.error(err);
+      setErrorMessage("Could not delete the rule.");
+    }
+  }
+
+  const inputClass = "border border-gray-300 rounded-md px-2 py-1 text-sm text-black";
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white border border-gray-200 shadow-sm rounded-lg p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-800">
+            Alerts {inbox.unreadCount > 0 && <span className="text-sm text-blue-600">({inbox.unreadCount} unread)</span>}
+          </h2>
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-1 text-sm text-gray-700">
+              <input type="checkbox" checked={unreadOnly} onChange={(e) => setUnreadOnly(e.target.checked)} />
+              Unread only
+            </label>
+            <button
+              type="button"
+              onClick={() => markRead()}
+              disabled={inbox.unreadCount === 0}
+              className="bg-gray-100 text-gray-800 text-sm font-medium py-1 px-3 rounded-md border border-gray-300 hover:bg-gray-200 disabled:opacity-60"
+            >
+              Mark all read
+            </button>
+          </div>
+        </div>
+        <div className="text-sm font-medium text-red-400">{errorMessage}</div>
+
+        {inbox.alerts.length === 0 ? (
+          <div className="text-sm text-gray-500">No alerts.</div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {inbox.alerts.map((alert) => (
+              <li key={alert.id} className={`py-2 text-sm ${alert.read ? "text-gray-500" : "text-gray-900"}`}>
+                <div className="flex items-start justify-between gap-3">
+                  <div>
+                    <div className={alert.read ? "" : "font-medium"}>{alert.message}</div>
+                    <div className="text-xs text-gray-500">
+                      {new Date(alert.createdAt).toLocaleString()} · {alert.ruleName}
+                      {alert.url && (
+                        <> · <a href={alert.url} target="_blank" className="text-blue-600 hover:underline">vendor page</a></>
+                      )}
+                    </div>
+                  </div>
+                  {!alert.read && (
+                    <button type="button" onClick={() => markRead([alert.id])} className="text-xs text-blue-600 hover:underline shrink-0">
+                      Mark read
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="bg-white border border-gray-200 shadow-sm rounded-lg p-4 space-y-3">
+        <h2 className="text-lg font-semibold text-gray-800">Rules</h2>
+        {canEditRules && (
+          <form onSubmit={onAddRule} className="flex flex-wrap items-end gap-2">
+            <select value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })} className={inputClass}>
+              <option value="undercut">Competitor undercuts PurePEG</option>
+              <option value="availability">Vendor starts/stops carrying</option>
+            </select>
+            {draft.type === "undercut" && (
+              <label className="text-sm text-gray-700 flex items-center gap-1">
+                by
+                <input
+                  type="number"
+                  min="0"
+                  value={draft.thresholdPercent}
+                  onChange={(e) => setDraft({ ...draft, thresholdPercent: e.target.value })}
+                  className={`${inputClass} w-16`}
+                />
+                %
+              </label>
+            )}
+            <input
+              value={draft.cas}
+              onChange={(e) => setDraft({ ...draft, cas: e.target.value })}
+              placeholder="CAS (all products if empty)"
+              className={inputClass}
+            />
+            <input
+              value={draft.vendorName}
+              onChange={(e) => setDraft({ ...draft, vendorName: e.target.value })}
+              placeholder="Vendor (all if empty)"
+              className={inputClass}
+            />
+            <button type="submit" className="bg-blue-600 text-white text-sm font-medium py-1 px-3 rounded-md hover:bg-blue-700">
+              Add rule
+            </button>
+          </form>
+        )}
+
+        {rules.length === 0 ? (
+          <div className="text-sm text-gray-500">No rules yet.</div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {rules.map((rule) => (
+              <li key={rule.id} className="py-2 flex items-center justify-between text-sm text-gray-900">
+                {rule.name}
+                {canEditRules && (
+                  <button type="button" onClick={() => onDeleteRule(rule.id)} className="text-xs text-red-600 hover:underline">
+                    Delete
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AlertsPanel;
@@ -0,0 +1,213 @@
+import { useState } from 'react';
+
+import { downloadFile } from '../utils/download';
+import { errorLabel } from '../utils/errors';
+import { formatQuantity, formatMoney } from '../utils/format';
+import { parseIdentifierText, readIdentifiersFromFile } from '../utils/identifiers';
+
+function BatchLookup() {
+  const [text, setText] = useState("");
+  const [rows, setRows] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+  const [isRunning, setIsRunning] = useState(false);
+
+  async function onFileChange(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    setErrorMessage("");
+    try {
+      const identifiers = await readIdentifiersFromFile(file);
+      setText(identifiers.join("\n"));
+    } catch (err) {
+      console.error(err);
+      setErrorMessage("Could not read that file. Upload a CSV or XLSX spreadsheet.");
+    }
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setErrorMessage("");
+    const identifiers = parseIdentifierText(text);
+    if (identifiers.length === 0) {
+      setErrorMessage("Paste or upload at least one identifier.");
+      return;
+    }
+
+    setRows([]);
+    setProgress({ done: 0, total: new Set(identifiers).size });
+    setIsRunning(true);
+    try {
+      await streamBatch(identifiers, (event) => {
+        if (event.type === "result") {
+          setRows((prev) => [...prev, event].sort((a, b) => a.index - b.index));
+          setProgress((prev) => ({ ...prev, done: prev.done + 1 }));
+        }
+      });
+    } catch (err) {
+      console.error(err);
+      setErrorMessage(err.message || "An unexpected error occurred.");
+    } finally {
+      setIsRunning(false);
+    }
+  }
+
+  // The backend renders the report; the lookups it repeats are answered from its caches
+  async function onDownload() {
+    setErrorMessage("");
+    try {
+      const res = await fetch("/prices/batch?format=csv", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ identifiers: rows.map((row) => row.identifier) }),
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.error || `Download failed (${res.status})`);
+      }
+      downloadFile(await res.blob(), "purepeg-batch-prices.csv", "text/csv;charset=utf-8");
+    } catch (err) {
+      console.error(err);
+      setErrorMessage(err.message || "An unexpected error occurred.");
+    }
+  }
+
+  const vendorNames = [...new Set(rows.flatMap((row) => row.results.map((r) => r.vendorName)))];
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={onSubmit} className="space-y-4 bg-white shadow-md rounded-lg p-6 border border-gray-200">
+        <div>
+          <label htmlFor="batch-ids" className="text-sm font-medium text-gray-700 block mb-1">
+            CAS/Name/SMILES, one per line
+          </label>
+          <textarea
+            id="batch-ids"
+            rows={6}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 text-black"
+            placeholder="Paste identifiers or upload a spreadsheet"
+          />
+        </div>
+        <div>
+          <label htmlFor="batch-file" className="text-sm font-medium text-gray-700 block mb-1">
+            Or upload a CSV/XLSX file
+          </label>
+          <input
+            id="batch-file"
+            type="file"
+            accept=".csv,.txt,.xlsx"
+            onChange={onFileChange}
+            className="text-sm text-gray-700"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={isRunning}
+          className="w-full bg-blue-600 text-white text-sm font-medium py-2 px-4 rounded-md hover:bg-blue-700 transition disabled:opacity-60"
+        >
+          {isRunning ? `Running... ${progress.done}/${progress.total}` : "Run Batch"}
+        </button>
+      </form>
+      <div className="text-sm font-medium text-red-400">
+        {errorMessage}
+      </div>
+
+      {rows.length > 0 && (
+        <div className="bg-white border border-gray-200 shadow-sm rounded-lg p-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-700">{rows.length} of {progress.total} identifiers processed</span>
+            <button
+              type="button"
+              onClick={onDownload}
+              className="bg-gray-100 text-gray-800 text-sm font-medium py-1 px-3 rounded-md border border-gray-300 hover:bg-gray-200"
+            >
+              Download CSV
+            </button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs border border-gray-300">
+              <thead className="bg-gray-100 text-gray-700">
+                <tr>
+                  <th className="px-2 py-2 text-left border-b text-black">Identifier</th>
+                  {vendorNames.map((name) => (
+                    <th key={name} className="px-2 py-2 text-left border-b text-black">{name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.identifier} className="even:bg-gray-50 align-top">
+                    <td className="px-2 py-2 border-b text-gray-900 break-all">
+                      {row.identifier}
+                      {row.status === "partial" && (
+                        <div className="text-red-600" title={row.error}>Partial: {errorLabel(row.code)}</div>
+                      )}
+                    </td>
+                    {row.status === "error" ? (
+                      <td colSpan={Math.max(vendorNames.length, 1)} className="px-2 py-2 border-b text-red-600">
+                        ERROR: {row.error}
+                      </td>
+                    ) : (
+                      vendorNames.map((name) => (
+                        <td key={name} className="px-2 py-2 border-b text-gray-900">
+                          <VendorCell result={row.results.find((r) => r.vendorName === name)} />
+                        </td>
+                      ))
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function VendorCell({ result }) {
+  if (!result) return null;
+  if (result.status === "success" && result.data.prices.length > 0) {
+    return result.data.prices.map((item, i) => (
+      <div key={i}>{formatQuantity(item)}: {formatMoney(item.price, item.currency, item.raw.price)}</div>
+    ));
+  }
+  if (result.status === "link_only") {
+    return <a href={result.data.url} target="_blank" className="text-blue-600 hover:underline">link</a>;
+  }
+  if (result.error) {
+    return <span className="text-gray-500" title={result.data.message}>{errorLabel(result.error.code)}</span>;
+  }
+  return <span className="text-gray-500">{result.status.replace("_", " ")}</span>;
+}
+
+/**
+ * POSTs the identifiers and calls `onEvent` for every NDJSON line the server streams back.
+ */
+async function streamBatch(identifiers, onEvent) {
+  const res = await fetch("/prices/batch", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ identifiers }),
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || `Batch request failed (${res.status})`);
+  }
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.filter(Boolean).forEach((line) => onEvent(JSON.parse(line)));
+  }
+  if (buffer.trim()) onEvent(JSON.parse(buffer));
+}
+
+export default BatchLookup;
@@ -0,0 +1,44 @@
+/**
+ * Shown when the identifier matches several PubChem compounds (ambiguous names, mixtures):
+ * PubChem-dependent vendors only run once the user picks the compound they meant.
+ */
+function CandidateChooser({ total, candidates, onChoose }) {
+  return (
+    <div className="mt-4 bg-white border border-yellow-300 shadow-sm rounded-lg p-4 space-y-3">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-800">Which compound did you mean?</h2>
+        <p className="text-sm text-gray-600">
+          This identifier matches {total} PubChem compounds
+          {total > candidates.length && ` (showing the first ${candidates.length})`}. Pick one to fetch its vendor prices.
+        </p>
+      </div>
+      <ul className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {candidates.map((candidate) => (
+          <li key={candidate.cid}>
+            <button
+              type="button"
+              onClick={() => onChoose(candidate)}
+              className="w-full flex items-center gap-3 text-left border border-gray-200 rounded-md p-2 hover:border-blue-500 hover:bg-blue-50"
+            >
+              <img src={candidate.imageUrl} alt="" className="w-16 h-16 object-contain shrink-0" />
+              <div className="min-w-0 text-sm">
+                <div className="font-medium text-gray-900 break-words">
+                  {candidate.title || candidate.iupacName || `CID ${candidate.cid}`}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {[
+                    candidate.formula,
+                    candidate.molecularWeight && `${candidate.molecularWeight} g/mol`,
+                    `CID ${candidate.cid}`,
+                  ].filter(Boolean).join(" · ")}
+                </div>
+              </div>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default CandidateChooser;
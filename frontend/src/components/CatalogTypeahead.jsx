@@ -0,0 +1,115 @@
+import { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+
+const DEBOUNCE_MS = 200;
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Text input that suggests PurePEG catalog products while typing. Picking a suggestion fills
+ * in the product name; free text (any CAS/name/SMILES) can still be submitted as before.
+ */
+function CatalogTypeahead({ id, value, onChange, placeholder }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const skipNextSearch = useRef(false);
+
+  useEffect(() => {
+    if (skipNextSearch.current) {
+      skipNextSearch.current = false;
+      return undefined;
+    }
+    const query = value.trim();
+    if (query.length < MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const res = await axios.get("/catalog/search", { params: { q: query, limit: 8 }, signal: controller.signal });
+        setSuggestions(res.data.results);
+        setHighlighted(-1);
+        setIsOpen(true);
+      } catch (err) {
+        if (!axios.isCancel(err)) console.error(err);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value]);
+
+  function choose(suggestion) {
+    skipNextSearch.current = true;
+    onChange(suggestion.name);
+    setIsOpen(false);
+    setSuggestions([]);
+  }
+
+  function onKeyDown(e) {
+    if (!isOpen || suggestions.length === 0) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setHighlighted((prev) => (prev + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlighted((prev) => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+    } else if (e.key === "Enter" && highlighted >= 0) {
+      e.preventDefault();
+      choose(suggestions[highlighted]);
+    } else if (e.key === "Escape") {
+      setIsOpen(false);
+    }
+  }
+
+  return (
+    <div className="relative">
+      <input
+        id={id}
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={onKeyDown}
+        onFocus={() => suggestions.length > 0 && setIsOpen(true)}
+        // Delay so a click on a suggestion lands before the list disappears
+        onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+        className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 text-black"
+        placeholder={placeholder}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={isOpen}
+        aria-controls={`${id}-suggestions`}
+      />
+      {isOpen && suggestions.length > 0 && (
+        <ul
+          id={`${id}-suggestions`}
+          role="listbox"
+          className="absolute z-10 mt-1 w-full bg-white border border-gray-300 rounded-md shadow-lg max-h-72 overflow-y-auto text-sm"
+        >
+          {suggestions.map((suggestion, i) => (
+            <li
+              key={suggestion.sku}
+              role="option"
+              aria-selected={i === highlighted}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(suggestion)}
+              className={`px-3 py-2 cursor-pointer ${i === highlighted ? "bg-blue-50" : "hover:bg-gray-50"}`}
+            >
+              <div className="text-gray-900">{suggestion.name}</div>
+              <div className="text-xs text-gray-500">
+                {[suggestion.casNumber, suggestion.formula, `SKU ${suggestion.sku}`].filter(Boolean).join(" · ")}
+                {!["name", "Full Name"].includes(suggestion.matchedField) && ` · matched ${suggestion.matchedField}`}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default CatalogTypeahead;
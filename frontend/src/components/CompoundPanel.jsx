@@ -0,0 +1,73 @@
+/**
+ * Header shown above the vendor cards so users can confirm the identifier resolved to the
+ * compound they meant: PubChem's description next to the PurePEG catalog entry, with a warning
+ * for every formula or molecular weight disagreement.
+ */
+function CompoundPanel({ summary }) {
+  const { pubchem, purePeg, warnings } = summary;
+
+  return (
+    <div className="mt-4 bg-white border border-gray-200 shadow-sm rounded-lg p-4 flex flex-col sm:flex-row gap-4">
+      <img
+        src={pubchem.imageUrl}
+        alt={`Structure of ${pubchem.iupacName || `CID ${pubchem.cid}`}`}
+        className="w-32 h-32 object-contain self-center shrink-0"
+      />
+      <div className="flex-1 min-w-0 space-y-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800 break-words">
+            {purePeg?.name || pubchem.synonyms[0] || pubchem.iupacName || `CID ${pubchem.cid}`}
+          </h2>
+          <a href={pubchem.pubchemUrl} target="_blank" className="text-xs text-blue-600 hover:underline">
+            PubChem CID {pubchem.cid}
+          </a>
+        </div>
+
+        {warnings.length > 0 && (
+          <ul className="bg-yellow-50 border border-yellow-200 rounded-md p-2 text-sm text-yellow-800 space-y-1">
+            {warnings.map((warning) => (
+              <li key={warning.field}>⚠ {warning.message}</li>
+            ))}
+          </ul>
+        )}
+
+        <dl className="grid grid-cols-[max-content_1fr] gap-x-4 gap-y-1 text-sm">
+          <Field label="IUPAC name" value={pubchem.iupacName} />
+          <Field label="Formula" value={pubchem.formula} />
+          <Field label="Mol. weight" value={pubchem.molecularWeight && `${pubchem.molecularWeight} g/mol`} />
+          <Field label="SMILES" value={pubchem.smiles} mono />
+          {purePeg ? (
+            <>
+              <Field label="PurePEG SKU" value={purePeg.sku} />
+              <Field label="CAS" value={purePeg.casNumber} />
+              <Field label="Purity" value={purePeg.purity} />
+              <Field label="PEG length" value={purePeg.pegLength} />
+              <Field label="Functional group" value={purePeg.functionalGroup} />
+              <Field label="Storage" value={purePeg.storage} />
+            </>
+          ) : (
+            <Field label="PurePEG" value="Not in the PurePEG catalog" />
+          )}
+        </dl>
+
+        {pubchem.synonyms.length > 0 && (
+          <div className="text-xs text-gray-500 break-words">
+            Also known as: {pubchem.synonyms.join(", ")}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Field({ label, value, mono = false }) {
+  if (value === null || value === undefined || value === "") return null;
+  return (
+    <>
+      <dt className="text-gray-500">{label}</dt>
+      <dd className={`text-gray-900 break-all ${mono ? "font-mono text-xs" : ""}`}>{value}</dd>
+    </>
+  );
+}
+
+export default CompoundPanel;
@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import axios from 'axios';
+
+/**
+ * Shown instead of the app until the user signs in. The session itself lives in an HttpOnly
+ * cookie, so the lookup streams and report downloads are authenticated without extra work.
+ */
+function LoginForm({ onLogin }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [errorMessage, setErrorMessage] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setErrorMessage("");
+    setIsLoading(true);
+    try {
+      const res = await axios.post("/auth/login", { username, password });
+      onLogin(res.data.user);
+    } catch (err) {
+      console.error(err);
+      setErrorMessage(err.response?.data?.error || "Could not sign in.");
+      setIsLoading(false);
+    }
+  }
+
+  const inputClass = "w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 text-black";
+
+  return (
+    <form onSubmit={onSubmit} className="max-w-sm mx-auto mt-16 space-y-4 bg-white shadow-md rounded-lg p-6 border border-gray-200">
+      <h1 className="text-lg font-semibold text-gray-800">Sign in</h1>
+      <div>
+        <label htmlFor="username" className="text-sm font-medium text-gray-700 block mb-1">Username</label>
+        <input id="username" value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" className={inputClass} />
+      </div>
+      <div>
+        <label htmlFor="password" className="text-sm font-medium text-gray-700 block mb-1">Password</label>
+        <input
+          id="password"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          className={inputClass}
+        />
+      </div>
+      <div className="text-sm font-medium text-red-400">{errorMessage}</div>
+      <button
+        type="submit"
+        disabled={isLoading || !username || !password}
+        className="w-full bg-blue-600 text-white text-sm font-medium py-2 px-4 rounded-md hover:bg-blue-700 transition disabled:opacity-60"
+      >
+        {isLoading ? "Signing in..." : "Sign in"}
+      </button>
+    </form>
+  );
+}
+
+export default LoginForm;
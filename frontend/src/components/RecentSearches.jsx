@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+/**
+ * The signed-in user's latest searches as one-click chips. `version` is bumped by the parent
+ * after each lookup so the list is fetched again.
+ */
+function RecentSearches({ version, onPick }) {
+  const [searches, setSearches] = useState([]);
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const res = await axios.get("/auth/me/searches", { params: { limit: 8 } });
+        setSearches(res.data.searches);
+      } catch (err) {
+        console.error(err);
+      }
+    }
+    load();
+  }, [version]);
+
+  async function onClear() {
+    try {
+      await axios.delete("/auth/me/searches");
+      setSearches([]);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  if (searches.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-600">Recent:</span>
+      {searches.map((search) => (
+        <button
+          key={search.identifier}
+          type="button"
+          onClick={() => onPick(search)}
+          title={search.cid ? `PubChem CID ${search.cid}` : "Not resolved on PubChem"}
+          className="bg-gray-100 text-gray-800 py-0.5 px-2 rounded-md border border-gray-300 hover:bg-gray-200 max-w-[16rem] truncate"
+        >
+          {search.identifier}
+        </button>
+      ))}
+      <button type="button" onClick={onClear} className="text-xs text-gray-500 hover:underline">
+        Clear
+      </button>
+    </div>
+  );
+}
+
+export default RecentSearches;
@@ -0,0 +1,108 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+const STATUS_STYLES = {
+  healthy: "bg-green-100 text-green-800",
+  degraded: "bg-yellow-100 text-yellow-800",
+  failing: "bg-red-100 text-red-800",
+  unknown: "bg-gray-100 text-gray-600",
+};
+
+function VendorHealthPanel() {
+  const [health, setHealth] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  async function load() {
+    setIsLoading(true);
+    setErrorMessage("");
+    try {
+      const res = await axios.get("/health/vendors");
+      setHealth(res.data);
+    } catch (err) {
+      console.error(err);
+      setErrorMessage(err.response?.data?.error || "Could not load vendor status.");
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  return (
+    <div className="bg-white border border-gray-200 shadow-sm rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-800">Scraper status</h2>
+        <button
+          type="button"
+          onClick={load}
+          disabled={isLoading}
+          className="bg-gray-100 text-gray-800 text-sm font-medium py-1 px-3 rounded-md border border-gray-300 hover:bg-gray-200 disabled:opacity-60"
+        >
+          {isLoading ? "Loading..." : "Refresh"}
+        </button>
+      </div>
+      <div className="text-sm font-medium text-red-400">{errorMessage}</div>
+
+      {health && (
+        <table className="w-full text-sm border border-gray-300">
+          <thead className="bg-gray-100 text-gray-700">
+            <tr>
+              <th className="px-3 py-2 text-left border-b text-black">Vendor</th>
+              <th className="px-3 py-2 text-left border-b text-black">Status</th>
+              <th className="px-3 py-2 text-left border-b text-black">Success</th>
+              <th className="px-3 py-2 text-left border-b text-black">Empty</th>
+              <th className="px-3 py-2 text-left border-b text-black">Avg latency</th>
+              <th className="px-3 py-2 text-left border-b text-black">Crawls</th>
+            </tr>
+          </thead>
+          <tbody>
+            {health.vendors.map((vendor) => (
+              <VendorRow key={vendor.vendorName} vendor={vendor} />
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function VendorRow({ vendor }) {
+  const hasData = vendor.attempts > 0;
+  return (
+    <>
+      <tr className="even:bg-gray-50">
+        <td className="px-3 py-2 border-b text-gray-900">{vendor.vendorName}</td>
+        <td className="px-3 py-2 border-b">
+          <span className={`text-xs font-medium px-2 py-0.5 rounded ${STATUS_STYLES[vendor.status]}`}>{vendor.status}</span>
+        </td>
+        <td className="px-3 py-2 border-b text-gray-900">{hasData ? formatPercent(vendor.successRate) : "—"}</td>
+        <td className="px-3 py-2 border-b text-gray-900">{hasData ? formatPercent(vendor.emptyRate) : "—"}</td>
+        <td className="px-3 py-2 border-b text-gray-900">{hasData ? `${(vendor.latencyMs.avg / 1000).toFixed(1)} s` : "—"}</td>
+        <td className="px-3 py-2 border-b text-gray-900">{vendor.attempts}</td>
+      </tr>
+      {(vendor.drift?.suspected || vendor.lastError) && (
+        <tr>
+          <td colSpan={6} className="px-3 py-2 border-b text-xs text-gray-600">
+            {vendor.drift?.suspected && (
+              <div className="text-red-600">Possible site redesign: {vendor.drift.reason}</div>
+            )}
+            {vendor.lastError && (
+              <div>
+                Last error ({vendor.lastError.errorType}, {new Date(vendor.lastError.timestamp).toLocaleString()}): {vendor.lastError.message}
+              </div>
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+function formatPercent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+export default VendorHealthPanel;
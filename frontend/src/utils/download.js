@@ -0,0 +1,11 @@
+/**
+ * Triggers a browser download of in-memory content.
+ */
+export function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,19 @@
+// Short labels for the error codes the backend puts on cards, batch lines and lookup errors
+const ERROR_LABELS = {
+  COMPOUND_NOT_FOUND: "Compound not found",
+  AMBIGUOUS_IDENTIFIER: "Several compounds match",
+  VENDORS_NOT_FOUND: "No vendors listed by PubChem",
+  PRODUCT_NOT_FOUND: "Not offered",
+  PUBCHEM_UNAVAILABLE: "PubChem unavailable",
+  WOOCOMMERCE_UNAVAILABLE: "WooCommerce unavailable",
+  VENDOR_UNAVAILABLE: "Site unavailable",
+  VENDOR_TIMEOUT: "Timed out",
+  VENDOR_BLOCKED: "Blocked by the site",
+  PARSE_FAILED: "Page layout changed",
+  INTERNAL_ERROR: "Internal error",
+};
+
+// Codes added to the backend later fall back to the code itself
+export function errorLabel(code) {
+  return ERROR_LABELS[code] || code;
+}
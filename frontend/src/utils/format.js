@@ -0,0 +1,36 @@
+// Show the parsed pack size when the backend could read it, otherwise the vendor's own text
+export function formatQuantity(item) {
+  if (item.amount === null) return item.raw.quantity;
+  return `${item.amount} ${item.unit}`;
+}
+
+export function formatMoney(value, currency, fallback) {
+  if (value === null || value === undefined) return fallback;
+  return new Intl.NumberFormat(undefined, { style: "currency", currency: currency || "USD" }).format(value);
+}
+
+// Prices quoted in another currency also carry their value in the backend's base currency
+export function isConverted(item) {
+  return Boolean(item.currency && item.baseCurrency && item.currency !== item.baseCurrency);
+}
+
+export function formatAge(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+  return `${Math.round(seconds / 3600)} h`;
+}
+
+// "In stock", "Out of stock", or the lead time when the vendor gave one
+export function formatStock(item) {
+  if (item.inStock === true) return item.leadTime ? `In stock (${item.leadTime})` : "In stock";
+  if (item.leadTime) return item.leadTime;
+  if (item.inStock === false) return "Out of stock";
+  return "—";
+}
+
+// Prices found through a vendor's search may belong to a different listing than the one meant
+export function describeMatch(match) {
+  const basis = { cas: "by CAS number", name: "by name", redirect: "by the vendor's search", only_result: "as the only search result" }[match.method] ?? "";
+  const others = match.candidates > 1 ? `, first of ${match.candidates} candidates` : "";
+  return `Matched ${basis}${others} (${Math.round(match.confidence * 100)}% confidence)`;
+}
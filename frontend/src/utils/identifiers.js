@@ -0,0 +1,96 @@
+const HEADER_PATTERN = /^(cas( number| no\.?)?|smiles|name|identifier|id)$/i;
+
+/**
+ * Splits pasted text into identifiers, one per line. Tabs and semicolons also separate
+ * entries so a column copied from a spreadsheet works. Commas do not, since names and
+ * SMILES can contain them.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseIdentifierText(text) {
+  return text
+    .split(/[\r\n\t;]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Splits CSV text into rows of cells. Quoted cells may hold commas, quotes (doubled) and line breaks.
+ * @param {string} text
+ * @returns {string[][]} Without blank lines.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  rows.push([...row, cell]);
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+// The first sheet's non-empty rows, each cell as displayed. ExcelJS is only loaded for XLSX uploads.
+async function readXlsxRows(file) {
+  const { default: ExcelJS } = await import("exceljs");
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+  const rows = [];
+  workbook.worksheets[0]?.eachRow((row) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, column) => { cells[column - 1] = cell.text; });
+    rows.push(Array.from(cells, (value) => value ?? ""));
+  });
+  return rows;
+}
+
+/**
+ * Reads identifiers from an uploaded CSV, XLSX or text file. For spreadsheets, uses the first sheet,
+ * and the column whose header looks like "CAS", "SMILES", "Name" or "Identifier" if there is one,
+ * otherwise the first column.
+ * @param {File} file
+ * @returns {Promise<string[]>}
+ */
+export async function readIdentifiersFromFile(file) {
+  const name = file.name.toLowerCase();
+  if (!name.endsWith(".xlsx") && !name.endsWith(".csv")) {
+    return parseIdentifierText(await file.text());
+  }
+  const rows = name.endsWith(".xlsx") ? await readXlsxRows(file) : parseCsvRows(await file.text());
+  if (rows.length === 0) return [];
+
+  let column = 0;
+  let dataRows = rows;
+  const headerIndex = rows[0].findIndex((cell) => HEADER_PATTERN.test(String(cell ?? "").trim()));
+  if (headerIndex !== -1) {
+    column = headerIndex;
+    dataRows = rows.slice(1);
+  }
+
+  return dataRows
+    .map((row) => String(row[column] ?? "").trim())
+    .filter(Boolean);
+}